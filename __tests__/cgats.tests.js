@@ -0,0 +1,226 @@
+/**
+ *  CGATS.17 / IT8.7 — reading, writing and feeding measurements into ΔE
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {CGATS, Profile, Spectral, Transform, eIntent, eColourType, convert} = require('../src/main');
+
+const i1Profiler = [
+    'CGATS.17',
+    'ORIGINATOR "i1Profiler"',
+    'DESCRIPTOR "ECI2002 sample"   # trailing comment',
+    'CREATED "March 1, 2024"',
+    'KEYWORD "SAMPLE_LOC"',
+    'LGOROWLENGTH 2',
+    '',
+    'NUMBER_OF_FIELDS 11',
+    'BEGIN_DATA_FORMAT',
+    'SAMPLE_ID SAMPLE_LOC CMYK_C CMYK_M CMYK_Y CMYK_K',
+    'LAB_L LAB_A LAB_B SPECTRAL_NM400 SPECTRAL_NM410',
+    'END_DATA_FORMAT',
+    'NUMBER_OF_SETS 3',
+    'BEGIN_DATA',
+    '1 "A1" 0 0 0 0 95.12 0.83 -4.10 0.8 0.85',
+    '2 "A 2" 100 0 0 0 55.3 -37.2 -50.1 0.3 0.35',
+    '3 "A3" 0 0 0 100 16.1 0.2 0.4 0.02',
+    '0.021',
+    'END_DATA',
+    ''
+].join('\r\n');
+
+const argyll = [
+    'CTI3',
+    '',
+    'DESCRIPTOR "Argyll Calibration Target chart information 3"',
+    'ORIGINATOR "Argyll target"',
+    'KEYWORD "DEVICE_CLASS"',
+    'DEVICE_CLASS "DISPLAY"',
+    'KEYWORD "SPECTRAL_BANDS"',
+    'SPECTRAL_BANDS "2"',
+    'NUMBER_OF_FIELDS 9',
+    'BEGIN_DATA_FORMAT',
+    'SAMPLE_ID RGB_R RGB_G RGB_B XYZ_X XYZ_Y XYZ_Z SPECTRAL_500 SPECTRAL_510',
+    'END_DATA_FORMAT',
+    'NUMBER_OF_SETS 2',
+    'BEGIN_DATA',
+    '1 100.0 100.0 100.0 95.05 100.0 108.9 90.0 91.0',
+    '2 50.0 0 0 8.2 4.2 0.4 5.0 4.0',
+    'END_DATA',
+    '',
+    'CAL',
+    '',
+    'DESCRIPTOR "Argyll Device Calibration State"',
+    'NUMBER_OF_FIELDS 4',
+    'BEGIN_DATA_FORMAT',
+    'RGB_I RGB_R RGB_G RGB_B',
+    'END_DATA_FORMAT',
+    'NUMBER_OF_SETS 2',
+    'BEGIN_DATA',
+    '0.0 0.0 0.0 0.0',
+    '1.0 1.0 1.0 1.0',
+    'END_DATA'
+].join('\n');
+
+describe('CGATS', () => {
+
+    test('reads header keywords, fields and typed columns', () => {
+        let cgats = CGATS.parse(i1Profiler);
+        expect(cgats.identifier).toBe('CGATS.17');
+        expect(cgats.keywords).toEqual({
+            ORIGINATOR: 'i1Profiler',
+            DESCRIPTOR: 'ECI2002 sample',
+            CREATED: 'March 1, 2024',
+            LGOROWLENGTH: 2
+        });
+        expect(cgats.count).toBe(3);
+        expect(cgats.fields).toHaveLength(11);
+        expect(cgats.column('SAMPLE_LOC')).toEqual(['A1', 'A 2', 'A3']);
+        expect(cgats.column('SAMPLE_ID')).toBeInstanceOf(Float64Array);
+        expect(cgats.column('NOPE')).toBeNull();
+
+        expect(cgats.deviceType).toBe('CMYK');
+        expect(Array.from(cgats.getDevice())).toEqual([0, 0, 0, 0, 100, 0, 0, 0, 0, 0, 0, 100]);
+        expect(cgats.getLab()).toBeInstanceOf(Float64Array);
+        expect(Array.from(cgats.getLab().subarray(3, 6))).toEqual([55.3, -37.2, -50.1]);
+        expect(cgats.getXYZ()).toBeNull();
+
+        let spectral = cgats.getSpectral();
+        expect(spectral.startnm).toBe(400);
+        expect(spectral.endnm).toBe(410);
+        expect(spectral.step).toBe(10);
+        expect(spectral.bands).toBe(2);
+        expect(spectral.scale).toBe(1);
+        expect(Array.from(spectral.data)).toEqual([0.8, 0.85, 0.3, 0.35, 0.02, 0.021]);
+    });
+
+    test('Argyll files with more than one table', () => {
+        let tables = CGATS.parseAll(argyll);
+        expect(tables).toHaveLength(2);
+        expect(tables[0].identifier).toBe('CTI3');
+        expect(tables[0].keywords.SPECTRAL_BANDS).toBe('2');
+        expect(tables[1].identifier).toBe('CAL');
+        expect(tables[1].count).toBe(2);
+        expect(CGATS.parse(argyll).identifier).toBe('CTI3');
+
+        let ti3 = tables[0];
+        expect(ti3.deviceType).toBe('RGB');
+        expect(Array.from(ti3.getXYZ().subarray(0, 3))).toEqual([95.05, 100, 108.9]);
+        expect(ti3.getSpectral().scale).toBe(100);
+
+        // Argyll RGB is 0 - 100
+        let patch = ti3.sample(1);
+        expect(patch.device).toEqual(convert.RGBf(0.5, 0, 0));
+        expect(patch.XYZ.type).toBe(eColourType.XYZ);
+        expect(patch.XYZ.Y).toBeCloseTo(0.042, 10);
+        expect(patch.spectrum).toEqual({startnm: 500, endnm: 510, step: 10, data: [0.05, 0.04]});
+
+        ti3.deviceRange = 255;
+        expect(ti3.sample(0).device.Rf).toBeCloseTo(100 / 255, 10);
+    });
+
+    test('samples as colour objects', () => {
+        let cgats = CGATS.parse(i1Profiler);
+        let patch = cgats.sample(1);
+        expect(patch.id).toBe(2);
+        expect(patch.name).toBe('A 2');
+        expect(patch.device).toEqual(convert.CMYK(100, 0, 0, 0));
+        expect(patch.Lab).toEqual(convert.Lab(55.3, -37.2, -50.1));
+        expect(patch.XYZ).toBeUndefined();
+        expect(patch.spectrum.data).toEqual([0.3, 0.35]);
+
+        expect(cgats.samples()).toHaveLength(3);
+        expect(cgats.samples()[1]).toEqual(patch);
+        expect(() => cgats.sample(3)).toThrow(/out of range/);
+
+        let s = new Spectral();
+        let xyz = s.calculateXYZ(patch.spectrum, s.getIlluminant('D50'), s.getObserver('2'));
+        expect(xyz.Y).toBeGreaterThan(0.3);
+        expect(xyz.Y).toBeLessThan(0.35);
+    });
+
+    test('writes back what it read', () => {
+        let cgats = CGATS.parse(i1Profiler);
+        let text = cgats.toString();
+        expect(text).toMatch(/^CGATS\.17\n/);
+        expect(text).toContain('KEYWORD "LGOROWLENGTH"\nLGOROWLENGTH 2\n');
+        expect(text).toContain('KEYWORD "SAMPLE_LOC"\n');
+        expect(text).not.toContain('KEYWORD "ORIGINATOR"');
+        expect(text).toContain('NUMBER_OF_SETS 3\n');
+        expect(text).toContain('2 "A 2" 100 0 0 0 55.3 -37.2 -50.1 0.3 0.35\n');
+
+        let again = CGATS.parse(text);
+        expect(again.keywords).toEqual(cgats.keywords);
+        expect(again.fields).toEqual(cgats.fields);
+        expect(again.columns).toEqual(cgats.columns);
+
+        let tables = CGATS.parseAll(argyll);
+        let both = tables.map((t) => t.toString()).join('\n');
+        expect(CGATS.parseAll(both).map((t) => t.columns)).toEqual(tables.map((t) => t.columns));
+
+        let quoted = new CGATS({keywords: {DESCRIPTOR: 'a "quoted" name'}});
+        quoted.setField('SAMPLE_NAME', ['x y']);
+        expect(CGATS.parse(quoted.toString()).keywords.DESCRIPTOR).toBe('a "quoted" name');
+    });
+
+    test('builds a new file from typed arrays', () => {
+        let cgats = new CGATS({keywords: {ORIGINATOR: 'jsColorEngine'}});
+        cgats.setField('SAMPLE_ID', [1, 2]);
+        cgats.setDevice('CMYK', new Float64Array([0, 0, 0, 0, 100, 0, 0, 0]));
+        cgats.setLab([95, 0, -2, 55.123456789, -37, -50]);
+        cgats.setSpectral(380, 10, 3, new Float64Array([0.1, 0.2, 0.3, 0.4, 0.5, 0.6]));
+        expect(cgats.fields).toEqual(['SAMPLE_ID', 'CMYK_C', 'CMYK_M', 'CMYK_Y', 'CMYK_K',
+            'LAB_L', 'LAB_A', 'LAB_B', 'SPECTRAL_NM380', 'SPECTRAL_NM390', 'SPECTRAL_NM400']);
+
+        let text = cgats.toString({precision: 3});
+        expect(text).toContain('2 100 0 0 0 55.123 -37 -50 0.4 0.5 0.6\n');
+        expect(CGATS.parse(text).getSpectral().startnm).toBe(380);
+
+        // replacing the device values swaps the fields
+        cgats.setDevice('6CLR', new Float64Array(12));
+        expect(cgats.deviceType).toBe('6CLR');
+        expect(cgats.deviceFields).toEqual(['6CLR_1', '6CLR_2', '6CLR_3', '6CLR_4', '6CLR_5', '6CLR_6']);
+        expect(cgats.hasField('CMYK_C')).toBe(false);
+        expect(cgats.sample(0).device).toBeUndefined();
+
+        expect(() => cgats.setLab([1, 2, 3])).toThrow(/the table has 2 sets/);
+        expect(() => cgats.setLab([1, 2, 3, 4])).toThrow(/whole number/);
+        expect(() => cgats.setDevice('HSV', [])).toThrow(/unknown device type/);
+    });
+
+    test('measurements against a profile with deltaE2000', () => {
+        let profile = new Profile(new Uint8Array(fs.readFileSync(path.join(__dirname, 'GRACoL2006_Coated1v2.icc'))));
+        let t = new Transform();
+        t.create(profile, '*Lab', eIntent.absolute);
+
+        let cmyk = [0, 0, 0, 0, 100, 0, 0, 0, 0, 100, 0, 0, 0, 0, 100, 0, 40, 30, 30, 10];
+        let lab = [];
+        for (let i = 0; i < cmyk.length; i += 4) {
+            let out = t.transform(convert.CMYK(cmyk[i], cmyk[i + 1], cmyk[i + 2], cmyk[i + 3]));
+            lab.push(out.L, out.a + (i === 16 ? 1 : 0), out.b);
+        }
+
+        let measured = new CGATS();
+        measured.setDevice('CMYK', cmyk);
+        measured.setLab(lab);
+
+        let dE = CGATS.parse(measured.toString()).samples().map((patch) => {
+            return convert.deltaE2000(patch.Lab, t.transform(patch.device));
+        });
+        expect(Math.max.apply(null, dE.slice(0, 4))).toBeLessThan(0.001);
+        expect(dE[4]).toBeGreaterThan(0.5);
+    });
+
+    test('malformed files throw', () => {
+        let body = 'BEGIN_DATA_FORMAT\nSAMPLE_ID LAB_L\nEND_DATA_FORMAT\nBEGIN_DATA\n1 50\n';
+        expect(() => CGATS.parse('CGATS.17\n' + body)).toThrow(/missing END_DATA/);
+        expect(() => CGATS.parse('CGATS.17\n' + body + '2\nEND_DATA')).toThrow(/whole number of 2/);
+        expect(() => CGATS.parse('CGATS.17\nNUMBER_OF_SETS 2\n' + body + 'END_DATA')).toThrow(/NUMBER_OF_SETS is 2/);
+        expect(() => CGATS.parse('CGATS.17\nNUMBER_OF_FIELDS 3\n' + body + 'END_DATA')).toThrow(/NUMBER_OF_FIELDS is 3/);
+        expect(() => CGATS.parse('CGATS.17\nBEGIN_DATA\n1\nEND_DATA')).toThrow(/before the data format/);
+        expect(() => CGATS.parse('CGATS.17\nORIGINATOR "open')).toThrow(/line 2: unterminated string/);
+        expect(() => CGATS.parse('CGATS.17\nORIGINATOR')).toThrow(/missing BEGIN_DATA/);
+        expect(() => CGATS.parse('# nothing here\n\n')).toThrow(/no data/);
+        expect(() => CGATS.parse(null)).toThrow(/string/);
+    });
+});
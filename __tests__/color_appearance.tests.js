@@ -0,0 +1,146 @@
+/**
+ *  ColorAppearance — CAM16 / CIECAM02 forward, inverse, UCS and 'view' tags
+ */
+
+const {ColorAppearance, Profile, convert} = require('../src/main');
+
+// Reference values from colour-science (XYZ_to_CIECAM02 / XYZ_to_CAM16 docs)
+const reference = {
+    whitePoint: convert.XYZ(0.9505, 1, 1.0888),
+    adaptingLuminance: 318.31,
+    backgroundLuminance: 20
+};
+const sample = convert.XYZ(0.1901, 0.2, 0.2178);
+
+function expectXYZ(xyz, expected, digits) {
+    expect(xyz.X).toBeCloseTo(expected.X, digits);
+    expect(xyz.Y).toBeCloseTo(expected.Y, digits);
+    expect(xyz.Z).toBeCloseTo(expected.Z, digits);
+}
+
+describe('ColorAppearance', () => {
+
+    test('CIECAM02 forward', () => {
+        let cam = new ColorAppearance(Object.assign({model: 'CIECAM02'}, reference));
+        let jch = cam.fromXYZ(sample);
+        expect(jch.J).toBeCloseTo(41.731091, 5);
+        expect(jch.C).toBeCloseTo(0.104708, 5);
+        expect(jch.h).toBeCloseTo(219.048433, 5);
+        expect(jch.Q).toBeCloseTo(195.371326, 5);
+        expect(jch.M).toBeCloseTo(0.108842, 5);
+        expect(jch.s).toBeCloseTo(2.360305, 5);
+        expect(jch.H).toBeCloseTo(278.060736, 5);
+    });
+
+    test('CAM16 forward', () => {
+        let cam = new ColorAppearance(reference);
+        expect(cam.model).toBe('CAM16');
+        let jch = cam.fromXYZ(sample);
+        expect(jch.J).toBeCloseTo(41.731208, 5);
+        expect(jch.C).toBeCloseTo(0.103356, 5);
+        expect(jch.h).toBeCloseTo(217.067960, 5);
+        expect(jch.Q).toBeCloseTo(195.371709, 5);
+        expect(jch.M).toBeCloseTo(0.107437, 5);
+        expect(jch.s).toBeCloseTo(2.345015, 5);
+        expect(jch.H).toBeCloseTo(275.594986, 5);
+    });
+
+    test('inverse from any correlate combination', () => {
+        ['CAM16', 'CIECAM02'].forEach((model) => {
+            let cam = new ColorAppearance({model: model, surround: 'dim', adaptingLuminance: 50});
+            [convert.XYZ(0.4, 0.2, 0.05), convert.XYZ(0.1, 0.3, 0.6), convert.XYZ(0.8, 0.85, 0.2)].forEach((xyz) => {
+                let c = cam.fromXYZ(xyz);
+                expectXYZ(cam.toXYZ({J: c.J, C: c.C, h: c.h}), xyz, 8);
+                expectXYZ(cam.toXYZ({Q: c.Q, M: c.M, H: c.H}), xyz, 8);
+                expectXYZ(cam.toXYZ({J: c.J, s: c.s, h: c.h}), xyz, 8);
+            });
+        });
+    });
+
+    test('the white is J 100, black is J 0', () => {
+        let cam = new ColorAppearance({whitePoint: 'd65'});
+        let white = cam.fromXYZ(convert.d65);
+        expect(white.J).toBeCloseTo(100, 6);
+        expect(cam.fromXYZ(convert.XYZ(0, 0, 0)).J).toBeCloseTo(0, 10);
+        expectXYZ(cam.toXYZ({J: 0, C: 0, h: 0}), {X: 0, Y: 0, Z: 0}, 8);
+    });
+
+    test('appearance effects', () => {
+        let grey = convert.XYZ(0.2 * 0.96422, 0.2, 0.2 * 0.82521);
+        let red = convert.XYZ(0.4, 0.25, 0.1);
+
+        // Hunt effect: brighter light, more colourful
+        let dimLight = new ColorAppearance({adaptingLuminance: 10}).fromXYZ(red);
+        let brightLight = new ColorAppearance({adaptingLuminance: 1000}).fromXYZ(red);
+        expect(brightLight.M).toBeGreaterThan(dimLight.M);
+
+        // Darker surround, lighter looking mid-tones
+        let average = new ColorAppearance({surround: 'average'}).fromXYZ(grey);
+        let dark = new ColorAppearance({surround: 'dark'}).fromXYZ(grey);
+        expect(dark.J).toBeGreaterThan(average.J);
+    });
+
+    test('Lab in and out, matching across viewing conditions', () => {
+        let booth = new ColorAppearance({adaptingLuminance: 400});
+        let office = new ColorAppearance({adaptingLuminance: 30, surround: 'dim'});
+        let lab = convert.Lab(60, 20, -10);
+
+        let back = booth.toLab(booth.fromLab(lab));
+        expect(back.L).toBeCloseTo(60, 6);
+        expect(back.a).toBeCloseTo(20, 6);
+        expect(back.b).toBeCloseTo(-10, 6);
+
+        let match = office.toLab(booth.fromLab(lab));
+        expect(match.L).not.toBeCloseTo(60, 1);
+        expect(office.fromLab(match).J).toBeCloseTo(booth.fromLab(lab).J, 6);
+
+        // D65 Lab is adapted to the D50 adopted white
+        let d65White = booth.fromLab(convert.Lab(100, 0, 0, convert.d65));
+        expect(d65White.J).toBeCloseTo(100, 4);
+    });
+
+    test('CAM16-UCS and deltaE', () => {
+        let cam = new ColorAppearance();
+        let c = cam.fromXYZ(convert.XYZ(0.3, 0.2, 0.1));
+        let ucs = cam.toUCS(c);
+        expect(ucs.J).toBeCloseTo(1.7 * c.J / (1 + 0.007 * c.J), 10);
+
+        let jmh = cam.fromUCS(ucs);
+        expect(jmh.J).toBeCloseTo(c.J, 10);
+        expect(jmh.M).toBeCloseTo(c.M, 10);
+        expect(jmh.h).toBeCloseTo(c.h, 10);
+
+        let lab1 = convert.Lab(50, 10, 10);
+        let lab2 = convert.Lab(50, 12, 10);
+        expect(cam.deltaE(lab1, lab1)).toBe(0);
+        expect(cam.deltaE(lab1, lab2)).toBeGreaterThan(0.5);
+        expect(cam.deltaE(lab1, lab2)).toBeLessThan(3);
+        expect(cam.deltaE(convert.Lab2XYZ(lab1), convert.Lab2XYZ(lab2))).toBeCloseTo(cam.deltaE(lab1, lab2), 10);
+    });
+
+    test('viewing conditions from a view tag', () => {
+        let p = new Profile('*sRGB');
+        p.viewingConditions = {
+            illuminant: {X: 30.67, Y: 31.83, Z: 26.27},
+            surround: {X: 1.53, Y: 1.59, Z: 1.31},
+            measurement: 'D50'
+        };
+        let reloaded = new Profile(p.toBinary());
+        let cam = ColorAppearance.fromProfile(reloaded);
+        expect(cam.adaptingLuminance).toBeCloseTo(31.83 * 0.2, 2);
+        expect(cam.surround).toEqual(ColorAppearance.surrounds.dim);
+        expect(cam.whitePoint.Z).toBeCloseTo(26.27 / 31.83, 3);
+
+        expect(ColorAppearance.fromProfile(reloaded, {surround: 'dark'}).surround.F).toBe(0.8);
+
+        let noView = ColorAppearance.fromProfile(new Profile('*AdobeRGB'));
+        expect(noView.whitePoint.X).toBeCloseTo(0.9642, 3);
+    });
+
+    test('invalid options throw', () => {
+        expect(() => new ColorAppearance({model: 'CAM97'})).toThrow();
+        expect(() => new ColorAppearance({surround: 'bright'})).toThrow();
+        expect(() => new ColorAppearance({adaptingLuminance: 0})).toThrow();
+        expect(() => new ColorAppearance().toXYZ({J: 50, h: 10})).toThrow();
+    });
+});
@@ -0,0 +1,195 @@
+/**
+ *  CSS Color Level 4 — convert.parseCSSColor() and convert.toCSS(), and
+ *  parsed colours as Transform input
+ */
+
+const {Transform, eIntent, eColourType, convert} = require('../src/main');
+
+function expectClose(obj, expected, digits) {
+    Object.keys(expected).forEach((key) => {
+        expect(obj[key]).toBeCloseTo(expected[key], digits);
+    });
+}
+
+describe('parseCSSColor', () => {
+
+    test('hex, rgb(), hsl() and hwb() give sRGB bytes', () => {
+        let hex = convert.parseCSSColor('#F80');
+        expect(hex.profile).toBe('*sRGB');
+        expect(hex.color).toEqual(convert.RGB(255, 136, 0));
+        expect(hex.alpha).toBe(1);
+        expect(convert.parseCSSColor('#ff880080').alpha).toBeCloseTo(0.5, 2);
+
+        expect(convert.parseCSSColor('rgba(255, 0, 0, .5)').alpha).toBe(0.5);
+        expectClose(convert.parseCSSColor('rgb(100% 50% 0% / 25%)').color, {R: 255, G: 127.5, B: 0}, 10);
+        expect(convert.parseCSSColor('rgb(300 -20 0)').color).toEqual(convert.RGB(255, 0, 0));
+
+        expect(convert.parseCSSColor('hsl(120deg 100% 50%)').color).toEqual(convert.RGB(0, 255, 0));
+        expect(convert.parseCSSColor('hsl(0.5turn, 100%, 25%)').color).toEqual(convert.RGB(0, 128, 128));
+        expect(convert.parseCSSColor('hwb(0 60% 60%)').color).toEqual(convert.RGB(128, 128, 128));
+        expect(convert.parseCSSColor('hwb(240 20% 0%)').color).toEqual(convert.RGB(51, 51, 255));
+        expect(convert.parseCSSColor('hsl(200 60% 40%)').color).toEqual(convert.RGB(41, 122, 163));
+    });
+
+    test('lab(), lch(), oklab() and oklch()', () => {
+        let lab = convert.parseCSSColor('lab(50% 100% -20)');
+        expect(lab.profile).toBe('*Lab');
+        expect(lab.color.type).toBe(eColourType.Lab);
+        expectClose(lab.color, {L: 50, a: 125, b: -20}, 10);
+        expect(lab.color.whitePoint).toBe(convert.d50);
+
+        let lch = convert.parseCSSColor('lch(50 30 3.14159265rad)');
+        expect(lch.color.type).toBe(eColourType.LCH);
+        expectClose(lch.color, {L: 50, C: 30, H: 180}, 5);
+
+        let oklab = convert.parseCSSColor('oklab(60% 0.1 -25%)');
+        expect(oklab.profile).toBe('*Oklab');
+        expectClose(oklab.color, {L: 0.6, a: 0.1, b: -0.1}, 10);
+
+        let oklch = convert.parseCSSColor('OKLCH(0.7 none 200 / 0.3)');
+        expect(oklch.profile).toBe('*OkLCh');
+        expectClose(oklch.color, {L: 0.7, C: 0, H: 200}, 10);
+        expect(oklch.alpha).toBe(0.3);
+    });
+
+    test('color() picks the predefined space profile', () => {
+        let p3 = convert.parseCSSColor('color(display-p3 1 0.5 0 / 50%)');
+        expect(p3.profile).toBe('*DisplayP3');
+        expect(p3.space).toBe('display-p3');
+        expect(p3.color).toEqual({...convert.RGBf(1, 0.5, 0), profile: '*DisplayP3'});
+        expect(p3.alpha).toBe(0.5);
+
+        expect(convert.parseCSSColor('color(srgb-linear 1 0 0)').profile).toBe('*LinearSRGB');
+        expect(convert.parseCSSColor('color(a98-rgb 1 0 0)').profile).toBe('*AdobeRGB');
+        expect(convert.parseCSSColor('color(prophoto-rgb 1 0 0)').profile).toBe('*ProPhotoRGB');
+        expect(convert.parseCSSColor('color(rec2020 1 0 0)').profile).toBe('*Rec2020');
+        // out of gamut survives
+        expect(convert.parseCSSColor('color(srgb 1.2 -0.1 50%)').color).toEqual(convert.RGBf(1.2, -0.1, 0.5));
+
+        let xyz = convert.parseCSSColor('color(xyz 0.2 0.3 0.4)');
+        expect(xyz.profile).toBe('*Lab');
+        expect(xyz.space).toBe('xyz-d65');
+        expect(xyz.color.type).toBe(eColourType.XYZ);
+        expect(xyz.color.whitePoint).toBe(convert.d65);
+        expect(convert.parseCSSColor('color(xyz-d50 0.2 0.3 0.4)').color.whitePoint).toBe(convert.d50);
+    });
+
+    test('invalid strings give null', () => {
+        ['', 'red', '#ff000', '#ggg', 'rgb(1 2)', 'rgb(1, 2 3)', 'rgb(1 2 3 / 4 / 5)', 'lab(50deg 0 0)',
+            'color(foo 1 2 3)', 'oklab(0.5, 0, 0)', 'hsl(1 2 3', null, 42].forEach((str) => {
+            expect(convert.parseCSSColor(str)).toBeNull();
+        });
+    });
+});
+
+describe('toCSS', () => {
+
+    test('sRGB red in every space matches CSS Color 4', () => {
+        let red = convert.parseCSSColor('#ff0000');
+        expect(convert.toCSS(red)).toBe('rgb(255 0 0)');
+        expect(convert.toCSS(red, 'hex')).toBe('#ff0000');
+        expect(convert.toCSS(red, 'hsl')).toBe('hsl(0 100% 50%)');
+        expect(convert.toCSS(red, 'hwb')).toBe('hwb(0 0% 0%)');
+        expect(convert.toCSS(red, 'lab', 2)).toBe('lab(54.29 80.81 69.89)');
+        expect(convert.toCSS(red, 'lch', 2)).toBe('lch(54.29 106.84 40.85)');
+        expect(convert.toCSS(red, 'oklab', 3)).toBe('oklab(0.628 0.225 0.126)');
+        expect(convert.toCSS(red, 'oklch', 3)).toBe('oklch(0.628 0.258 29.227)');
+        expect(convert.toCSS(red, 'display-p3')).toBe('color(display-p3 0.9175 0.2003 0.1386)');
+        expect(convert.toCSS(red, 'a98-rgb')).toBe('color(a98-rgb 0.8586 0 0)');
+        expect(convert.toCSS(red, 'rec2020', 3)).toBe('color(rec2020 0.792 0.231 0.074)');
+        expect(convert.toCSS(red, 'prophoto-rgb', 3)).toBe('color(prophoto-rgb 0.702 0.276 0.104)');
+        expect(convert.toCSS(red, 'srgb-linear')).toBe('color(srgb-linear 1 0 0)');
+        expect(convert.toCSS(red, 'xyz', 3)).toBe('color(xyz-d65 0.412 0.213 0.019)');
+    });
+
+    test('round trips through the string', () => {
+        ['rgb(51 170 119)', 'hsl(154.2857 53.8462% 43.3333%)', 'lab(50 20 -30)', 'lch(50 20 300)',
+            'oklab(0.6 0.1 -0.1)', 'oklch(0.7 0.1 200)', 'color(display-p3 0.25 0.5 1)',
+            'color(xyz-d50 0.2 0.3 0.4)', 'color(rec2020 0.1 0.2 0.3 / 0.5)'].forEach((str) => {
+            let parsed = convert.parseCSSColor(str);
+            let space = str.startsWith('color(') ? undefined : str.slice(0, str.indexOf('('));
+            expect(convert.toCSS(parsed, space)).toBe(str);
+        });
+
+        expect(convert.toCSS(convert.parseCSSColor('#ff880080'), 'hex')).toBe('#ff880080');
+        expect(convert.toCSS(convert.parseCSSColor('rgba(0, 0, 0, 0.25)'))).toBe('rgb(0 0 0 / 0.25)');
+    });
+
+    test('conversions between spaces come back', () => {
+        let p3 = convert.parseCSSColor('color(display-p3 0.3 0.6 0.9)');
+        ['lab', 'oklch', 'xyz-d50', 'prophoto-rgb', 'srgb'].forEach((space) => {
+            let back = convert.parseCSSColor(convert.toCSS(p3, space, 10));
+            expect(convert.toCSS(back, 'display-p3', 6)).toBe('color(display-p3 0.3 0.6 0.9)');
+        });
+    });
+
+    test('the parsed colour alone keeps its space', () => {
+        ['color(display-p3 0.3 0.6 0.9)', 'color(a98-rgb 1 0 0)', 'color(rec2020 0.5 0.5 0.5)'].forEach((str) => {
+            let parsed = convert.parseCSSColor(str);
+            expect(convert.toCSS(parsed.color, parsed.space, 6)).toBe(str);
+            expect(convert.toCSS(parsed.color, 'lab')).toBe(convert.toCSS(parsed, 'lab'));
+        });
+        expect(convert.toCSS(convert.parseCSSColor('color(display-p3 0 1 0)').color, 'hex')).toBe('#00ff00');
+
+        // the parse result's profile still wins over the colour's
+        let p3 = convert.parseCSSColor('color(display-p3 1 0 0)');
+        expect(convert.toCSS({color: p3.color, profile: '*sRGB'}, 'srgb')).toBe('color(srgb 1 0 0)');
+    });
+
+    test('legacy sRGB formats clamp, color() does not', () => {
+        let p3Green = convert.parseCSSColor('color(display-p3 0 1 0)');
+        expect(convert.toCSS(p3Green, 'hex')).toBe('#00ff00');
+        expect(convert.toCSS(p3Green, 'rgb')).toBe('rgb(0 255 0)');
+        expect(convert.toCSS(p3Green, 'srgb', 2)).toBe('color(srgb -0.51 1.02 -0.31)');
+    });
+
+    test('plain cmsColor objects and unsupported input', () => {
+        expect(convert.toCSS(convert.RGB(0, 128, 255), 'hex')).toBe('#0080ff');
+        expect(convert.toCSS(convert.RGBf(1, 0.5, 0))).toBe('color(srgb 1 0.5 0)');
+        expect(convert.toCSS(convert.Lab(50, 20, -30))).toBe('lab(50 20 -30)');
+        expect(convert.toCSS({color: convert.RGBf(1, 0, 0), profile: '*AdobeRGB'}, 'a98-rgb')).toBe('color(a98-rgb 1 0 0)');
+
+        // D65 Lab is adapted to the D50 CSS uses
+        expect(convert.toCSS(convert.Lab(100, 0, 0, convert.d65), 'lab', 2)).toBe('lab(100 0 0)');
+
+        expect(convert.toCSS({color: convert.RGBf(1, 0, 0), profile: '*FooRGB'})).toBeNull();
+        expect(convert.toCSS(convert.CMYK(0, 0, 0, 100), 'hex')).toBeNull();
+        expect(convert.toCSS(convert.RGB(0, 0, 0), 'cmyk')).toBeNull();
+        expect(convert.toCSS(null)).toBeNull();
+    });
+});
+
+describe('parsed colours as Transform input', () => {
+
+    test('color() and xyz through a Transform', () => {
+        let parsed = convert.parseCSSColor('color(display-p3 0.5 0.2 0.8)');
+        let t = new Transform({dataFormat: 'objectFloat'});
+        t.create(parsed.profile, '*sRGB', eIntent.relative);
+        let srgb = t.transform(parsed.color);
+        let expected = convert.parseCSSColor(convert.toCSS(parsed, 'srgb', 10)).color;
+        expectClose(srgb, {Rf: expected.Rf, Gf: expected.Gf, Bf: expected.Bf}, 3);
+
+        let white = convert.parseCSSColor('color(xyz-d65 0.95047 1 1.08883)');
+        let toSRGB = new Transform();
+        toSRGB.create(white.profile, '*sRGB', eIntent.relative);
+        expect(toSRGB.transform(white.color)).toEqual(convert.RGB(255, 255, 255));
+
+        let lab = new Transform();
+        lab.create(white.profile, '*Lab', eIntent.relative);
+        expectClose(lab.transform(white.color), {L: 100, a: 0, b: 0}, 3);
+    });
+
+    test('hsl() and oklch() through a Transform', () => {
+        let hsl = convert.parseCSSColor('hsl(200 60% 40%)');
+        let t = new Transform();
+        t.create(hsl.profile, '*Lab', eIntent.relative);
+        let lab = t.transform(hsl.color);
+        let css = convert.parseCSSColor(convert.toCSS(hsl, 'lab', 6)).color;
+        expectClose(lab, {L: css.L, a: css.a, b: css.b}, 1);
+
+        let oklch = convert.parseCSSColor('oklch(0.628 0.2577 29.23)');
+        let toRGB = new Transform();
+        toRGB.create(oklch.profile, '*sRGB', eIntent.relative);
+        expect(toRGB.transform(oklch.color)).toEqual(convert.RGB(255, 0, 0));
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ *  HSL / HSV / HWB — constructors, RGB conversions and Transform input
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {Profile, Transform, eIntent, eColourType, color, convert} = require('../src/main');
+
+function loadFixture(name) {
+    return new Profile(new Uint8Array(fs.readFileSync(path.join(__dirname, name))));
+}
+
+function expectClose(obj, expected, digits) {
+    Object.keys(expected).forEach((key) => {
+        expect(obj[key]).toBeCloseTo(expected[key], digits);
+    });
+}
+
+describe('HSL / HSV / HWB', () => {
+
+    test('constructors clamp and wrap', () => {
+        expect(convert.HSL(-30, 120, 50)).toEqual({type: eColourType.HSL, H: 330, S: 100, L: 50});
+        expect(convert.HSV(720, 50, -5)).toEqual({type: eColourType.HSV, H: 0, S: 50, V: 0});
+        expect(convert.HWB(90, 30, 40)).toEqual({type: eColourType.HWB, H: 90, W: 30, B: 40});
+    });
+
+    test('RGB to HSL, HSV and HWB', () => {
+        let rgb = convert.RGB(51, 170, 119);
+        expectClose(convert.RGB2HSL(rgb), {H: 154.2857, S: 53.8462, L: 43.3333}, 3);
+        expectClose(convert.RGB2HSV(rgb), {H: 154.2857, S: 70, V: 66.6667}, 3);
+        expectClose(convert.RGB2HWB(rgb), {H: 154.2857, W: 20, B: 33.3333}, 3);
+
+        expectClose(convert.RGB2HSV(convert.RGBf(0.5, 0.5, 0.5)), {H: 0, S: 0, V: 50}, 10);
+        expectClose(convert.RGB2HSL(convert.RGBf(1, 1, 1)), {H: 0, S: 0, L: 100}, 10);
+        expectClose(convert.RGB2HSL(convert.RGBf(0, 0, 1)), {H: 240, S: 100, L: 50}, 10);
+    });
+
+    test('back to RGB', () => {
+        expect(convert.HSL2RGB(convert.HSL(0, 100, 50))).toEqual(convert.RGB(255, 0, 0));
+        expect(convert.HSV2RGB(convert.HSV(120, 100, 100))).toEqual(convert.RGB(0, 255, 0));
+        expect(convert.HWB2RGB(convert.HWB(240, 20, 0))).toEqual(convert.RGB(51, 51, 255));
+        expectClose(convert.HWB2RGBf(convert.HWB(30, 70, 70)), {Rf: 0.5, Gf: 0.5, Bf: 0.5}, 10);
+        expect(convert.HSV2RGBf(convert.HSV(60, 100, 100)).type).toBe(eColourType.RGBf);
+
+        // round trips
+        [convert.RGBf(0.2, 0.7, 0.4), convert.RGBf(0.9, 0.1, 0.6), convert.RGBf(0.3, 0.3, 0.8)].forEach((rgb) => {
+            let expected = {Rf: rgb.Rf, Gf: rgb.Gf, Bf: rgb.Bf};
+            expectClose(convert.HSL2RGBf(convert.RGB2HSL(rgb)), expected, 10);
+            expectClose(convert.HSV2RGBf(convert.RGB2HSV(rgb)), expected, 10);
+            expectClose(convert.HWB2RGBf(convert.RGB2HWB(rgb)), expected, 10);
+        });
+    });
+
+    test('Transform input in the profile\'s RGB space', () => {
+        let t = new Transform({dataFormat: 'objectFloat'});
+        t.create('*AdobeRGB', '*Lab', eIntent.relative);
+        let rgb = convert.RGBf(0.2, 0.7, 0.4);
+        let expected = t.transform(rgb);
+        [convert.RGB2HSL(rgb), convert.RGB2HSV(rgb), convert.RGB2HWB(rgb)].forEach((input) => {
+            expectClose(t.transform(input), {L: expected.L, a: expected.a, b: expected.b}, 8);
+        });
+
+        // HSV in Adobe RGB straight to CMYK
+        let cmyk = loadFixture('GRACoL2006_Coated1v2.icc');
+        let toCMYK = new Transform();
+        toCMYK.create('*AdobeRGB', cmyk, eIntent.perceptual);
+        expect(toCMYK.transform(convert.HSV(0, 100, 100))).toEqual(toCMYK.transform(color.RGB(255, 0, 0)));
+
+        let lut = new Transform({buildLut: true});
+        lut.create('*AdobeRGB', '*sRGB', eIntent.relative);
+        expect(lut.transform(convert.HSL(120, 100, 20))).toEqual(lut.transform(color.RGB(0, 102, 0)));
+
+        expect(() => t.transform(convert.Oklab(0.5, 0, 0))).toThrow(/HSL, HSV or HWB/);
+    });
+
+    test('toCSS reads them as sRGB', () => {
+        expect(convert.toCSS(convert.HSL(200, 50, 40))).toBe('hsl(200 50% 40%)');
+        expect(convert.toCSS(convert.HWB(200, 10, 20))).toBe('hwb(200 10% 20%)');
+        expect(convert.toCSS(convert.HSV(0, 100, 100), 'hex')).toBe('#ff0000');
+        expect(convert.toCSS({color: convert.HSV(0, 100, 100), profile: '*DisplayP3'})).toBe('color(display-p3 1 0 0)');
+    });
+});
@@ -0,0 +1,40 @@
+/* Regression test for decodeICC parametric curve type 2 (IEC 61966-3),
+ * Y = (aX + b)^g + c. It was decoded with the type 3 formula, reading a
+ * params[4] it does not have, so the curve came out as c * x.
+ */
+var decoder = require('../src/decodeICC.js');
+
+function s15Bytes(v) {
+    var n = Math.round(v * 0x10000);
+    if (n < 0) n = 0x100000000 + n;
+    return [(n >>> 24) & 0xFF, (n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF];
+}
+
+function buildParaType2(params) {
+    var bytes = [];
+    'para'.split('').forEach(function (c) { bytes.push(c.charCodeAt(0)); });
+    bytes.push(0, 0, 0, 0);
+    bytes.push(0, 2, 0, 0);
+    params.forEach(function (p) { s15Bytes(p).forEach(function (b) { bytes.push(b); }); });
+    return new Uint8Array(bytes);
+}
+
+describe('decodeICC parametric curve type 2 (IEC 61966-3)', function () {
+    // g, a, b, c
+    var params = [2.2, 0.95, 0.05, 0.01];
+
+    test('forward adds the offset and holds it below -b/a', function () {
+        var fwd = decoder.curve(buildParaType2(params), 0, false);
+        expect(fwd.curveFn(fwd.params, 0.5)).toBeCloseTo(Math.pow(0.95 * 0.5 + 0.05, 2.2) + 0.01, 4);
+        expect(fwd.curveFn(fwd.params, 0)).toBeCloseTo(Math.pow(0.05, 2.2) + 0.01, 4);
+        expect(fwd.curveFn(fwd.params, -0.1)).toBeCloseTo(0.01, 4);
+    });
+
+    test('inverse round-trips a sample', function () {
+        var fwd = decoder.curve(buildParaType2(params), 0, false);
+        var inv = decoder.curve(buildParaType2(params), 0, true);
+        [0.1, 0.3, 0.9].forEach(function (x) {
+            expect(inv.curveFn(inv.params, fwd.curveFn(fwd.params, x))).toBeCloseTo(x, 4);
+        });
+    });
+});
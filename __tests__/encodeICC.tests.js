@@ -0,0 +1,153 @@
+/**
+ *  ICC writer — Profile.toBinary() / encodeICC round trips
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {Profile, Transform, eIntent, color} = require('../src/main');
+const encode = require('../src/encodeICC');
+
+function loadFixture(name) {
+    return new Profile(new Uint8Array(fs.readFileSync(path.join(__dirname, name))));
+}
+
+function toLab(profile, input) {
+    let t = new Transform();
+    t.create(profile, '*lab', eIntent.relative);
+    return t.transform(input);
+}
+
+describe('encodeICC MD5', () => {
+    test('matches node crypto across block boundaries', () => {
+        [0, 1, 55, 56, 63, 64, 65, 200].forEach((n) => {
+            let bytes = new Uint8Array(n);
+            for (let i = 0; i < n; i++) bytes[i] = (i * 37 + 11) & 0xFF;
+            let expected = crypto.createHash('md5').update(bytes).digest('hex');
+            expect(Buffer.from(encode.md5(bytes)).toString('hex')).toBe(expected);
+        });
+    });
+});
+
+describe('Profile.toBinary() virtual profiles', () => {
+    test('*sRGB writes a V4 display profile that decodes back', () => {
+        let src = new Profile('*sRGB');
+        let bytes = src.toBinary();
+        let p = new Profile(bytes);
+
+        expect(p.loaded).toBe(true);
+        expect(p.version).toBe(4);
+        expect(p.header.pClass).toBe('mntr');
+        expect(p.header.space).toBe('RGB ');
+        expect(p.header.pcs).toBe('XYZ ');
+        expect(p.header.profileSize).toBe(bytes.length);
+        expect(p.name).toBe('sRGB');
+        expect(p.rgb.rXYZ.X).toBeCloseTo(src.rgb.rXYZ.X, 4);
+        expect(p.rgb.gXYZ.Y).toBeCloseTo(src.rgb.gXYZ.Y, 4);
+        expect(p.rgb.bXYZ.Z).toBeCloseTo(src.rgb.bXYZ.Z, 4);
+        expect(p.rgb.rTRC.params.length).toBe(5); // para type 3
+    });
+
+    test('V4 profile ID is the MD5 of the profile', () => {
+        let bytes = new Profile('*AdobeRGB').toBinary();
+        let id = Buffer.from(bytes.slice(84, 100)).toString('hex');
+        expect(id).not.toBe('00000000000000000000000000000000');
+        expect(id).toBe(Buffer.from(encode.profileID(bytes)).toString('hex'));
+    });
+
+    test('written *AdobeRGB converts like the virtual profile', () => {
+        let src = new Profile('*AdobeRGB');
+        let p = new Profile(src.toBinary());
+        let input = color.RGB(200, 100, 30);
+        let a = toLab(src, input);
+        let b = toLab(p, input);
+        expect(b.L).toBeCloseTo(a.L, 1);
+        expect(b.a).toBeCloseTo(a.a, 1);
+        expect(b.b).toBeCloseTo(a.b, 1);
+    });
+
+    test('non D50-adapted primaries are adapted and get a chad tag', () => {
+        let src = new Profile();
+        src.virtualProfileUsesD50AdaptedPrimaries = false;
+        src.load('*sRGB');
+        let p = new Profile(src.toBinary());
+        expect(p.loaded).toBe(true);
+        expect(p.chromaticAdaptation.values.length).toBe(9);
+        expect(p.mediaWhitePoint.X).toBeCloseTo(0.9642, 3);
+        expect(p.rgb.rXYZ.X).toBeCloseTo(new Profile('*sRGB').rgb.rXYZ.X, 3);
+    });
+
+    test('*LabD50 is written as an abstract Lab profile', () => {
+        let bytes = new Profile('*LabD50').toBinary();
+        let p = new Profile();
+        let header = p.decodeHeader(bytes);
+        let sigs = p.decodeTags(bytes).map((t) => t.sig);
+        expect(header.pClass).toBe('abst');
+        expect(header.space).toBe('Lab ');
+        expect(header.pcs).toBe('Lab ');
+        expect(sigs).toEqual(expect.arrayContaining(['desc', 'cprt', 'wtpt', 'A2B0', 'B2A0']));
+    });
+
+    test('returns false when nothing is loaded', () => {
+        let p = new Profile();
+        expect(p.toBinary()).toBe(false);
+        expect(p.lastError.err).toBe(120);
+    });
+});
+
+describe('Profile.toBinary() decoded profiles', () => {
+    test('AdobeRGB1998.icc (V2 matrix/TRC) round trips', () => {
+        let src = loadFixture('AdobeRGB1998.icc');
+        let p = new Profile(src.toBinary());
+        expect(p.loaded).toBe(true);
+        expect(p.version).toBe(2);
+        expect(p.name).toBe(src.name);
+        expect(p.copyright).toBe(src.copyright);
+        expect(p.rgb.rXYZ).toEqual(src.rgb.rXYZ);
+        expect(p.rgb.rTRC.gamma).toBe(src.rgb.rTRC.gamma);
+        expect(p.mediaWhitePoint).toEqual(src.mediaWhitePoint);
+    });
+
+    test('GRACoL2006 (V2 mft2 LUTs) round trips bit-exactly', () => {
+        let src = loadFixture('GRACoL2006_Coated1v2.icc');
+        let p = new Profile(src.toBinary());
+        expect(p.loaded).toBe(true);
+        for (let i = 0; i < 3; i++) {
+            expect(p.A2B[i].type).toBe('mft2');
+            expect(p.A2B[i].gridPoints).toEqual(src.A2B[i].gridPoints);
+            expect(p.A2B[i].CLUT).toEqual(src.A2B[i].CLUT);
+            expect(p.B2A[i].CLUT).toEqual(src.B2A[i].CLUT);
+            expect(p.B2A[i].inputCurve.table).toEqual(src.B2A[i].inputCurve.table);
+            expect(p.B2A[i].outputCurve.table).toEqual(src.B2A[i].outputCurve.table);
+        }
+
+        let input = color.CMYK(20, 40, 60, 10);
+        expect(toLab(p, input)).toEqual(toLab(src, input));
+    });
+
+    test('mAB / mBA tags survive a decode/encode cycle', () => {
+        let lut = {
+            inputChannels: 3,
+            outputChannels: 3,
+            gridPoints: [2, 2, 2],
+            precision: 16,
+            CLUT: new Uint16Array([0, 0, 0, 0, 0, 65535, 0, 65535, 0, 0, 65535, 65535,
+                65535, 0, 0, 65535, 0, 65535, 65535, 65535, 0, 65535, 65535, 65535]),
+            bCurves: false,
+            matrix: [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0],
+            mCurves: false,
+            aCurves: false
+        };
+        ['mAB ', 'mBA '].forEach((type) => {
+            let bytes = new Uint8Array(encode.lut(lut, type));
+            let decoded = require('../src/decodeICC').lut(bytes, 0);
+            expect(decoded.type).toBe(type);
+            expect(decoded.gridPoints).toEqual([2, 2, 2]);
+            expect(decoded.CLUT).toEqual(lut.CLUT);
+            expect(decoded.matrix).toEqual(lut.matrix);
+            expect(decoded.bCurves.length).toBe(3);
+            expect(decoded.aCurves.length).toBe(3);
+            expect(decoded.mCurves.length).toBe(3);
+        });
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ *  Profile.createAbstractProfile() — Lab → Lab adjustment profiles
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {Profile, Transform, eIntent, color} = require('../src/main');
+
+function loadFixture(name) {
+    return new Profile(new Uint8Array(fs.readFileSync(path.join(__dirname, name))));
+}
+
+function abstract(options) {
+    let p = new Profile();
+    expect(p.createAbstractProfile(options)).toBe(true);
+    return p;
+}
+
+/** Run Lab through the abstract profile as the first profile in the chain */
+function apply(profile, L, a, b) {
+    let t = new Transform();
+    t.create(profile, '*Lab', eIntent.relative);
+    return t.transform(color.Lab(L, a, b));
+}
+
+function expectLab(lab, L, a, b, digits) {
+    expect(lab.L).toBeCloseTo(L, digits);
+    expect(lab.a).toBeCloseTo(a, digits);
+    expect(lab.b).toBeCloseTo(b, digits);
+}
+
+describe('Profile.createAbstractProfile()', () => {
+
+    test('builds a loaded abst profile with an mAB CLUT', () => {
+        let p = abstract({description: 'Warm look'});
+        expect(p.loaded).toBe(true);
+        expect(p.name).toBe('Warm look');
+        expect(p.header.pClass).toBe('abst');
+        expect(p.colorSpace).toBe('LAB');
+        expect(p.pcs).toBe('LAB');
+        expect(p.A2B[0].type).toBe('mAB ');
+        expect(p.A2B[0].gridPoints).toEqual([33, 33, 33]);
+        expect(p.A2B[0].CLUT.length).toBe(33 * 33 * 33 * 3);
+    });
+
+    test('no options is the identity', () => {
+        let p = abstract();
+        expectLab(apply(p, 60, 20, -30), 60, 20, -30, 1);
+        expectLab(apply(p, 5, -70, 80), 5, -70, 80, 1);
+    });
+
+    test('lightness, contrast and saturation', () => {
+        expectLab(apply(abstract({lightness: 10}), 40, 10, 10), 50, 10, 10, 1);
+        expectLab(apply(abstract({contrast: 1.5}), 60, 0, 0), 65, 0, 0, 1);
+        expectLab(apply(abstract({contrast: 1.5, contrastPivot: 40}), 60, 0, 0), 70, 0, 0, 1);
+        expectLab(apply(abstract({saturation: 0}), 50, 40, -20), 50, 0, 0, 1);
+        expectLab(apply(abstract({saturation: 1.5}), 50, 20, -20), 50, 30, -30, 1);
+    });
+
+    test('hue rotation', () => {
+        // +90 degrees takes +a to +b
+        expectLab(apply(abstract({hueRotation: 90}), 50, 40, 0), 50, 0, 40, 1);
+        expectLab(apply(abstract({hueRotation: 180}), 50, 20, 30), 50, -20, -30, 1);
+    });
+
+    test('white and black point shift', () => {
+        let p = abstract({
+            whitePoint: {L: 95, a: 2, b: 6},
+            blackPoint: {L: 10, a: 0, b: -2}
+        });
+        expectLab(apply(p, 100, 0, 0), 95, 2, 6, 1);
+        expectLab(apply(p, 0, 0, 0), 10, 0, -2, 1);
+        expectLab(apply(p, 50, 10, 0), 52.5, 11, 2, 1);
+    });
+
+    test('lightness curve as a function or as samples', () => {
+        let fromFunction = abstract({lightnessCurve: (L) => 100 * Math.pow(L / 100, 0.8)});
+        let fromArray = abstract({lightnessCurve: [0, 30, 55, 78, 100]});
+
+        expect(apply(fromFunction, 50, 0, 0).L).toBeCloseTo(100 * Math.pow(0.5, 0.8), 0);
+        expect(apply(fromArray, 50, 0, 0).L).toBeCloseTo(55, 1);
+        expect(apply(fromArray, 12.5, 0, 0).L).toBeCloseTo(15, 1);
+    });
+
+    test('invalid options set lastError', () => {
+        let p = new Profile();
+        expect(p.createAbstractProfile({gridPoints: 1})).toBe(false);
+        expect(p.lastError.err).toBe(140);
+        expect(p.createAbstractProfile({lightnessCurve: [50]})).toBe(false);
+        expect(p.lastError.err).toBe(141);
+        expect(p.loaded).toBe(false);
+    });
+
+    test('toBinary() round trip is valid and gives the same result', () => {
+        let p = abstract({saturation: 1.2, hueRotation: 15, gridPoints: 17});
+        let bytes = p.toBinary();
+        expect(Profile.validate(bytes).valid).toBe(true);
+
+        let reloaded = new Profile(bytes);
+        expect(reloaded.loaded).toBe(true);
+        expect(reloaded.header.pClass).toBe('abst');
+        let before = apply(p, 60, 20, -30);
+        let after = apply(reloaded, 60, 20, -30);
+        expectLab(after, before.L, before.a, before.b, 3);
+    });
+
+    test('in a multi-stage chain, with and without a prebuilt LUT', () => {
+        let cmyk = loadFixture('GRACoL2006_Coated1v2.icc');
+        let darker = abstract({lightness: -10});
+        let rgb = color.RGB(200, 100, 30);
+        let run = (options) => {
+            let t = new Transform(options);
+            t.createMultiStage(['*sRGB', eIntent.perceptual, darker, eIntent.relative, cmyk]);
+            return t.transform(rgb);
+        };
+        let accurate = run();
+        let viaLut = run({buildLut: true});
+
+        ['C', 'M', 'Y', 'K'].forEach((ch) => {
+            expect(Math.abs(viaLut[ch] - accurate[ch])).toBeLessThanOrEqual(1);
+        });
+
+        let t = new Transform();
+        t.createMultiStage(['*sRGB', eIntent.perceptual, cmyk]);
+        expect(accurate.K).toBeGreaterThan(t.transform(rgb).K);
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ *  Colorant tables ('clrt' / 'clro') — profile.colorants and
+ *  Transform.getProfileColorants()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {Profile, Transform, eIntent, color} = require('../src/main');
+const decodeICC = require('../src/decodeICC');
+const encodeICC = require('../src/encodeICC');
+
+function loadFixture(name) {
+    return new Profile(new Uint8Array(fs.readFileSync(path.join(__dirname, name))));
+}
+
+const inks = [
+    {name: 'Process Cyan', Lab: [55, -37, -50]},
+    {name: 'Process Magenta', Lab: [48, 74, -3]},
+    {name: 'Process Yellow', Lab: [89, -5, 93]},
+    {name: 'Process Black', Lab: [16, 0, 0]}
+];
+
+/** GRACoL with a colorant table (and yellow printed first) added */
+function withColorants() {
+    let p = loadFixture('GRACoL2006_Coated1v2.icc');
+    p.colorants = inks.map((ink, i) => ({
+        name: ink.name,
+        Lab: color.Lab(ink.Lab[0], ink.Lab[1], ink.Lab[2]),
+        order: [1, 2, 0, 3][i]
+    }));
+    return new Profile(p.toBinary());
+}
+
+describe('Colorant tables', () => {
+
+    test('clrt / clro decode the raw tag layout', () => {
+        let clrt = new Uint8Array(encodeICC.colorantTable([
+            {name: 'Orange', pcs: [42000, 45000, 50000]},
+            {name: 'Green', pcs: [30000, 20000, 33000]}
+        ]));
+        let table = decodeICC.colorantTable(clrt, 0);
+        expect(table.sig).toBe('clrt');
+        expect(table.colorants).toEqual([
+            {name: 'Orange', pcs: [42000, 45000, 50000]},
+            {name: 'Green', pcs: [30000, 20000, 33000]}
+        ]);
+
+        let clro = new Uint8Array(encodeICC.colorantOrder([1, 0]));
+        expect(decodeICC.colorantOrder(clro, 0)).toEqual({sig: 'clro', order: [1, 0]});
+    });
+
+    test('profiles without a colorant table have no colorants', () => {
+        expect(loadFixture('GRACoL2006_Coated1v2.icc').colorants).toBeNull();
+        expect(new Profile('*sRGB').colorants).toBeNull();
+    });
+
+    test('decodes names, Lab and lay-down order', () => {
+        let p = withColorants();
+        expect(p.loaded).toBe(true);
+        expect(p.colorants.length).toBe(4);
+        p.colorants.forEach((c, i) => {
+            expect(c.name).toBe(inks[i].name);
+            expect(c.Lab.L).toBeCloseTo(inks[i].Lab[0], 2);
+            expect(c.Lab.a).toBeCloseTo(inks[i].Lab[1], 2);
+            expect(c.Lab.b).toBeCloseTo(inks[i].Lab[2], 2);
+        });
+        expect(p.colorants.map((c) => c.order)).toEqual([1, 2, 0, 3]);
+    });
+
+    test('getProfileColorants() reports the real ink names', () => {
+        let p = withColorants();
+        let t = new Transform();
+        t.create('*sRGB', p, eIntent.relative);
+
+        let out = t.getProfileColorants(t.outputProfile, true);
+        expect(out.map((c) => c.name)).toEqual(['Process Cyan', 'Process Magenta', 'Process Yellow', 'Process Black']);
+        expect(out[2].index).toBe(2);
+        expect(out[2].Lab.b).toBeCloseTo(93, 2);
+    });
+
+    test('getProfileColorants() falls back to the standard names', () => {
+        let t = new Transform();
+        t.create('*sRGB', loadFixture('GRACoL2006_Coated1v2.icc'), eIntent.relative);
+
+        expect(t.getProfileColorants(t.inputProfile)).toEqual([
+            {index: 0, name: 'Red', Lab: null},
+            {index: 1, name: 'Green', Lab: null},
+            {index: 2, name: 'Blue', Lab: null}
+        ]);
+        expect(t.getProfileColorants(t.outputProfile, true).map((c) => c.name))
+            .toEqual(['Cyan', 'Magenta', 'Yellow', 'Black']);
+        expect(t.getProfileChannels(t.outputProfile, true)).toBe(4);
+    });
+});
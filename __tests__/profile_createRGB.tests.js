@@ -0,0 +1,115 @@
+/**
+ *  Profile.createRGB() — matrix / TRC profiles from primaries, white point and TRC
+ */
+
+const {Profile, Transform, eIntent, color, convert} = require('../src/main');
+
+const sRGBPrimaries = {red: [0.64, 0.33], green: [0.30, 0.60], blue: [0.15, 0.06]};
+const sRGBCurve = {type: 3, params: [2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045]};
+
+function toLab(profile, rgb) {
+    let t = new Transform();
+    t.create(profile, '*Lab', eIntent.relative);
+    return t.transform(rgb);
+}
+
+function fromLab(profile, lab) {
+    let t = new Transform();
+    t.create('*Lab', profile, eIntent.relative);
+    return t.transform(lab);
+}
+
+function expectLabClose(lab, expected, digits) {
+    expect(lab.L).toBeCloseTo(expected.L, digits);
+    expect(lab.a).toBeCloseTo(expected.a, digits);
+    expect(lab.b).toBeCloseTo(expected.b, digits);
+}
+
+describe('Profile.createRGB()', () => {
+
+    test('sRGB from primaries matches the built-in *sRGB', () => {
+        let custom = Profile.createRGB({name: 'My sRGB', primaries: sRGBPrimaries, whitePoint: 'd65', trc: sRGBCurve});
+        expect(custom.loaded).toBe(true);
+        expect(custom.name).toBe('My sRGB');
+
+        [color.RGB(200, 100, 30), color.RGB(10, 240, 128), color.RGB(255, 255, 255)].forEach((rgb) => {
+            expectLabClose(toLab(custom, rgb), toLab('*sRGB', rgb), 1);
+        });
+    });
+
+    test('white maps to the D50 PCS white and chad holds the Bradford matrix', () => {
+        let p = Profile.createRGB({primaries: sRGBPrimaries, whitePoint: convert.d65});
+        let white = toLab(p, color.RGB(255, 255, 255));
+        expectLabClose(white, {L: 100, a: 0, b: 0}, 2);
+
+        let chad = convert.adaptationMatrix(convert.d65, convert.d50);
+        expect(p.chromaticAdaptation[0]).toBeCloseTo(chad.m00, 6);
+        expect(p.chromaticAdaptation[4]).toBeCloseTo(chad.m11, 6);
+        expect(p.mediaWhitePoint).toBe(convert.d50);
+    });
+
+    test('D50 white needs no adaptation', () => {
+        let p = Profile.createRGB({primaries: sRGBPrimaries, whitePoint: {x: 0.3457, y: 0.3585}});
+        expect(p.chromaticAdaptation).toBeNull();
+        expectLabClose(toLab(p, color.RGB(255, 255, 255)), {L: 100, a: 0, b: 0}, 1);
+    });
+
+    test('gamma, parametric and sampled TRCs agree', () => {
+        let samples = [];
+        for (let i = 0; i < 1024; i++) {
+            samples.push(Math.pow(i / 1023, 2.2));
+        }
+        let gamma = Profile.createRGB({primaries: sRGBPrimaries, trc: 2.2});
+        let para = Profile.createRGB({primaries: sRGBPrimaries, trc: {type: 0, params: [2.2]}});
+        let sampled = Profile.createRGB({primaries: sRGBPrimaries, trc: samples});
+
+        let rgb = color.RGB(180, 60, 90);
+        let expected = toLab(gamma, rgb);
+        expectLabClose(toLab(para, rgb), expected, 3);
+        expectLabClose(toLab(sampled, rgb), expected, 1);
+
+        // and the inverse curves on the way out
+        let lab = color.Lab(50, 30, -20);
+        let out = fromLab(gamma, lab);
+        let outSampled = fromLab(sampled, lab);
+        expect(Math.abs(out.R - outSampled.R)).toBeLessThanOrEqual(1);
+        expect(Math.abs(out.G - outSampled.G)).toBeLessThanOrEqual(1);
+        expect(Math.abs(out.B - outSampled.B)).toBeLessThanOrEqual(1);
+    });
+
+    test('round trips through Lab', () => {
+        let p = Profile.createRGB({
+            primaries: {red: {x: 0.708, y: 0.292}, green: {x: 0.170, y: 0.797}, blue: {x: 0.131, y: 0.046}},
+            trc: {type: 3, params: [1 / 0.45, 1 / 1.099, 0.099 / 1.099, 1 / 4.5, 0.081]}
+        });
+        let rgb = color.RGB(40, 200, 90);
+        let back = fromLab(p, toLab(p, rgb));
+        expect(back.R).toBe(40);
+        expect(back.G).toBe(200);
+        expect(back.B).toBe(90);
+    });
+
+    test('toBinary() round trip', () => {
+        let p = Profile.createRGB({name: 'Wide', primaries: sRGBPrimaries, trc: sRGBCurve});
+        let bytes = p.toBinary();
+        expect(Profile.validate(bytes).valid).toBe(true);
+
+        let reloaded = new Profile(bytes);
+        expect(reloaded.loaded).toBe(true);
+        expect(reloaded.name).toBe('Wide');
+        let rgb = color.RGB(200, 100, 30);
+        expectLabClose(toLab(reloaded, rgb), toLab(p, rgb), 2);
+    });
+
+    test('invalid options', () => {
+        let p = Profile.createRGB({primaries: {red: [0.64, 0.33]}});
+        expect(p.loaded).toBe(false);
+        expect(p.lastError.err).toBe(150);
+
+        p = Profile.createRGB({primaries: sRGBPrimaries, whitePoint: {foo: 1}});
+        expect(p.lastError.err).toBe(151);
+
+        p = Profile.createRGB({primaries: sRGBPrimaries, trc: {type: 3, params: [2.2]}});
+        expect(p.lastError.err).toBe(152);
+    });
+});
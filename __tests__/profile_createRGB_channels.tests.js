@@ -0,0 +1,48 @@
+/**
+ *  Profile.createRGB() — a TRC per channel as {red, green, blue}
+ */
+
+const {Profile, Transform, eIntent, color} = require('../src/main');
+
+const sRGBPrimaries = {red: [0.64, 0.33], green: [0.30, 0.60], blue: [0.15, 0.06]};
+const sRGBCurve = {type: 3, params: [2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045]};
+
+function toLab(profile, rgb) {
+    let t = new Transform();
+    t.create(profile, '*Lab', eIntent.relative);
+    return t.transform(rgb);
+}
+
+function expectLabClose(lab, expected, digits) {
+    expect(lab.L).toBeCloseTo(expected.L, digits);
+    expect(lab.a).toBeCloseTo(expected.a, digits);
+    expect(lab.b).toBeCloseTo(expected.b, digits);
+}
+
+describe('Profile.createRGB() per channel TRC', () => {
+
+    test('each channel through its own curve', () => {
+        let p = Profile.createRGB({primaries: sRGBPrimaries, trc: {red: 1.8, green: sRGBCurve, blue: 2.6}});
+        expect(p.loaded).toBe(true);
+        expect(p.rgb.rTRC.gamma).toBe(1.8);
+        expect(p.rgb.bTRC.gamma).toBe(2.6);
+
+        let red = Profile.createRGB({primaries: sRGBPrimaries, trc: 1.8});
+        let blue = Profile.createRGB({primaries: sRGBPrimaries, trc: 2.6});
+        expectLabClose(toLab(p, color.RGB(128, 0, 0)), toLab(red, color.RGB(128, 0, 0)), 3);
+        expectLabClose(toLab(p, color.RGB(0, 128, 0)), toLab('*sRGB', color.RGB(0, 128, 0)), 1);
+        expectLabClose(toLab(p, color.RGB(0, 0, 128)), toLab(blue, color.RGB(0, 0, 128)), 3);
+    });
+
+    test('toBinary() keeps the three curves', () => {
+        let p = Profile.createRGB({primaries: sRGBPrimaries, trc: {red: 1.8, green: sRGBCurve, blue: 2.6}});
+        let reloaded = new Profile(p.toBinary());
+        expectLabClose(toLab(reloaded, color.RGB(90, 160, 40)), toLab(p, color.RGB(90, 160, 40)), 2);
+    });
+
+    test('an invalid channel', () => {
+        let p = Profile.createRGB({primaries: sRGBPrimaries, trc: {red: 2.2, green: 2.2, blue: 'PQ'}});
+        expect(p.loaded).toBe(false);
+        expect(p.lastError.err).toBe(152);
+    });
+});
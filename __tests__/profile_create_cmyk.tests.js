@@ -0,0 +1,198 @@
+/**
+ *  Profile.createCMYK() — CMYK output profiles built from measurements
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {Profile, Transform, CGATS, eIntent, convert} = require('../src/main');
+
+function loadFixture(name) {
+    return new Profile(new Uint8Array(fs.readFileSync(path.join(__dirname, name))));
+}
+
+function labTransform(from, to, intent) {
+    let t = new Transform({dataFormat: 'device'});
+    t.create(from, to, intent);
+    return t;
+}
+
+// PCSv4 encoded device in / out of a 'device' transform
+function encodeLab(L, a, b) {
+    return [L / 100, (a + 128) / 255, (b + 128) / 255];
+}
+
+function decodeLab(pcs) {
+    return convert.Lab(pcs[0] * 100, pcs[1] * 255 - 128, pcs[2] * 255 - 128, convert.d50, false);
+}
+
+// A 5 x 5 x 5 x 5 chart "measured" through the GRACoL profile
+function measureChart(press) {
+    let t = labTransform(press, '*Lab', eIntent.absolute);
+    let levels = [0, 25, 50, 75, 100];
+    let device = [];
+    let Lab = [];
+    levels.forEach((c) => levels.forEach((m) => levels.forEach((y) => levels.forEach((k) => {
+        let lab = decodeLab(t.transform([c / 100, m / 100, y / 100, k / 100]));
+        device.push([c, m, y, k]);
+        Lab.push([lab.L, lab.a, lab.b]);
+    }))));
+    return {device: device, Lab: Lab};
+}
+
+const fast = {gridPoints: 9, b2aGridPoints: 11};
+// A2B nodes on the chart's levels, for checks that only look at the B2A side
+const coarse = {gridPoints: 5, b2aGridPoints: 9};
+
+describe('Profile.createCMYK', () => {
+    let press, chart, profile;
+
+    beforeAll(() => {
+        press = loadFixture('GRACoL2006_Coated1v2.icc');
+        chart = measureChart(press);
+        profile = Profile.createCMYK(chart, Object.assign({name: 'Test Press', copyright: 'Nobody'}, fast));
+    });
+
+    test('a V4 printer profile with every table', () => {
+        expect(profile.loaded).toBe(true);
+        expect(profile.lastError.err).toBe(0);
+        expect(profile.header.pClass).toBe('prtr');
+        expect(profile.colorSpace).toBe('CMYK');
+        expect(profile.pcs).toBe('LAB');
+        expect(profile.version).toBe(4);
+        expect(profile.outputChannels).toBe(4);
+        expect(profile.name).toBe('Test Press');
+        expect(profile.copyright).toBe('Nobody');
+        [0, 1, 2].forEach((i) => {
+            expect(profile.A2B[i].type).toBe('mAB ');
+            expect(profile.B2A[i].type).toBe('mBA ');
+        });
+        expect(profile.A2B[1].gridPoints).toEqual([9, 9, 9, 9]);
+        expect(profile.B2A[1].gridPoints).toEqual([11, 11, 11]);
+        expect(profile.gamut.outputChannels).toBe(1);
+
+        // the paper white is the measured CMYK 0
+        let paper = convert.XYZ2Lab(profile.mediaWhitePoint, convert.d50);
+        expect(convert.deltaE1976(paper, convert.Lab(chart.Lab[0][0], chart.Lab[0][1], chart.Lab[0][2]))).toBeLessThan(0.05);
+    });
+
+    test('the A2B side reproduces the measurements', () => {
+        expect(profile.evaluate(chart).dE2000.max).toBeLessThan(0.05);
+
+        // and colours between the patches
+        let t = labTransform(press, '*Lab', eIntent.absolute);
+        let device = [[10, 60, 5, 15], [80, 35, 90, 40], [33, 33, 33, 0], [5, 5, 70, 60], [60, 90, 10, 5]];
+        let Lab = device.map((d) => {
+            let lab = decodeLab(t.transform(d.map((v) => v / 100)));
+            return [lab.L, lab.a, lab.b];
+        });
+        expect(profile.evaluate({device: device, Lab: Lab}).dE2000.mean).toBeLessThan(1);
+    });
+
+    test('Lab to CMYK and back, within the ink limit', () => {
+        let toCMYK = labTransform('*Lab', profile, eIntent.relative);
+        let toLab = labTransform(profile, '*Lab', eIntent.relative);
+        let printable = labTransform(press, '*Lab', eIntent.relative);
+
+        [[40, 30, 30, 10], [70, 10, 40, 0], [20, 60, 20, 20], [0, 0, 0, 30]].forEach((d) => {
+            let lab = decodeLab(printable.transform(d.map((v) => v / 100)));
+            let cmyk = toCMYK.transform(encodeLab(lab.L, lab.a, lab.b));
+            expect(convert.deltaE2000(lab, decodeLab(toLab.transform(cmyk)))).toBeLessThan(1.5);
+        });
+
+        for (let L = 0; L <= 100; L += 10) {
+            for (let a = -100; a <= 100; a += 50) {
+                let cmyk = toCMYK.transform(encodeLab(L, a, -a / 2));
+                expect(cmyk[0] + cmyk[1] + cmyk[2] + cmyk[3]).toBeLessThanOrEqual(3.005);
+            }
+        }
+    });
+
+    test('black generation and ink limits', () => {
+        let black = (options, lab) => {
+            let p = Profile.createCMYK(chart, Object.assign({}, coarse, options));
+            return labTransform('*Lab', p, eIntent.relative).transform(encodeLab(lab[0], lab[1], lab[2]));
+        };
+        let grey = [50, 0, 0];
+        let none = black({blackGeneration: 'none'}, grey);
+        let medium = black({blackGeneration: 'medium'}, grey);
+        let maximum = black({blackGeneration: 1}, grey);
+        expect(none[3]).toBeLessThan(0.02);
+        expect(medium[3]).toBeGreaterThan(none[3] + 0.05);
+        expect(maximum[3]).toBeGreaterThan(medium[3] + 0.05);
+        expect(maximum[0]).toBeLessThan(none[0]);
+
+        // UCR only puts black in the neutrals
+        let brown = [45, 20, 30];
+        expect(black({blackGeneration: 1, blackMode: 'UCR'}, brown)[3]).toBeLessThan(black({blackGeneration: 1}, brown)[3] - 0.05);
+
+        // a late black start leaves the mid tones without black
+        expect(black({blackGeneration: 1, blackStart: 80}, grey)[3]).toBeLessThan(0.02);
+
+        let limited = black({totalInkLimit: 240, maxBlack: 80}, [5, 0, 0]);
+        expect(limited[0] + limited[1] + limited[2] + limited[3]).toBeLessThanOrEqual(2.405);
+        expect(limited[3]).toBeLessThanOrEqual(0.805);
+    });
+
+    test('the gamut tag', () => {
+        // nodes are L, a, b with b varying fastest
+        let node = (iL, ia, ib) => profile.gamut.CLUT[(iL * 11 + ia) * 11 + ib];
+        expect(node(5, 5, 5)).toBe(0);          // L 50, a / b just below 0
+        expect(node(5, 0, 0)).toBeGreaterThan(0);  // a -128, b -128
+        expect(node(10, 10, 0)).toBeGreaterThan(0);
+    });
+
+    test('V2 profiles and saving', () => {
+        let v2 = Profile.createCMYK(chart, Object.assign({version: 2}, fast));
+        expect(v2.loaded).toBe(true);
+        expect(v2.version).toBe(2);
+        expect(v2.A2B[0].type).toBe('mft2');
+        expect(v2.B2A[0].type).toBe('mft2');
+        expect(v2.gamut.type).toBe('mft2');
+        expect(v2.evaluate(chart).dE2000.max).toBeLessThan(0.1);
+
+        let v4CMYK = labTransform('*Lab', profile, eIntent.relative).transform(encodeLab(50, 20, -10));
+        let v2CMYK = labTransform('*Lab', v2, eIntent.relative).transform(encodeLab(50, 20, -10));
+        v4CMYK.forEach((v, i) => expect(v2CMYK[i]).toBeCloseTo(v, 1));
+
+        [profile, v2].forEach((p) => {
+            let reloaded = new Profile(p.toBinary());
+            expect(reloaded.loaded).toBe(true);
+            expect(reloaded.gamut.CLUT).toEqual(p.gamut.CLUT);
+            let a = labTransform('*Lab', p, eIntent.perceptual).transform(encodeLab(60, -20, 30));
+            let b = labTransform('*Lab', reloaded, eIntent.perceptual).transform(encodeLab(60, -20, 30));
+            a.forEach((v, i) => expect(b[i]).toBeCloseTo(v, 6));
+        });
+    });
+
+    test('a CGATS chart', () => {
+        let table = new CGATS();
+        table.setDevice('CMYK', [].concat.apply([], chart.device));
+        table.setLab([].concat.apply([], chart.Lab));
+        let p = Profile.createCMYK(CGATS.parse(table.toString()), coarse);
+        expect(p.loaded).toBe(true);
+        expect(p.evaluate(chart).dE2000.max).toBeLessThan(0.05);
+    });
+
+    test('invalid measurements and options', () => {
+        let bad = Profile.createCMYK(null);
+        expect(bad.loaded).toBe(false);
+        expect(bad.lastError.err).toBe(170);
+        expect(Profile.createCMYK({device: [[0, 0, 0]], Lab: [[100, 0, 0]]}).lastError.err).toBe(170);
+        expect(Profile.createCMYK({device: chart.device.slice(0, 10), Lab: chart.Lab.slice(0, 10)}).lastError.err).toBe(171);
+
+        [{version: 3}, {gridPoints: 1}, {totalInkLimit: 500}, {maxBlack: -1}, {blackGeneration: 'lots'},
+            {blackGeneration: 2}, {blackMode: 'both'}].forEach((options) => {
+            let p = Profile.createCMYK(chart, options);
+            expect(p.loaded).toBe(false);
+            expect(p.lastError.err).toBe(172);
+        });
+
+        // every patch the same colour on one line of device values
+        let flat = {device: [], Lab: []};
+        for (let i = 0; i < 20; i++) {
+            flat.device.push([i * 5, 0, 0, 0]);
+            flat.Lab.push([90 - i, 0, 0]);
+        }
+        expect(Profile.createCMYK(flat, fast).lastError.err).toBe(173);
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ *  Profile.fromDisplayMeasurements() — matrix / TRC display profiles from measured patches
+ */
+
+const {Profile, Transform, eIntent, convert} = require('../src/main');
+
+// A synthetic 250 cd/m² display: sRGB primaries at D65 with a black
+// offset and a slightly different type 2 curve per channel
+const whiteLuminance = 250;
+const curves = [[2.3, 0.97, 0.03, 0.001], [2.2, 0.98, 0.02, 0.001], [2.4, 0.96, 0.04, 0.001]];
+
+const display = {
+    RGBMatrix: {cRx: 0.64, cRy: 0.33, cGx: 0.30, cGy: 0.60, cBx: 0.15, cBy: 0.06},
+    mediaWhitePoint: convert.d65,
+    rgb: {rXYZ: convert.d65, gXYZ: convert.d65, bXYZ: convert.d65}
+};
+convert.computeMatrix(display);
+
+function curve(params, v) {
+    let base = params[1] * v + params[2];
+    return (base > 0 ? Math.pow(base, params[0]) : 0) + params[3];
+}
+
+// absolute XYZ the display shows for device 0..1
+function measure(rgb) {
+    let m = display.RGBMatrix.matrixV4;
+    let l = rgb.map((v, i) => curve(curves[i], v) * whiteLuminance);
+    return convert.XYZ(
+        m.m00 * l[0] + m.m01 * l[1] + m.m02 * l[2],
+        m.m10 * l[0] + m.m11 * l[1] + m.m12 * l[2],
+        m.m20 * l[0] + m.m21 * l[1] + m.m22 * l[2]
+    );
+}
+
+function measurements() {
+    let grayRamp = [];
+    for (let i = 0; i <= 16; i++) {
+        let v = Math.min(255, i * 16);
+        grayRamp.push({device: v, XYZ: measure([v / 255, v / 255, v / 255])});
+    }
+    return {white: measure([1, 1, 1]), red: measure([1, 0, 0]), green: measure([0, 1, 0]), blue: measure([0, 0, 1]), grayRamp: grayRamp};
+}
+
+// What the display shows, relative to its white and adapted to D50
+function measuredLab(rgb) {
+    let white = measure([1, 1, 1]);
+    let xyz = measure(rgb);
+    let relative = convert.XYZ(xyz.X / white.Y, xyz.Y / white.Y, xyz.Z / white.Y);
+    return convert.XYZ2Lab(convert.adaptation(relative, convert.XYZ(white.X / white.Y, 1, white.Z / white.Y), convert.d50), convert.d50);
+}
+
+function worstDeltaE(profile) {
+    let t = new Transform({dataFormat: 'device'});
+    t.create(profile, '*Lab', eIntent.relative);
+    let worst = 0;
+    [[1, 0, 0], [0.5, 0.5, 0.5], [0.2, 0.7, 0.3], [0.05, 0.05, 0.05], [0.9, 0.1, 0.6], [0, 0, 0]].forEach((rgb) => {
+        let pcs = t.transform(rgb);
+        let lab = convert.Lab(pcs[0] * 100, pcs[1] * 255 - 128, pcs[2] * 255 - 128, convert.d50, false);
+        worst = Math.max(worst, convert.deltaE2000(measuredLab(rgb), lab));
+    });
+    return worst;
+}
+
+describe('Profile.fromDisplayMeasurements', () => {
+
+    test('recovers the primaries, white and tone curves', () => {
+        let p = Profile.fromDisplayMeasurements(measurements());
+        expect(p.loaded).toBe(true);
+        expect(p.lastError.err).toBe(0);
+        expect(p.name).toBe('Display');
+        expect(p.header.pClass).toBe('mntr');
+
+        [p.rgb.rTRC, p.rgb.gTRC, p.rgb.bTRC].forEach((trc, i) => {
+            trc.params.forEach((v, j) => expect(v).toBeCloseTo(curves[i][j], 3));
+        });
+
+        // the D65 white, Bradford adapted to the D50 PCS
+        let chad = convert.adaptationMatrix(convert.d65, convert.d50);
+        expect(p.chromaticAdaptation[0]).toBeCloseTo(chad.m00, 3);
+        expect(p.chromaticAdaptation[4]).toBeCloseTo(chad.m11, 3);
+        expect(p.luminance.Y).toBeCloseTo(measure([1, 1, 1]).Y, 6);
+    });
+
+    test('predicts the display', () => {
+        let p = Profile.fromDisplayMeasurements(measurements(), {name: 'Kiosk'});
+        expect(p.name).toBe('Kiosk');
+        expect(worstDeltaE(p)).toBeLessThan(0.01);
+    });
+
+    test('gamma and sampled curves', () => {
+        let gamma = Profile.fromDisplayMeasurements(measurements(), {trcType: 'gamma'});
+        expect(gamma.rgb.rTRC.gamma).toBeGreaterThan(2);
+        expect(gamma.rgb.rTRC.gamma).toBeLessThan(2.6);
+        expect(worstDeltaE(gamma)).toBeLessThan(3);
+
+        let sampled = Profile.fromDisplayMeasurements(measurements(), {trcType: 'sampled', trcSamples: 1024});
+        expect(sampled.rgb.gTRC.count).toBe(1024);
+        expect(worstDeltaE(sampled)).toBeLessThan(0.5);
+    });
+
+    test('xyY input, a 0..1 ramp and an explicit black', () => {
+        let m = measurements();
+        ['white', 'red', 'green', 'blue'].forEach((key) => {
+            m[key] = convert.XYZ2xyY(m[key], convert.d50);
+        });
+        m.black = m.grayRamp[0].XYZ;
+        m.grayRamp = m.grayRamp.slice(1).map((patch) => ({device: patch.device / 255, XYZ: patch.XYZ}));
+
+        let p = Profile.fromDisplayMeasurements(m, {luminance: 100});
+        expect(p.loaded).toBe(true);
+        expect(p.luminance.Y).toBeCloseTo(100, 6);
+        expect(worstDeltaE(p)).toBeLessThan(0.05);
+    });
+
+    test('toBinary() keeps chad and lumi', () => {
+        let p = Profile.fromDisplayMeasurements(measurements());
+        let bytes = p.toBinary();
+        expect(Profile.validate(bytes).valid).toBe(true);
+
+        let reloaded = new Profile(bytes);
+        expect(reloaded.loaded).toBe(true);
+        expect(reloaded.luminance.Y).toBeCloseTo(p.luminance.Y, 2);
+        expect(reloaded.chromaticAdaptation.values[0]).toBeCloseTo(p.chromaticAdaptation[0], 4);
+        expect(worstDeltaE(reloaded)).toBeLessThan(0.05);
+    });
+
+    test('invalid measurements and options', () => {
+        let m = measurements();
+        expect(Profile.fromDisplayMeasurements(null).lastError.err).toBe(180);
+        expect(Profile.fromDisplayMeasurements(Object.assign({}, m, {green: {X: 1}})).lastError.err).toBe(180);
+        expect(Profile.fromDisplayMeasurements(Object.assign({}, m, {grayRamp: m.grayRamp.slice(0, 2)})).lastError.err).toBe(181);
+        expect(Profile.fromDisplayMeasurements(Object.assign({}, m, {grayRamp: [{device: 0}].concat(m.grayRamp)})).lastError.err).toBe(181);
+
+        [{trcType: 'spline'}, {trcSamples: 1}, {deviceRange: -1}].forEach((options) => {
+            let p = Profile.fromDisplayMeasurements(m, options);
+            expect(p.loaded).toBe(false);
+            expect(p.lastError.err).toBe(182);
+        });
+
+        // blue on the red - green line
+        expect(Profile.fromDisplayMeasurements(Object.assign({}, m, {blue: convert.xyY(0.47, 0.465, 50)})).lastError.err).toBe(183);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ *  Profile.evaluate() — ΔE statistics of a profile against measurements
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {Profile, Transform, CGATS, eIntent, convert} = require('../src/main');
+
+function loadFixture(name) {
+    return new Profile(new Uint8Array(fs.readFileSync(path.join(__dirname, name))));
+}
+
+// Lab the profile itself predicts, so a perfect measurement set
+function predict(profile, cmyk, intent) {
+    let t = new Transform();
+    t.create(profile, '*Lab', intent);
+    return cmyk.map((c) => {
+        let lab = t.transform(convert.CMYK(c[0], c[1], c[2], c[3]));
+        return [lab.L, lab.a, lab.b];
+    });
+}
+
+const cmyk = [
+    [0, 0, 0, 0], [100, 0, 0, 0], [0, 100, 0, 0], [0, 0, 100, 0], [0, 0, 0, 100],
+    [50, 40, 40, 0], [20, 80, 0, 10], [100, 100, 0, 0], [10, 0, 60, 0], [70, 0, 30, 20]
+];
+
+describe('Profile.evaluate', () => {
+    let profile;
+
+    beforeAll(() => {
+        profile = loadFixture('GRACoL2006_Coated1v2.icc');
+    });
+
+    test('a profile matches its own predictions', () => {
+        let report = profile.evaluate({device: cmyk, Lab: predict(profile, cmyk, eIntent.absolute)});
+        expect(report.count).toBe(10);
+        expect(report.intent).toBe(eIntent.absolute);
+        ['dE76', 'dE94', 'dE2000', 'dECMC'].forEach((key) => {
+            expect(report[key].max).toBeLessThan(1e-6);
+        });
+        expect(report.patches[1].device).toEqual([100, 0, 0, 0]);
+        expect(report.patches[1].predicted.L).toBeCloseTo(report.patches[1].measured.L, 6);
+    });
+
+    test('statistics and worst patches', () => {
+        let lab = predict(profile, cmyk, eIntent.absolute);
+        // push a few patches off by known ΔE76 amounts
+        lab[3][0] += 4;
+        lab[7][1] += 2;
+        lab[5][2] -= 1;
+
+        let report = profile.evaluate({device: cmyk, Lab: lab}, eIntent.absolute, {worst: 3});
+        expect(report.dE76.max).toBeCloseTo(4, 6);
+        expect(report.dE76.mean).toBeCloseTo(0.7, 6);
+        expect(report.dE76.median).toBeCloseTo(0, 6);
+        // 95th percentile of [0 x7, 1, 2, 4] between the 9th and 10th values
+        expect(report.dE76.p95).toBeCloseTo(2 + (4 - 2) * 0.55, 6);
+        expect(report.dE76.stdDev).toBeCloseTo(Math.sqrt(21 / 10 - 0.49), 6);
+
+        expect(report.worst).toHaveLength(3);
+        expect(report.worst.map((p) => p.index)).toEqual([3, 7, 5]);
+        expect(report.worst[0].dE2000).toBe(report.dE2000.max);
+        expect(report.worst[0].dE2000).toBeCloseTo(convert.deltaE2000(report.worst[0].measured, report.worst[0].predicted), 10);
+        expect(report.worst[0].dE94).toBeCloseTo(convert.deltaE1994(report.worst[0].measured, report.worst[0].predicted), 10);
+        expect(report.worst[0].dECMC).toBeCloseTo(convert.deltaECMC(report.worst[0].measured, report.worst[0].predicted), 10);
+    });
+
+    test('flat arrays, intents and device ranges', () => {
+        let lab = predict(profile, cmyk, eIntent.relative);
+        let flatDevice = [].concat.apply([], cmyk);
+        let flatLab = new Float64Array([].concat.apply([], lab));
+
+        expect(profile.evaluate({device: flatDevice, Lab: flatLab}, eIntent.relative).dE2000.max).toBeLessThan(1e-6);
+        // relative measurements judged absolutely are off by the paper white
+        expect(profile.evaluate({device: flatDevice, Lab: flatLab}).dE2000.max).toBeGreaterThan(0.5);
+
+        let rgb = new Profile('*AdobeRGB');
+        let t = new Transform();
+        t.create(rgb, '*Lab', eIntent.absolute);
+        let red = t.transform(convert.RGB(255, 0, 0));
+        let measured = [[red.L, red.a, red.b]];
+        expect(rgb.evaluate({device: [[255, 0, 0]], Lab: measured}).dE2000.max).toBeLessThan(1e-6);
+        expect(rgb.evaluate({device: [[100, 0, 0]], Lab: measured}).dE2000.max).toBeLessThan(1e-6);
+        expect(rgb.evaluate({device: [[100, 0, 0]], Lab: measured}, eIntent.absolute, {deviceRange: 255}).dE2000.max).toBeGreaterThan(10);
+    });
+
+    test('a CGATS measurement file', () => {
+        let lab = predict(profile, cmyk, eIntent.absolute);
+        lab[0][0] -= 1;
+        let chart = new CGATS();
+        chart.setDevice('CMYK', [].concat.apply([], cmyk));
+        chart.setLab([].concat.apply([], lab));
+
+        let report = profile.evaluate(CGATS.parse(chart.toString()));
+        expect(report.count).toBe(10);
+        expect(report.worst[0].index).toBe(0);
+        expect(report.dE76.max).toBeCloseTo(1, 5);
+    });
+
+    test('invalid input returns false with lastError', () => {
+        expect(profile.evaluate(null)).toBe(false);
+        expect(profile.lastError.err).toBe(161);
+        expect(profile.evaluate({device: cmyk, Lab: [[50, 0]]})).toBe(false);
+        expect(profile.lastError.err).toBe(161);
+        expect(profile.evaluate({device: [[0, 0, 0]], Lab: [[50, 0, 0]]})).toBe(false);
+        expect(profile.lastError.err).toBe(162);
+
+        let empty = new Profile();
+        expect(empty.evaluate({device: cmyk, Lab: cmyk})).toBe(false);
+        expect(empty.lastError.err).toBe(160);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ *  HDR — 'cicp' tags, PQ / HLG transfer functions, *Rec2100PQ / *Rec2100HLG
+ *  and the luminance scale for the absolute intent
+ */
+
+const {Profile, Transform, eIntent, color, convert} = require('../src/main');
+const decodeICC = require('../src/decodeICC');
+const encodeICC = require('../src/encodeICC');
+
+const rec2020 = {red: [0.708, 0.292], green: [0.170, 0.797], blue: [0.131, 0.046]};
+
+function run(from, to, rgbf, intent) {
+    let t = new Transform({dataFormat: 'objectFloat'});
+    t.create(from, to, intent === undefined ? eIntent.relative : intent);
+    return t.transform(rgbf);
+}
+
+function grey(v) {
+    return color.RGBf(v, v, v);
+}
+
+describe('HDR transfer functions', () => {
+
+    test('PQ and HLG curves', () => {
+        // BT.2408: 203 cd/m² is 58% PQ, 75% HLG
+        expect(convert.PQGamma(203 / 10000)).toBeCloseTo(0.5807, 4);
+        expect(convert.PQGammaInv(1)).toBeCloseTo(1, 10);
+        expect(convert.PQGammaInv(convert.PQGamma(0.001))).toBeCloseTo(0.001, 10);
+        expect(convert.HLGGammaInv(0.75)).toBeCloseTo(0.2650, 4);
+        expect(convert.HLGGamma(1 / 12)).toBeCloseTo(0.5, 10);
+        expect(convert.HLGGamma(convert.HLGGammaInv(0.9))).toBeCloseTo(0.9, 10);
+    });
+
+    test('cicp tags decode and encode', () => {
+        let cicp = {colourPrimaries: 9, transferCharacteristics: 16, matrixCoefficients: 0, videoFullRange: true};
+        let decoded = decodeICC.cicp(new Uint8Array(encodeICC.cicp(cicp)), 0);
+        expect(decoded).toEqual(Object.assign({sig: 'cicp'}, cicp));
+    });
+
+    test('*Rec2100PQ and *Rec2100HLG', () => {
+        let pq = new Profile('*Rec2100PQ');
+        expect(pq.loaded).toBe(true);
+        expect(pq.hdrTransfer()).toBe('PQ');
+        expect(pq.cicp.colourPrimaries).toBe(9);
+        expect(pq.luminance.Y).toBe(203);
+
+        let hlg = new Profile('*Rec2100HLG');
+        expect(hlg.hdrTransfer()).toBe('HLG');
+        expect(hlg.cicp.transferCharacteristics).toBe(18);
+    });
+
+    test('reference white maps to SDR white, brighter clips', () => {
+        let white = run('*Rec2100PQ', '*LinearSRGB', grey(convert.PQGamma(203 / 10000)));
+        expect(white.Rf).toBeCloseTo(1, 4);
+        expect(white.Bf).toBeCloseTo(1, 4);
+
+        let hlgWhite = run('*Rec2100HLG', '*LinearSRGB', grey(0.75));
+        expect(hlgWhite.Gf).toBeCloseTo(1, 2);
+
+        let highlight = run('*Rec2100PQ', '*sRGB', grey(convert.PQGamma(1000 / 10000)));
+        expect(highlight.Rf).toBeCloseTo(1, 6);
+
+        // half of reference white
+        let half = run('*Rec2100PQ', '*LinearSRGB', grey(convert.PQGamma(101.5 / 10000)));
+        expect(half.Gf).toBeCloseTo(0.5, 4);
+    });
+
+    test('SDR into PQ', () => {
+        let pq = run('*sRGB', '*Rec2100PQ', grey(1));
+        expect(pq.Rf).toBeCloseTo(convert.PQGamma(203 / 10000), 4);
+    });
+
+    test('lumi sets the white luminance and absolute keeps cd/m²', () => {
+        let dim = Profile.createRGB({primaries: rec2020, trc: 'PQ', luminance: 100});
+        let code100 = convert.PQGamma(100 / 10000);
+
+        // relative: white to white
+        expect(run(dim, '*LinearSRGB', grey(code100)).Rf).toBeCloseTo(1, 4);
+        expect(run('*Rec2100PQ', dim, grey(code100)).Rf).toBeCloseTo(convert.PQGamma(100 * 100 / 203 / 10000), 4);
+
+        // absolute: 100 cd/m² stays 100 cd/m²
+        expect(run('*Rec2100PQ', dim, grey(code100), eIntent.absolute).Rf).toBeCloseTo(code100, 4);
+        expect(run(dim, '*LinearSRGB', grey(code100), eIntent.absolute).Rf).toBeCloseTo(100 / 203, 4);
+    });
+
+    test('SDR absolute intent is unchanged', () => {
+        let rgb = color.RGBf(0.8, 0.4, 0.2);
+        let relative = run('*sRGB', '*AdobeRGB', rgb);
+        let absolute = run('*sRGB', '*AdobeRGB', rgb, eIntent.absolute);
+        expect(absolute.Rf).toBeCloseTo(relative.Rf, 6);
+    });
+
+    test('toBinary() writes cicp and lumi, reloading restores the exact curves', () => {
+        let bytes = new Profile('*Rec2100HLG').toBinary();
+        expect(Profile.validate(bytes).valid).toBe(true);
+
+        let p = new Profile(bytes);
+        expect(p.loaded).toBe(true);
+        expect(p.cicp.transferCharacteristics).toBe(18);
+        expect(p.luminance.Y).toBeCloseTo(203, 2);
+        expect(p.rgb.rTRC.params.transfer).toBe('HLG');
+
+        let a = run('*Rec2100HLG', '*Lab', grey(0.6));
+        let b = run(p, '*Lab', grey(0.6));
+        expect(b.L).toBeCloseTo(a.L, 2);
+    });
+
+    test('prebuilt LUT from a PQ source', () => {
+        let t = new Transform({buildLut: true});
+        t.create('*Rec2100PQ', '*sRGB', eIntent.relative);
+        let accurate = new Transform();
+        accurate.create('*Rec2100PQ', '*sRGB', eIntent.relative);
+
+        let rgb = color.RGB(100, 90, 80);
+        let out = t.transform(rgb);
+        let expected = accurate.transform(rgb);
+        expect(Math.abs(out.R - expected.R)).toBeLessThanOrEqual(3);
+        expect(Math.abs(out.B - expected.B)).toBeLessThanOrEqual(3);
+    });
+});
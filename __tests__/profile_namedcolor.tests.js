@@ -0,0 +1,129 @@
+/**
+ *  Named colour profiles ('nmcl' with an 'ncl2' tag) — decoding, lookup
+ *  and named colour transforms
+ */
+
+const {Profile, Transform, eIntent, color} = require('../src/main');
+const encodeICC = require('../src/encodeICC');
+
+const spots = [
+    {rootName: '185', Lab: [47.5, 70.25, 45.5], device: [0, 0.91, 0.76, 0]},
+    {rootName: '300', Lab: [44.75, -6.5, -55.75], device: [1, 0.44, 0, 0]},
+    {rootName: 'Cool Gray 5', Lab: [72, -1, -2.5], device: [0.13, 0.09, 0.1, 0.27]}
+];
+
+function namedProfile(version) {
+    let raw = {
+        vendorFlags: 0,
+        deviceChannels: 4,
+        prefix: 'PANTONE ',
+        suffix: ' C',
+        colors: spots.map((spot) => ({
+            rootName: spot.rootName,
+            pcs: version === 2
+                ? [Math.round(spot.Lab[0] * 652.80), Math.round((spot.Lab[1] + 128) * 256), Math.round((spot.Lab[2] + 128) * 256)]
+                : [Math.round(spot.Lab[0] * 65535 / 100), Math.round((spot.Lab[1] + 128) * 65535 / 255), Math.round((spot.Lab[2] + 128) * 65535 / 255)],
+            device: spot.device.map((v) => Math.round(v * 65535))
+        }))
+    };
+    let desc = version === 2
+        ? encodeICC.textDescriptionType('Spot Colours')
+        : encodeICC.multiLocalizedUnicodeType('Spot Colours');
+    return new Profile(encodeICC.profile(
+        {version: version, pClass: 'nmcl', space: 'CMYK', pcs: 'Lab ', date: new Date()},
+        [
+            {sig: 'desc', data: desc},
+            {sig: 'wtpt', data: encodeICC.XYZType({X: 0.9642, Y: 1, Z: 0.8249})},
+            {sig: 'ncl2', data: encodeICC.namedColor2(raw)}
+        ]
+    ));
+}
+
+describe('Named colour profiles', () => {
+
+    [2, 4].forEach((version) => {
+        test('V' + version + ' decodes ncl2 into profile.namedColors', () => {
+            let p = namedProfile(version);
+            expect(p.loaded).toBe(true);
+            expect(p.header.pClass).toBe('nmcl');
+
+            let named = p.namedColors;
+            expect(named.prefix).toBe('PANTONE ');
+            expect(named.suffix).toBe(' C');
+            expect(named.deviceChannels).toBe(4);
+            expect(named.colors.length).toBe(3);
+            expect(named.colors.map((c) => c.name)).toEqual(['PANTONE 185 C', 'PANTONE 300 C', 'PANTONE Cool Gray 5 C']);
+
+            named.colors.forEach((c, i) => {
+                expect(c.rootName).toBe(spots[i].rootName);
+                expect(c.Lab.L).toBeCloseTo(spots[i].Lab[0], 2);
+                expect(c.Lab.a).toBeCloseTo(spots[i].Lab[1], 1);
+                expect(c.Lab.b).toBeCloseTo(spots[i].Lab[2], 1);
+                c.device.forEach((v, ch) => expect(v).toBeCloseTo(spots[i].device[ch], 4));
+            });
+        });
+    });
+
+    test('findNamedColor() matches full and root names', () => {
+        let p = namedProfile(4);
+        expect(p.findNamedColor('PANTONE 185 C').rootName).toBe('185');
+        expect(p.findNamedColor('  pantone 300 c ').rootName).toBe('300');
+        expect(p.findNamedColor('Cool Gray 5').name).toBe('PANTONE Cool Gray 5 C');
+        expect(p.findNamedColor('PANTONE 999 C')).toBeNull();
+        expect(new Profile('*sRGB').findNamedColor('185')).toBeNull();
+    });
+
+    test('toBinary() round trips the named colours', () => {
+        let p = namedProfile(4);
+        let copy = new Profile(p.toBinary());
+        expect(copy.loaded).toBe(true);
+        expect(copy.header.pClass).toBe('nmcl');
+        expect(copy.namedColors.colors.length).toBe(3);
+        copy.namedColors.colors.forEach((c, i) => {
+            let orig = p.namedColors.colors[i];
+            expect(c.name).toBe(orig.name);
+            expect(c.Lab.L).toBeCloseTo(orig.Lab.L, 3);
+            expect(c.Lab.b).toBeCloseTo(orig.Lab.b, 3);
+            expect(c.device).toEqual(orig.device);
+        });
+    });
+
+    test('transforms a colour name to Lab', () => {
+        let t = new Transform();
+        t.create(namedProfile(4), '*Lab', eIntent.relative);
+        let lab = t.transform('PANTONE 185 C');
+        expect(lab.L).toBeCloseTo(47.5, 1);
+        expect(lab.a).toBeCloseTo(70.25, 1);
+        expect(lab.b).toBeCloseTo(45.5, 1);
+
+        let gray = t.transform({name: 'Cool Gray 5'});
+        expect(gray.L).toBeCloseTo(72, 1);
+    });
+
+    test('transforms a colour name to an output profile', () => {
+        let t = new Transform();
+        t.create(namedProfile(2), '*sRGB', eIntent.relative);
+        let rgb = t.transform('300');
+
+        let viaLab = new Transform();
+        viaLab.create('*Lab', '*sRGB', eIntent.relative);
+        let expected = viaLab.transform(color.Lab(44.75, -6.5, -55.75));
+        expect(Math.abs(rgb.R - expected.R)).toBeLessThanOrEqual(1);
+        expect(Math.abs(rgb.G - expected.G)).toBeLessThanOrEqual(1);
+        expect(Math.abs(rgb.B - expected.B)).toBeLessThanOrEqual(1);
+    });
+
+    test('unknown names throw', () => {
+        let t = new Transform();
+        t.create(namedProfile(4), '*Lab', eIntent.relative);
+        expect(() => t.transform('PANTONE 999 C')).toThrow(/not found/);
+    });
+
+    test('named colour profiles must start the chain and can not be prebuilt', () => {
+        let t = new Transform();
+        expect(() => t.create('*Lab', namedProfile(4), eIntent.relative)).toThrow(/first profile/);
+
+        let lut = new Transform({buildLut: true});
+        expect(() => lut.create(namedProfile(4), '*sRGB', eIntent.relative)).toThrow(/prebuilt LUT/);
+    });
+});
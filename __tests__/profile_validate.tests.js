@@ -0,0 +1,300 @@
+/**
+ *  Profile.validate() and strict loading of untrusted ICC binaries
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {Profile} = require('../src/main');
+const encodeICC = require('../src/encodeICC');
+
+function fixture(name) {
+    return new Uint8Array(fs.readFileSync(path.join(__dirname, name)));
+}
+
+function setUint32(bytes, pos, value) {
+    new DataView(bytes.buffer, bytes.byteOffset).setUint32(pos, value);
+}
+
+/** Byte position of a tag's entry in the tag table */
+function tagEntry(bytes, sig) {
+    let view = new DataView(bytes.buffer, bytes.byteOffset);
+    let count = view.getUint32(128);
+    for (let i = 0; i < count; i++) {
+        let pos = 132 + i * 12;
+        if (String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]) === sig) {
+            return {pos: pos, offset: view.getUint32(pos + 4), length: view.getUint32(pos + 8)};
+        }
+    }
+    return null;
+}
+
+/** A 2x2x2 3 to 3 channel mAB table */
+function smallLut() {
+    return {
+        inputChannels: 3,
+        outputChannels: 3,
+        gridPoints: [2, 2, 2],
+        CLUT: new Uint16Array(24),
+        precision: 16,
+        bCurves: false,
+        matrix: false,
+        mCurves: false,
+        aCurves: false
+    };
+}
+
+/** A small V4 RGB to Lab profile with a 2x2x2 mAB A2B0 */
+function lutProfile() {
+    return encodeICC.profile(
+        {version: 4, pClass: 'scnr', space: 'RGB ', pcs: 'Lab ', date: new Date()},
+        [
+            {sig: 'desc', data: encodeICC.multiLocalizedUnicodeType('LUT')},
+            {sig: 'cprt', data: encodeICC.multiLocalizedUnicodeType('None')},
+            {sig: 'wtpt', data: encodeICC.XYZType({X: 0.9642, Y: 1, Z: 0.8249})},
+            {sig: 'A2B0', data: encodeICC.lut(smallLut(), 'mAB ')}
+        ]
+    );
+}
+
+function errorText(report) {
+    return report.errors.map((e) => (e.tag || '') + ' ' + e.text).join('\n');
+}
+
+describe('Profile.validate()', () => {
+
+    test('real and written profiles are valid', () => {
+        ['GRACoL2006_Coated1v2.icc', 'AdobeRGB1998.icc'].forEach((name) => {
+            let report = Profile.validate(fixture(name));
+            expect(errorText(report)).toBe('');
+            expect(report.valid).toBe(true);
+        });
+        expect(Profile.validate(new Profile('*sRGB').toBinary()).valid).toBe(true);
+        expect(Profile.validate(lutProfile()).valid).toBe(true);
+    });
+
+    test('accepts a Node Buffer', () => {
+        expect(Profile.validate(fs.readFileSync(path.join(__dirname, 'AdobeRGB1998.icc'))).valid).toBe(true);
+    });
+
+    test('too small and truncated data', () => {
+        expect(Profile.validate(new Uint8Array(64)).valid).toBe(false);
+
+        let bytes = fixture('GRACoL2006_Coated1v2.icc');
+        let report = Profile.validate(bytes.slice(0, bytes.length >> 1));
+        expect(report.valid).toBe(false);
+        expect(errorText(report)).toMatch(/truncated/);
+        expect(report.errors.some((e) => e.tag !== null && /past the end/.test(e.text))).toBe(true);
+    });
+
+    test('header size, signature and tag count', () => {
+        let bytes = lutProfile();
+        setUint32(bytes, 0, 0x7FFFFFFF);
+        expect(errorText(Profile.validate(bytes))).toMatch(/byte limit/);
+
+        bytes = lutProfile();
+        bytes[36] = 0;
+        expect(errorText(Profile.validate(bytes))).toMatch(/acsp/);
+
+        bytes = lutProfile();
+        setUint32(bytes, 128, 100000);
+        expect(errorText(Profile.validate(bytes))).toMatch(/tag limit/);
+
+        bytes = lutProfile();
+        setUint32(bytes, 128, 200);
+        expect(errorText(Profile.validate(bytes))).toMatch(/Tag table/);
+    });
+
+    test('tags outside the profile, inside the tag table or overlapping', () => {
+        let bytes = lutProfile();
+        let desc = tagEntry(bytes, 'desc');
+        setUint32(bytes, desc.pos + 8, 0xFFFFFF00);
+        let report = Profile.validate(bytes);
+        expect(report.errors[0].tag).toBe('desc');
+        expect(report.errors[0].text).toMatch(/past the end/);
+
+        bytes = lutProfile();
+        setUint32(bytes, tagEntry(bytes, 'wtpt').pos + 4, 132);
+        expect(errorText(Profile.validate(bytes))).toMatch(/wtpt Tag starts at 132/);
+
+        bytes = lutProfile();
+        let a2b0 = tagEntry(bytes, 'A2B0');
+        setUint32(bytes, tagEntry(bytes, 'wtpt').pos + 4, a2b0.offset + 8);
+        expect(errorText(Profile.validate(bytes))).toMatch(/overlaps 'A2B0'/);
+    });
+
+    test('identical shared tags are allowed', () => {
+        let bytes = lutProfile();
+        let desc = tagEntry(bytes, 'desc');
+        let cprt = tagEntry(bytes, 'cprt');
+        setUint32(bytes, cprt.pos + 4, desc.offset);
+        setUint32(bytes, cprt.pos + 8, desc.length);
+        expect(Profile.validate(bytes).valid).toBe(true);
+    });
+
+    test('curve length limit', () => {
+        let bytes = encodeICC.profile(
+            {version: 2, pClass: 'mntr', space: 'GRAY', pcs: 'XYZ ', date: new Date()},
+            [
+                {sig: 'desc', data: encodeICC.textDescriptionType('Gray')},
+                {sig: 'wtpt', data: encodeICC.XYZType({X: 0.9642, Y: 1, Z: 0.8249})},
+                {sig: 'kTRC', data: encodeICC.sampledCurve([0, 0.25, 0.5, 1], 1)}
+            ]
+        );
+        expect(Profile.validate(bytes).valid).toBe(true);
+        expect(errorText(Profile.validate(bytes, {maxCurvePoints: 2}))).toMatch(/kTRC Curve has 4 points/);
+
+        setUint32(bytes, tagEntry(bytes, 'kTRC').offset + 8, 0xFFFFFFFF);
+        expect(errorText(Profile.validate(bytes))).toMatch(/kTRC Curve has 4294967295 points/);
+    });
+
+    test('CLUT size limit, grid points and precision', () => {
+        let bytes = lutProfile();
+        expect(errorText(Profile.validate(bytes, {maxCLUTEntries: 10}))).toMatch(/A2B0 mAB  CLUT of 24 values/);
+
+        let a2b0 = tagEntry(bytes, 'A2B0');
+        let clutOffset = a2b0.offset + new DataView(bytes.buffer).getUint32(a2b0.offset + 24);
+        bytes[clutOffset] = 20;
+        bytes[clutOffset + 1] = 20;
+        bytes[clutOffset + 2] = 20;
+        expect(errorText(Profile.validate(bytes))).toMatch(/CLUT of 24000 values runs past the end of the tag/);
+        bytes[clutOffset] = 255;
+        bytes[clutOffset + 1] = 255;
+        bytes[clutOffset + 2] = 255;
+        expect(errorText(Profile.validate(bytes))).toMatch(/value limit/);
+
+        bytes = lutProfile();
+        bytes[clutOffset + 1] = 1;
+        expect(errorText(Profile.validate(bytes))).toMatch(/needs at least 2/);
+
+        bytes = lutProfile();
+        bytes[clutOffset + 16] = 3;
+        expect(errorText(Profile.validate(bytes))).toMatch(/precision 3/);
+    });
+
+    test('mft2 sizes from the real fixture are checked', () => {
+        let bytes = fixture('GRACoL2006_Coated1v2.icc');
+        let a2b0 = tagEntry(bytes, 'A2B0');
+        bytes[a2b0.offset + 10] = 200; // grid points
+        expect(errorText(Profile.validate(bytes))).toMatch(/A2B0 mft2 CLUT of 200\^4/);
+    });
+
+    test('LUT channels must match the header', () => {
+        let bytes = lutProfile();
+        bytes[16] = 'C'.charCodeAt(0); // 'CMYK' input space, the LUT takes 3
+        bytes[17] = 'M'.charCodeAt(0);
+        bytes[18] = 'Y'.charCodeAt(0);
+        bytes[19] = 'K'.charCodeAt(0);
+        expect(errorText(Profile.validate(bytes))).toMatch(/need 4 and 3/);
+    });
+
+    test('tag types must match the signature', () => {
+        let bytes = lutProfile();
+        let wtpt = tagEntry(bytes, 'wtpt');
+        bytes[wtpt.offset] = 'c'.charCodeAt(0);
+        bytes[wtpt.offset + 1] = 'u'.charCodeAt(0);
+        bytes[wtpt.offset + 2] = 'r'.charCodeAt(0);
+        bytes[wtpt.offset + 3] = 'v'.charCodeAt(0);
+        expect(errorText(Profile.validate(bytes))).toMatch(/wtpt Tag type 'curv'/);
+    });
+
+    test('mluc without records', () => {
+        let bytes = lutProfile();
+        setUint32(bytes, tagEntry(bytes, 'desc').offset + 8, 0);
+        expect(errorText(Profile.validate(bytes))).toMatch(/desc mluc tag has no records/);
+    });
+
+    test('warnings for missing required tags', () => {
+        let bytes = encodeICC.profile(
+            {version: 4, pClass: 'abst', space: 'Lab ', pcs: 'Lab ', date: new Date()},
+            [
+                {sig: 'desc', data: encodeICC.multiLocalizedUnicodeType('Bare')},
+                {sig: 'A2B0', data: encodeICC.lut(smallLut(), 'mAB ')}
+            ]
+        );
+        let report = Profile.validate(bytes);
+        expect(report.valid).toBe(true);
+        expect(report.warnings.map((w) => w.text)).toEqual([
+            'Missing recommended \'cprt\' tag',
+            'Missing recommended \'wtpt\' tag'
+        ]);
+    });
+
+    test('errors for tags the profile class needs', () => {
+        // a corrupted signature hides rXYZ from the decoder
+        let bytes = fixture('AdobeRGB1998.icc');
+        bytes[tagEntry(bytes, 'rXYZ').pos] = 0xE7;
+        let report = Profile.validate(bytes);
+        expect(report.valid).toBe(false);
+        expect(errorText(report)).toMatch(/Missing the 'rXYZ' tag a matrix \/ TRC RGB profile needs/);
+
+        let build = (pClass, space, sigs) => encodeICC.profile(
+            {version: 4, pClass: pClass, space: space, pcs: 'Lab ', date: new Date()},
+            [
+                {sig: 'desc', data: encodeICC.multiLocalizedUnicodeType('Bare')},
+                {sig: 'cprt', data: encodeICC.multiLocalizedUnicodeType('None')},
+                {sig: 'wtpt', data: encodeICC.XYZType({X: 0.9642, Y: 1, Z: 0.8249})}
+            ].concat(sigs.map((sig) => ({sig: sig, data: encodeICC.lut(smallLut(), sig[0] === 'A' ? 'mAB ' : 'mBA ')})))
+        );
+        let missing = (bytes) => Profile.validate(bytes).errors.map((e) => e.text.match(/'(.{4})'/)[1]);
+        expect(missing(build('mntr', 'RGB ', ['A2B0']))).toEqual(['B2A0']);
+        expect(missing(build('prtr', 'RGB ', ['B2A0']))).toEqual(['rXYZ', 'gXYZ', 'bXYZ', 'rTRC', 'gTRC', 'bTRC']);
+        expect(missing(build('scnr', 'RGB ', ['A2B0']))).toEqual([]);
+        expect(missing(build('mntr', 'GRAY', []))).toEqual(['kTRC']);
+        expect(missing(build('abst', 'Lab ', []))).toEqual(['A2B0']);
+        expect(missing(build('link', 'RGB ', ['B2A0']))).toEqual(['A2B0']);
+        expect(missing(build('nmcl', 'Lab ', []))).toEqual(['ncl2']);
+    });
+});
+
+describe('Strict loading', () => {
+
+    function strictLoad(bytes) {
+        let p = new Profile();
+        p.strict = true;
+        p.load(bytes);
+        return p;
+    }
+
+    test('valid profiles load and keep the report', () => {
+        let p = strictLoad(fixture('AdobeRGB1998.icc'));
+        expect(p.loaded).toBe(true);
+        expect(p.validation.valid).toBe(true);
+    });
+
+    test('invalid profiles are refused before decoding', () => {
+        let bytes = lutProfile();
+        let a2b0 = tagEntry(bytes, 'A2B0');
+        setUint32(bytes, a2b0.offset + 24, 0xFFFFFF00); // CLUT offset
+        let p = strictLoad(bytes);
+        expect(p.loaded).toBe(false);
+        expect(p.loadError).toBe(true);
+        expect(p.lastError.err).toBe(130);
+        expect(p.lastError.text).toMatch(/^Profile failed validation: \[A2B0\]/);
+    });
+
+    test('a profile missing a required tag is refused', () => {
+        let bytes = fixture('AdobeRGB1998.icc');
+        bytes[tagEntry(bytes, 'rXYZ').pos] = 0xE7;
+        let p = strictLoad(bytes);
+        expect(p.loaded).toBe(false);
+        expect(p.lastError.err).toBe(130);
+        expect(p.lastError.text).toMatch(/'rXYZ'/);
+    });
+
+    test('corrupted bytes never throw', () => {
+        let source = lutProfile();
+        let seed = 12345;
+        let random = () => {
+            seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+            return seed / 0x7FFFFFFF;
+        };
+        for (let i = 0; i < 300; i++) {
+            let bytes = source.slice();
+            let hits = 1 + Math.floor(random() * 4);
+            for (let h = 0; h < hits; h++) {
+                bytes[Math.floor(random() * bytes.length)] = Math.floor(random() * 256);
+            }
+            expect(() => strictLoad(bytes)).not.toThrow();
+        }
+    });
+});
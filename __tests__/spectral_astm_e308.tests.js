@@ -0,0 +1,192 @@
+/**
+ *  Spectral — ASTM E308 weighting factors and bandpass correction
+ */
+
+const {Spectral, convert} = require('../src/main');
+
+const spectral = new Spectral();
+const D50 = spectral.getIlluminant('D50');
+const obs2 = spectral.getObserver('2');
+
+// A red-ish reflectance with a steep edge at 600 nm, flat outside 380 - 730
+function reflectance(nm) {
+    nm = Math.min(730, Math.max(380, nm));
+    return 0.05 + 0.8 / (1 + Math.exp(-(nm - 600) / 15));
+}
+
+function sampled(step, measure) {
+    let data = [];
+    for (let nm = 380; nm <= 730; nm += step) {
+        data.push(measure(nm));
+    }
+    return spectral.toSpectral(380, 730, data, step);
+}
+
+// What a spectro with a triangular bandpass as wide as its step reads
+function bandpassed(step) {
+    return (nm) => {
+        let sum = 0, weights = 0;
+        for (let d = -step; d <= step; d++) {
+            sum += (step - Math.abs(d)) * reflectance(nm + d);
+            weights += step - Math.abs(d);
+        }
+        return sum / weights;
+    };
+}
+
+// The full 360 - 780 nm range of the published tables
+function sampled360(step, measure) {
+    let data = [];
+    for (let nm = 360; nm <= 780; nm += step) {
+        data.push(measure(nm));
+    }
+    return spectral.toSpectral(360, 780, data, step);
+}
+
+function toLab(xyz) {
+    return convert.XYZ2Lab(xyz, xyz.whitePoint);
+}
+
+function sum(values) {
+    return values.reduce((a, b) => a + b, 0);
+}
+
+describe('Spectral ASTM E308', () => {
+    // the colour integrated at 1 nm
+    let truth;
+
+    beforeAll(() => {
+        let data = [];
+        for (let nm = 360; nm <= 780; nm++) {
+            data.push(reflectance(nm));
+        }
+        truth = toLab(spectral.calculateXYZ(spectral.toSpectral(360, 780, data, 1), D50, obs2));
+    });
+
+    test('weighting factors sum to the illuminant white', () => {
+        // ASTM E308 Table 5 whites, 10 nm
+        let A = spectral.weightingFactors(spectral.getIlluminant('A'), obs2, {startnm: 360, endnm: 780, step: 10});
+        expect(A.startnm).toBe(360);
+        expect(A.X).toHaveLength(43);
+        expect(sum(A.X)).toBeCloseTo(109.850, 2);
+        expect(sum(A.Y)).toBeCloseTo(100, 10);
+        expect(sum(A.Z)).toBeCloseTo(35.585, 2);
+
+        let D65 = spectral.weightingFactors(spectral.getIlluminant('D65'), spectral.getObserver('10'), {startnm: 360, endnm: 780, step: 10});
+        expect(sum(D65.X)).toBeCloseTo(94.811, 1);
+        expect(sum(D65.Z)).toBeCloseTo(107.304, 1);
+    });
+
+    test('published whites, 10 and 20 nm, Tables 5 and 6', () => {
+        // ASTM E308 white points; a perfect diffuser's XYZ is the same
+        let published = [
+            ['D65', '2', 95.047, 108.883],
+            ['D65', '10', 94.811, 107.304],
+            ['A', '2', 109.850, 35.585],
+            ['A', '10', 111.144, 35.200]
+        ];
+        published.forEach(([name, observer, X, Z]) => {
+            let illuminant = spectral.getIlluminant(name);
+            [10, 20].forEach((step) => {
+                [false, true].forEach((bandpassCorrected) => {
+                    let w = spectral.weightingFactors(illuminant, spectral.getObserver(observer), {startnm: 360, endnm: 780, step: step}, bandpassCorrected);
+                    expect(w.X).toHaveLength(420 / step + 1);
+                    expect(sum(w.X)).toBeCloseTo(X, 2);
+                    expect(sum(w.Y)).toBeCloseTo(100, 10);
+                    expect(sum(w.Z)).toBeCloseTo(Z, 2);
+
+                    let white = spectral.calculateXYZ(sampled360(step, () => 1), illuminant, spectral.getObserver(observer),
+                        {method: 'astm-e308', bandpassCorrected: bandpassCorrected});
+                    expect(white.X * 100).toBeCloseTo(X, 2);
+                    expect(white.Y * 100).toBeCloseTo(100, 10);
+                    expect(white.Z * 100).toBeCloseTo(Z, 2);
+                });
+            });
+        });
+    });
+
+    test('Table 5 factors match the published table', () => {
+        // ASTM E308 Table 5, illuminant A, 10° observer, 10 nm, 360 - 780
+        let published = {
+            400: [0.025, 0.003, 0.110],
+            420: [0.377, 0.039, 1.792],
+            440: [0.964, 0.156, 4.944],
+            460: [1.006, 0.424, 5.812],
+            480: [0.343, 1.082, 3.300],
+            500: [0.022, 2.422, 1.152],
+            520: [0.750, 4.840, 0.382]
+        };
+        let w = spectral.weightingFactors(spectral.getIlluminant('A'), spectral.getObserver('10'), {startnm: 360, endnm: 780, step: 10}, true);
+        Object.keys(published).forEach((nm) => {
+            let i = (nm - 360) / 10;
+            [w.X, w.Y, w.Z].forEach((factors, c) => {
+                expect(Math.abs(factors[i] - published[nm][c])).toBeLessThanOrEqual(0.0015);
+            });
+        });
+    });
+
+    test('an instrument range folds the ends in', () => {
+        let table5 = spectral.weightingFactors(D50, obs2, {startnm: 380, endnm: 730, step: 10}, true);
+        let table6 = spectral.weightingFactors(D50, obs2, {startnm: 380, endnm: 730, step: 10});
+        expect(table5.startnm).toBe(380);
+        expect(table5.endnm).toBe(730);
+        expect(table5.Y).toHaveLength(36);
+        [table5, table6].forEach((w) => {
+            expect(sum(w.X)).toBeCloseTo(D50.whitePoint.X * 100, 1);
+            expect(sum(w.Y)).toBeCloseTo(100, 10);
+        });
+        expect(table6.Y[20]).not.toBeCloseTo(table5.Y[20], 3);
+
+        // worked out once
+        expect(spectral.weightingFactors(D50, obs2, {startnm: 380, endnm: 730, step: 10})).toBe(table6);
+
+        // a perfect diffuser is the white under either table
+        let white = spectral.calculateXYZ(sampled(10, () => 1), D50, obs2, {method: 'astm-e308'});
+        expect(white.Y).toBeCloseTo(1, 10);
+        expect(white.whitePoint).toBe(D50.whitePoint);
+    });
+
+    test('Table 5 matches 1 nm integration better than the direct sum', () => {
+        let spectrum = sampled(10, reflectance);
+        let direct = convert.deltaE2000(truth, toLab(spectral.calculateXYZ(spectrum, D50, obs2)));
+        let astm = convert.deltaE2000(truth, toLab(spectral.calculateXYZ(spectrum, D50, obs2, {method: 'astm-e308', bandpassCorrected: true})));
+        expect(astm).toBeLessThan(0.01);
+        expect(astm).toBeLessThan(direct);
+
+        // 20 nm as well
+        let coarse = sampled(20, reflectance);
+        expect(convert.deltaE2000(truth, toLab(spectral.calculateXYZ(coarse, D50, obs2, {method: 'astm-e308', bandpassCorrected: true})))).toBeLessThan(0.1);
+    });
+
+    test('Table 6 undoes the instrument bandpass', () => {
+        let measured = sampled(10, bandpassed(10));
+        let direct = convert.deltaE2000(truth, toLab(spectral.calculateXYZ(measured, D50, obs2)));
+        let table6 = convert.deltaE2000(truth, toLab(spectral.calculateXYZ(measured, D50, obs2, {method: 'astm-e308'})));
+        expect(direct).toBeGreaterThan(0.1);
+        expect(table6).toBeLessThan(0.01);
+
+        // the same as correcting first and using Table 5
+        let corrected = spectral.calculateXYZ(spectral.bandpassCorrect(measured), D50, obs2, {method: 'astm-e308', bandpassCorrected: true});
+        let xyz = spectral.calculateXYZ(measured, D50, obs2, {method: 'astm-e308'});
+        expect(corrected.X).toBeCloseTo(xyz.X, 10);
+        expect(corrected.Z).toBeCloseTo(xyz.Z, 10);
+    });
+
+    test('bandpassCorrect', () => {
+        let corrected = spectral.bandpassCorrect(spectral.toSpectral(400, 440, [0.1, 0.2, 0.3, 0.5, 0.5], 10));
+        expect(corrected.startnm).toBe(400);
+        expect(corrected.step).toBe(10);
+        // straight lines are left alone, peaks sharpened
+        expect(corrected.data[1]).toBeCloseTo(0.2, 10);
+        expect(corrected.data[2]).toBeCloseTo(0.3 - 0.083 * 0.1, 10);
+        expect(corrected.data[0]).toBeCloseTo(1.083 * 0.1 - 0.083 * 0.2, 10);
+        expect(corrected.data[4]).toBeCloseTo(0.5, 10);
+    });
+
+    test('invalid methods and grids', () => {
+        let spectrum = sampled(10, reflectance);
+        expect(() => spectral.calculateXYZ(spectrum, D50, obs2, {method: 'simpson'})).toThrow();
+        expect(() => spectral.weightingFactors(D50, obs2, {startnm: 380, endnm: 730, step: 2.5})).toThrow();
+        expect(() => spectral.weightingFactors(D50, obs2, {startnm: 770, endnm: 800, step: 10})).toThrow();
+    });
+});
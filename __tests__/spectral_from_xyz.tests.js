@@ -0,0 +1,76 @@
+/**
+ *  Spectral.fromXYZ() — smooth reflectance curves from XYZ / Lab
+ */
+
+const {Spectral, convert} = require('../src/main');
+
+const spectral = new Spectral();
+
+function labUnder(spectrum, illuminant) {
+    let xyz = spectral.calculateXYZ(spectrum, spectral.getIlluminant(illuminant), spectral.getObserver('2'));
+    return convert.XYZ2Lab(xyz, xyz.whitePoint);
+}
+
+describe('Spectral.fromXYZ', () => {
+
+    test('Lab library colours round trip', () => {
+        [[50, 0, 0], [60, 40, 30], [30, 20, -50], [80, -30, 60], [90, 5, 80], [20, 60, -90], [5, 0, 0], [99, 0, 0]].forEach((lab) => {
+            let target = convert.Lab(lab[0], lab[1], lab[2]);
+            let spectrum = spectral.fromXYZ(target, 'D50', '2');
+            expect(spectrum.startnm).toBe(380);
+            expect(spectrum.endnm).toBe(780);
+            expect(spectrum.step).toBe(10);
+            expect(spectrum.data).toHaveLength(41);
+            expect(spectrum.coefficients).toHaveLength(3);
+            expect(spectrum.dE).toBeLessThan(1e-4);
+            spectrum.data.forEach((R) => {
+                expect(R).toBeGreaterThan(0);
+                expect(R).toBeLessThan(1);
+            });
+        });
+
+        // a neutral is flat
+        let grey = spectral.fromXYZ(convert.Lab(50, 0, 0), spectral.getIlluminant('D50'), spectral.getObserver('2'));
+        grey.data.forEach((R) => expect(R).toBeCloseTo(grey.data[0], 6));
+    });
+
+    test('XYZ under another illuminant', () => {
+        // a smooth measured sample, seen under F11
+        let data = [];
+        for (let i = 0; i < 36; i++) {
+            data.push(0.2 + 0.5 * i / 35);
+        }
+        let measured = spectral.toSpectral(380, 730, data, 10);
+        let xyz = spectral.calculateXYZ(measured, spectral.getIlluminant('F11'), spectral.getObserver('2'));
+        let spectrum = spectral.fromXYZ(xyz, 'F11');
+        expect(spectrum.dE).toBeLessThan(1e-4);
+
+        // and it predicts the sample under other lights
+        ['D65', 'A'].forEach((name) => {
+            expect(convert.deltaE2000(labUnder(measured, name), labUnder(spectrum, name))).toBeLessThan(1);
+        });
+    });
+
+    test('observer, method and output grid', () => {
+        let target = convert.Lab(70, -20, 30);
+        let spectrum = spectral.fromXYZ(target, 'D65', '10', {method: 'astm-e308', startnm: 400, endnm: 700, step: 20});
+        expect(spectrum.data).toHaveLength(16);
+        expect(spectrum.dE).toBeLessThan(1e-4);
+    });
+
+    test('colours no smooth curve reaches', () => {
+        // brighter than the white and a very saturated green
+        [convert.XYZ(1.3, 1.2, 1.1), convert.Lab(50, -120, 100, convert.d50, false)].forEach((colour) => {
+            let spectrum = spectral.fromXYZ(colour, 'D50');
+            expect(spectrum.dE).toBeGreaterThan(1);
+            spectrum.data.forEach((R) => expect(R).toBeLessThanOrEqual(1));
+        });
+    });
+
+    test('invalid input', () => {
+        expect(() => spectral.fromXYZ({X: NaN, Y: 0.2, Z: 0.2}, 'D50')).toThrow();
+        expect(() => spectral.fromXYZ(null, 'D50')).toThrow();
+        expect(() => spectral.fromXYZ(convert.Lab(50, 0, 0), 'D50', '2', {startnm: 400, endnm: 705, step: 10})).toThrow();
+        expect(() => spectral.fromXYZ(convert.Lab(50, 0, 0), 'D60')).toThrow();
+    });
+});
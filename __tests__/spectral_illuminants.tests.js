@@ -0,0 +1,104 @@
+/**
+ *  Spectral — F-series illuminants, CIE daylight at any CCT and Planckian radiators
+ */
+
+const {Spectral, convert} = require('../src/main');
+
+const spectral = new Spectral();
+
+function chromaticity(whitePoint) {
+    let sum = whitePoint.X + whitePoint.Y + whitePoint.Z;
+    return [whitePoint.X / sum, whitePoint.Y / sum];
+}
+
+describe('Spectral illuminants', () => {
+
+    test('F1 - F12 match their CIE chromaticities', () => {
+        // CIE 015 Table T.8, 2° observer
+        let published = {
+            F1: [0.3131, 0.3373], F2: [0.3721, 0.3751], F3: [0.4091, 0.3941], F4: [0.4402, 0.4031],
+            F5: [0.3138, 0.3453], F6: [0.3779, 0.3882], F7: [0.3129, 0.3292], F8: [0.3458, 0.3586],
+            F9: [0.3741, 0.3727], F10: [0.3458, 0.3588], F11: [0.3805, 0.3769], F12: [0.4370, 0.4042]
+        };
+        Object.keys(published).forEach((name) => {
+            let illuminant = spectral.getIlluminant(name);
+            expect(illuminant.data).toHaveLength(81);
+            let xy = chromaticity(illuminant.whitePoint);
+            expect(Math.abs(xy[0] - published[name][0])).toBeLessThan(5e-4);
+            expect(Math.abs(xy[1] - published[name][1])).toBeLessThan(5e-4);
+        });
+        expect(spectral.getIlluminant('F11').whitePoint).toBe(convert.f11);
+        expect(spectral.getIlluminants().map((i) => i.name)).toEqual(
+            ['A', 'C', 'D50', 'D55', 'D65', 'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9', 'F10', 'F11', 'F12']);
+
+        // the worked out whitepoints agree with the convert.js ones
+        let F2 = spectral.getIlluminant('F2');
+        let worked = spectral.toIlluminant('F2', F2.startnm, F2.endnm, F2.data, F2.step).whitePoint;
+        expect(worked.X).toBeCloseTo(convert.f2.X, 4);
+        expect(worked.Z).toBeCloseTo(convert.f2.Z, 4);
+    });
+
+    test('CIE daylight at any CCT', () => {
+        // the standard tables are the daylight SPDs at these temperatures
+        [['D65', 6504], ['D55', 5503], ['D50', 5003]].forEach(([name, cct]) => {
+            let table = spectral.getIlluminant(name);
+            let daylight = spectral.daylightIlluminant(cct);
+            expect(daylight.startnm).toBe(300);
+            expect(daylight.step).toBe(5);
+            expect(daylight.temp).toBe(cct);
+            for (let nm = table.startnm; nm <= table.endnm; nm += 5) {
+                expect(Math.abs(daylight.data[(nm - 300) / 5] - table.data[(nm - table.startnm) / 5])).toBeLessThan(0.15);
+            }
+        });
+
+        let D75 = spectral.daylightIlluminant(7504).whitePoint;
+        expect(D75.X).toBeCloseTo(convert.d75.X, 3);
+        expect(D75.Z).toBeCloseTo(convert.d75.Z, 2);
+
+        // bluer as the temperature goes up
+        let xy = [4000, 6500, 10000, 25000].map((cct) => chromaticity(spectral.daylightIlluminant(cct).whitePoint));
+        for (let i = 1; i < xy.length; i++) {
+            expect(xy[i][0]).toBeLessThan(xy[i - 1][0]);
+        }
+
+        expect(spectral.daylightIlluminant(3000)).toBe(false);
+        expect(spectral.daylightIlluminant(30000)).toBe(false);
+    });
+
+    test('Planckian radiators', () => {
+        // Illuminant A: 2848 K on the old c2 of 1.435e-2
+        let planck = spectral.planckianIlluminant(2848 * 1.4388 / 1.435);
+        let A = spectral.getIlluminant('A');
+        expect(planck.data).toHaveLength(A.data.length);
+        planck.data.forEach((value, i) => expect(value / A.data[i]).toBeCloseTo(1, 4));
+        expect(planck.data[260]).toBeCloseTo(100, 10);
+        expect(planck.whitePoint.X).toBeCloseTo(convert.a.X, 4);
+
+        // on the Planckian locus, 6500 K
+        let xy = chromaticity(spectral.planckianIlluminant(6500).whitePoint);
+        expect(xy[0]).toBeCloseTo(0.3135, 3);
+        expect(xy[1]).toBeCloseTo(0.3237, 3);
+
+        expect(spectral.planckianIlluminant(0)).toBe(false);
+    });
+
+    test('metamerism under store lighting', () => {
+        // a custom light (equal energy) and a sample viewed under F11
+        let E = spectral.toIlluminant('E', 380, 780, new Array(41).fill(100));
+        expect(E.step).toBe(10);
+        expect(E.whitePoint.X).toBeCloseTo(1, 2);
+        expect(E.whitePoint.Z).toBeCloseTo(1, 2);
+
+        let data = [];
+        for (let nm = 380; nm <= 730; nm += 10) {
+            data.push(nm < 550 ? 0.1 : 0.6);
+        }
+        let sample = spectral.toSpectral(380, 730, data, 10);
+        let F11 = spectral.getIlluminant('F11');
+        let xyz = spectral.calculateXYZ(sample, F11, spectral.getObserver('2'), {method: 'astm-e308'});
+        expect(xyz.whitePoint).toBe(F11.whitePoint);
+        let lab = convert.XYZ2Lab(xyz, xyz.whitePoint);
+        expect(lab.a).toBeGreaterThan(10);
+        expect(lab.L).toBeGreaterThan(40);
+    });
+});
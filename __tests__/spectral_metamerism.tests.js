@@ -0,0 +1,126 @@
+/**
+ *  Spectral — special metamerism index and colour inconstancy
+ */
+
+const {Spectral, convert} = require('../src/main');
+
+const spectral = new Spectral();
+
+function sampled(measure) {
+    let data = [];
+    for (let nm = 380; nm <= 730; nm += 10) {
+        data.push(measure(nm));
+    }
+    return spectral.toSpectral(380, 730, data, 10);
+}
+
+function bump(centre, width) {
+    return (nm) => Math.exp(-Math.pow((nm - centre) / width, 2));
+}
+
+// A smooth grey-green "print" and a "textile" that reaches the same D65
+// colour with three narrow bumps — a strongly metameric pair
+const print = sampled((nm) => 0.25 + 0.15 * bump(530, 60)(nm));
+
+function textile() {
+    let basis = [bump(450, 20), bump(540, 20), bump(610, 20)];
+    let base = 0.1;
+    let target = spectral.calculateXYZ(print, spectral.getIlluminant('D65'), spectral.getObserver('2'));
+    let columns = basis.map((f) => spectral.calculateXYZ(sampled(f), spectral.getIlluminant('D65'), spectral.getObserver('2')));
+    let offset = spectral.calculateXYZ(sampled(() => base), spectral.getIlluminant('D65'), spectral.getObserver('2'));
+    // solve the 3 x 3 system for the bump weights
+    let m = columns.map((c) => [c.X, c.Y, c.Z]);
+    let rhs = [target.X - offset.X, target.Y - offset.Y, target.Z - offset.Z];
+    let det = (a) => a[0][0] * (a[1][1] * a[2][2] - a[2][1] * a[1][2]) -
+        a[1][0] * (a[0][1] * a[2][2] - a[2][1] * a[0][2]) +
+        a[2][0] * (a[0][1] * a[1][2] - a[1][1] * a[0][2]);
+    let d = det(m);
+    let weights = [0, 1, 2].map((i) => det(m.map((row, j) => (j === i ? rhs : row))) / d);
+    return sampled((nm) => base + basis.reduce((sum, f, i) => sum + weights[i] * f(nm), 0));
+}
+
+describe('Spectral metamerism', () => {
+
+    test('identical samples have no metamerism', () => {
+        let result = spectral.metamerismIndex(print, print, 'D65', ['A', 'F11']);
+        expect(result.reference.illuminant).toBe('D65');
+        expect(result.reference.dE).toBeCloseTo(0, 10);
+        expect(result.tests.map((t) => t.illuminant)).toEqual(['A', 'F11']);
+        result.tests.forEach((t) => expect(t.index).toBeCloseTo(0, 10));
+        expect(result.max).toBeCloseTo(0, 10);
+    });
+
+    test('a pair matched under D65 splits under A and F11', () => {
+        let pair = textile();
+        let result = spectral.metamerismIndex(print, pair, spectral.getIlluminant('D65'), [spectral.getIlluminant('A'), 'F11']);
+        expect(result.reference.dE).toBeLessThan(0.01);
+        result.tests.forEach((t) => expect(t.index).toBeGreaterThan(1));
+        expect(result.max).toBe(Math.max(result.tests[0].index, result.tests[1].index));
+        expect(result.tests[0].A.L).toBeGreaterThan(50);
+
+        // a matched pair needs no correction
+        ['additive', 'none'].forEach((correction) => {
+            let other = spectral.metamerismIndex(print, pair, 'D65', ['A', 'F11'], {correction: correction});
+            other.tests.forEach((t, i) => expect(t.index).toBeCloseTo(result.tests[i].index, 1));
+        });
+    });
+
+    test('ΔE2000 by default, other formulas on request', () => {
+        let pair = textile();
+        let dE2000 = spectral.metamerismIndex(print, pair, 'D65', ['A', 'F11']);
+        dE2000.tests.forEach((t) => expect(t.index).toBeCloseTo(convert.deltaE2000(t.A, t.B), 10));
+        expect(dE2000.reference.dE).toBeCloseTo(convert.deltaE2000(dE2000.reference.A, dE2000.reference.B), 10);
+        expect(spectral.metamerismIndex(print, pair, 'D65', ['A', 'F11'], {deltaE: 'dE2000'})).toEqual(dE2000);
+
+        let dE76 = spectral.metamerismIndex(print, pair, 'D65', ['A', 'F11'], {deltaE: 'dE76'});
+        dE76.tests.forEach((t, i) => {
+            expect(t.index).toBeCloseTo(convert.deltaE1976(t.A, t.B), 10);
+            expect(t.index).not.toBeCloseTo(dE2000.tests[i].index, 1);
+        });
+    });
+
+    test('the reference mismatch is corrected out', () => {
+        // B is A with 10% more reflectance everywhere: same chromaticity,
+        // so the multiplicative correction removes it under every light
+        let darker = sampled((nm) => 1.1 * print.data[(nm - 380) / 10]);
+        let multiplicative = spectral.metamerismIndex(print, darker, 'D50', 'F2');
+        expect(multiplicative.reference.dE).toBeGreaterThan(1);
+        expect(multiplicative.tests).toHaveLength(1);
+        expect(multiplicative.tests[0].index).toBeCloseTo(0, 8);
+
+        let none = spectral.metamerismIndex(print, darker, 'D50', 'F2', {correction: 'none'});
+        expect(none.tests[0].index).toBeCloseTo(none.reference.dE, 1);
+
+        let additive = spectral.metamerismIndex(print, darker, 'D50', 'F2', {correction: 'additive', deltaE: 'dE76'});
+        // Lab is not linear in XYZ, so the shift only mostly cancels
+        expect(additive.tests[0].index).toBeLessThan(0.5);
+        expect(additive.tests[0].index).toBeLessThan(none.tests[0].index / 5);
+        expect(additive.tests[0].B.L).toBeCloseTo(additive.tests[0].A.L, 1);
+    });
+
+    test('colour inconstancy', () => {
+        // a flat grey adapts perfectly
+        let grey = spectral.colorInconstancyIndex(sampled(() => 0.4), 'D65', ['A', 'F11', 'D50']);
+        expect(grey.reference.illuminant).toBe('D65');
+        expect(grey.reference.Lab.L).toBeCloseTo(convert.XYZ2Lab(convert.XYZ(0.4, 0.4, 0.4), convert.d65).L, 1);
+        grey.tests.forEach((t) => expect(t.index).toBeLessThan(1e-4));
+
+        // the bumpy textile shifts far more than the smooth print
+        let smooth = spectral.colorInconstancyIndex(print, 'D65', ['A', 'F11']);
+        let bumpy = spectral.colorInconstancyIndex(textile(), 'D65', ['A', 'F11']);
+        expect(bumpy.max).toBeGreaterThan(smooth.max);
+        expect(bumpy.tests[1].index).toBeGreaterThan(1);
+
+        // relative to the reference white, whatever the observer and method
+        let ten = spectral.colorInconstancyIndex(sampled(() => 0.4), 'D65', 'A', {observer: '10', method: 'astm-e308'});
+        expect(ten.tests[0].index).toBeLessThan(1e-4);
+        expect(ten.reference.Lab.a).toBeCloseTo(0, 6);
+    });
+
+    test('invalid options', () => {
+        expect(() => spectral.metamerismIndex(print, print, 'D65', 'F11', {correction: 'scaled'})).toThrow();
+        expect(() => spectral.metamerismIndex(print, print, 'D65', 'F11', {deltaE: 'dE99'})).toThrow();
+        expect(() => spectral.metamerismIndex(print, print, 'D60', 'F11')).toThrow();
+        expect(() => spectral.colorInconstancyIndex(print, 'D65', 'F11', {observer: '5'})).toThrow();
+    });
+});
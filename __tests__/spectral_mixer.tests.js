@@ -0,0 +1,133 @@
+/**
+ *  SpectralMixer — Kubelka-Munk, Yule-Nielsen Neugebauer and overprints
+ */
+
+const {Spectral, SpectralMixer, convert} = require('../src/main');
+
+const spectral = new Spectral();
+const mixer = new SpectralMixer();
+
+function sampled(measure) {
+    let data = [];
+    for (let nm = 380; nm <= 730; nm += 10) {
+        data.push(measure(nm));
+    }
+    return spectral.toSpectral(380, 730, data, 10);
+}
+
+function edge(at, low, high, width) {
+    return (nm) => low + (high - low) / (1 + Math.exp(-(nm - at) / width));
+}
+
+function labD50(spectrum) {
+    let xyz = spectral.calculateXYZ(spectrum, spectral.getIlluminant('D50'), spectral.getObserver('2'));
+    return convert.XYZ2Lab(xyz, xyz.whitePoint);
+}
+
+const paper = sampled(() => 0.9);
+const yellow = sampled(edge(500, 0.05, 0.85, 12));
+const blue = sampled(edge(520, 0.6, 0.04, 15));
+const black = sampled(() => 0.03);
+
+describe('SpectralMixer', () => {
+
+    test('Kubelka-Munk single constant', () => {
+        // a masstone on its own is itself
+        let same = mixer.kubelkaMunk([{spectrum: yellow, amount: 2}]);
+        same.data.forEach((R, i) => expect(R).toBeCloseTo(yellow.data[i], 10));
+        let glossy = mixer.kubelkaMunk([{spectrum: yellow, amount: 1}, {spectrum: yellow, amount: 1}], {saunderson: {k1: 0.04, k2: 0.6}});
+        glossy.data.forEach((R, i) => expect(R).toBeCloseTo(yellow.data[i], 10));
+
+        // yellow and blue paint make green, darker than either on average
+        let green = mixer.kubelkaMunk([{spectrum: yellow, amount: 1}, {spectrum: blue, amount: 1}]);
+        expect(green.startnm).toBe(380);
+        expect(green.data).toHaveLength(36);
+        let lab = labD50(green);
+        expect(lab.a).toBeLessThan(-10);
+        green.data.forEach((R, i) => expect(R).toBeLessThan((yellow.data[i] + blue.data[i]) / 2 + 1e-12));
+
+        // more blue, bluer
+        expect(labD50(mixer.kubelkaMunk([{spectrum: yellow, amount: 1}, {spectrum: blue, amount: 3}])).b).toBeLessThan(lab.b);
+    });
+
+    test('Kubelka-Munk two constant', () => {
+        let white = {K: sampled(() => 0.01), S: sampled(() => 1)};
+        let tint = {K: sampled(edge(550, 2, 0.05, 20)), S: sampled(() => 0.05)};
+        let light = mixer.kubelkaMunk([Object.assign({amount: 20}, white), Object.assign({amount: 1}, tint)]);
+        let dark = mixer.kubelkaMunk([Object.assign({amount: 5}, white), Object.assign({amount: 1}, tint)]);
+        expect(labD50(dark).L).toBeLessThan(labD50(light).L);
+        light.data.forEach((R) => {
+            expect(R).toBeGreaterThan(0);
+            expect(R).toBeLessThan(1);
+        });
+
+        // white alone: R∞ from K/S = 0.01
+        let ks = 0.01;
+        expect(mixer.kubelkaMunk([Object.assign({amount: 1}, white)]).data[0]).toBeCloseTo(1 + ks - Math.sqrt(ks * ks + 2 * ks), 12);
+    });
+
+    test('Yule-Nielsen spectral Neugebauer', () => {
+        let overprint = sampled(edge(510, 0.02, 0.5, 14));
+        let primaries = [paper, yellow, blue, overprint];
+
+        let none = mixer.neugebauer(primaries, [0, 0]);
+        none.data.forEach((R, i) => expect(R).toBeCloseTo(paper.data[i], 12));
+        let both = mixer.neugebauer(primaries, [1, 1], {n: 1.7});
+        both.data.forEach((R, i) => expect(R).toBeCloseTo(overprint.data[i], 12));
+
+        // n = 1 is the area weighted mean, larger n darker
+        let plain = mixer.neugebauer([paper, black], [0.5], {n: 1});
+        expect(plain.data[0]).toBeCloseTo((0.9 + 0.03) / 2, 12);
+        let gained = mixer.neugebauer([paper, black], [0.5]);
+        expect(gained.data[0]).toBeCloseTo(Math.pow((Math.sqrt(0.9) + Math.sqrt(0.03)) / 2, 2), 12);
+        expect(gained.data[0]).toBeLessThan(plain.data[0]);
+
+        // back from a measured tint to its effective coverage
+        let tint = mixer.neugebauer([paper, blue], [0.37], {n: 1.8});
+        expect(mixer.effectiveCoverage(paper, blue, tint, {n: 1.8})).toBeCloseTo(0.37, 10);
+        expect(mixer.effectiveCoverage(paper, blue, paper)).toBe(0);
+    });
+
+    test('spot overprints', () => {
+        // a transparent spot over paper is the spot
+        let onPaper = mixer.overprint(paper, yellow, {paper: paper});
+        onPaper.data.forEach((R, i) => expect(R).toBeCloseTo(yellow.data[i], 12));
+
+        // a semi-opaque spot: fitted from three backgrounds, predicts a fourth
+        let truth = (background) => sampled((nm) => {
+            let i = (nm - 380) / 10;
+            return 0.8 * background.data[i] * yellow.data[i] + 0.1 * yellow.data[i];
+        });
+        let backgrounds = [paper, blue, black];
+        let model = mixer.fitOverprint(backgrounds.map((b) => ({background: b, foreground: yellow, measured: truth(b)})));
+        expect(model.j).toHaveLength(36);
+        model.j.forEach((j) => expect(j).toBeCloseTo(0.8, 8));
+
+        let grey = sampled(() => 0.4);
+        let predicted = mixer.overprint(grey, yellow, {model: model});
+        predicted.data.forEach((R, i) => expect(R).toBeCloseTo(truth(grey).data[i], 8));
+        expect(convert.deltaE2000(labD50(predicted), labD50(truth(grey)))).toBeLessThan(1e-4);
+
+        // over black the semi-opaque spot still shows, a transparent one would not
+        let transparent = mixer.overprint(black, yellow, {paper: paper});
+        expect(labD50(transparent).L).toBeLessThan(labD50(mixer.overprint(black, yellow, {model: model})).L - 5);
+
+        // a single measured overprint fits j alone
+        let single = mixer.fitOverprint([{background: blue, foreground: yellow, measured: truth(blue)}]);
+        single.k.forEach((k) => expect(k).toBe(0));
+    });
+
+    test('invalid input', () => {
+        let coarse = spectral.toSpectral(400, 700, new Array(16).fill(0.5), 20);
+        expect(() => mixer.kubelkaMunk([{spectrum: yellow, amount: 1}, {spectrum: coarse, amount: 1}])).toThrow();
+        expect(() => mixer.kubelkaMunk([{spectrum: yellow, amount: 0}])).toThrow();
+        expect(() => mixer.kubelkaMunk([])).toThrow();
+        expect(() => mixer.kubelkaMunk([{spectrum: yellow, amount: 1}], {saunderson: {k1: 0.04}})).toThrow();
+        expect(() => mixer.neugebauer([paper, yellow], [0.5, 0.5])).toThrow();
+        expect(() => mixer.neugebauer([paper, yellow], [1.5])).toThrow();
+        expect(() => mixer.neugebauer([paper, yellow], [0.5], {n: 0.5})).toThrow();
+        expect(() => mixer.effectiveCoverage(paper, paper, paper)).toThrow();
+        expect(() => mixer.overprint(paper, yellow)).toThrow();
+        expect(() => mixer.overprint(paper, coarse, {paper: paper})).toThrow();
+    });
+});
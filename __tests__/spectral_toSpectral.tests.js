@@ -0,0 +1,30 @@
+/**
+ *  Spectral.toSpectral() — working out the step
+ */
+
+const {Spectral} = require('../src/main');
+
+const spectral = new Spectral();
+
+describe('Spectral.toSpectral', () => {
+
+    test('the step comes from the range and the number of values', () => {
+        expect(spectral.toSpectral(380, 730, new Array(36).fill(0.5)).step).toBe(10);
+        expect(spectral.toSpectral(380, 780, new Array(81).fill(0.5)).step).toBe(5);
+        expect(spectral.toSpectral(400, 700, new Array(16).fill(0.5), 20).step).toBe(20);
+    });
+
+    test('a worked out step integrates like an explicit one', () => {
+        let data = [];
+        for (let i = 0; i < 36; i++) {
+            data.push(0.1 + 0.02 * i);
+        }
+        let D50 = spectral.getIlluminant('D50');
+        let obs2 = spectral.getObserver('2');
+        let explicit = spectral.calculateXYZ(spectral.toSpectral(380, 730, data, 10), D50, obs2);
+        let derived = spectral.calculateXYZ(spectral.toSpectral(380, 730, data), D50, obs2);
+        expect(derived.X).toBeCloseTo(explicit.X, 12);
+        expect(derived.Y).toBeCloseTo(explicit.Y, 12);
+        expect(derived.Z).toBeCloseTo(explicit.Z, 12);
+    });
+});
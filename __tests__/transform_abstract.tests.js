@@ -0,0 +1,138 @@
+/**
+ *  Abstract profiles ('abst', Lab → Lab A2B0) in transform chains
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {Profile, Transform, eIntent, color} = require('../src/main');
+const encodeICC = require('../src/encodeICC');
+
+function loadFixture(name) {
+    return new Profile(new Uint8Array(fs.readFileSync(path.join(__dirname, name))));
+}
+
+/**
+ * A 2x2x2 Lab → Lab CLUT that scales L by 0.9 and leaves a and b alone.
+ * Linear in the encoded values, so interpolation is exact for both the
+ * V2 and the V4 Lab encodings.
+ */
+function darkenCLUT() {
+    let CLUT = new Uint16Array(24);
+    let pos = 0;
+    for (let L = 0; L < 2; L++) {
+        for (let a = 0; a < 2; a++) {
+            for (let b = 0; b < 2; b++) {
+                CLUT[pos++] = Math.round(L * 65535 * 0.9);
+                CLUT[pos++] = a * 65535;
+                CLUT[pos++] = b * 65535;
+            }
+        }
+    }
+    return CLUT;
+}
+
+function abstractProfile(version) {
+    let lut = {
+        inputChannels: 3,
+        outputChannels: 3,
+        gridPoints: [2, 2, 2],
+        CLUT: darkenCLUT(),
+        precision: 16,
+        bCurves: false,
+        matrix: false,
+        mCurves: false,
+        aCurves: false
+    };
+    let tags = version === 4
+        ? [
+            {sig: 'desc', data: encodeICC.multiLocalizedUnicodeType('Darken')},
+            {sig: 'wtpt', data: encodeICC.XYZType({X: 0.9642, Y: 1, Z: 0.8249})},
+            {sig: 'A2B0', data: encodeICC.lut(lut, 'mAB ')}
+        ]
+        : [
+            {sig: 'desc', data: encodeICC.textDescriptionType('Darken')},
+            {sig: 'wtpt', data: encodeICC.XYZType({X: 0.9642, Y: 1, Z: 0.8249})},
+            {sig: 'A2B0', data: encodeICC.lut(lut, 'mft2')}
+        ];
+    return new Profile(encodeICC.profile(
+        {version: version, pClass: 'abst', space: 'Lab ', pcs: 'Lab ', date: new Date()},
+        tags
+    ));
+}
+
+function run(chain, input, options) {
+    let t = new Transform(options);
+    t.createMultiStage(chain);
+    return t.transform(input);
+}
+
+describe('Abstract profiles', () => {
+    const rgb = color.RGB(200, 100, 30);
+    let expected;
+
+    beforeAll(() => {
+        expected = run(['*sRGB', eIntent.relative, '*Lab'], rgb);
+    });
+
+    test('loads a Lab to Lab abstract profile', () => {
+        let p = abstractProfile(4);
+        expect(p.loaded).toBe(true);
+        expect(p.header.pClass).toBe('abst');
+        expect(p.colorSpace).toBe('LAB');
+        expect(p.pcs).toBe('LAB');
+        expect(p.A2B[0].type).toBe('mAB ');
+    });
+
+    [4, 2].forEach((version) => {
+        test('V' + version + ' abstract in the middle of a chain is applied in the PCS', () => {
+            let lab = run(['*sRGB', eIntent.relative, abstractProfile(version), eIntent.relative, '*Lab'], rgb);
+            expect(lab.L).toBeCloseTo(expected.L * 0.9, 1);
+            expect(lab.a).toBeCloseTo(expected.a, 1);
+            expect(lab.b).toBeCloseTo(expected.b, 1);
+        });
+    });
+
+    test('abstract as the last profile outputs Lab', () => {
+        let t = new Transform();
+        t.create('*sRGB', abstractProfile(4), eIntent.relative);
+        let lab = t.transform(rgb);
+        expect(lab.L).toBeCloseTo(expected.L * 0.9, 1);
+        expect(lab.b).toBeCloseTo(expected.b, 1);
+    });
+
+    test('abstract as the first profile takes Lab input', () => {
+        let t = new Transform();
+        t.create(abstractProfile(4), '*Lab', eIntent.relative);
+        let lab = t.transform(color.Lab(60, 20, -30));
+        expect(lab.L).toBeCloseTo(54, 1);
+        expect(lab.a).toBeCloseTo(20, 1);
+        expect(lab.b).toBeCloseTo(-30, 1);
+    });
+
+    test('identity abstract written by toBinary() leaves colours alone', () => {
+        let identity = new Profile(new Profile('*LabD50').toBinary());
+        let rgbOut = run(['*sRGB', eIntent.relative, identity, eIntent.relative, '*sRGB'], rgb);
+        expect(rgbOut.R).toBe(200);
+        expect(rgbOut.G).toBe(100);
+        expect(rgbOut.B).toBe(30);
+    });
+
+    test('prebuilt LUT through an abstract into CMYK', () => {
+        let cmyk = loadFixture('GRACoL2006_Coated1v2.icc');
+        let chain = () => ['*sRGB', eIntent.perceptual, abstractProfile(4), eIntent.relative, cmyk];
+        let accurate = run(chain(), rgb);
+        let viaLut = run(chain(), rgb, {buildLut: true});
+        let plain = run(['*sRGB', eIntent.perceptual, cmyk], rgb);
+
+        ['C', 'M', 'Y', 'K'].forEach((ch) => {
+            expect(Math.abs(viaLut[ch] - accurate[ch])).toBeLessThanOrEqual(1);
+        });
+        // darker in, more ink out
+        expect(accurate.K).toBeGreaterThan(plain.K);
+    });
+
+    test('virtual Lab profiles in the middle are not treated as abstract', () => {
+        let lab = run(['*sRGB', eIntent.relative, '*Lab', eIntent.relative, '*Lab'], rgb);
+        expect(lab.L).toBeCloseTo(expected.L, 3);
+    });
+});
@@ -0,0 +1,206 @@
+/**
+ *  Device links — Transform.toDeviceLink() export, and link profiles in a chain
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {Profile, Transform, eIntent, eProfileType, color} = require('../src/main');
+const decodeICC = require('../src/decodeICC');
+const encodeICC = require('../src/encodeICC');
+
+function loadFixture(name) {
+    return new Profile(new Uint8Array(fs.readFileSync(path.join(__dirname, name))));
+}
+
+function tagData(bytes, sig) {
+    let p = new Profile();
+    let tag = p.decodeTags(bytes).find((t) => t.sig === sig);
+    return tag;
+}
+
+describe('Transform.toDeviceLink()', () => {
+    test('sRGB to CMYK writes a V4 link profile with the baked CLUT', () => {
+        let cmyk = loadFixture('GRACoL2006_Coated1v2.icc');
+        let t = new Transform({buildLut: true, dataFormat: 'device'});
+        t.create('*sRGB', cmyk, eIntent.perceptual);
+
+        let bytes = t.toDeviceLink({copyright: 'Test'});
+        let p = new Profile();
+        let header = p.decodeHeader(bytes);
+
+        expect(bytes).toBeInstanceOf(Uint8Array);
+        expect(header.version[0]).toBe(4);
+        expect(header.pClass).toBe('link');
+        expect(header.space).toBe('RGB ');
+        expect(header.pcs).toBe('CMYK');
+        expect(header.intent).toBe(eIntent.perceptual);
+        expect(header.profileSize).toBe(bytes.length);
+
+        let a2b0 = tagData(bytes, 'A2B0');
+        let lut = decodeICC.lut(bytes, a2b0.offset);
+        expect(lut.type).toBe('mAB ');
+        expect(lut.inputChannels).toBe(3);
+        expect(lut.outputChannels).toBe(4);
+        expect(lut.gridPoints).toEqual(t.lut.gridPoints);
+        expect(lut.CLUT.length).toBe(t.lut.CLUT.length);
+        for (let i = 0; i < lut.CLUT.length; i += 97) {
+            expect(lut.CLUT[i]).toBe(Math.round(t.lut.CLUT[i] * 65535));
+        }
+    });
+
+    test('writes a pseq entry per profile in the chain', () => {
+        let t = new Transform({buildLut: true});
+        t.createMultiStage(['*sRGB', eIntent.relative, '*Lab', eIntent.relative, '*AdobeRGB']);
+
+        let bytes = t.toDeviceLink();
+        let pseq = tagData(bytes, 'pseq');
+        let view = new DataView(bytes.buffer, bytes.byteOffset);
+        expect(view.getUint32(pseq.offset + 8)).toBe(3);
+        expect(new Profile().decodeHeader(bytes).intent).toBe(eIntent.relative);
+    });
+
+    test('Lab output keeps the V4 Lab encoding', () => {
+        let t = new Transform({buildLut: true});
+        t.create('*sRGB', '*Lab', eIntent.relative);
+        let bytes = t.toDeviceLink({description: 'sRGB to Lab'});
+        let header = new Profile().decodeHeader(bytes);
+        expect(header.pcs).toBe('Lab ');
+
+        let lut = decodeICC.lut(bytes, tagData(bytes, 'A2B0').offset);
+        let last = lut.CLUT.length - 3;
+        // RGB white → L = 100, a = b = 0 in the V4 encoding
+        expect(lut.CLUT[last] / 65535 * 100).toBeCloseTo(100, 1);
+        expect(lut.CLUT[last + 1] / 65535 * 255 - 128).toBeCloseTo(0, 0);
+    });
+
+    test('throws without a prebuilt LUT', () => {
+        let t = new Transform();
+        t.create('*sRGB', '*AdobeRGB', eIntent.relative);
+        expect(() => t.toDeviceLink()).toThrow();
+    });
+});
+
+describe('Device link profiles in a chain', () => {
+    const input = color.RGB(200, 100, 30);
+    let cmyk, link, labLink;
+
+    beforeAll(() => {
+        cmyk = loadFixture('GRACoL2006_Coated1v2.icc');
+
+        let t = new Transform({buildLut: true});
+        t.create('*sRGB', cmyk, eIntent.perceptual);
+        link = new Profile(t.toDeviceLink());
+
+        let tLab = new Transform({buildLut: true});
+        tLab.create('*sRGB', '*Lab', eIntent.relative);
+        labLink = new Profile(tLab.toDeviceLink());
+    });
+
+    function direct(chain, value) {
+        let t = new Transform();
+        t.createMultiStage(chain);
+        return t.transform(value);
+    }
+
+    test('loads a link profile', () => {
+        expect(link.loaded).toBe(true);
+        expect(link.header.pClass).toBe('link');
+        expect(link.colorSpace).toBe('RGB');
+        expect(link.pcs).toBe('CMYK');
+        expect(link.type).toBe(eProfileType.RGBLut);
+        expect(link.linkOutputType).toBe(eProfileType.CMYK);
+        expect(link.linkOutputChannels).toBe(4);
+        expect(labLink.linkOutputType).toBe(eProfileType.Lab);
+    });
+
+    test('a link on its own converts device to device', () => {
+        let t = new Transform();
+        t.createMultiStage([link]);
+        expect(t.inputChannels).toBe(3);
+        expect(t.outputChannels).toBe(4);
+
+        let viaLink = t.transform(input);
+        let expected = direct(['*sRGB', eIntent.perceptual, cmyk], input);
+        ['C', 'M', 'Y', 'K'].forEach((ch) => {
+            expect(Math.abs(viaLink[ch] - expected[ch])).toBeLessThanOrEqual(1);
+        });
+    });
+
+    test('profiles next to a link label its device values', () => {
+        let viaLink = direct(['*sRGB', eIntent.relative, link, eIntent.relative, cmyk, eIntent.relative, '*Lab'], input);
+        let expected = direct(['*sRGB', eIntent.perceptual, cmyk, eIntent.relative, '*Lab'], input);
+        expect(viaLink.L).toBeCloseTo(expected.L, 0);
+        expect(viaLink.a).toBeCloseTo(expected.a, 0);
+        expect(viaLink.b).toBeCloseTo(expected.b, 0);
+    });
+
+    test('Lab output link feeds Lab values on', () => {
+        let t = new Transform();
+        t.create(labLink, '*Lab', eIntent.relative);
+        let viaLink = t.transform(input);
+        let expected = direct(['*sRGB', eIntent.relative, '*Lab'], input);
+        expect(viaLink.L).toBeCloseTo(expected.L, 0);
+        expect(viaLink.a).toBeCloseTo(expected.a, 0);
+        expect(viaLink.b).toBeCloseTo(expected.b, 0);
+    });
+
+    test('link as the last profile in the chain', () => {
+        let viaLink = direct(['*AdobeRGB', eIntent.relative, '*sRGB', eIntent.relative, link], input);
+        let expected = direct(['*AdobeRGB', eIntent.relative, '*sRGB', eIntent.perceptual, cmyk], input);
+        ['C', 'M', 'Y', 'K'].forEach((ch) => {
+            expect(Math.abs(viaLink[ch] - expected[ch])).toBeLessThanOrEqual(1);
+        });
+    });
+
+    test('prebuilt LUT through a link', () => {
+        let t = new Transform({buildLut: true, dataFormat: 'int8'});
+        t.createMultiStage([link]);
+        let out = t.transformArray([200, 100, 30]);
+        let expected = direct(['*sRGB', eIntent.perceptual, cmyk], input);
+        expect(Math.abs(out[0] - expected.C * 2.55)).toBeLessThan(3);
+        expect(Math.abs(out[3] - expected.K * 2.55)).toBeLessThan(3);
+    });
+
+    test('V2 mft2 link', () => {
+        let identity = {
+            inputChannels: 3,
+            outputChannels: 3,
+            gridPoints: [2, 2, 2],
+            CLUT: new Uint16Array([0, 0, 0, 0, 0, 65535, 0, 65535, 0, 0, 65535, 65535,
+                65535, 0, 0, 65535, 0, 65535, 65535, 65535, 0, 65535, 65535, 65535]),
+            precision: 16
+        };
+        // swap red and blue
+        for (let i = 0; i < identity.CLUT.length; i += 3) {
+            let r = identity.CLUT[i];
+            identity.CLUT[i] = identity.CLUT[i + 2];
+            identity.CLUT[i + 2] = r;
+        }
+        let bytes = encodeICC.profile(
+            {version: 2, pClass: 'link', space: 'RGB ', pcs: 'RGB ', date: new Date()},
+            [
+                {sig: 'desc', data: encodeICC.textDescriptionType('swap')},
+                {sig: 'A2B0', data: encodeICC.lut(identity, 'mft2')}
+            ]
+        );
+        let swap = new Profile(bytes);
+        expect(swap.loaded).toBe(true);
+        expect(swap.version).toBe(2);
+
+        let out = direct(['*sRGB', eIntent.relative, swap, eIntent.relative, '*sRGB'], color.RGB(200, 100, 30));
+        expect(out.R).toBe(30);
+        expect(out.G).toBe(100);
+        expect(out.B).toBe(200);
+    });
+
+    test('colour space mismatch next to a link throws', () => {
+        let t = new Transform();
+        expect(() => t.createMultiStage(['*Lab', eIntent.relative, link])).toThrow(/Device link colour spaces/);
+        expect(() => t.createMultiStage([link, eIntent.relative, '*sRGB'])).toThrow(/Device link colour spaces/);
+    });
+
+    test('a lone non-link profile is still rejected', () => {
+        let t = new Transform();
+        expect(() => t.createMultiStage([cmyk])).toThrow();
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ *  gamutMapping: 'css' — CSS Color 4 OkLCh chroma reduction into RGB
+ *  outputs, in the accurate path and baked into prebuilt LUTs
+ */
+
+const {Transform, eIntent, color, convert} = require('../src/main');
+
+function create(from, to, options) {
+    let t = new Transform(Object.assign({dataFormat: 'objectFloat'}, options));
+    t.create(from, to, eIntent.relative);
+    return t;
+}
+
+function toOkLCh(rgbf, profile) {
+    let t = create(profile, '*OkLCh');
+    return t.transform(rgbf);
+}
+
+function hueDiff(h1, h2) {
+    let d = Math.abs(h1 - h2) % 360;
+    return d > 180 ? 360 - d : d;
+}
+
+describe('CSS gamut mapping', () => {
+
+    test('in gamut colours are unchanged', () => {
+        let mapped = create('*DisplayP3', '*sRGB', {gamutMapping: 'css'});
+        let clipped = create('*DisplayP3', '*sRGB');
+        [color.RGBf(0.5, 0.4, 0.3), color.RGBf(1, 1, 1), color.RGBf(0, 0, 0), color.RGBf(0.2, 0.6, 0.3)].forEach((rgb) => {
+            let a = mapped.transform(rgb);
+            let b = clipped.transform(rgb);
+            expect(a.Rf).toBeCloseTo(b.Rf, 10);
+            expect(a.Gf).toBeCloseTo(b.Gf, 10);
+            expect(a.Bf).toBeCloseTo(b.Bf, 10);
+        });
+    });
+
+    test('P3 primaries keep their hue better than clipping', () => {
+        let mapped = create('*DisplayP3', '*sRGB', {gamutMapping: 'css'});
+        let clipped = create('*DisplayP3', '*sRGB');
+
+        [color.RGBf(0, 1, 0), color.RGBf(1, 0, 0), color.RGBf(0, 0, 1), color.RGBf(1, 1, 0), color.RGBf(0, 1, 1)].forEach((rgb) => {
+            let origin = toOkLCh(rgb, '*DisplayP3');
+            let m = mapped.transform(rgb);
+            let c = clipped.transform(rgb);
+
+            ['Rf', 'Gf', 'Bf'].forEach((k) => {
+                expect(m[k]).toBeGreaterThanOrEqual(-1e-9);
+                expect(m[k]).toBeLessThanOrEqual(1 + 1e-9);
+            });
+
+            let mLCh = toOkLCh(m, '*sRGB');
+            let cLCh = toOkLCh(c, '*sRGB');
+            expect(hueDiff(mLCh.H, origin.H)).toBeLessThanOrEqual(hueDiff(cLCh.H, origin.H) + 0.01);
+            expect(Math.abs(mLCh.L - origin.L)).toBeLessThan(0.03);
+            expect(mLCh.C).toBeLessThan(origin.C);
+        });
+
+        // P3 green no longer clips to pure sRGB green
+        let green = mapped.transform(color.RGBf(0, 1, 0));
+        expect(green.Bf).toBeGreaterThan(0.1);
+    });
+
+    test('the result is within the JND of the chroma reduced colour', () => {
+        let mapped = create('*Lab', '*sRGB', {gamutMapping: 'css'});
+        let lab = color.Lab(60, -80, -60);
+        let origin = convert.Lab2XYZ(lab);
+        let originLCh = convert.Oklab2OkLCh(convert.XYZ2Oklab(origin, convert.d50));
+
+        let out = toOkLCh(mapped.transform(lab), '*sRGB');
+        let sameChroma = convert.OkLCh(originLCh.L, out.C, originLCh.H);
+        expect(convert.deltaEOK(out, sameChroma)).toBeLessThan(0.02);
+
+        // a larger JND stays closer to plain clipping
+        let loose = create('*Lab', '*sRGB', {gamutMapping: 'css', gamutMappingJND: 0.2});
+        let clip = create('*Lab', '*sRGB').transform(lab);
+        let looseOut = loose.transform(lab);
+        let strictOut = mapped.transform(lab);
+        let dist = (a) => Math.hypot(a.Rf - clip.Rf, a.Gf - clip.Gf, a.Bf - clip.Bf);
+        expect(dist(looseOut)).toBeLessThan(dist(strictOut));
+    });
+
+    test('lightness beyond white and black', () => {
+        let mapped = create('*Lab', '*sRGB', {gamutMapping: 'css', dataFormat: 'object'});
+        expect(mapped.transform(color.Lab(100, 0, 0))).toEqual(color.RGB(255, 255, 255));
+        expect(mapped.transform(convert.Lab(105, 40, 20, undefined, false))).toEqual(color.RGB(255, 255, 255));
+        expect(mapped.transform(color.Lab(0, 0, 0))).toEqual(color.RGB(0, 0, 0));
+    });
+
+    test('baked into a prebuilt LUT', () => {
+        let accurate = create('*Rec2020', '*sRGB', {gamutMapping: 'css', dataFormat: 'object'});
+        let lut = create('*Rec2020', '*sRGB', {gamutMapping: 'css', dataFormat: 'int8', buildLut: true});
+        expect(lut.lut.gamutMapping).toBe('css');
+
+        let input = new Uint8ClampedArray([0, 255, 0, 255, 0, 0, 40, 200, 90, 120, 120, 240]);
+        let out = lut.transformArray(input);
+        for (let i = 0; i < input.length; i += 3) {
+            let expected = accurate.transform(color.RGB(input[i], input[i + 1], input[i + 2]));
+            expect(Math.abs(out[i] - expected.R)).toBeLessThanOrEqual(4);
+            expect(Math.abs(out[i + 1] - expected.G)).toBeLessThanOrEqual(4);
+            expect(Math.abs(out[i + 2] - expected.B)).toBeLessThanOrEqual(4);
+        }
+    });
+
+    test('multi-stage chains map into the last profile', () => {
+        let t = new Transform({dataFormat: 'objectFloat', gamutMapping: 'css'});
+        t.createMultiStage(['*DisplayP3', eIntent.relative, '*Lab', eIntent.relative, '*sRGB']);
+        let direct = create('*DisplayP3', '*sRGB', {gamutMapping: 'css'});
+        expect(t.transform(color.RGBf(0, 1, 0)).Bf).toBeCloseTo(direct.transform(color.RGBf(0, 1, 0)).Bf, 6);
+    });
+
+    test('unsupported outputs and values throw', () => {
+        expect(() => create('*sRGB', '*Lab', {gamutMapping: 'css'})).toThrow(/RGB matrix/);
+        expect(() => create('*sRGB', '*Rec2100PQ', {gamutMapping: 'css'})).toThrow(/SDR/);
+        expect(() => create('*sRGB', '*AdobeRGB', {gamutMapping: 'chroma'})).toThrow(/Unknown gamutMapping/);
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ *  Oklab / OkLCh, Jzazbz / JzCzhz and ICtCp — convert functions and
+ *  Transform input / output via *Oklab, *OkLCh, *Jzazbz, *JzCzhz, *ICtCp
+ */
+
+const {Transform, eIntent, eColourType, color, convert} = require('../src/main');
+
+function run(from, to, input, options) {
+    let t = new Transform(options);
+    t.create(from, to, eIntent.relative);
+    return t.transform(input);
+}
+
+function expectClose(obj, expected, digits) {
+    Object.keys(expected).forEach((key) => {
+        expect(obj[key]).toBeCloseTo(expected[key], digits);
+    });
+}
+
+describe('Perceptually uniform spaces', () => {
+
+    test('Oklab reference values', () => {
+        // https://bottosson.github.io/posts/oklab/ — table of test values
+        expectClose(convert.XYZ2Oklab(convert.XYZ(0.950, 1.000, 1.089)), {L: 1.000, a: 0.000, b: 0.000}, 3);
+        expectClose(convert.XYZ2Oklab(convert.XYZ(1, 0, 0)), {L: 0.450, a: 1.236, b: -0.019}, 3);
+        expectClose(convert.XYZ2Oklab(convert.XYZ(0, 1, 0)), {L: 0.922, a: -0.671, b: 0.263}, 3);
+        expectClose(convert.XYZ2Oklab(convert.XYZ(0, 0, 1)), {L: 0.153, a: -1.415, b: -0.449}, 3);
+        expect(convert.XYZ2Oklab(convert.XYZ(0, 0, 1)).type).toBe(eColourType.Oklab);
+    });
+
+    test('round trips, with and without a D50 white', () => {
+        let xyz = {X: 0.3, Y: 0.2, Z: 0.6};
+        [undefined, convert.d50].forEach((white) => {
+            // Bradford there and back is good to ~1e-7
+            expectClose(convert.Oklab2XYZ(convert.XYZ2Oklab(xyz, white), white), xyz, 6);
+            expectClose(convert.Jzazbz2XYZ(convert.XYZ2Jzazbz(xyz, white), white), xyz, 6);
+            expectClose(convert.ICtCp2XYZ(convert.XYZ2ICtCp(xyz, white), white), xyz, 6);
+        });
+        expectClose(convert.XYZ2Oklab(convert.d50, convert.d50), {L: 1, a: 0, b: 0}, 3);
+
+        let oklab = convert.XYZ2Oklab(xyz);
+        let lch = convert.Oklab2OkLCh(oklab);
+        expect(lch.type).toBe(eColourType.OkLCh);
+        expectClose(convert.OkLCh2Oklab(lch), {L: oklab.L, a: oklab.a, b: oklab.b}, 12);
+
+        let jz = convert.XYZ2Jzazbz(xyz);
+        let jzch = convert.Jzazbz2JzCzhz(jz);
+        expect(jzch.type).toBe(eColourType.JzCzhz);
+        expectClose(convert.JzCzhz2Jzazbz(jzch), {Jz: jz.Jz, az: jz.az, bz: jz.bz}, 12);
+    });
+
+    test('Jzazbz and ICtCp put relative white at 203 cd/m²', () => {
+        expectClose(convert.XYZ2Jzazbz(convert.d65), {Jz: 0.22207, az: 0, bz: 0}, 3);
+        expect(convert.XYZ2Jzazbz(convert.d65, undefined, 1000).Jz).toBeGreaterThan(0.3);
+
+        let white = convert.XYZ2ICtCp(convert.d65);
+        expect(white.I).toBeCloseTo(convert.PQGamma(203 / 10000), 4);
+        expect(white.Ct).toBeCloseTo(0, 3);
+        expect(white.Cp).toBeCloseTo(0, 3);
+    });
+
+    test('Transform output', () => {
+        // sRGB red, CSS Color 4: oklab(0.62796 0.22486 0.12585)
+        let red = run('*sRGB', '*Oklab', color.RGB(255, 0, 0));
+        expect(red.type).toBe(eColourType.Oklab);
+        expectClose(red, {L: 0.62796, a: 0.22486, b: 0.12585}, 3);
+
+        let lch = run('*sRGB', '*OkLCh', color.RGB(255, 0, 0));
+        expect(lch.type).toBe(eColourType.OkLCh);
+        expectClose(lch, {L: 0.62796, C: 0.25768, H: 29.23}, 2);
+
+        expect(run('*sRGB', '*ICtCp', color.RGB(255, 255, 255)).I).toBeCloseTo(0.5807, 3);
+        expect(run('*sRGB', '*Jzazbz', color.RGB(255, 255, 255)).Jz).toBeCloseTo(0.22207, 3);
+        expect(run('*sRGB', '*JzCzhz', color.RGB(0, 0, 255)).type).toBe(eColourType.JzCzhz);
+    });
+
+    test('Transform input, on the new profiles and on *Lab', () => {
+        let oklab = convert.Oklab(0.62796, 0.22486, 0.12585);
+        expectClose(run('*Oklab', '*sRGB', oklab), {R: 255, G: 0, B: 0}, 0);
+        expectClose(run('*Lab', '*sRGB', oklab), {R: 255, G: 0, B: 0}, 0);
+        expectClose(run('*OkLCh', '*sRGB', convert.OkLCh(0.62796, 0.25768, 29.23)), {R: 255, G: 0, B: 0}, 0);
+
+        let lab = color.Lab(50, 20, -30);
+        expectClose(run('*Lab', '*Lab', convert.Lab2LCH(lab)), {L: 50, a: 20, b: -30}, 6);
+
+        let rgb = color.RGB(30, 160, 90);
+        ['*Oklab', '*OkLCh', '*Jzazbz', '*JzCzhz', '*ICtCp'].forEach((name) => {
+            let back = run(name, '*sRGB', run('*sRGB', name, rgb));
+            expectClose(back, {R: 30, G: 160, B: 90}, 0);
+        });
+    });
+
+    test('prebuilt LUTs and unsupported formats', () => {
+        let viaLut = run('*sRGB', '*Oklab', color.RGB(200, 100, 30), {buildLut: true});
+        expectClose(viaLut, run('*sRGB', '*Oklab', color.RGB(200, 100, 30)), 3);
+
+        let t = new Transform({dataFormat: 'int8'});
+        expect(() => t.create('*sRGB', '*Oklab', eIntent.relative)).toThrow(/object/);
+        expect(() => run('*Lab', '*sRGB', color.RGB(1, 2, 3))).toThrow(/not of type Lab/);
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ *  Built-in wide gamut and video virtual profiles —
+ *  *DisplayP3, *Rec2020, *Rec709, *DCIP3, *ACEScg, *LinearSRGB
+ */
+
+const {Profile, Transform, eIntent, color} = require('../src/main');
+
+function convertRGB(from, to, rgb) {
+    let t = new Transform();
+    t.create(from, to, eIntent.relative);
+    return t.transform(rgb);
+}
+
+function expectRGB(rgb, R, G, B, tolerance) {
+    expect(Math.abs(rgb.R - R)).toBeLessThanOrEqual(tolerance);
+    expect(Math.abs(rgb.G - G)).toBeLessThanOrEqual(tolerance);
+    expect(Math.abs(rgb.B - B)).toBeLessThanOrEqual(tolerance);
+}
+
+describe('Wide gamut and video virtual profiles', () => {
+
+    const names = {
+        '*DisplayP3': 'Display P3',
+        '*Rec2020': 'Rec.2020',
+        '*Rec709': 'Rec.709',
+        '*DCIP3': 'DCI-P3',
+        '*ACEScg': 'ACEScg',
+        '*LinearSRGB': 'Linear sRGB'
+    };
+
+    test('all names load as RGB matrix profiles', () => {
+        Object.keys(names).forEach((name) => {
+            let p = new Profile(name);
+            expect(p.loaded).toBe(true);
+            expect(p.name).toBe(names[name]);
+            expect(p.colorSpace).toBe('RGB');
+            expect(p.rgb.rTRC.use).toBe(true);
+        });
+        expect(new Profile('*bt2020').name).toBe('Rec.2020');
+    });
+
+    test('white is the PCS white for every white point', () => {
+        Object.keys(names).forEach((name) => {
+            let lab = convertRGB(name, '*Lab', color.RGB(255, 255, 255));
+            expect(lab.L).toBeCloseTo(100, 1);
+            expect(lab.a).toBeCloseTo(0, 1);
+            expect(lab.b).toBeCloseTo(0, 1);
+        });
+    });
+
+    test('sRGB red in Display P3', () => {
+        // CSS Color 4: color(srgb 1 0 0) = color(display-p3 0.9175 0.2003 0.1386)
+        expectRGB(convertRGB('*sRGB', '*DisplayP3', color.RGB(255, 0, 0)), 234, 51, 35, 1);
+    });
+
+    test('Display P3 red is outside sRGB', () => {
+        let rgb = convertRGB('*DisplayP3', '*sRGB', color.RGB(255, 0, 0));
+        expect(rgb.R).toBe(255);
+        expect(rgb.G).toBe(0);
+    });
+
+    test('sRGB red in Rec.2020 with the Rec.709 OETF', () => {
+        // BT.2087 linear (0.6274, 0.0691, 0.0164), then the Rec.709 OETF
+        expectRGB(convertRGB('*sRGB', '*Rec2020', color.RGB(255, 0, 0)), 202, 59, 19, 1);
+    });
+
+    test('Rec.709 and sRGB share primaries, not the tone curve', () => {
+        expectRGB(convertRGB('*sRGB', '*Rec709', color.RGB(255, 0, 0)), 255, 0, 0, 0);
+        // linear 0.2158 → Rec.709 1.099 * 0.2158^0.45 - 0.099
+        expectRGB(convertRGB('*sRGB', '*Rec709', color.RGB(128, 128, 128)), 115, 115, 115, 1);
+    });
+
+    test('linear spaces', () => {
+        expectRGB(convertRGB('*sRGB', '*LinearSRGB', color.RGB(128, 128, 128)), 55, 55, 55, 1);
+        // sRGB to ACEScg, Bradford D65 → ACES white: red (0.6131, 0.0701, 0.0206)
+        expectRGB(convertRGB('*sRGB', '*ACEScg', color.RGB(255, 0, 0)), 156, 18, 5, 1);
+    });
+
+    test('DCI-P3 uses gamma 2.6', () => {
+        let p = new Profile('*DCIP3');
+        expect(p.rgb.rTRC.gamma).toBe(2.6);
+        expect(p.chromaticAdaptation).not.toBeNull();
+    });
+
+    test('toBinary() keeps the curves', () => {
+        let p = new Profile(new Profile('*Rec2020').toBinary());
+        expect(p.loaded).toBe(true);
+        expect(p.rgb.rTRC.params.length).toBe(5);
+        let rgb = color.RGB(40, 200, 90);
+        let a = convertRGB('*Rec2020', '*Lab', rgb);
+        let b = convertRGB(p, '*Lab', rgb);
+        expect(b.L).toBeCloseTo(a.L, 2);
+        expect(b.a).toBeCloseTo(a.a, 2);
+        expect(b.b).toBeCloseTo(a.b, 2);
+    });
+});
@@ -93,8 +93,8 @@ function _sRGBProfile() {
 // ── Channel sets, scoped to colour space ───────────────────────────────────
 //
 // Numeric lookups need a context — channel index 0 means Red in RGB and
-// Cyan in CMYK. `tint` is a visualisation approximation; real ink colours
-// would come from the profile's `colorantTable` tag.
+// Cyan in CMYK. `tint` is a visualisation approximation, used when the
+// profile has no colorant table (`profile.colorants`).
 
 export const ChannelSets = {
     GRAY: [
@@ -575,7 +575,8 @@ export class ICCImage {
      *
      * @param {string|number} ref     Channel reference: 'C' / 'cyan' / 0 etc.
      * @param {string|number[]} [tint] CSS hex string ('#00AEEF') or [r,g,b]
-     *                                 array. Defaults to ChannelSets[space][i].tint.
+     *                                 array. Defaults to the profile's colorant
+     *                                 colour, else ChannelSets[space][i].tint.
      */
     renderChannelAs(ref, tint) {
         const r = this._raw;
@@ -583,7 +584,7 @@ export class ICCImage {
         if (!ch) throw new Error(`iccimage: channel '${ref}' not in ${r.colorSpace}`);
         if (ch.index >= r.channels) throw new Error(`iccimage: channel index ${ch.index} >= ${r.channels}`);
 
-        const tintRGB = _resolveTint(tint) || ch.tint;
+        const tintRGB = _resolveTint(tint) || _colorantTint(r.profile, ch.index) || ch.tint;
         const stride  = r.bytesPerPixel;
         const total   = r.width * r.height;
         const rgba    = new Uint8ClampedArray(total * 4);
@@ -786,6 +787,18 @@ function _resolveTint(tint) {
     throw new Error(`iccimage: invalid tint '${tint}' (expected '#rrggbb' or [r,g,b])`);
 }
 
+// Ink colour from the profile's colorant table (D50 Lab → sRGB bytes), or
+// null when the profile has none.
+function _colorantTint(profile, index) {
+    const colorant = profile && profile.colorants && profile.colorants[index];
+    if (!colorant) return null;
+    const { Transform, eIntent } = _engine();
+    const t = new Transform({ dataFormat: 'object' });
+    t.create('*Lab', _sRGBProfile(), eIntent.relative);
+    const rgb = t.transform(colorant.Lab);
+    return [rgb.R, rgb.G, rgb.B];
+}
+
 /**
  * In-place bilinear downsample. Generic across Uint8ClampedArray /
  * Uint16Array / Float32Array — the typed-array store does the rounding.
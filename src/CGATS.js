@@ -0,0 +1,848 @@
+/*************************************************************************
+ *  @license
+ *
+ *
+ *  Copyright © 2019, 2024 Glenn Wilton
+ *  O2 Creative Limited
+ *  www.o2creative.co.nz
+ *  support@o2creative.co.nz
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ */
+'use strict';
+
+/* ============================================================================
+ *  CGATS.js — CGATS.17 / IT8.7 measurement file reader and writer
+ * ============================================================================
+ *
+ *  Chart measurements (IT8.7/4, ECI2002, TC1617, the P2P targets ...) come
+ *  out of i1Profiler, ArgyllCMS, MeasureTool and friends as CGATS.17 text:
+ *
+ *      CGATS.17
+ *      ORIGINATOR "i1Profiler"
+ *      CREATED "2024-03-01"
+ *      KEYWORD "SAMPLE_LOC"
+ *      NUMBER_OF_FIELDS 9
+ *      BEGIN_DATA_FORMAT
+ *      SAMPLE_ID SAMPLE_LOC CMYK_C CMYK_M CMYK_Y CMYK_K LAB_L LAB_A LAB_B
+ *      END_DATA_FORMAT
+ *      NUMBER_OF_SETS 1617
+ *      BEGIN_DATA
+ *      1 "A1" 0 0 0 0 95.12 0.83 -4.10
+ *      ...
+ *      END_DATA
+ *
+ *  The first line names the file type ('CGATS.17', 'IT8.7/4', Argyll's
+ *  'CTI3' ...), then come header keywords, the data format (one field
+ *  name per column) and the sample sets. Argyll files can hold more than
+ *  one table, each starting with its own identifier line.
+ *
+ *
+ *  HOW IT IS STORED
+ *  ----------------------------------------------------------------------------
+ *
+ *  One CGATS instance is one table. Each field is a column: a
+ *  Float64Array when every value is a number, otherwise an array of
+ *  strings. Known field groups are read out as interleaved typed arrays:
+ *
+ *      getDevice()    RGB_*, CMYK_*, CMY_*, nCLR_*    device values, as in the file
+ *      getXYZ()       XYZ_X XYZ_Y XYZ_Z               0 - 100
+ *      getLab()       LAB_L LAB_A LAB_B
+ *      getSpectral()  SPECTRAL_NM380, SPECTRAL_380, nm380 ...
+ *
+ *  and written back with setDevice() / setXYZ() / setLab() /
+ *  setSpectral(). sample(i) returns one patch as colour objects, ready
+ *  for convert.deltaE2000(), a Transform or Spectral.calculateXYZ().
+ *
+ *  Device values are kept in the file's own units. CMYK is 0 - 100,
+ *  RGB is 0 - 100 from Argyll and 0 - 255 from most other tools;
+ *  `deviceRange` is guessed from the data and can be overridden.
+ *
+ *
+ *  TYPICAL USAGE
+ *  ----------------------------------------------------------------------------
+ *
+ *      var cgats = CGATS.parse(fs.readFileSync('ECI2002R.txt', 'utf8'));
+ *      var lab = cgats.getLab();           // Float64Array, L a b L a b ...
+ *
+ *      var t = new Transform();
+ *      t.create(cmykProfile, '*Lab', eIntent.absolute);
+ *      for (var i = 0; i < cgats.count; i++) {
+ *          var patch = cgats.sample(i);
+ *          var dE = convert.deltaE2000(patch.Lab, t.transform(patch.device));
+ *      }
+ *
+ *      fs.writeFileSync('out.txt', cgats.toString());
+ *
+ *  Malformed files throw a string naming the line.
+ *
+ * ============================================================================
+ */
+
+var convert = require('./convert');
+
+/**
+ * Header keywords CGATS.17 and lcms know about. Anything else is
+ * declared with KEYWORD "NAME" when written.
+ */
+var standardKeywords = [
+    'ORIGINATOR', 'FILE_DESCRIPTOR', 'DESCRIPTOR', 'CREATED', 'MANUFACTURER', 'MANUFACTURE',
+    'PROD_DATE', 'SERIAL', 'MATERIAL', 'INSTRUMENTATION', 'MEASUREMENT_SOURCE',
+    'MEASUREMENT_GEOMETRY', 'DIFFUSE_GEOMETRY', 'PRINT_CONDITIONS', 'SAMPLE_BACKING',
+    'FILTER', 'POLARIZATION', 'WEIGHTING_FUNCTION', 'COMPUTATIONAL_PARAMETER',
+    'CHISQ_DOF', 'TARGET_TYPE', 'COLORANT', 'TABLE_DESCRIPTOR', 'TABLE_NAME'
+];
+
+/** Data fields CGATS.17 defines, on top of the SPECTRAL_ and nCLR_ patterns */
+var standardFields = [
+    'SAMPLE_ID', 'SAMPLE_NAME', 'STRING',
+    'CMYK_C', 'CMYK_M', 'CMYK_Y', 'CMYK_K', 'CMY_C', 'CMY_M', 'CMY_Y', 'RGB_R', 'RGB_G', 'RGB_B',
+    'D_RED', 'D_GREEN', 'D_BLUE', 'D_VIS', 'D_MAJOR_FILTER',
+    'XYZ_X', 'XYZ_Y', 'XYZ_Z', 'XYY_X', 'XYY_Y', 'XYY_CAPY',
+    'LAB_L', 'LAB_A', 'LAB_B', 'LAB_C', 'LAB_H', 'LAB_DE', 'LAB_DE_94', 'LAB_DE_CMC', 'LAB_DE_2000',
+    'STDEV_X', 'STDEV_Y', 'STDEV_Z', 'STDEV_L', 'STDEV_A', 'STDEV_B', 'STDEV_DE', 'CHI_SQD_PAR'
+];
+
+/** Written by toString() from the table itself */
+var structuralKeywords = ['KEYWORD', 'NUMBER_OF_FIELDS', 'NUMBER_OF_SETS'];
+
+var deviceFields = {
+    RGB: ['RGB_R', 'RGB_G', 'RGB_B'],
+    CMYK: ['CMYK_C', 'CMYK_M', 'CMYK_Y', 'CMYK_K'],
+    CMY: ['CMY_C', 'CMY_M', 'CMY_Y']
+};
+
+var HEX = '0123456789ABCDEF';
+
+var spectralFieldRegex = /^(?:SPECTRAL_(?:NM_?)?|NM_?)(\d+(?:\.\d+)?)$/i;
+var nColourFieldRegex = /^([2-9A-F])CLR_([1-9A-F])$/;
+
+/**
+ * One CGATS.17 table.
+ *
+ * @example
+ *   var cgats = new CGATS({keywords: {ORIGINATOR: 'my app'}});
+ *   cgats.setDevice('CMYK', new Float64Array([0, 0, 0, 0, 100, 0, 0, 0]));
+ *   cgats.setLab(new Float64Array([95, 0, -2, 55, -37, -50]));
+ *   var text = cgats.toString();
+ */
+class CGATS {
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.identifier='CGATS.17'] File type on the first line
+     * @param {object} [options.keywords] Header keywords, {NAME: value}
+     */
+    constructor(options) {
+        options = options || {};
+
+        /** @type {string} */
+        this.identifier = options.identifier || 'CGATS.17';
+
+        /** @type {Object<string, string|number>} Header keywords, in file order */
+        this.keywords = Object.assign({}, options.keywords);
+
+        /** @type {string[]} Field names, in column order */
+        this.fields = [];
+
+        /** @type {Object<string, Float64Array|string[]>} */
+        this.columns = {};
+
+        /** @type {number} Number of sample sets */
+        this.count = 0;
+
+        /** @type {number|undefined} Full scale of the device values, guessed when undefined */
+        this.deviceRange = undefined;
+    }
+
+    // ========================================================================
+    //  Reading and writing
+    // ========================================================================
+
+    /**
+     * Parse the first table in a CGATS.17 / IT8.7 file.
+     * @param {string} text
+     * @returns {CGATS}
+     */
+    static parse(text) {
+        var tables = CGATS.parseAll(text);
+        if (tables.length === 0) {
+            throw 'CGATS: no data found';
+        }
+        return tables[0];
+    }
+
+    /**
+     * Parse every table in the file, for Argyll files such as .ti3 with
+     * more than one.
+     * @param {string} text
+     * @returns {CGATS[]}
+     */
+    static parseAll(text) {
+        if (typeof text !== 'string') {
+            throw 'CGATS: expected the file contents as a string';
+        }
+
+        var lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+        var tables = [];
+        var pos = {line: 0};
+
+        while (pos.line < lines.length) {
+            var table = parseTable(lines, pos);
+            if (!table) {
+                break;
+            }
+            tables.push(table);
+        }
+        return tables;
+    }
+
+    /**
+     * Write the table as CGATS.17 text.
+     * @param {object} [options]
+     * @param {number} [options.precision=6] Maximum decimal places for numbers
+     * @returns {string}
+     */
+    toString(options) {
+        options = options || {};
+        var precision = (options.precision === undefined) ? 6 : options.precision;
+        var out = [this.identifier];
+        var declared = {};
+        var self = this;
+
+        Object.keys(this.keywords).forEach(function (name) {
+            if (structuralKeywords.indexOf(name) >= 0) {
+                return;
+            }
+            if (standardKeywords.indexOf(name) < 0 && !declared[name]) {
+                out.push('KEYWORD "' + name + '"');
+                declared[name] = true;
+            }
+            var value = self.keywords[name];
+            out.push(name + ' ' + (typeof value === 'number' ? String(value) : quote(value)));
+        });
+
+        this.fields.forEach(function (name) {
+            if (!isStandardField(name) && !declared[name]) {
+                out.push('KEYWORD "' + name + '"');
+                declared[name] = true;
+            }
+        });
+
+        out.push('NUMBER_OF_FIELDS ' + this.fields.length);
+        out.push('BEGIN_DATA_FORMAT');
+        out.push(this.fields.join(' '));
+        out.push('END_DATA_FORMAT');
+        out.push('NUMBER_OF_SETS ' + this.count);
+        out.push('BEGIN_DATA');
+
+        var columns = this.fields.map(function (name) {
+            return self.columns[name];
+        });
+        for (var i = 0; i < this.count; i++) {
+            var row = new Array(columns.length);
+            for (var f = 0; f < columns.length; f++) {
+                row[f] = (columns[f] instanceof Float64Array) ? formatNumber(columns[f][i], precision) : quote(columns[f][i]);
+            }
+            out.push(row.join(' '));
+        }
+
+        out.push('END_DATA');
+        return out.join('\n') + '\n';
+    }
+
+    // ========================================================================
+    //  Columns
+    // ========================================================================
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    hasField(name) {
+        return this.columns.hasOwnProperty(name);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Float64Array|string[]|null} The column, shared with the table
+     */
+    column(name) {
+        return this.hasField(name) ? this.columns[name] : null;
+    }
+
+    /**
+     * Add a column, or replace it if the field already exists. The first
+     * column added to an empty table sets `count`.
+     *
+     * @param {string} name
+     * @param {Float64Array|number[]|string[]} values Numbers are stored as a Float64Array
+     */
+    setField(name, values) {
+        if (!/^\S+$/.test(name)) {
+            throw 'CGATS: invalid field name "' + name + '"';
+        }
+        if (this.fields.length === 0) {
+            this.count = values.length;
+        } else if (values.length !== this.count) {
+            throw 'CGATS: field ' + name + ' has ' + values.length + ' values, the table has ' + this.count + ' sets';
+        }
+
+        var numeric = values instanceof Float64Array || Array.prototype.every.call(values, function (v) {
+            return typeof v === 'number';
+        });
+
+        if (!this.hasField(name)) {
+            this.fields.push(name);
+        }
+        this.columns[name] = numeric ? Float64Array.from(values) : Array.from(values, String);
+    }
+
+    /**
+     * @param {string} name
+     */
+    removeField(name) {
+        var index = this.fields.indexOf(name);
+        if (index >= 0) {
+            this.fields.splice(index, 1);
+            delete this.columns[name];
+        }
+        if (this.fields.length === 0) {
+            this.count = 0;
+        }
+    }
+
+    // ========================================================================
+    //  Device values, XYZ, Lab and spectral data
+    // ========================================================================
+
+    /**
+     * The device colour space the fields describe: 'RGB', 'CMYK', 'CMY'
+     * or 'nCLR' (e.g. '6CLR'), null when there are no device values.
+     * @returns {string|null}
+     */
+    get deviceType() {
+        for (var type in deviceFields) {
+            if (this.hasFields(deviceFields[type])) {
+                return type;
+            }
+        }
+        var found = this.fields.filter(function (name) {
+            return nColourFieldRegex.test(name);
+        });
+        return found.length ? found[0].substring(0, found[0].indexOf('_')) : null;
+    }
+
+    /**
+     * @returns {string[]} Field names of the device channels, in channel order
+     */
+    get deviceFields() {
+        var type = this.deviceType;
+        if (type === null) {
+            return [];
+        }
+        return deviceFields[type] || nColourFields(type);
+    }
+
+    /**
+     * Device values interleaved by sample, in the file's units.
+     * @returns {Float64Array|null}
+     */
+    getDevice() {
+        var fields = this.deviceFields;
+        return fields.length ? this.interleave(fields) : null;
+    }
+
+    /**
+     * @param {string} type 'RGB', 'CMYK', 'CMY' or 'nCLR' such as '6CLR'
+     * @param {Float64Array|number[]} data Interleaved by sample
+     */
+    setDevice(type, data) {
+        var fields = deviceFields[type] || (/^[2-9A-F]CLR$/.test(type) ? nColourFields(type) : null);
+        if (!fields) {
+            throw 'CGATS: unknown device type "' + type + '", use RGB, CMYK, CMY or nCLR';
+        }
+        var self = this;
+        this.deviceFields.forEach(function (name) {
+            self.removeField(name);
+        });
+        this.deinterleave(fields, data);
+    }
+
+    /**
+     * @returns {Float64Array|null} X Y Z interleaved, 0 - 100
+     */
+    getXYZ() {
+        var fields = ['XYZ_X', 'XYZ_Y', 'XYZ_Z'];
+        return this.hasFields(fields) ? this.interleave(fields) : null;
+    }
+
+    /**
+     * @param {Float64Array|number[]} data X Y Z interleaved, 0 - 100
+     */
+    setXYZ(data) {
+        this.deinterleave(['XYZ_X', 'XYZ_Y', 'XYZ_Z'], data);
+    }
+
+    /**
+     * @returns {Float64Array|null} L a b interleaved
+     */
+    getLab() {
+        var fields = ['LAB_L', 'LAB_A', 'LAB_B'];
+        return this.hasFields(fields) ? this.interleave(fields) : null;
+    }
+
+    /**
+     * @param {Float64Array|number[]} data L a b interleaved
+     */
+    setLab(data) {
+        this.deinterleave(['LAB_L', 'LAB_A', 'LAB_B'], data);
+    }
+
+    /**
+     * Spectral readings, in the file's units (reflectance 0 - 1 or
+     * 0 - 100, see `scale`).
+     *
+     * @returns {{startnm:number, endnm:number, step:number, bands:number, scale:number, data:Float64Array}|null}
+     *          `data` is interleaved by sample, `bands` values each
+     */
+    getSpectral() {
+        var spectral = this.spectralFields();
+        if (spectral.fields.length === 0) {
+            return null;
+        }
+        var bands = spectral.fields.length;
+        var data = this.interleave(spectral.fields);
+        return {
+            startnm: spectral.nm[0],
+            endnm: spectral.nm[bands - 1],
+            step: bands > 1 ? (spectral.nm[bands - 1] - spectral.nm[0]) / (bands - 1) : 0,
+            bands: bands,
+            scale: this.spectralScale(data),
+            data: data
+        };
+    }
+
+    /**
+     * Replace the spectral fields with SPECTRAL_NMxxx columns.
+     * @param {number} startnm
+     * @param {number} step nm between bands
+     * @param {number} bands
+     * @param {Float64Array|number[]} data Interleaved by sample
+     */
+    setSpectral(startnm, step, bands, data) {
+        var self = this;
+        this.spectralFields().fields.forEach(function (name) {
+            self.removeField(name);
+        });
+        var fields = [];
+        for (var i = 0; i < bands; i++) {
+            fields.push('SPECTRAL_NM' + String(startnm + i * step).padStart(3, '0'));
+        }
+        this.deinterleave(fields, data);
+    }
+
+    /**
+     * One sample set as colour objects. Fields the table doesn't have are
+     * undefined.
+     *
+     * device is a CMYK (0 - 100) or RGBf colour for CMYK and RGB data,
+     * XYZ is on a D50 white with Y = 1, spectrum is reflectance 0 - 1 in
+     * the shape Spectral.calculateXYZ() takes.
+     *
+     * @param {number} index
+     * @returns {{id:(string|number), name:string, device:(_cmsCMYK|_cmsRGBf), XYZ:_cmsXYZ, Lab:_cmsLab, spectrum:_SpectralData}}
+     */
+    sample(index) {
+        if (!(index >= 0 && index < this.count)) {
+            throw 'CGATS: sample ' + index + ' out of range, the table has ' + this.count + ' sets';
+        }
+        return this.sampleAt(index, this.sampleLayout());
+    }
+
+    /**
+     * Every sample set, as sample() returns them.
+     * @returns {object[]}
+     */
+    samples() {
+        var layout = this.sampleLayout();
+        var result = new Array(this.count);
+        for (var i = 0; i < this.count; i++) {
+            result[i] = this.sampleAt(i, layout);
+        }
+        return result;
+    }
+
+    // ========================================================================
+    //  Internals
+    // ========================================================================
+
+    /**
+     * What sample() needs to know about the table, worked out once.
+     */
+    sampleLayout() {
+        var spectral = this.spectralFields();
+        var bands = spectral.fields.length;
+        return {
+            deviceType: this.deviceType,
+            deviceRange: this.deviceRange || this.guessDeviceRange(),
+            hasXYZ: this.hasFields(['XYZ_X', 'XYZ_Y', 'XYZ_Z']),
+            hasLab: this.hasFields(['LAB_L', 'LAB_A', 'LAB_B']),
+            nameField: this.hasField('SAMPLE_NAME') ? 'SAMPLE_NAME' : (this.hasField('SAMPLE_LOC') ? 'SAMPLE_LOC' : null),
+            spectral: spectral,
+            spectralScale: bands ? this.spectralScale(this.interleave(spectral.fields)) : 1,
+            step: bands > 1 ? (spectral.nm[bands - 1] - spectral.nm[0]) / (bands - 1) : 0
+        };
+    }
+
+    sampleAt(index, layout) {
+        var c = this.columns;
+        var result = {
+            id: this.hasField('SAMPLE_ID') ? c.SAMPLE_ID[index] : undefined,
+            name: layout.nameField ? c[layout.nameField][index] : undefined,
+            device: undefined,
+            XYZ: undefined,
+            Lab: undefined,
+            spectrum: undefined
+        };
+
+        if (layout.deviceType === 'CMYK') {
+            result.device = convert.CMYK(c.CMYK_C[index], c.CMYK_M[index], c.CMYK_Y[index], c.CMYK_K[index], false);
+        } else if (layout.deviceType === 'RGB') {
+            var range = layout.deviceRange;
+            result.device = convert.RGBf(c.RGB_R[index] / range, c.RGB_G[index] / range, c.RGB_B[index] / range);
+        }
+
+        if (layout.hasXYZ) {
+            result.XYZ = convert.XYZ(c.XYZ_X[index] / 100, c.XYZ_Y[index] / 100, c.XYZ_Z[index] / 100, convert.d50);
+        }
+
+        if (layout.hasLab) {
+            result.Lab = convert.Lab(c.LAB_L[index], c.LAB_A[index], c.LAB_B[index], convert.d50, false);
+        }
+
+        var spectral = layout.spectral;
+        if (spectral.fields.length) {
+            result.spectrum = {
+                startnm: spectral.nm[0],
+                endnm: spectral.nm[spectral.nm.length - 1],
+                step: layout.step,
+                data: spectral.fields.map(function (name) {
+                    return c[name][index] / layout.spectralScale;
+                })
+            };
+        }
+
+        return result;
+    }
+
+    hasFields(fields) {
+        for (var i = 0; i < fields.length; i++) {
+            if (!this.hasField(fields[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    interleave(fields) {
+        var channels = fields.length;
+        var data = new Float64Array(this.count * channels);
+        for (var f = 0; f < channels; f++) {
+            var column = this.columns[fields[f]];
+            for (var i = 0; i < this.count; i++) {
+                data[i * channels + f] = Number(column[i]);
+            }
+        }
+        return data;
+    }
+
+    deinterleave(fields, data) {
+        var channels = fields.length;
+        if (data.length % channels !== 0) {
+            throw 'CGATS: ' + data.length + ' values is not a whole number of ' + channels + ' channel samples';
+        }
+        var count = data.length / channels;
+        for (var f = 0; f < channels; f++) {
+            var column = new Float64Array(count);
+            for (var i = 0; i < count; i++) {
+                column[i] = data[i * channels + f];
+            }
+            this.setField(fields[f], column);
+        }
+    }
+
+    spectralFields() {
+        var self = this;
+        var found = [];
+        this.fields.forEach(function (name) {
+            var match = spectralFieldRegex.exec(name);
+            if (match && self.columns[name] instanceof Float64Array) {
+                found.push({name: name, nm: parseFloat(match[1])});
+            }
+        });
+        found.sort(function (a, b) {
+            return a.nm - b.nm;
+        });
+        return {
+            fields: found.map(function (f) { return f.name; }),
+            nm: found.map(function (f) { return f.nm; })
+        };
+    }
+
+    /**
+     * Argyll writes SPECTRAL_NORM; otherwise anything above 2 can't be a
+     * 0 - 1 reflectance, even with optical brighteners.
+     */
+    spectralScale(data) {
+        var norm = parseFloat(this.keywords.SPECTRAL_NORM);
+        if (norm > 0) {
+            return norm;
+        }
+        for (var i = 0; i < data.length; i++) {
+            if (data[i] > 2) {
+                return 100;
+            }
+        }
+        return 1;
+    }
+
+    /**
+     * RGB above 100 must be 0 - 255, otherwise assume Argyll's 0 - 100.
+     */
+    guessDeviceRange() {
+        var fields = this.deviceFields;
+        var max = 0;
+        for (var f = 0; f < fields.length; f++) {
+            var column = this.columns[fields[f]];
+            for (var i = 0; i < column.length; i++) {
+                max = Math.max(max, column[i]);
+            }
+        }
+        return (this.deviceType === 'RGB' && max > 100) ? 255 : 100;
+    }
+}
+
+// ============================================================================
+//  Parser
+// ============================================================================
+
+/**
+ * Parse one table starting at pos.line, leaving pos.line after its
+ * END_DATA. Returns null when only blank lines and comments are left.
+ */
+function parseTable(lines, pos) {
+    var table = new CGATS();
+    var tokens, lineNo;
+    var declaredFields, declaredSets;
+    var first = true;
+
+    // ---- header ----
+    for (;;) {
+        if (pos.line >= lines.length) {
+            if (first) {
+                return null;
+            }
+            throw 'CGATS: line ' + pos.line + ': missing BEGIN_DATA';
+        }
+
+        lineNo = pos.line + 1;
+        tokens = tokenize(lines[pos.line++], lineNo);
+        if (tokens.length === 0) {
+            continue;
+        }
+
+        var word = tokens[0].value;
+
+        // The file type, e.g. CGATS.17, IT8.7/4, CTI3
+        if (first) {
+            first = false;
+            if (tokens.length === 1 && !tokens[0].quoted && !isStructural(word)) {
+                table.identifier = word;
+                continue;
+            }
+        }
+
+        if (word === 'BEGIN_DATA_FORMAT') {
+            table.fields = readBlock(lines, pos, tokens.slice(1), 'END_DATA_FORMAT').map(function (t) {
+                return t.value;
+            });
+            if (table.fields.length === 0) {
+                throw 'CGATS: line ' + lineNo + ': empty data format';
+            }
+            continue;
+        }
+
+        if (word === 'BEGIN_DATA') {
+            break;
+        }
+
+        if (tokens.length > 2) {
+            throw 'CGATS: line ' + lineNo + ': expected KEYWORD value, found ' + tokens.length + ' values';
+        }
+
+        var value = tokens.length > 1 ? tokens[1] : {value: '', quoted: true};
+        if (word === 'KEYWORD') {
+            continue;
+        }
+        if (word === 'NUMBER_OF_FIELDS') {
+            declaredFields = parseInt(value.value, 10);
+            continue;
+        }
+        if (word === 'NUMBER_OF_SETS') {
+            declaredSets = parseInt(value.value, 10);
+            continue;
+        }
+        table.keywords[word] = (!value.quoted && isNumber(value.value)) ? Number(value.value) : value.value;
+    }
+
+    // ---- data ----
+    if (table.fields.length === 0) {
+        throw 'CGATS: line ' + lineNo + ': BEGIN_DATA before the data format';
+    }
+    if (declaredFields !== undefined && declaredFields !== table.fields.length) {
+        throw 'CGATS: NUMBER_OF_FIELDS is ' + declaredFields + ' but the data format has ' + table.fields.length + ' fields';
+    }
+
+    var values = readBlock(lines, pos, tokens.slice(1), 'END_DATA');
+    var fieldCount = table.fields.length;
+    if (values.length % fieldCount !== 0) {
+        throw 'CGATS: line ' + lineNo + ': ' + values.length + ' data values is not a whole number of ' + fieldCount + ' field sets';
+    }
+
+    var count = values.length / fieldCount;
+    if (declaredSets !== undefined && declaredSets !== count) {
+        throw 'CGATS: NUMBER_OF_SETS is ' + declaredSets + ' but the data has ' + count + ' sets';
+    }
+
+    table.count = count;
+    table.fields.forEach(function (name, f) {
+        var numeric = true;
+        for (var i = 0; i < count; i++) {
+            var token = values[i * fieldCount + f];
+            if (token.quoted || !isNumber(token.value)) {
+                numeric = false;
+                break;
+            }
+        }
+
+        var column = numeric ? new Float64Array(count) : new Array(count);
+        for (var j = 0; j < count; j++) {
+            var v = values[j * fieldCount + f].value;
+            column[j] = numeric ? Number(v) : v;
+        }
+        table.columns[name] = column;
+    });
+
+    return table;
+}
+
+/**
+ * Collect tokens up to the end marker, which may be on a line of its own
+ * or at the end of the last line.
+ */
+function readBlock(lines, pos, tokens, endMarker) {
+    var result = [];
+    var startLine = pos.line;
+    for (;;) {
+        for (var i = 0; i < tokens.length; i++) {
+            if (!tokens[i].quoted && tokens[i].value === endMarker) {
+                return result;
+            }
+            result.push(tokens[i]);
+        }
+        if (pos.line >= lines.length) {
+            throw 'CGATS: line ' + startLine + ': missing ' + endMarker;
+        }
+        tokens = tokenize(lines[pos.line], pos.line + 1);
+        pos.line++;
+    }
+}
+
+/**
+ * Split a line into whitespace separated tokens. Double quoted strings may
+ * hold spaces ("" is a literal quote), # starts a comment.
+ */
+function tokenize(line, lineNo) {
+    var tokens = [];
+    var i = 0;
+    var len = line.length;
+
+    while (i < len) {
+        var ch = line[i];
+        if (ch === ' ' || ch === '\t') {
+            i++;
+            continue;
+        }
+        if (ch === '#') {
+            break;
+        }
+        if (ch === '"' || ch === '\'') {
+            var value = '';
+            i++;
+            for (;;) {
+                if (i >= len) {
+                    throw 'CGATS: line ' + lineNo + ': unterminated string';
+                }
+                if (line[i] === ch) {
+                    if (line[i + 1] === ch) {
+                        value += ch;
+                        i += 2;
+                        continue;
+                    }
+                    i++;
+                    break;
+                }
+                value += line[i++];
+            }
+            tokens.push({value: value, quoted: true});
+            continue;
+        }
+        var start = i;
+        while (i < len && line[i] !== ' ' && line[i] !== '\t') {
+            i++;
+        }
+        tokens.push({value: line.substring(start, i), quoted: false});
+    }
+    return tokens;
+}
+
+// ============================================================================
+//  Helpers
+// ============================================================================
+
+function isNumber(str) {
+    return /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(str);
+}
+
+function isStructural(word) {
+    return word === 'BEGIN_DATA_FORMAT' || word === 'BEGIN_DATA' || word === 'KEYWORD' ||
+        standardKeywords.indexOf(word) >= 0 || structuralKeywords.indexOf(word) >= 0;
+}
+
+function isStandardField(name) {
+    return standardFields.indexOf(name) >= 0 || spectralFieldRegex.test(name) || nColourFieldRegex.test(name);
+}
+
+/** '6CLR' → ['6CLR_1' ... '6CLR_6'] */
+function nColourFields(type) {
+    var n = HEX.indexOf(type[0]);
+    var fields = [];
+    for (var i = 1; i <= n; i++) {
+        fields.push(type + '_' + HEX[i]);
+    }
+    return fields;
+}
+
+function formatNumber(value, precision) {
+    return String(Number(value.toFixed(precision)));
+}
+
+function quote(str) {
+    return '"' + String(str).replace(/"/g, '""') + '"';
+}
+
+module.exports = CGATS;
@@ -0,0 +1,547 @@
+/*************************************************************************
+ *  @license
+ *
+ *
+ *  Copyright © 2019, 2024 Glenn Wilton
+ *  O2 Creative Limited
+ *  www.o2creative.co.nz
+ *  support@o2creative.co.nz
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ */
+'use strict';
+
+/* ============================================================================
+ *  ColorAppearance.js — CAM16 and CIECAM02 colour appearance models
+ * ============================================================================
+ *
+ *  Lab says what a colour IS under one white. An appearance model says
+ *  what it LOOKS LIKE: the same print looks darker and less colourful in a
+ *  dim room than in a 2000 lux viewing booth, and a grey surround makes a
+ *  mid-tone look lighter than a black one. CAM16 (Li et al. 2017) and its
+ *  predecessor CIECAM02 (CIE 159:2004) model that from a handful of
+ *  viewing condition parameters.
+ *
+ *
+ *  VIEWING CONDITIONS
+ *  ----------------------------------------------------------------------------
+ *
+ *      whitePoint           The adopted white, XYZ with Y = 1 (or a name
+ *                           'd50', 'd65' ...). XYZ values passed in must be
+ *                           relative to it, with Y = 1 for the white.
+ *      adaptingLuminance    L_A, cd/m². Usually 20% of the white luminance,
+ *                           so a 500 lux ISO 3664 P2 booth is
+ *                           500 / π × 0.2 ≈ 32 cd/m².
+ *      backgroundLuminance  Y_b, the background relative to the white, 0 - 100.
+ *                           20 is the usual mid-grey.
+ *      surround             'average' (reflection prints), 'dim' (TV),
+ *                           'dark' (projection), or {F, c, Nc}.
+ *      discounting          true when the observer fully discounts the
+ *                           illuminant (D = 1), e.g. surface colours in a
+ *                           well lit room.
+ *
+ *  ColorAppearance.fromProfile() builds them from an ICC 'view' tag
+ *  (profile.viewingConditions): the illuminant XYZ is the white in cd/m²,
+ *  and the surround / illuminant luminance ratio picks the surround.
+ *
+ *
+ *  CORRELATES
+ *  ----------------------------------------------------------------------------
+ *
+ *      J  lightness       Q  brightness
+ *      C  chroma          M  colourfulness      s  saturation
+ *      h  hue angle       H  hue quadrature (0 red, 100 yellow, 200 green, 300 blue)
+ *
+ *  toXYZ() takes J or Q, one of C / M / s, and h or H.
+ *
+ *  CAM16-UCS (and CAM02-UCS, same coefficients) turns J, M, h into a
+ *  near uniform J'a'b' space; deltaE() is the Euclidean distance there.
+ *
+ *
+ *  TYPICAL USAGE
+ *  ----------------------------------------------------------------------------
+ *
+ *      var booth = new ColorAppearance({adaptingLuminance: 400, surround: 'average'});
+ *      var office = new ColorAppearance({adaptingLuminance: 30, surround: 'dim'});
+ *
+ *      // What Lab in the office matches this Lab in the booth?
+ *      var jch = booth.fromLab(convert.Lab(60, 20, -10));
+ *      var match = office.toLab(jch);
+ *
+ *
+ *  Accuracy path like Spectral.js — fine for proofing maths and profile
+ *  building, not for per-pixel use.
+ * ============================================================================
+ */
+
+var convert = require('./convert');
+var defs = require('./def');
+var eColourType = defs.eColourType;
+
+/* ----------------------------------------------------------------------------
+ *  Model matrices
+ * ----------------------------------------------------------------------------
+ *  M16 is CAM16's single cone space, used for adaptation and compression.
+ *  CIECAM02 adapts in CAT02 and compresses in Hunt-Pointer-Estévez.
+ */
+var M16 = [
+    [ 0.401288, 0.650173, -0.051461],
+    [-0.250268, 1.204414,  0.045854],
+    [-0.002079, 0.048952,  0.953127]
+];
+
+var CAT02 = [
+    [ 0.7328, 0.4296, -0.1624],
+    [-0.7036, 1.6975,  0.0061],
+    [ 0.0030, 0.0136,  0.9834]
+];
+
+var HPE = [
+    [ 0.38971, 0.68898, -0.07868],
+    [-0.22981, 1.18340,  0.04641],
+    [ 0.00000, 0.00000,  1.00000]
+];
+
+/** Surround parameters, CIE 159 table 1 */
+var surrounds = {
+    average: {F: 1.0, c: 0.69,  Nc: 1.0},
+    dim:     {F: 0.9, c: 0.59,  Nc: 0.9},
+    dark:    {F: 0.8, c: 0.525, Nc: 0.8}
+};
+
+/** Unique hue data for hue quadrature: red, yellow, green, blue, red */
+var uniqueHues = {
+    h: [20.14, 90.00, 164.25, 237.53, 380.14],
+    e: [0.8, 0.7, 1.0, 1.2, 0.8],
+    H: [0, 100, 200, 300, 400]
+};
+
+/** CAM16-UCS coefficients (c1, c2), shared with CAM02-UCS */
+var UCS_C1 = 0.007;
+var UCS_C2 = 0.0228;
+
+/**
+ * CAM16 / CIECAM02 forward and inverse model for one set of viewing
+ * conditions. The viewing-condition dependent terms are computed once in
+ * the constructor, so keep an instance around for many colours.
+ *
+ * Invalid options throw.
+ *
+ * @example
+ *   var cam = new ColorAppearance({whitePoint: 'd65', adaptingLuminance: 64 / Math.PI * 0.2});
+ *   var jch = cam.fromXYZ(convert.XYZ(0.2, 0.25, 0.1));
+ *   var xyz = cam.toXYZ({J: jch.J, C: jch.C, h: jch.h});
+ */
+class ColorAppearance {
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.model='CAM16'] 'CAM16' or 'CIECAM02'
+     * @param {_cmsWhitePoint|string} [options.whitePoint=d50] Adopted white, Y = 1
+     * @param {number} [options.adaptingLuminance] L_A in cd/m², default 64 / π × 0.2 (sRGB viewing)
+     * @param {number} [options.backgroundLuminance=20] Y_b, 0 - 100
+     * @param {string|{F:number, c:number, Nc:number}} [options.surround='average']
+     * @param {boolean} [options.discounting=false] Discount the illuminant (D = 1)
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.model = String(options.model || 'CAM16').toUpperCase();
+        if (this.model !== 'CAM16' && this.model !== 'CIECAM02') {
+            throw 'Invalid model "' + options.model + '". Must be "CAM16" or "CIECAM02"';
+        }
+
+        var white = options.whitePoint || convert.d50;
+        if (typeof white === 'string') {
+            white = convert.getWhitePoint(white);
+        }
+        if (!isFinite(white.X) || !isFinite(white.Y) || !isFinite(white.Z) || white.Y <= 0) {
+            throw 'Invalid whitePoint, expected {X, Y, Z} or a whitepoint name';
+        }
+
+        var surround = options.surround || 'average';
+        if (typeof surround === 'string') {
+            surround = surrounds[surround.toLowerCase()];
+            if (!surround) {
+                throw 'Invalid surround "' + options.surround + '". Must be "average", "dim", "dark" or {F, c, Nc}';
+            }
+        }
+
+        var LA = (options.adaptingLuminance === undefined) ? 64 / Math.PI * 0.2 : options.adaptingLuminance;
+        var Yb = (options.backgroundLuminance === undefined) ? 20 : options.backgroundLuminance;
+        if (!(LA > 0) || !(Yb > 0)) {
+            throw 'Invalid adaptingLuminance or backgroundLuminance, both must be > 0';
+        }
+
+        this.whitePoint = white;
+        this.adaptingLuminance = LA;
+        this.backgroundLuminance = Yb;
+        this.surround = {F: surround.F, c: surround.c, Nc: surround.Nc};
+        this.discounting = options.discounting === true;
+
+        // The cone space used for adaptation, and for CIECAM02 the step
+        // from adapted CAT02 RGB into HPE for the compression
+        this.MCAT = (this.model === 'CAM16') ? M16 : CAT02;
+        this.MCATInv = fromMatrix(convert.invertMatrix(toMatrix(this.MCAT)));
+        if (this.model === 'CIECAM02') {
+            this.toHPE = multiply(HPE, this.MCATInv);
+            this.fromHPE = fromMatrix(convert.invertMatrix(toMatrix(this.toHPE)));
+        }
+
+        var XYZw = [100 * white.X / white.Y, 100, 100 * white.Z / white.Y];
+        var RGBw = apply(this.MCAT, XYZw);
+
+        var D = this.discounting ? 1 : surround.F * (1 - (1 / 3.6) * Math.exp((-LA - 42) / 92));
+        D = Math.max(0, Math.min(1, D));
+        this.D = D;
+        this.DRGB = RGBw.map(function (c) {
+            return D * 100 / c + 1 - D;
+        });
+
+        var k = 1 / (5 * LA + 1);
+        var k4 = k * k * k * k;
+        this.FL = 0.2 * k4 * (5 * LA) + 0.1 * (1 - k4) * (1 - k4) * Math.cbrt(5 * LA);
+        this.FL4 = Math.pow(this.FL, 0.25);
+
+        this.n = Yb / 100;
+        this.z = 1.48 + Math.sqrt(this.n);
+        this.Nbb = 0.725 * Math.pow(this.n, -0.2);
+        this.Ncb = this.Nbb;
+        this.chromaScale = Math.pow(1.64 - Math.pow(0.29, this.n), 0.73);
+
+        var RGBaw = this.compress(this.adapt(RGBw));
+        this.Aw = (2 * RGBaw[0] + RGBaw[1] + RGBaw[2] / 20 - 0.305) * this.Nbb;
+    }
+
+    /**
+     * Build the viewing conditions from a profile's 'view' tag. Without one
+     * the profile's PCS white is used with the defaults. Anything in
+     * `options` overrides what the tag says.
+     *
+     * @param {Profile} profile
+     * @param {object} [options] As for the constructor
+     * @returns {ColorAppearance}
+     */
+    static fromProfile(profile, options) {
+        var settings = {
+            whitePoint: profile.PCSWhitepoint || convert.d50
+        };
+
+        var view = profile.viewingConditions;
+        if (view && view.illuminant && view.illuminant.Y > 0) {
+            var illuminant = view.illuminant;
+            settings.whitePoint = convert.XYZ(illuminant.X / illuminant.Y, 1, illuminant.Z / illuminant.Y);
+            settings.adaptingLuminance = illuminant.Y * 0.2;
+
+            var ratio = (view.surround && view.surround.Y > 0) ? view.surround.Y / illuminant.Y : 0;
+            settings.surround = (ratio >= 0.2) ? 'average' : ((ratio > 0) ? 'dim' : 'dark');
+        }
+
+        return new ColorAppearance(Object.assign(settings, options));
+    }
+
+    // ========================================================================
+    //  Forward / inverse model
+    // ========================================================================
+
+    /**
+     * XYZ (relative to the adopted white, Y = 1) → appearance correlates
+     * @param {_cmsXYZ} XYZ
+     * @returns {_cmsCAM}
+     */
+    fromXYZ(XYZ) {
+        var RGBa = this.compress(this.adapt(apply(this.MCAT, [XYZ.X * 100, XYZ.Y * 100, XYZ.Z * 100])));
+
+        var a = RGBa[0] - 12 * RGBa[1] / 11 + RGBa[2] / 11;
+        var b = (RGBa[0] + RGBa[1] - 2 * RGBa[2]) / 9;
+        var h = Math.atan2(b, a) * 180 / Math.PI;
+        if (h < 0) {
+            h += 360;
+        }
+
+        var A = (2 * RGBa[0] + RGBa[1] + RGBa[2] / 20 - 0.305) * this.Nbb;
+        var J = (A > 0) ? 100 * Math.pow(A / this.Aw, this.surround.c * this.z) : 0;
+        var Q = (4 / this.surround.c) * Math.sqrt(J / 100) * (this.Aw + 4) * this.FL4;
+
+        var et = 0.25 * (Math.cos(h * Math.PI / 180 + 2) + 3.8);
+        var t = (50000 / 13 * this.surround.Nc * this.Ncb * et * Math.sqrt(a * a + b * b)) /
+                (RGBa[0] + RGBa[1] + 21 / 20 * RGBa[2]);
+        var C = Math.pow(t, 0.9) * Math.sqrt(J / 100) * this.chromaScale;
+        var M = C * this.FL4;
+        var s = (Q > 0) ? 100 * Math.sqrt(M / Q) : 0;
+
+        return {
+            type: eColourType.CAM,
+            J: J,
+            C: C,
+            h: h,
+            Q: Q,
+            M: M,
+            s: s,
+            H: hueQuadrature(h)
+        };
+    }
+
+    /**
+     * Appearance correlates → XYZ relative to the adopted white. Needs J or
+     * Q, one of C, M or s, and h or H.
+     * @param {{J?:number, Q?:number, C?:number, M?:number, s?:number, h?:number, H?:number}} cam
+     * @returns {_cmsXYZ}
+     */
+    toXYZ(cam) {
+        var J, C, h;
+
+        if (cam.J !== undefined) {
+            J = cam.J;
+        } else if (cam.Q !== undefined) {
+            J = 6.25 * Math.pow(this.surround.c * cam.Q / ((this.Aw + 4) * this.FL4), 2);
+        } else {
+            throw 'toXYZ needs J or Q';
+        }
+
+        if (cam.C !== undefined) {
+            C = cam.C;
+        } else if (cam.M !== undefined) {
+            C = cam.M / this.FL4;
+        } else if (cam.s !== undefined) {
+            var Q = (4 / this.surround.c) * Math.sqrt(J / 100) * (this.Aw + 4) * this.FL4;
+            C = Math.pow(cam.s / 100, 2) * Q / this.FL4;
+        } else {
+            throw 'toXYZ needs C, M or s';
+        }
+
+        if (cam.h !== undefined) {
+            h = cam.h;
+        } else if (cam.H !== undefined) {
+            h = hueFromQuadrature(cam.H);
+        } else {
+            throw 'toXYZ needs h or H';
+        }
+
+        var t = (J > 0 && C > 0) ? Math.pow(C / (Math.sqrt(J / 100) * this.chromaScale), 1 / 0.9) : 0;
+        var hr = h * Math.PI / 180;
+        var et = 0.25 * (Math.cos(hr + 2) + 3.8);
+        var A = this.Aw * Math.pow(J / 100, 1 / (this.surround.c * this.z));
+
+        var p2 = A / this.Nbb + 0.305;
+        var p3 = 21 / 20;
+        var a = 0;
+        var b = 0;
+        if (t > 0) {
+            var p1 = (50000 / 13 * this.surround.Nc * this.Ncb) * et / t;
+            var sinh = Math.sin(hr);
+            var cosh = Math.cos(hr);
+            if (Math.abs(sinh) >= Math.abs(cosh)) {
+                var p4 = p1 / sinh;
+                b = p2 * (2 + p3) * (460 / 1403) /
+                    (p4 + (2 + p3) * (220 / 1403) * (cosh / sinh) - 27 / 1403 + p3 * (6300 / 1403));
+                a = b * cosh / sinh;
+            } else {
+                var p5 = p1 / cosh;
+                a = p2 * (2 + p3) * (460 / 1403) /
+                    (p5 + (2 + p3) * (220 / 1403) - (27 / 1403 - p3 * (6300 / 1403)) * (sinh / cosh));
+                b = a * sinh / cosh;
+            }
+        }
+
+        var RGBa = [
+            (460 * p2 + 451 * a + 288 * b) / 1403,
+            (460 * p2 - 891 * a - 261 * b) / 1403,
+            (460 * p2 - 220 * a - 6300 * b) / 1403
+        ];
+
+        var XYZ = apply(this.MCATInv, this.unadapt(this.decompress(RGBa)));
+        return convert.XYZ(XYZ[0] / 100, XYZ[1] / 100, XYZ[2] / 100, this.whitePoint);
+    }
+
+    /**
+     * Lab → appearance correlates. The Lab is taken as relative to its own
+     * whitePoint (D50 if it has none) and adapted to the adopted white.
+     * @param {_cmsLab} Lab
+     * @returns {_cmsCAM}
+     */
+    fromLab(Lab) {
+        var XYZ = convert.Lab2XYZ(Lab);
+        var labWhite = Lab.whitePoint || convert.d50;
+        if (!convert.compareWhitePoints(labWhite, this.whitePoint)) {
+            XYZ = convert.adaptation(XYZ, labWhite, this.whitePoint);
+        }
+        return this.fromXYZ(XYZ);
+    }
+
+    /**
+     * Appearance correlates → Lab, adapted to `whitePoint` (default D50,
+     * the PCS white)
+     * @param {object} cam As for toXYZ()
+     * @param {_cmsWhitePoint} [whitePoint]
+     * @returns {_cmsLab}
+     */
+    toLab(cam, whitePoint) {
+        whitePoint = whitePoint || convert.d50;
+        var XYZ = this.toXYZ(cam);
+        if (!convert.compareWhitePoints(whitePoint, this.whitePoint)) {
+            XYZ = convert.adaptation(XYZ, this.whitePoint, whitePoint);
+        }
+        return convert.XYZ2Lab(XYZ, whitePoint);
+    }
+
+    // ========================================================================
+    //  Uniform colour space
+    // ========================================================================
+
+    /**
+     * Appearance correlates → CAM16-UCS (CAM02-UCS for CIECAM02) J'a'b'
+     * @param {_cmsCAM} cam Needs J, M and h
+     * @returns {_cmsCAMUCS}
+     */
+    toUCS(cam) {
+        var Mp = Math.log(1 + UCS_C2 * cam.M) / UCS_C2;
+        var hr = cam.h * Math.PI / 180;
+        return {
+            type: eColourType.CAMUCS,
+            J: (1 + 100 * UCS_C1) * cam.J / (1 + UCS_C1 * cam.J),
+            a: Mp * Math.cos(hr),
+            b: Mp * Math.sin(hr)
+        };
+    }
+
+    /**
+     * CAM16-UCS J'a'b' → appearance correlates J, M, h (enough for toXYZ())
+     * @param {_cmsCAMUCS} ucs
+     * @returns {{J:number, M:number, h:number}}
+     */
+    fromUCS(ucs) {
+        var h = Math.atan2(ucs.b, ucs.a) * 180 / Math.PI;
+        var Mp = Math.sqrt(ucs.a * ucs.a + ucs.b * ucs.b);
+        return {
+            J: ucs.J / (1 + 100 * UCS_C1 - UCS_C1 * ucs.J),
+            M: (Math.exp(UCS_C2 * Mp) - 1) / UCS_C2,
+            h: (h < 0) ? h + 360 : h
+        };
+    }
+
+    /**
+     * ΔE in CAM16-UCS between two colours seen under these viewing
+     * conditions. Takes Lab (anything with an `L`) or XYZ.
+     * @param {_cmsLab|_cmsXYZ} color1
+     * @param {_cmsLab|_cmsXYZ} color2
+     * @returns {number}
+     */
+    deltaE(color1, color2) {
+        var toUCS = (color) => this.toUCS((color.L !== undefined) ? this.fromLab(color) : this.fromXYZ(color));
+        return ColorAppearance.deltaEUCS(toUCS(color1), toUCS(color2));
+    }
+
+    /**
+     * Euclidean distance between two J'a'b' values, ΔE' with K_L = 1
+     * @param {_cmsCAMUCS} ucs1
+     * @param {_cmsCAMUCS} ucs2
+     * @returns {number}
+     */
+    static deltaEUCS(ucs1, ucs2) {
+        var dJ = ucs1.J - ucs2.J;
+        var da = ucs1.a - ucs2.a;
+        var db = ucs1.b - ucs2.b;
+        return Math.sqrt(dJ * dJ + da * da + db * db);
+    }
+
+    // ========================================================================
+    //  Model steps
+    // ========================================================================
+
+    /** Cone RGB → adapted cone RGB, in the space the compression runs in */
+    adapt(RGB) {
+        var RGBc = [RGB[0] * this.DRGB[0], RGB[1] * this.DRGB[1], RGB[2] * this.DRGB[2]];
+        return this.toHPE ? apply(this.toHPE, RGBc) : RGBc;
+    }
+
+    unadapt(RGBp) {
+        var RGBc = this.fromHPE ? apply(this.fromHPE, RGBp) : RGBp;
+        return [RGBc[0] / this.DRGB[0], RGBc[1] / this.DRGB[1], RGBc[2] / this.DRGB[2]];
+    }
+
+    /** Post-adaptation non-linear response compression */
+    compress(RGB) {
+        var FL = this.FL;
+        return RGB.map(function (c) {
+            var x = Math.pow(FL * Math.abs(c) / 100, 0.42);
+            return Math.sign(c) * 400 * x / (x + 27.13) + 0.1;
+        });
+    }
+
+    decompress(RGBa) {
+        var FL = this.FL;
+        return RGBa.map(function (c) {
+            var x = c - 0.1;
+            var ax = Math.min(Math.abs(x), 399.99);
+            return Math.sign(x) * (100 / FL) * Math.pow(27.13 * ax / (400 - ax), 1 / 0.42);
+        });
+    }
+}
+
+/* ----------------------------------------------------------------------------
+ *  Helpers
+ * ------------------------------------------------------------------------- */
+
+function hueQuadrature(h) {
+    var hp = (h < uniqueHues.h[0]) ? h + 360 : h;
+    var i = 0;
+    while (i < 3 && hp >= uniqueHues.h[i + 1]) {
+        i++;
+    }
+    var t1 = (hp - uniqueHues.h[i]) / uniqueHues.e[i];
+    var t2 = (uniqueHues.h[i + 1] - hp) / uniqueHues.e[i + 1];
+    return uniqueHues.H[i] + 100 * t1 / (t1 + t2);
+}
+
+function hueFromQuadrature(H) {
+    H = ((H % 400) + 400) % 400;
+    var i = Math.min(3, Math.floor(H / 100));
+    var hi = uniqueHues.h[i];
+    var hi1 = uniqueHues.h[i + 1];
+    var ei = uniqueHues.e[i];
+    var ei1 = uniqueHues.e[i + 1];
+    var dH = H - uniqueHues.H[i];
+    var h = (dH * (ei1 * hi - ei * hi1) - 100 * hi * ei1) / (dH * (ei1 - ei) - 100 * ei1);
+    return h % 360;
+}
+
+function apply(m, v) {
+    return [
+        m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+        m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+        m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2]
+    ];
+}
+
+function multiply(a, b) {
+    return a.map(function (row) {
+        return [0, 1, 2].map(function (j) {
+            return row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j];
+        });
+    });
+}
+
+/** Row arrays ↔ the {m00 .. m22} shape convert.invertMatrix works on */
+function toMatrix(m) {
+    return {
+        m00: m[0][0], m01: m[0][1], m02: m[0][2],
+        m10: m[1][0], m11: m[1][1], m12: m[1][2],
+        m20: m[2][0], m21: m[2][1], m22: m[2][2]
+    };
+}
+
+function fromMatrix(m) {
+    return [
+        [m.m00, m.m01, m.m02],
+        [m.m10, m.m11, m.m12],
+        [m.m20, m.m21, m.m22]
+    ];
+}
+
+ColorAppearance.surrounds = surrounds;
+
+module.exports = ColorAppearance;
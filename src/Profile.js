@@ -19,7 +19,11 @@ const convert = require('./convert');
 const colorEngineDef = require('./def');
 const eIntent = colorEngineDef.eIntent;
 const eProfileType = colorEngineDef.eProfileType;
+const eColourType = colorEngineDef.eColourType;
 const decode = require('./decodeICC');
+const encode = require('./encodeICC');
+const validate = require('./validateICC');
+const buildProfile = require('./buildProfile');
 
 /**
  * ============================================================================
@@ -31,6 +35,9 @@ const decode = require('./decodeICC');
  *  description of a colour profile that `Transform.js` then consumes to
  *  build pipelines.
  *
+ *  Profiles can also be written back out as ICC binaries with
+ *  `toBinary()` (see `encodeICC.js`).
+ *
  *  Two fundamentally different ways to construct a profile:
  *
  *    1. ICC FILE  — decode the bytes of a real `.icc` / `.icm` file via
@@ -110,6 +117,10 @@ const decode = require('./decodeICC');
  *  All the file-based loaders accept an optional `afterLoad(profile)`
  *  callback. Combine with `loadPromise()` for `await`-friendly use.
  *
+ *  Untrusted files (user uploads on a server): set `profile.strict =
+ *  true` before loading, or check first with `Profile.validate(binary)`.
+ *  See `validateICC.js`.
+ *
  *  ----------------------------------------------------------------------------
  *  KNOWN ISSUES (TODO)
  *  ----------------------------------------------------------------------------
@@ -186,10 +197,64 @@ class Profile {
         this.PCS8BitScale = 0;
         this.version = 0;
         this.pcs = false;
+
+        /**
+         * Device link profiles (class 'link') only. A link has no PCS,
+         * its header 'pcs' field is the output colour space, so `type` /
+         * `outputChannels` describe the input side and these describe
+         * the output side. Null / 0 for every other profile class.
+         */
+        this.linkOutputType = null;
+        this.linkOutputChannels = 0;
+
+        /**
+         * Lab profiles only. The eColourType of the colour objects a
+         * Transform reads and writes for this profile with the 'object'
+         * dataFormats — `eColourType.Oklab` for '*Oklab' and so on.
+         * Null means Lab.
+         */
+        this.colourType = null;
+
+        /**
+         * Named colour profiles (class 'nmcl') only, decoded from the
+         * 'ncl2' tag, see `decodeNamedColors()`. Null otherwise.
+         */
+        this.namedColors = null;
+
+        /**
+         * One entry per device channel, `{name, Lab, order}`, decoded from
+         * the 'clrt' colorant table and 'clro' colorant order tags, see
+         * `decodeColorants()`. Null if the profile has no colorant table.
+         */
+        this.colorants = null;
+
+        /**
+         * Validate ICC binaries with `Profile.validate()` before decoding
+         * them and refuse any with errors (lastError 130), decoder
+         * exceptions are caught too (lastError 131). Set before loading,
+         * for untrusted files. The report is kept in `validation`.
+         */
+        this.strict = false;
+        this.validation = null;
+
+        /**
+         * Decoded 'gamt' tag or null. A LUT from PCS to one channel, 0
+         * for colours the device can print and non-zero for those it
+         * can not. Written by `createCMYK()`, not used by Transform.
+         */
+        this.gamut = null;
+
         this.blackPoint = null;
         this.luminance = null;
         this.chromaticAdaptation = null;
 
+        /**
+         * Decoded 'cicp' tag (ITU-T H.273 video code points) or null.
+         * PQ and HLG transfer characteristics replace the RGB TRCs, see
+         * `setHDRTransfer()`.
+         */
+        this.cicp = null;
+
         /**
          * @deprecated Typo kept for backwards compatibility — prefer
          *             `virtualProfileUsesD50AdaptedPrimaries`. Both
@@ -529,14 +594,29 @@ class Profile {
      *
      *   `lab` / `labd50`             — Lab D50 abstract profile
      *   `labd65`                     — Lab D65 abstract profile
+     *   `oklab` / `oklch` / `jzazbz` /
+     *   `jzczhz` / `ictcp`           — Lab D50 underneath, Transform reads and
+     *                                  writes those colour objects instead
      *   `srgb`                       — sRGB working space (gamma 2.2 + sRGB special)
      *   `adobe` / `adobergb` /
      *   `adobe1998` / `adobe1998rgb` — Adobe RGB (1998), gamma 2.2
      *   `apple` / `applergb`         — Apple RGB, gamma 2.2
      *   `colormatch` / `colormatchrgb` — ColorMatch RGB, gamma 1.8, D50
      *   `prophoto` / `prophotorgb`   — ProPhoto RGB, gamma 1.8, D50
+     *   `displayp3`                  — Display P3, sRGB curve, D65
+     *   `rec2020` / `bt2020`         — ITU-R BT.2020, Rec.709 OETF, D65
+     *   `rec709` / `bt709`           — ITU-R BT.709, Rec.709 OETF, D65
+     *   `dcip3`                      — DCI-P3 cinema, gamma 2.6, DCI white
+     *   `acescg`                     — ACEScg (AP1), linear, ACES white
+     *   `linearsrgb`                 — sRGB primaries, linear
+     *   `rec2100pq`                  — BT.2100 PQ (Rec.2020 primaries), HDR
+     *   `rec2100hlg`                 — BT.2100 HLG (Rec.2020 primaries), HDR
      *
-     * For RGB names the primaries are stored EITHER pre-adapted to D50
+     * The last eight are built with `createRGBProfile()`, so their
+     * primaries are always Bradford-adapted to D50 (with a `chad`) and
+     * their TRCs are real curves, not a `RGBMatrix.gamma`.
+     *
+     * For the other RGB names the primaries are stored EITHER pre-adapted to D50
      * OR as their native chromaticities, controlled by
      * `this.virutalProfileUsesD50AdaptedPrimaries` (sic — see Pr3 in
      * the file header) — D50-adapted by default, matching the ICC v4
@@ -608,6 +688,11 @@ class Profile {
 
         var redxxY, greenxyY, bluexyY, mediaWhitePoint;
 
+        // ICC parametric (type 3) forms of the sRGB / Display P3 curve
+        // and the Rec.709 / Rec.2020 OETF, both device → linear
+        var sRGBCurve = {type: 3, params: [2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045]};
+        var rec709Curve = {type: 3, params: [1 / 0.45, 1 / 1.099, 0.099 / 1.099, 1 / 4.5, 0.081]};
+
         // Set for RGB, Will change if we are a Lab profile
         this.outputChannels = 3;
         this.version = 4;
@@ -629,7 +714,8 @@ class Profile {
             PCSilluminant: convert.d50
         };
 
-        switch (String(name).replace(' ', '').toLowerCase()) {
+        var virtualName = String(name).replace(' ', '').toLowerCase();
+        switch (virtualName) {
             case 'labd50': // LabD50
             case 'lab': // LabD50
                 this.type = eProfileType.Lab;
@@ -655,6 +741,44 @@ class Profile {
                 }
                 return true;
 
+            case 'oklab':
+            case 'oklch':
+            case 'jzazbz':
+            case 'jzczhz':
+            case 'ictcp':
+                // Lab D50 underneath, Transform converts the colour
+                // objects in and out, see `colourType`
+                var uniform = {
+                    oklab:  {type: eColourType.Oklab,  name: 'Oklab'},
+                    oklch:  {type: eColourType.OkLCh,  name: 'OkLCh'},
+                    jzazbz: {type: eColourType.Jzazbz, name: 'Jzazbz'},
+                    jzczhz: {type: eColourType.JzCzhz, name: 'JzCzhz'},
+                    ictcp:  {type: eColourType.ICtCp,  name: 'ICtCp'}
+                }[virtualName];
+                this.type = eProfileType.Lab;
+                this.colourType = uniform.type;
+                this.name = this.description = uniform.name + ' Profile';
+                this.PCSWhitepoint = convert.d50;
+                this.mediaWhitePoint = convert.d50;
+                this.pcs = 'LAB';
+                this.colorSpace = 'LAB';
+                this.header = {
+                    profileSize: 0,
+                    cmmType: 0,
+                    version: 4,
+                    pClass: 'abst',
+                    space: 'Lab',
+                    pcs: 'LAB',
+                    date: new Date(),
+                    signature: '',
+                    platform: '',
+                    flags: 0,
+                    attributes: 0,
+                    intent: 3,
+                    PCSilluminant: convert.d50
+                }
+                return true;
+
             case 'labd65': // LabD50
                 this.type = eProfileType.Lab;
                 this.name = this.description = 'Lab D65 Profile';
@@ -768,6 +892,77 @@ class Profile {
                 computeRGBProfile(this,1.8,  redxxY, greenxyY,  bluexyY, false);
                 return true;
 
+            case 'displayp3':
+                return this.createRGBProfile({
+                    name: 'Display P3',
+                    description: 'Display P3 is the DCI-P3 gamut with a D65 whitepoint and the sRGB tone curve, used by Apple displays and wide gamut web content (CSS color(display-p3))<br>Encompasses roughly 45.5% of the visible colors specified by the CIE 1931 xy diagram',
+                    primaries: {red: [0.680, 0.320], green: [0.265, 0.690], blue: [0.150, 0.060]},
+                    whitePoint: 'd65',
+                    trc: sRGBCurve
+                });
+
+            case 'rec2020':
+            case 'bt2020':
+                return this.createRGBProfile({
+                    name: 'Rec.2020',
+                    description: 'ITU-R BT.2020, the UHD television colour space with monochromatic primaries and the Rec.709 transfer function (SDR)<br>Encompasses roughly 75.8% of the visible colors specified by the CIE 1931 xy diagram',
+                    primaries: {red: [0.708, 0.292], green: [0.170, 0.797], blue: [0.131, 0.046]},
+                    whitePoint: 'd65',
+                    trc: rec709Curve
+                });
+
+            case 'rec709':
+            case 'bt709':
+                return this.createRGBProfile({
+                    name: 'Rec.709',
+                    description: 'ITU-R BT.709, the HD television colour space. sRGB primaries with the Rec.709 transfer function',
+                    primaries: {red: [0.640, 0.330], green: [0.300, 0.600], blue: [0.150, 0.060]},
+                    whitePoint: 'd65',
+                    trc: rec709Curve
+                });
+
+            case 'dcip3':
+                return this.createRGBProfile({
+                    name: 'DCI-P3',
+                    description: 'DCI-P3, the digital cinema projection colour space (SMPTE RP 431-2), gamma 2.6 with the DCI whitepoint',
+                    primaries: {red: [0.680, 0.320], green: [0.265, 0.690], blue: [0.150, 0.060]},
+                    whitePoint: {x: 0.314, y: 0.351},
+                    trc: 2.6
+                });
+
+            case 'acescg':
+                return this.createRGBProfile({
+                    name: 'ACEScg',
+                    description: 'ACEScg (AP1 primaries), the linear working space of the Academy Color Encoding System for CGI and compositing',
+                    primaries: {red: [0.713, 0.293], green: [0.165, 0.830], blue: [0.128, 0.044]},
+                    whitePoint: {x: 0.32168, y: 0.33767},
+                    trc: 1.0
+                });
+
+            case 'linearsrgb':
+                return this.createRGBProfile({
+                    name: 'Linear sRGB',
+                    description: 'sRGB primaries and whitepoint with a linear (gamma 1.0) tone curve, for light-linear maths and rendering',
+                    primaries: {red: [0.640, 0.330], green: [0.300, 0.600], blue: [0.150, 0.060]},
+                    whitePoint: 'd65',
+                    trc: 1.0
+                });
+
+            case 'rec2100pq':
+            case 'rec2100hlg':
+                var pq = (virtualName === 'rec2100pq');
+                if (!this.createRGBProfile({
+                    name: pq ? 'Rec.2100 PQ' : 'Rec.2100 HLG',
+                    description: 'ITU-R BT.2100 HDR with Rec.2020 primaries and the ' + (pq ? 'PQ (SMPTE ST 2084)' : 'HLG (ARIB STD-B67)') + ' transfer function, reference white 203 cd/m²',
+                    primaries: {red: [0.708, 0.292], green: [0.170, 0.797], blue: [0.131, 0.046]},
+                    whitePoint: 'd65',
+                    trc: pq ? 'PQ' : 'HLG'
+                })) {
+                    return false;
+                }
+                this.cicp.colourPrimaries = 9; // BT.2020 / BT.2100
+                return true;
+
             default:
                 this.lastError = {err: 100, text: 'Unsupported Virtual Profile [' + name + ']'};
                 return false;
@@ -842,185 +1037,1060 @@ class Profile {
         }
     };
 
-
-
-    // ========================================================================
-    //  ICC DECODE — top-level decode + RGB-matrix auto-promotion
-    // ========================================================================
-
     /**
-     * Top-level ICC decode. Validates the header signature (`'acsp'`),
-     * dispatches to `decodeFile` for tag-by-tag decode, then derives a
-     * couple of cached values used by `Transform.js`:
+     * Build a matrix / TRC RGB profile from primaries, a white point and
+     * a tone curve — for spaces `createVirtualProfile` does not know
+     * (Display P3, Rec.2020, camera spaces …).
      *
-     *   - `PCSWhitepoint`            from header PCS illuminant
-     *   - `absoluteAdaptationIn/Out` ratios for absolute-colorimetric
+     *      var p3 = Profile.createRGB({
+     *          name: 'Display P3',
+     *          primaries: {red: [0.680, 0.320], green: [0.265, 0.690], blue: [0.150, 0.060]},
+     *          whitePoint: 'd65',
+     *          trc: {type: 3, params: [2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045]}
+     *      });
      *
-     * If the resulting profile is RGB with NO AtoB/BtoA LUTs but a
-     * complete set of primaries + TRCs, it is AUTO-PROMOTED to the
-     * fast `RGBMatrix` type (same internal shape as a virtual profile)
-     * — see the file header for why this matters.
+     * The primaries are scaled so that RGB 1,1,1 is the white point, then
+     * adapted to the D50 PCS with Bradford (`convert.adaptation`) as ICC
+     * V4 expects, and the adaptation is kept in `chromaticAdaptation`
+     * for `toBinary()`. The result is the same `RGBMatrix` profile a
+     * decoded matrix / TRC ICC file gives.
      *
-     * `searchForProfile` first scans the byte stream for an embedded
-     * `ICC_PROFILE` marker (e.g. inside a JPEG APP2 segment).
+     * `trc` is one of:
      *
-     * @param {Uint8Array|Buffer} data
-     * @param {boolean} [searchForProfile]
-     * @returns {boolean}  true on success, false on any decode failure.
+     *      2.2                          a plain gamma
+     *      {type: 0..4, params: [...]}  an ICC parametric curve ('para')
+     *      [0, 0.01, ... 1]             a table sampled evenly over 0..1
+     *      {red, green, blue}           one of the above per channel
+     *      'PQ' / 'HLG'                 HDR, adds a 'cicp' tag and a 'lumi'
+     *                                   of `luminance` (see `setHDRTransfer`)
+     *
+     * Returns the profile, with `loaded` false and `lastError` set if the
+     * options are invalid. `createRGBProfile(options)` does the same on
+     * an existing instance.
+     *
+     * @param {object} options
+     * @param {{red:number[]|{x:number, y:number}, green:number[]|{x:number, y:number}, blue:number[]|{x:number, y:number}}} options.primaries
+     *        xy chromaticities, as `[x, y]` or `{x, y}`.
+     * @param {string|{X:number, Y:number, Z:number}|{x:number, y:number}} [options.whitePoint='d65']
+     *        A `convert.getWhitePoint()` name, an XYZ white or an xy chromaticity.
+     * @param {number|{type:number, params:number[]}|number[]|Float64Array|object|string} [options.trc=2.2]
+     * @param {number} [options.luminance]  White luminance in cd/m², 203 for PQ / HLG.
+     * @param {string} [options.name='Custom RGB']
+     * @param {string} [options.description]
+     * @returns {Profile}
      */
-    readICCProfile(data, searchForProfile) {
+    static createRGB(options) {
+        var profile = new Profile();
+        profile.createRGBProfile(options);
+        return profile;
+    };
 
-        if(isInNode()){
-            if(data instanceof Buffer){
-                data = new Uint8Array(data);
-            }
+    /**
+     * Instance side of `Profile.createRGB()`, also used by
+     * `createVirtualProfile` for the wide gamut and video names.
+     * @param {object} options  See `Profile.createRGB()`.
+     * @returns {boolean}  false (with `lastError` set) for invalid options.
+     */
+    createRGBProfile(options) {
+        options = options || {};
+        var profile = this;
+        var primaries = options.primaries || {};
+        var red = xy(primaries.red);
+        var green = xy(primaries.green);
+        var blue = xy(primaries.blue);
+
+        if (!red || !green || !blue) {
+            profile.lastError = {err: 150, text: 'createRGB needs red, green and blue xy primaries'};
+            return false;
         }
 
-        var _this = this;
-        var start = 0;
-        if (searchForProfile){
-            //Search for text "ICC_PROFILE" in an Image
-            var ICC_PROFILE = [73 ,67 ,67 ,95 ,80 ,82 ,79 ,70 ,73 ,76 ,69 ];
-            start = scan(data,0, ICC_PROFILE);
-            if(start === -1){
+        var whitePoint = options.whitePoint || 'd65';
+        if (typeof whitePoint === 'string') {
+            whitePoint = convert.getWhitePoint(whitePoint);
+        } else if (whitePoint.X === undefined) {
+            var white = xy(whitePoint);
+            if (!white) {
+                profile.lastError = {err: 151, text: 'createRGB whitePoint must be a name, XYZ or xy'};
                 return false;
             }
+            whitePoint = convert.xyY2XYZ(convert.xyY(white.x, white.y, 1));
         }
 
-        // Search for text "acsp" in the profile header
-        var acsp = [97, 99, 115, 112];
-        var ascpPos = scan(data, start, acsp);
-        if (ascpPos === -1) {
+        var trc = (options.trc === undefined) ? 2.2 : options.trc;
+        var hdr = (trc === 'PQ' || trc === 'HLG');
+        // One curve for all three channels, or {red, green, blue}
+        var channelTRC = (trc && trc.red !== undefined) ? [trc.red, trc.green, trc.blue] : [trc, trc, trc];
+        var forward = [null, null, null];
+        var inverse = [null, null, null];
+        for (var c = 0; !hdr && c < 3; c++) {
+            if (c > 0 && channelTRC[c] === channelTRC[c - 1]) {
+                forward[c] = forward[c - 1];
+                inverse[c] = inverse[c - 1];
+            } else {
+                forward[c] = trcCurve(channelTRC[c], false);
+                inverse[c] = trcCurve(channelTRC[c], true);
+            }
+        }
+        if (!hdr && (!forward[0] || !forward[1] || !forward[2])) {
+            profile.lastError = {err: 152, text: 'createRGB trc must be a gamma, {type, params}, a sampled table, {red, green, blue} of those, \'PQ\' or \'HLG\''};
             return false;
         }
 
-        // extract the core profile data
-        var result = this.decodeFile(data);
-
-        if (result === true) {
-            // update whitepoint
-            this.PCSWhitepoint = convert.getWhitePointFromIlluminant(this.header.PCSilluminant);
-
-            // this.mediaWhitePoint = convert.getWhitePointFromIlluminant(this.mediaWhitePoint);
-
-            // pre-calculate adaptation matrixV4 values
-            this.absoluteAdaptationIn = {
-                Xa: this.mediaWhitePoint.X / this.header.PCSilluminant.X,
-                Ya: this.mediaWhitePoint.Y / this.header.PCSilluminant.Y,
-                Za: this.mediaWhitePoint.Z / this.header.PCSilluminant.Z
-            };
-
-            this.absoluteAdaptationOut = {
-                Xa: this.header.PCSilluminant.X / this.mediaWhitePoint.X,
-                Ya: this.header.PCSilluminant.Y / this.mediaWhitePoint.Y,
-                Za: this.header.PCSilluminant.Z / this.mediaWhitePoint.Z
-            };
+        // Scale the primaries so R = G = B = 1 is the white point
+        // http://www.brucelindbloom.com/index.html?Eqn_RGB_XYZ_Matrix.html
+        var m = {
+            m00: red.x / red.y,                     m01: green.x / green.y,                     m02: blue.x / blue.y,
+            m10: 1.0,                               m11: 1.0,                                   m12: 1.0,
+            m20: (1.0 - red.x - red.y) / red.y,     m21: (1.0 - green.x - green.y) / green.y,   m22: (1.0 - blue.x - blue.y) / blue.y
+        };
+        var mi = convert.invertMatrix(m);
+        var sR = (whitePoint.X * mi.m00) + (whitePoint.Y * mi.m01) + (whitePoint.Z * mi.m02);
+        var sG = (whitePoint.X * mi.m10) + (whitePoint.Y * mi.m11) + (whitePoint.Z * mi.m12);
+        var sB = (whitePoint.X * mi.m20) + (whitePoint.Y * mi.m21) + (whitePoint.Z * mi.m22);
 
-            //TODO check for required tags for all profile types...
+        var d50 = convert.d50;
+        profile.rgb.rXYZ = convert.adaptation(convert.XYZ(sR * m.m00, sR, sR * m.m20), whitePoint, d50);
+        profile.rgb.gXYZ = convert.adaptation(convert.XYZ(sG * m.m01, sG, sG * m.m21), whitePoint, d50);
+        profile.rgb.bXYZ = convert.adaptation(convert.XYZ(sB * m.m02, sB, sB * m.m22), whitePoint, d50);
+        profile.rgb.rTRC = forward[0];
+        profile.rgb.gTRC = forward[1];
+        profile.rgb.bTRC = forward[2];
+        profile.rgb.rTRCInv = inverse[0];
+        profile.rgb.gTRCInv = inverse[1];
+        profile.rgb.bTRCInv = inverse[2];
+
+        if (!convert.compareWhitePoints(whitePoint, d50)) {
+            var chad = convert.adaptationMatrix(whitePoint, d50);
+            profile.chromaticAdaptation = [chad.m00, chad.m01, chad.m02, chad.m10, chad.m11, chad.m12, chad.m20, chad.m21, chad.m22];
+        }
 
-            // determine the encoding on the A2b Tables
-            //this.PCSDecode = this.findA2BEncoding(this.A2B[eIntent.relative]);
-            if (_this.header.space === 'RGB ' &&
-                _this.A2B[eIntent.relative] === null &&
-                _this.B2A[eIntent.relative] === null &&
-                _this.rgb.gXYZ &&
-                _this.rgb.rXYZ &&
-                _this.rgb.bXYZ &&
-                _this.rgb.rTRC &&
-                _this.rgb.gTRC &&
-                _this.rgb.bTRC
-            ) {
-                // Convert to an RGBMatrix type profile.
-                this.createRGBMatrix();
-            }
+        profile.name = options.name || 'Custom RGB';
+        profile.description = options.description || profile.name;
+        profile.version = 4;
+        profile.pcs = 'XYZ';
+        profile.colorSpace = 'RGB';
+        profile.outputChannels = 3;
+        profile.mediaWhitePoint = d50;
+        profile.header = {
+            profileSize: 0,
+            cmmType: 0,
+            version: 4,
+            pClass: 'mntr',
+            space: 'rgb',
+            pcs: 'XYZ',
+            date: new Date(),
+            signature: '',
+            platform: '',
+            flags: 0,
+            attributes: 0,
+            intent: 0,
+            PCSilluminant: d50
+        };
+        profile.absoluteAdaptationIn = {Xa: 1, Ya: 1, Za: 1};
+        profile.absoluteAdaptationOut = {Xa: 1, Ya: 1, Za: 1};
 
-            this.loaded = true;
-            return true;
+        var luminance = options.luminance || (hdr ? convert.hdrReferenceWhite : 0);
+        if (luminance) {
+            profile.luminance = convert.XYZ(whitePoint.X * luminance, whitePoint.Y * luminance, whitePoint.Z * luminance);
+        }
+        if (hdr) {
+            // 2 = unspecified primaries, 0 = RGB (no matrix coefficients)
+            profile.cicp = {colourPrimaries: 2, transferCharacteristics: (trc === 'PQ') ? 16 : 18, matrixCoefficients: 0, videoFullRange: true};
+            profile.setHDRTransfer(trc);
         }
 
-        this.loaded = false;
-        return false;
+        profile.createRGBMatrix();
+        profile.loaded = true;
+        profile.loadError = false;
+        return true;
 
-        function scan(outerArray, start, innerArray) {
-            for (var i = start; i < outerArray.length - innerArray.length; i++) {
-                var found = true;
-                for (var j = 0; j < innerArray.length; j++) {
-                    if (outerArray[i + j] !== innerArray[j]) {
-                        found = false;
-                        break;
-                    }
-                }
-                if (found) {
-                    return i;
-                }
+        function xy(primary) {
+            if (Array.isArray(primary) && primary.length >= 2) {
+                return {x: primary[0], y: primary[1]};
             }
-            return -1;
+            if (primary && typeof primary.x === 'number' && typeof primary.y === 'number') {
+                return primary;
+            }
+            return null;
         }
     };
 
     // ========================================================================
-    //  RGB-MATRIX PROMOTION — make decoded RGB matrix profiles fast
+    //  DISPLAY PROFILES — matrix / TRC from measurements
     // ========================================================================
 
     /**
-     * Convert a freshly-decoded RGB profile (one that has primary XYZs +
-     * three TRC curves and no LUT) into the same internal `RGBMatrix`
-     * shape that virtual profiles use. After this call, downstream
-     * transforms hit the same inlined matrix-and-gamma kernel for both
-     * sources — there is no runtime cost difference between
-     * `'*sRGB'` and a decoded sRGB.icc.
+     * Build a matrix / TRC display profile from measured patches, the
+     * way a display calibrator would: the primaries and white come from
+     * the full red, green, blue and white patches and each channel gets
+     * a tone curve fitted to a gray ramp.
      *
-     * The primaries are adapted from the ICC PCS D50 reference to the
-     * profile's actual `mediaWhitePoint` before the matrix is computed.
+     *      var kiosk = Profile.fromDisplayMeasurements({
+     *          white: {X: 237.6, Y: 250, Z: 272.2},
+     *          red:   {X: 103.4, Y: 53.4, Z: 5.1},
+     *          green: {X: 89.6,  Y: 179.0, Z: 30.1},
+     *          blue:  {X: 45.2,  Y: 18.1, Z: 238.0},
+     *          grayRamp: [{device: 0, XYZ: {X: 0.2, Y: 0.21, Z: 0.23}}, ... {device: 255, XYZ: {...}}]
+     *      }, {name: 'Kiosk 12'});
      *
-     * @return {boolean}
+     * Measurements are XYZ (`{X, Y, Z}`) or xyY (`{x, y, Y}`), usually
+     * absolute cd/m², and are made relative to the white's Y. The black
+     * is the ramp patch at device 0 or `measurements.black` (which then
+     * becomes that patch); it is taken off the primaries before their
+     * chromaticities are used, so a display's glow does not desaturate
+     * them. The white point is the
+     * measured white, adapted to D50 with a 'chad' as `createRGB()` does.
+     *
+     * The ramp patches are split into linear red, green and blue through
+     * the inverse of the primaries matrix (`convert.computeMatrix`), and
+     * a curve is fitted to each channel with `buildProfile.fitTRC()`:
+     *
+     *      'parametric'  ICC type 2, (a x + b)^g + c — follows the black
+     *                    offset, the default
+     *      'gamma'       a plain gamma
+     *      'sampled'     a `trcSamples` point table through the ramp
+     *
+     * Gray ramp device values are 0..1, or 0..255 if any is over 1.
+     * A white luminance over 1 cd/m² (or `options.luminance`) is kept in
+     * a 'lumi' tag.
+     *
+     * Returns the profile, with `loaded` false and `lastError` set if the
+     * measurements or options are invalid. `createDisplayProfile()` does
+     * the same on an existing instance.
+     *
+     * @param {object} measurements
+     * @param {object} measurements.white
+     * @param {object} measurements.red
+     * @param {object} measurements.green
+     * @param {object} measurements.blue
+     * @param {object} [measurements.black]
+     * @param {{device:number, XYZ:object}[]} measurements.grayRamp  3 patches or more.
+     * @param {object} [options]
+     * @param {string} [options.trcType='parametric']  'parametric' | 'gamma' | 'sampled'
+     * @param {number} [options.trcSamples=256]  Table size for 'sampled'.
+     * @param {number} [options.deviceRange]  Gray ramp full scale, 1 or 255.
+     * @param {number} [options.luminance]  White luminance in cd/m².
+     * @param {string} [options.name='Display']
+     * @param {string} [options.description]
+     * @returns {Profile}
      */
-    createRGBMatrix() {
-        //this.PCSWhitepoint = convert.getWhitePointFromIlluminant(this.header.PCSilluminant);
-        this.PCSWhitepoint = this.header.PCSilluminant;
-        var d50 = convert.d50;
+    static fromDisplayMeasurements(measurements, options) {
+        var profile = new Profile();
+        profile.createDisplayProfile(measurements, options);
+        return profile;
+    };
 
-        // adapt primaries from D50 as per the ICC spec to the whitepoint of the profile
-        //
-        //
-        var rxy = convert.XYZ2xyY(convert.adaptation(this.rgb.rXYZ, d50, this.mediaWhitePoint), this.PCSWhitepoint);
-        var gxy = convert.XYZ2xyY(convert.adaptation(this.rgb.gXYZ, d50, this.mediaWhitePoint), this.PCSWhitepoint);
-        var bxy = convert.XYZ2xyY(convert.adaptation(this.rgb.bXYZ, d50, this.mediaWhitePoint), this.PCSWhitepoint);
-        this.type = eProfileType.RGBMatrix;
-        this.RGBMatrix = {
-            gamma: this.rgb.rTRC.gamma,
-            issRGB: (this.name.substr(0, 4) === 'sRGB'),
+    /**
+     * Instance side of `Profile.fromDisplayMeasurements()`.
+     * @param {object} measurements  See `Profile.fromDisplayMeasurements()`.
+     * @param {object} [options]
+     * @returns {boolean}  false (with `lastError` set) for invalid input.
+     */
+    createDisplayProfile(measurements, options) {
+        options = options || {};
+        measurements = measurements || {};
+        var profile = this;
+
+        var trcType = options.trcType || 'parametric';
+        var trcSamples = options.trcSamples || 256;
+        if (['parametric', 'gamma', 'sampled'].indexOf(trcType) < 0 ||
+            !(trcSamples >= 2 && trcSamples <= 65535) ||
+            (options.deviceRange !== undefined && !(options.deviceRange > 0))) {
+            profile.lastError = {err: 182, text: 'fromDisplayMeasurements trcType must be parametric, gamma or sampled, trcSamples 2..65535 and deviceRange positive'};
+            return false;
+        }
 
-            cRx: rxy.x,
-            cRy: rxy.y,
+        var white = measuredXYZ(measurements.white);
+        var red = measuredXYZ(measurements.red);
+        var green = measuredXYZ(measurements.green);
+        var blue = measuredXYZ(measurements.blue);
+        if (!white || !red || !green || !blue || !(white.Y > 0)) {
+            profile.lastError = {err: 180, text: 'fromDisplayMeasurements needs white, red, green and blue as XYZ or xyY'};
+            return false;
+        }
 
-            cGx: gxy.x,
-            cGy: gxy.y,
+        var ramp = Array.isArray(measurements.grayRamp) ? measurements.grayRamp : [];
+        var device = [];
+        var rampXYZ = [];
+        for (var i = 0; i < ramp.length; i++) {
+            var xyz = ramp[i] && measuredXYZ(ramp[i].XYZ);
+            if (!xyz || typeof ramp[i].device !== 'number') {
+                break;
+            }
+            device.push(ramp[i].device);
+            rampXYZ.push(xyz);
+        }
+        if (i < ramp.length || device.length < 3) {
+            profile.lastError = {err: 181, text: 'fromDisplayMeasurements grayRamp needs 3 or more {device, XYZ} patches'};
+            return false;
+        }
 
-            cBx: bxy.x,
-            cBy: bxy.y
+        var deviceRange = options.deviceRange || (Math.max.apply(null, device) > 1 ? 255 : 1);
+        device = device.map(function (d) {
+            return d / deviceRange;
+        });
+
+        // The black is a ramp point at 0 when the ramp has none
+        var black = measuredXYZ(measurements.black);
+        var zero = device.indexOf(0);
+        if (black && zero < 0) {
+            device.push(0);
+            rampXYZ.push(black);
+        } else if (!black) {
+            black = (zero >= 0) ? rampXYZ[zero] : convert.XYZ(0, 0, 0);
+        }
+
+        // Relative to the white, 1.0 at its Y
+        var scale = 1 / white.Y;
+        var relative = function (xyz) {
+            return convert.XYZ(xyz.X * scale, xyz.Y * scale, xyz.Z * scale);
         };
-        convert.computeMatrix(this);
+        var primary = function (xyz) {
+            return convert.XYZ2xyY(convert.XYZ(xyz.X - black.X, xyz.Y - black.Y, xyz.Z - black.Z), convert.d50);
+        };
+        var whitePoint = relative(white);
+        var r = primary(red);
+        var g = primary(green);
+        var b = primary(blue);
+
+        // The primaries matrix at the display white, to split the ramp
+        var display = {
+            RGBMatrix: {cRx: r.x, cRy: r.y, cGx: g.x, cGy: g.y, cBx: b.x, cBy: b.y},
+            mediaWhitePoint: whitePoint,
+            rgb: {rXYZ: relative(red), gXYZ: relative(green), bXYZ: relative(blue)}
+        };
+        convert.computeMatrix(display);
+        var m = display.RGBMatrix.matrixV4;
+        var mi = display.RGBMatrix.matrixInv;
+        var valid = m.m10 > 0 && m.m11 > 0 && m.m12 > 0 && [
+            mi.m00, mi.m01, mi.m02, mi.m10, mi.m11, mi.m12, mi.m20, mi.m21, mi.m22
+        ].every(isFinite);
+        if (!valid) {
+            profile.lastError = {err: 183, text: 'fromDisplayMeasurements primaries do not enclose the white'};
+            return false;
+        }
+
+        var linear = [[], [], []];
+        rampXYZ.forEach(function (xyz) {
+            xyz = relative(xyz);
+            linear[0].push(mi.m00 * xyz.X + mi.m01 * xyz.Y + mi.m02 * xyz.Z);
+            linear[1].push(mi.m10 * xyz.X + mi.m11 * xyz.Y + mi.m12 * xyz.Z);
+            linear[2].push(mi.m20 * xyz.X + mi.m21 * xyz.Y + mi.m22 * xyz.Z);
+        });
+        // the white patch is 1, 1, 1 by construction
+        if (device.indexOf(1) < 0) {
+            device.push(1);
+            linear.forEach(function (channel) {
+                channel.push(1);
+            });
+        }
+        var fit = linear.map(function (channel) {
+            return buildProfile.fitTRC(device, channel, trcType, trcSamples);
+        });
+
+        return profile.createRGBProfile({
+            name: options.name || 'Display',
+            description: options.description,
+            primaries: {red: r, green: g, blue: b},
+            whitePoint: whitePoint,
+            trc: {red: fit[0], green: fit[1], blue: fit[2]},
+            luminance: options.luminance || (white.Y > 1 ? white.Y : 0)
+        });
+
+        function measuredXYZ(value) {
+            if (!value) {
+                return null;
+            }
+            if (typeof value.X === 'number' && typeof value.Y === 'number' && typeof value.Z === 'number') {
+                return value;
+            }
+            if (typeof value.x === 'number' && typeof value.y === 'number' && typeof value.Y === 'number') {
+                return convert.xyY2XYZ(value);
+            }
+            return null;
+        }
     };
 
 
+
+    // ========================================================================
+    //  ABSTRACT PROFILES — Lab → Lab adjustment generator
+    // ========================================================================
+
     /**
-     * Decode the 128-byte ICC profile header into a plain object. Reads
-     * profile size, CMM signature, version bytes, profile/colour-space
-     * codes, render intent and the PCS illuminant XYZ.
+     * Build an abstract (class 'abst', Lab → Lab) profile in memory from
+     * adjustment parameters. The adjustment is sampled into a V4 `mAB `
+     * CLUT used for every intent, so the profile can go straight into a
+     * `createMultiStage()` chain or be saved with `toBinary()`.
      *
-     * @param {Uint8Array} binary
-     * @returns {object}
+     *      var look = new Profile();
+     *      look.createAbstractProfile({contrast: 1.1, saturation: 1.15, hueRotation: 3});
+     *      t.createMultiStage(['*sRGB', eIntent.perceptual, look, eIntent.relative, cmyk]);
+     *
+     * Each Lab (D50) goes through these steps in order:
+     *
+     *      lightnessCurve   function(L) → L, or an array of L values
+     *                       sampled evenly over L 0..100
+     *      contrast         scales L around `contrastPivot` (default 50)
+     *      lightness        added to L
+     *      saturation       scales chroma
+     *      hueRotation      degrees added to the hue angle
+     *      whitePoint /     the Lab that L = 100 and L = 0 map to, L is
+     *      blackPoint       rescaled between them and a / b shift with L
+     *
+     * @param {object} options
+     * @param {function(number):number|number[]} [options.lightnessCurve]
+     * @param {number} [options.contrast=1]
+     * @param {number} [options.contrastPivot=50]
+     * @param {number} [options.lightness=0]
+     * @param {number} [options.saturation=1]
+     * @param {number} [options.hueRotation=0]
+     * @param {{L:number, a:number, b:number}} [options.whitePoint]  Default L 100, a 0, b 0
+     * @param {{L:number, a:number, b:number}} [options.blackPoint]  Default L 0, a 0, b 0
+     * @param {number} [options.gridPoints=33]
+     * @param {string} [options.description]
+     * @returns {boolean}  false (with `lastError` set) for invalid options.
      */
-    decodeHeader(binary) {
-        var header = {};
-        header.profileSize = decode.uint32(binary, 0);
-        header.cmmType = decode.chars(binary, 4, 4);
-        header.version = decode.array(binary, 8, 4);
-        header.pClass = decode.chars(binary, 12, 4);
-        header.space = decode.chars(binary, 16, 4);
-        header.pcs = decode.chars(binary, 20, 4);
-        header.date = decode.array(binary, 24, 12);
+    createAbstractProfile(options) {
+        options = options || {};
+        var gridPoints = options.gridPoints || 33;
+        var curve = options.lightnessCurve;
+
+        if (!(gridPoints >= 2 && gridPoints <= 255)) {
+            this.lastError = {err: 140, text: 'Abstract profile gridPoints must be 2 to 255'};
+            return false;
+        }
+        if (curve && typeof curve !== 'function' && !(Array.isArray(curve) && curve.length >= 2)) {
+            this.lastError = {err: 141, text: 'Abstract profile lightnessCurve must be a function or an array of 2 or more values'};
+            return false;
+        }
+
+        var adjust = this.abstractAdjustment(options);
+        var CLUT = new Uint16Array(gridPoints * gridPoints * gridPoints * 3);
+        var step = 1 / (gridPoints - 1);
+        var pos = 0;
+        for (var iL = 0; iL < gridPoints; iL++) {
+            for (var ia = 0; ia < gridPoints; ia++) {
+                for (var ib = 0; ib < gridPoints; ib++) {
+                    // V4 Lab encoding in and out
+                    var Lab = adjust(iL * step * 100, (ia * step * 255) - 128, (ib * step * 255) - 128);
+                    CLUT[pos++] = Math.round(Lab.L * 65535 / 100);
+                    CLUT[pos++] = Math.round((Lab.a + 128) * 65535 / 255);
+                    CLUT[pos++] = Math.round((Lab.b + 128) * 65535 / 255);
+                }
+            }
+        }
+
+        var g1 = gridPoints;
+        var lut = {
+            type: 'mAB ',
+            inputChannels: 3,
+            outputChannels: 3,
+            gridPoints: [gridPoints, gridPoints, gridPoints],
+            CLUT: CLUT,
+            precision: 16,
+            inputScale: 1,
+            outputScale: 1 / 65535,
+            bCurves: false,
+            matrix: false,
+            mCurves: false,
+            aCurves: false,
+            g1: g1,
+            g2: g1 * g1,
+            g3: g1 * g1 * g1,
+            g4: NaN,
+            go0: 3,
+            go1: g1 * 3,
+            go2: g1 * g1 * 3,
+            go3: g1 * g1 * g1 * 3
+        };
+
+        this.type = eProfileType.Lab;
+        this.name = this.description = options.description || 'Abstract Lab Adjustment';
+        this.version = 4;
+        this.pcs = 'LAB';
+        this.colorSpace = 'LAB';
+        this.outputChannels = 3;
+        this.PCSWhitepoint = convert.d50;
+        this.mediaWhitePoint = convert.d50;
+        this.header = {
+            profileSize: 0,
+            cmmType: 0,
+            version: 4,
+            pClass: 'abst',
+            space: 'Lab',
+            pcs: 'LAB',
+            date: new Date(),
+            signature: '',
+            platform: '',
+            flags: 0,
+            attributes: 0,
+            intent: 0,
+            PCSilluminant: convert.d50
+        };
+        this.A2B = [lut, lut, lut];
+        this.B2A = [null, null, null];
+        this.loaded = true;
+        this.loadError = false;
+        return true;
+    };
+
+    /**
+     * The per-colour function behind `createAbstractProfile()`, returns
+     * `function(L, a, b) → {L, a, b}` clipped to the Lab encoding range.
+     * @param {object} options
+     * @returns {function(number, number, number):{L:number, a:number, b:number}}
+     */
+    abstractAdjustment(options) {
+        var curve = options.lightnessCurve;
+        var contrast = (options.contrast === undefined) ? 1 : options.contrast;
+        var pivot = (options.contrastPivot === undefined) ? 50 : options.contrastPivot;
+        var lightness = options.lightness || 0;
+        var saturation = (options.saturation === undefined) ? 1 : options.saturation;
+        var hue = (options.hueRotation || 0) * Math.PI / 180;
+        var cosH = Math.cos(hue) * saturation;
+        var sinH = Math.sin(hue) * saturation;
+        var white = options.whitePoint || {L: 100, a: 0, b: 0};
+        var black = options.blackPoint || {L: 0, a: 0, b: 0};
+
+        return function (L, a, b) {
+            if (typeof curve === 'function') {
+                L = curve(L);
+            } else if (curve) {
+                var x = Math.max(0, Math.min(1, L / 100)) * (curve.length - 1);
+                var i = Math.min(Math.floor(x), curve.length - 2);
+                L = curve[i] + (curve[i + 1] - curve[i]) * (x - i);
+            }
+            L = ((L - pivot) * contrast) + pivot + lightness;
+            L = Math.max(0, Math.min(100, L));
+
+            var a2 = (a * cosH) - (b * sinH);
+            var b2 = (a * sinH) + (b * cosH);
+
+            var t = L / 100;
+            return {
+                L: black.L + (white.L - black.L) * t,
+                a: Math.max(-128, Math.min(127, a2 + black.a + (white.a - black.a) * t)),
+                b: Math.max(-128, Math.min(127, b2 + black.b + (white.b - black.b) * t))
+            };
+        };
+    };
+
+
+
+    // ========================================================================
+    //  CMYK OUTPUT PROFILES — built from measurements
+    // ========================================================================
+
+    /**
+     * Build a CMYK printer profile from a measured chart (IT8.7/4, ECI2002
+     * or any set of CMYK patches with Lab measurements).
+     *
+     *      var chart = CGATS.parse(fs.readFileSync('press.txt', 'utf8'));
+     *      var profile = Profile.createCMYK(chart, {
+     *          totalInkLimit: 320,
+     *          blackGeneration: 'medium',
+     *          blackStart: 20
+     *      });
+     *      fs.writeFileSync('press.icc', profile.toBinary());
+     *
+     * `measurements` is `{device, Lab}` or a `CGATS` table, read as in
+     * `evaluate()`: device values 0 - 100 (0 - 255 if any is over 100,
+     * or `options.deviceRange`), Lab D50.
+     *
+     * The A2B tables come from a thin-plate spline through the
+     * measurements (exact at the patches, `smoothing` relaxes that for
+     * noisy data), sampled on a `gridPoints`^4 grid. The paper white is
+     * the fitted CMYK 0,0,0,0 and the tables are media-relative, as ICC
+     * requires. The B2A tables invert the A2B, within the ink limits and
+     * following the black generation settings:
+     *
+     *      totalInkLimit    maximum C + M + Y + K in %, default 300
+     *      maxBlack         maximum K in %, default 100
+     *      blackGeneration  how much of the grey is made with black:
+     *                       'none', 'light', 'medium' (default), 'heavy',
+     *                       'maximum', or 0..1
+     *      blackStart       how far from paper to the darkest black, in %,
+     *                       before black starts, default 20
+     *      blackMode        'GCR' (default) replaces grey in all colours,
+     *                       'UCR' only near the neutrals
+     *
+     * Colours that need more black than the settings ask for (deep
+     * shadows) still get it. Out of gamut colours are clipped to the
+     * nearest printable colour and flagged in the 'gamt' tag (see
+     * `gamut`). All three intents share the same colorimetric tables,
+     * there is no perceptual gamut compression.
+     *
+     * Returns the profile, with `loaded` false and `lastError` set if the
+     * measurements or options can not be used. `createCMYKProfile()`
+     * does the same on an existing instance.
+     *
+     * @param {{device: Array, Lab: Array}|CGATS} measurements
+     * @param {object} [options]
+     * @param {number} [options.version=4]        2 or 4
+     * @param {string} [options.name='Custom CMYK']
+     * @param {string} [options.copyright]
+     * @param {number} [options.deviceRange]      Full scale of the device values
+     * @param {number} [options.gridPoints=17]    A2B grid
+     * @param {number} [options.b2aGridPoints=33] B2A and gamt grid
+     * @param {number} [options.totalInkLimit=300]
+     * @param {number} [options.maxBlack=100]
+     * @param {string|number} [options.blackGeneration='medium']
+     * @param {number} [options.blackStart=20]
+     * @param {string} [options.blackMode='GCR']
+     * @param {number} [options.smoothing=0.0001]
+     * @returns {Profile}
+     */
+    static createCMYK(measurements, options) {
+        var profile = new Profile();
+        profile.createCMYKProfile(measurements, options);
+        return profile;
+    };
+
+    /**
+     * Instance side of `Profile.createCMYK()`.
+     * @param {{device: Array, Lab: Array}|CGATS} measurements
+     * @param {object} [options]  See `Profile.createCMYK()`.
+     * @returns {boolean}  false (with `lastError` set) for unusable
+     *                     measurements or options.
+     */
+    createCMYKProfile(measurements, options) {
+        options = options || {};
+        var set = measurementSet(measurements, options.deviceRange);
+        if (!set || set.device.length !== set.count * 4) {
+            this.lastError = {err: 170, text: 'createCMYK needs four device values and a measured Lab per patch'};
+            return false;
+        }
+        if (set.count < 16) {
+            this.lastError = {err: 171, text: 'createCMYK needs at least 16 patches, got ' + set.count};
+            return false;
+        }
+
+        var version = (options.version === undefined) ? 4 : options.version;
+        var gridPoints = options.gridPoints || 17;
+        var b2aGridPoints = options.b2aGridPoints || 33;
+        var totalInkLimit = (options.totalInkLimit === undefined) ? 300 : options.totalInkLimit;
+        var maxBlack = (options.maxBlack === undefined) ? 100 : options.maxBlack;
+        var blackStart = (options.blackStart === undefined) ? 20 : options.blackStart;
+        var blackMode = options.blackMode || 'GCR';
+        var blackGeneration = (options.blackGeneration === undefined) ? 'medium' : options.blackGeneration;
+        if (typeof blackGeneration === 'string') {
+            blackGeneration = {none: 0, light: 0.25, medium: 0.5, heavy: 0.75, maximum: 1}[blackGeneration];
+        }
+
+        var invalid = null;
+        if (version !== 2 && version !== 4) {
+            invalid = 'version must be 2 or 4';
+        } else if (!(gridPoints >= 2 && gridPoints <= 255) || !(b2aGridPoints >= 2 && b2aGridPoints <= 255)) {
+            invalid = 'gridPoints and b2aGridPoints must be 2 to 255';
+        } else if (!(totalInkLimit >= 100 && totalInkLimit <= 400)) {
+            invalid = 'totalInkLimit must be 100 to 400';
+        } else if (!(maxBlack >= 0 && maxBlack <= 100) || !(blackStart >= 0 && blackStart <= 100)) {
+            invalid = 'maxBlack and blackStart must be 0 to 100';
+        } else if (!(blackGeneration >= 0 && blackGeneration <= 1)) {
+            invalid = 'blackGeneration must be none, light, medium, heavy, maximum or 0 to 1';
+        } else if (blackMode !== 'GCR' && blackMode !== 'UCR') {
+            invalid = 'blackMode must be GCR or UCR';
+        }
+        if (invalid) {
+            this.lastError = {err: 172, text: 'createCMYK ' + invalid};
+            return false;
+        }
+
+        var device = set.device.map(function (v) {
+            return v / set.deviceRange;
+        });
+        var model = buildProfile.fit(device, set.Lab, 4, (options.smoothing === undefined) ? 0.0001 : options.smoothing);
+        if (model === null) {
+            this.lastError = {err: 173, text: 'createCMYK could not fit the measurements'};
+            return false;
+        }
+
+        var d50 = convert.d50;
+        var paper = model.evaluate([0, 0, 0, 0]);
+        var mediaWhite = convert.Lab2XYZ(convert.Lab(paper[0], paper[1], paper[2], d50, false));
+        var grid = buildProfile.sampleGrid(model, gridPoints, mediaWhite);
+
+        // V2 uses the legacy Lab encoding, L 100 at 0xFF00 rather than 0xFFFF
+        var v2Scale = (version === 2) ? 65280 / 65535 : 1;
+        var A2BCLUT = new Float64Array(grid.length);
+        for (var i = 0; i < grid.length; i += 3) {
+            A2BCLUT[i] = grid[i] / 100 * v2Scale;
+            A2BCLUT[i + 1] = (grid[i + 1] + 128) / 255 * v2Scale;
+            A2BCLUT[i + 2] = (grid[i + 2] + 128) / 255 * v2Scale;
+        }
+
+        var inverse = buildProfile.invertCMYK(grid, gridPoints, b2aGridPoints, {
+            nodeLab: function (u) {
+                u /= v2Scale;
+                return {L: u * 100, a: u * 255 - 128, b: u * 255 - 128};
+            },
+            totalInkLimit: totalInkLimit / 100,
+            maxBlack: maxBlack / 100,
+            blackGeneration: blackGeneration,
+            blackStart: blackStart / 100,
+            ucr: blackMode === 'UCR'
+        });
+
+        var A2B = cmykLut(version, 4, 3, gridPoints, A2BCLUT);
+        var B2A = cmykLut(version, 3, 4, b2aGridPoints, inverse.cmyk);
+        var gamut = cmykLut(version, 3, 1, b2aGridPoints, inverse.gamut);
+
+        var name = options.name || 'Custom CMYK';
+        var tags = [
+            {sig: 'desc', data: encode.text(name, version)},
+            {sig: 'cprt', data: (version >= 4) ? encode.multiLocalizedUnicodeType(options.copyright || '') : encode.textType(options.copyright || '')},
+            {sig: 'wtpt', data: encode.XYZType(mediaWhite)},
+            {sig: 'A2B0', data: A2B},
+            {sig: 'A2B1', data: A2B},
+            {sig: 'A2B2', data: A2B},
+            {sig: 'B2A0', data: B2A},
+            {sig: 'B2A1', data: B2A},
+            {sig: 'B2A2', data: B2A},
+            {sig: 'gamt', data: gamut}
+        ];
+        var header = {
+            profileSize: 0,
+            cmmType: 0,
+            version: version,
+            pClass: 'prtr',
+            space: 'CMYK',
+            pcs: 'LAB',
+            date: new Date(),
+            signature: '',
+            platform: '',
+            flags: 0,
+            attributes: 0,
+            intent: 0,
+            PCSilluminant: d50
+        };
+
+        // Through the encoder and decoder, so the tables are exactly what
+        // toBinary() writes and a reload reads
+        if (!this.readICCProfile(encode.profile(header, tags))) {
+            return false;
+        }
+        this.loadError = false;
+        return true;
+
+        function cmykLut(version, inputChannels, outputChannels, gridPoints, CLUT) {
+            var grid = [];
+            for (var c = 0; c < inputChannels; c++) {
+                grid.push(gridPoints);
+            }
+            var lut = {
+                type: (version >= 4) ? ((inputChannels === 4) ? 'mAB ' : 'mBA ') : 'mft2',
+                inputChannels: inputChannels,
+                outputChannels: outputChannels,
+                gridPoints: grid,
+                CLUT: CLUT,
+                precision: 16,
+                inputCurve: null,
+                outputCurve: null,
+                bCurves: false,
+                matrix: false,
+                mCurves: false,
+                aCurves: false
+            };
+            return encode.lut(lut);
+        }
+    };
+
+
+
+    // ========================================================================
+    //  ICC DECODE — top-level decode + RGB-matrix auto-promotion
+    // ========================================================================
+
+    /**
+     * Top-level ICC decode. Validates the header signature (`'acsp'`),
+     * dispatches to `decodeFile` for tag-by-tag decode, then derives a
+     * couple of cached values used by `Transform.js`:
+     *
+     *   - `PCSWhitepoint`            from header PCS illuminant
+     *   - `absoluteAdaptationIn/Out` ratios for absolute-colorimetric
+     *
+     * If the resulting profile is RGB with NO AtoB/BtoA LUTs but a
+     * complete set of primaries + TRCs, it is AUTO-PROMOTED to the
+     * fast `RGBMatrix` type (same internal shape as a virtual profile)
+     * — see the file header for why this matters.
+     *
+     * `searchForProfile` first scans the byte stream for an embedded
+     * `ICC_PROFILE` marker (e.g. inside a JPEG APP2 segment).
+     *
+     * @param {Uint8Array|Buffer} data
+     * @param {boolean} [searchForProfile]
+     * @returns {boolean}  true on success, false on any decode failure.
+     */
+    readICCProfile(data, searchForProfile) {
+
+        if(isInNode()){
+            if(data instanceof Buffer){
+                data = new Uint8Array(data);
+            }
+        }
+
+        var _this = this;
+        var start = 0;
+        if (searchForProfile){
+            //Search for text "ICC_PROFILE" in an Image
+            var ICC_PROFILE = [73 ,67 ,67 ,95 ,80 ,82 ,79 ,70 ,73 ,76 ,69 ];
+            start = scan(data,0, ICC_PROFILE);
+            if(start === -1){
+                return false;
+            }
+        }
+
+        // Search for text "acsp" in the profile header
+        var acsp = [97, 99, 115, 112];
+        var ascpPos = scan(data, start, acsp);
+        if (ascpPos === -1) {
+            return false;
+        }
+
+        var result;
+        if (this.strict) {
+            this.validation = Profile.validate(data);
+            if (!this.validation.valid) {
+                var first = this.validation.errors[0];
+                this.lastError = {err: 130, text: 'Profile failed validation: ' + (first.tag ? '[' + first.tag + '] ' : '') + first.text};
+                this.loaded = false;
+                return false;
+            }
+            try {
+                result = this.decodeFile(data);
+            } catch (e) {
+                this.lastError = {err: 131, text: 'Profile decode failed: ' + e};
+                result = false;
+            }
+        } else {
+            // extract the core profile data
+            result = this.decodeFile(data);
+        }
+
+        if (result === true) {
+            // Device links (and some abstract profiles) have no media white point
+            if (this.mediaWhitePoint === null) {
+                this.mediaWhitePoint = this.header.PCSilluminant;
+            }
+
+            // update whitepoint
+            this.PCSWhitepoint = convert.getWhitePointFromIlluminant(this.header.PCSilluminant);
+
+            // this.mediaWhitePoint = convert.getWhitePointFromIlluminant(this.mediaWhitePoint);
+
+            // pre-calculate adaptation matrixV4 values
+            this.absoluteAdaptationIn = {
+                Xa: this.mediaWhitePoint.X / this.header.PCSilluminant.X,
+                Ya: this.mediaWhitePoint.Y / this.header.PCSilluminant.Y,
+                Za: this.mediaWhitePoint.Z / this.header.PCSilluminant.Z
+            };
+
+            this.absoluteAdaptationOut = {
+                Xa: this.header.PCSilluminant.X / this.mediaWhitePoint.X,
+                Ya: this.header.PCSilluminant.Y / this.mediaWhitePoint.Y,
+                Za: this.header.PCSilluminant.Z / this.mediaWhitePoint.Z
+            };
+
+            // PQ / HLG from the 'cicp' tag replace the TRCs
+            var transfer = this.hdrTransfer();
+            if (transfer && this.rgb.rTRC) {
+                this.setHDRTransfer(transfer);
+            }
+
+            //TODO check for required tags for all profile types...
+
+            // determine the encoding on the A2b Tables
+            //this.PCSDecode = this.findA2BEncoding(this.A2B[eIntent.relative]);
+            if (_this.header.space === 'RGB ' &&
+                _this.A2B[eIntent.relative] === null &&
+                _this.B2A[eIntent.relative] === null &&
+                _this.rgb.gXYZ &&
+                _this.rgb.rXYZ &&
+                _this.rgb.bXYZ &&
+                _this.rgb.rTRC &&
+                _this.rgb.gTRC &&
+                _this.rgb.bTRC
+            ) {
+                // Convert to an RGBMatrix type profile.
+                this.createRGBMatrix();
+            }
+
+            this.loaded = true;
+            return true;
+        }
+
+        this.loaded = false;
+        return false;
+
+        function scan(outerArray, start, innerArray) {
+            for (var i = start; i < outerArray.length - innerArray.length; i++) {
+                var found = true;
+                for (var j = 0; j < innerArray.length; j++) {
+                    if (outerArray[i + j] !== innerArray[j]) {
+                        found = false;
+                        break;
+                    }
+                }
+                if (found) {
+                    return i;
+                }
+            }
+            return -1;
+        }
+    };
+
+    /**
+     * Check an ICC binary before trusting the decoder with it. Bounds
+     * checks the header, tag table and every tag the engine decodes,
+     * caps curve lengths and CLUT sizes, and reports overlapping tags.
+     * Nothing is decoded or allocated from the file's counts.
+     *
+     *      var report = Profile.validate(bytes);
+     *      if (!report.valid) {
+     *          report.errors.forEach(e => console.log(e.tag, e.text));
+     *      }
+     *
+     * @param {Uint8Array|Buffer} binary
+     * @param {{maxProfileSize?:number, maxTags?:number, maxCurvePoints?:number, maxCLUTEntries?:number}} [limits]
+     *        Overrides for the default caps (`validateICC.limits`).
+     * @returns {{valid:boolean, errors:Array<{tag:string|null, offset:number|null, text:string}>, warnings:Array<{tag:string|null, offset:number|null, text:string}>}}
+     */
+    static validate(binary, limits) {
+        if (isInNode() && binary instanceof Buffer) {
+            binary = new Uint8Array(binary);
+        }
+        return validate.profile(binary, limits);
+    };
+
+    // ========================================================================
+    //  RGB-MATRIX PROMOTION — make decoded RGB matrix profiles fast
+    // ========================================================================
+
+    /**
+     * Convert a freshly-decoded RGB profile (one that has primary XYZs +
+     * three TRC curves and no LUT) into the same internal `RGBMatrix`
+     * shape that virtual profiles use. After this call, downstream
+     * transforms hit the same inlined matrix-and-gamma kernel for both
+     * sources — there is no runtime cost difference between
+     * `'*sRGB'` and a decoded sRGB.icc.
+     *
+     * The primaries are adapted from the ICC PCS D50 reference to the
+     * profile's actual `mediaWhitePoint` before the matrix is computed.
+     *
+     * @return {boolean}
+     */
+    createRGBMatrix() {
+        //this.PCSWhitepoint = convert.getWhitePointFromIlluminant(this.header.PCSilluminant);
+        this.PCSWhitepoint = this.header.PCSilluminant;
+        var d50 = convert.d50;
+
+        // adapt primaries from D50 as per the ICC spec to the whitepoint of the profile
+        //
+        //
+        var rxy = convert.XYZ2xyY(convert.adaptation(this.rgb.rXYZ, d50, this.mediaWhitePoint), this.PCSWhitepoint);
+        var gxy = convert.XYZ2xyY(convert.adaptation(this.rgb.gXYZ, d50, this.mediaWhitePoint), this.PCSWhitepoint);
+        var bxy = convert.XYZ2xyY(convert.adaptation(this.rgb.bXYZ, d50, this.mediaWhitePoint), this.PCSWhitepoint);
+        this.type = eProfileType.RGBMatrix;
+        this.RGBMatrix = {
+            gamma: this.rgb.rTRC.gamma,
+            issRGB: (this.name.substr(0, 4) === 'sRGB'),
+
+            cRx: rxy.x,
+            cRy: rxy.y,
+
+            cGx: gxy.x,
+            cGy: gxy.y,
+
+            cBx: bxy.x,
+            cBy: bxy.y
+        };
+        convert.computeMatrix(this);
+    };
+
+    // ========================================================================
+    //  HDR — PQ / HLG transfer functions from 'cicp'
+    // ========================================================================
+
+    /**
+     * The HDR transfer function the 'cicp' tag asks for: `'PQ'`
+     * (transfer characteristics 16, SMPTE ST 2084), `'HLG'` (18, ARIB
+     * STD-B67) or null.
+     * @returns {string|null}
+     */
+    hdrTransfer() {
+        if (this.cicp === null) {
+            return null;
+        }
+        switch (this.cicp.transferCharacteristics) {
+            case 16:
+                return 'PQ';
+            case 18:
+                return 'HLG';
+        }
+        return null;
+    };
+
+    /**
+     * Replace the RGB TRCs with the exact PQ or HLG curves. Neither fits
+     * an ICC `para` curve, so the curve objects carry a `curveFn` (used
+     * by the pipeline) and a sampled table (written by `toBinary()` for
+     * CMMs that ignore 'cicp').
+     *
+     * Relative linear 1.0 is the profile white: `luminance.Y` cd/m²
+     * (the 'lumi' tag), or the BT.2408 reference white of 203 cd/m²
+     * (`convert.hdrReferenceWhite`) without one. Brighter highlights
+     * decode above 1.0 and clip at the destination for the relative
+     * intents. HLG uses the BT.2100 OOTF for a nominal 1000 cd/m²
+     * display (system gamma 1.2), so 75% HLG is reference white. The
+     * OOTF is approximated per channel rather than on luminance, as the
+     * TRCs are per channel: exact for neutrals, a little more saturated
+     * than BT.2100 for strong colours.
+     *
+     * For the absolute intent `absoluteAdaptationIn/Out` are scaled by
+     * `luminance.Y / 203`, so colours keep their cd/m² between HDR
+     * profiles and SDR white sits at the HDR reference white. Profiles
+     * without 'cicp' are never scaled.
+     *
+     * @param {string} transfer  'PQ' or 'HLG'
+     */
+    setHDRTransfer(transfer) {
+        var whiteLuminance = this.luminance ? this.luminance.Y : convert.hdrReferenceWhite;
+        var scale = whiteLuminance / convert.hdrReferenceWhite;
+
+        this.rgb.rTRC = this.rgb.gTRC = this.rgb.bTRC = hdrCurve(transfer, whiteLuminance, false);
+        this.rgb.rTRCInv = this.rgb.gTRCInv = this.rgb.bTRCInv = hdrCurve(transfer, whiteLuminance, true);
+
+        this.absoluteAdaptationIn = {
+            Xa: this.absoluteAdaptationIn.Xa * scale,
+            Ya: this.absoluteAdaptationIn.Ya * scale,
+            Za: this.absoluteAdaptationIn.Za * scale
+        };
+        this.absoluteAdaptationOut = {
+            Xa: this.absoluteAdaptationOut.Xa / scale,
+            Ya: this.absoluteAdaptationOut.Ya / scale,
+            Za: this.absoluteAdaptationOut.Za / scale
+        };
+    };
+
+
+    /**
+     * Decode the 128-byte ICC profile header into a plain object. Reads
+     * profile size, CMM signature, version bytes, profile/colour-space
+     * codes, render intent and the PCS illuminant XYZ.
+     *
+     * @param {Uint8Array} binary
+     * @returns {object}
+     */
+    decodeHeader(binary) {
+        var header = {};
+        header.profileSize = decode.uint32(binary, 0);
+        header.cmmType = decode.chars(binary, 4, 4);
+        header.version = decode.array(binary, 8, 4);
+        header.pClass = decode.chars(binary, 12, 4);
+        header.space = decode.chars(binary, 16, 4);
+        header.pcs = decode.chars(binary, 20, 4);
+        header.date = decode.array(binary, 24, 12);
         header.signature = decode.chars(binary, 36, 4);
         header.platform = decode.chars(binary, 40, 4);
         header.flags = decode.array(binary, 44, 4);
@@ -1089,7 +2159,11 @@ class Profile {
         this.pcs = this.header.pcs.trim().toUpperCase();
         this.colorSpace = this.header.space.trim().toUpperCase();
 
-        if (!(this.pcs === 'LAB' || this.pcs === 'XYZ')) {
+        // Device links go device to device, their 'pcs' field is the
+        // output colour space
+        var isLink = (this.header.pClass === 'link');
+
+        if (!isLink && !(this.pcs === 'LAB' || this.pcs === 'XYZ')) {
             this.lastError = {err: 100, text: 'Unsupported PCS [' + this.pcs + ']'};
             return false;
         }
@@ -1124,13 +2198,58 @@ class Profile {
                 this.type = eProfileType.CMYK; // cmyk
                 break;
 
+            case 'Lab ':
+                // Device links from or to Lab, Lab to Lab abstract profiles
+                // and named colour profiles without device coordinates
+                if (isLink || this.header.pClass === 'abst' || this.header.pClass === 'nmcl') {
+                    this.outputChannels = 3;
+                    this.type = eProfileType.Lab;
+                    break;
+                }
+                this.lastError = {err: 110, text: 'Unsupported Profile Colorspace [' + this.header.space + ']'};
+                return false;
+
             default:
                 this.lastError = {err: 110, text: 'Unsupported Profile Colorspace [' + this.header.space + ']'};
                 return false;
         }
 
+        if (isLink) {
+            switch (this.header.pcs) {
+                case 'GRAY':
+                    this.linkOutputChannels = 1;
+                    this.linkOutputType = eProfileType.Gray;
+                    break;
+                case '2CLR':
+                    this.linkOutputChannels = 2;
+                    this.linkOutputType = eProfileType.Duo;
+                    break;
+                case '3CLR':
+                case 'CMY ':
+                case 'RGB ':
+                    this.linkOutputChannels = 3;
+                    this.linkOutputType = eProfileType.RGBLut;
+                    break;
+                case '4CLR':
+                case 'CMYK':
+                    this.linkOutputChannels = 4;
+                    this.linkOutputType = eProfileType.CMYK;
+                    break;
+                case 'Lab ':
+                    this.linkOutputChannels = 3;
+                    this.linkOutputType = eProfileType.Lab;
+                    break;
+                default:
+                    this.lastError = {err: 110, text: 'Unsupported Device Link Output Colorspace [' + this.header.pcs + ']'};
+                    return false;
+            }
+        }
+
         this.tags = this.decodeTags(binary);
 
+        var colorantTable = null;
+        var colorantOrder = null;
+
         // process common tags
         for (var i = 0; i < this.tags.length; i++) {
             var tag = this.tags[i];
@@ -1218,7 +2337,7 @@ class Profile {
                     this.viewingConditions = decode.viewingConditions(binary, tag.offset);
                     break;
                 case 'gamt':
-                    // 'Gamut Tag Ignored' for now
+                    this.gamut = decode.lut(binary, tag.offset);
                     break;
                 case 'calt':
                     // 'Calibration Date Time Tag Ignored' for now
@@ -1227,13 +2346,14 @@ class Profile {
                     // chromaticityType Tag Ignored for now
                     break;
                 case 'cicp':
-                    // Coding-Independent Code Points (CICP) for video signal type identification Ignored for now
+                    // Coding-Independent Code Points (CICP) for video signal type identification
+                    this.cicp = decode.cicp(binary, tag.offset);
                     break;
                 case 'clro':
-                    // Colorant Order Ignored for now
+                    colorantOrder = decode.colorantOrder(binary, tag.offset);
                     break;
                 case 'clrt':
-                    // Colorant Table Ignored for now
+                    colorantTable = decode.colorantTable(binary, tag.offset);
                     break;
                 case 'ciis':
                     // Colorant Table Out of Range Indicator Ignored for now
@@ -1251,7 +2371,7 @@ class Profile {
                     // Metadata Ignored for now
                     break;
                 case 'ncl2':
-                    // Named Color 2 Ignored for now
+                    this.namedColors = this.decodeNamedColors(decode.namedColor2(binary, tag.offset));
                     break;
                 case 'resp':
                     // Output Response Ignored for now
@@ -1316,6 +2436,10 @@ class Profile {
             }
         }
 
+        if (colorantTable) {
+            this.colorants = this.decodeColorants(colorantTable, colorantOrder);
+        }
+
         if (this.B2A[eIntent.perceptual] === null) {
             this.B2A[eIntent.perceptual] = this.B2A[eIntent.relative];
         } // No Perceptual, use Colorimetric
@@ -1333,9 +2457,10 @@ class Profile {
         if (!(this.header.pClass === 'prtr' ||
             this.header.pClass === 'mntr' ||
             this.header.pClass === 'scnr' ||
-            //this.header.pClass === 'link' ||// not supported as yet
+            this.header.pClass === 'link' ||
             this.header.pClass === 'spac' ||
-            this.header.pClass === 'abst'
+            this.header.pClass === 'abst' ||
+            this.header.pClass === 'nmcl'
         )) {
             this.lastError = {err: 100, text: 'profile class not ' + this.header.pClass + ' supported'};
             return false;
@@ -1345,6 +2470,491 @@ class Profile {
 
     };
 
+    // ========================================================================
+    //  ICC ENCODE — serialise the profile back to an ICC binary
+    // ========================================================================
+
+    /**
+     * Serialise this profile to an ICC binary (the reverse of
+     * `readICCProfile`). Works for decoded profiles, virtual profiles
+     * and profiles edited in memory — the tags are rebuilt from the
+     * decoded fields, not copied from the original bytes:
+     *
+     *   desc, cprt                 name / copyright (`mluc` V4, `desc`/`text` V2)
+     *   wtpt, bkpt, lumi, chad     white / black point, luminance, adaptation
+     *   view                       viewing conditions (if decoded from `view`)
+     *   rXYZ..bXYZ, rTRC..bTRC     RGB matrix/TRC colorants and curves
+     *   kTRC                       gray TRC
+     *   A2B0-2, B2A0-2, gamt       LUTs, in their decoded tag type
+     *
+     * Virtual RGB profiles have no decoded curves, so their TRCs are
+     * written from `RGBMatrix` (the sRGB curve as `para` type 3, plain
+     * gammas as `para` type 0; sampled / `curv` gamma for V2). Primaries
+     * that were not D50-adapted (`virtualProfileUsesD50AdaptedPrimaries
+     * = false`) are adapted on the way out and a `chad` tag is added, as
+     * ICC V4 requires. Virtual Lab profiles are written like LittleCMS's
+     * built-in Lab profiles: class `abst` with identity `mAB`/`mBA`.
+     *
+     * Tags this engine does not decode (and `mpet` D2B/B2D tags, which
+     * are only stubbed) are not written. V4 output carries the MD5
+     * profile ID.
+     *
+     * @returns {Uint8Array|false}  The profile bytes, or false (with
+     *                              `lastError` set) if there is nothing
+     *                              loaded to write.
+     */
+    toBinary() {
+        if (!this.loaded) {
+            this.lastError = {err: 120, text: 'Can not encode a profile that is not loaded'};
+            return false;
+        }
+
+        var version = Array.isArray(this.header.version) ? this.header.version[0] : this.version;
+        var v4 = version >= 4;
+        var tags = [];
+        var _this = this;
+        var i;
+
+        function addTag(sig, data) {
+            tags.push({sig: sig, data: data});
+        }
+
+        addTag('desc', encode.text(this.name || this.description, version));
+        addTag('cprt', v4 ? encode.multiLocalizedUnicodeType(this.copyright) : encode.textType(this.copyright));
+
+        var mediaWhitePoint = this.mediaWhitePoint || convert.d50;
+        var colorants = [this.rgb.rXYZ, this.rgb.gXYZ, this.rgb.bXYZ];
+        var chromaticAdaptation = this.chromaticAdaptation;
+        var isVirtualRGB = (this.type === eProfileType.RGBMatrix && this.rgb.rTRC === null);
+
+        if (isVirtualRGB && !convert.compareWhitePoints(mediaWhitePoint, convert.d50)) {
+            // Primaries at their native whitepoint - ICC wants them relative to D50
+            colorants = colorants.map(function (xyz) {
+                return convert.adaptation(xyz, mediaWhitePoint, convert.d50);
+            });
+            var chad = convert.adaptationMatrix(mediaWhitePoint, convert.d50);
+            chromaticAdaptation = [chad.m00, chad.m01, chad.m02, chad.m10, chad.m11, chad.m12, chad.m20, chad.m21, chad.m22];
+            mediaWhitePoint = convert.d50;
+        }
+
+        addTag('wtpt', encode.XYZType(mediaWhitePoint));
+        if (this.blackPoint) {
+            addTag('bkpt', encode.XYZType(this.blackPoint));
+        }
+        if (this.luminance) {
+            addTag('lumi', encode.XYZType(this.luminance));
+        }
+        if (this.cicp) {
+            addTag('cicp', encode.cicp(this.cicp));
+        }
+        if (chromaticAdaptation) {
+            addTag('chad', encode.s15Array(chromaticAdaptation));
+        }
+        if (this.viewingConditions && this.viewingConditions.illuminant) {
+            addTag('view', encode.viewingConditions(this.viewingConditions));
+        }
+
+        if (colorants[0] && colorants[1] && colorants[2]) {
+            addTag('rXYZ', encode.XYZType(colorants[0]));
+            addTag('gXYZ', encode.XYZType(colorants[1]));
+            addTag('bXYZ', encode.XYZType(colorants[2]));
+
+            if (isVirtualRGB) {
+                var trc = virtualTRC();
+                addTag('rTRC', trc);
+                addTag('gTRC', trc);
+                addTag('bTRC', trc);
+            } else if (this.rgb.rTRC && this.rgb.gTRC && this.rgb.bTRC) {
+                addTag('rTRC', encode.curve(this.rgb.rTRC));
+                addTag('gTRC', encode.curve(this.rgb.gTRC));
+                addTag('bTRC', encode.curve(this.rgb.bTRC));
+            }
+        }
+
+        if (this.Gray.kTRC) {
+            addTag('kTRC', encode.curve(this.Gray.kTRC));
+        }
+
+        if (this.namedColors) {
+            addTag('ncl2', encode.namedColor2(this.encodeNamedColors(this.namedColors)));
+        }
+
+        if (this.colorants) {
+            var colorantTags = this.encodeColorants(this.colorants);
+            addTag('clrt', encode.colorantTable(colorantTags.colorants));
+            if (colorantTags.order) {
+                addTag('clro', encode.colorantOrder(colorantTags.order));
+            }
+        }
+
+        if (this.type === eProfileType.Lab && this.A2B[eIntent.relative] === null) {
+            // Virtual Lab - identity Lab > Lab, B curves only
+            var identity = {inputChannels: 3, outputChannels: 3, bCurves: false, matrix: false, CLUT: false};
+            addTag('A2B0', encode.lutAToB(identity));
+            addTag('B2A0', encode.lutBToA(identity));
+        }
+
+        for (i = 0; i < 3; i++) {
+            if (this.A2B[i]) {
+                addTag('A2B' + i, encode.lut(this.A2B[i]));
+            }
+        }
+        for (i = 0; i < 3; i++) {
+            if (this.B2A[i]) {
+                addTag('B2A' + i, encode.lut(this.B2A[i]));
+            }
+        }
+        if (this.gamut) {
+            addTag('gamt', encode.lut(this.gamut));
+        }
+
+        var header = Object.assign({}, this.header, {
+            version: Array.isArray(this.header.version) ? this.header.version : version,
+            space: this.colorSpace || this.header.space,
+            pcs: this.pcs || this.header.pcs
+        });
+
+        return encode.profile(header, tags);
+
+        function virtualTRC() {
+            var m = _this.RGBMatrix;
+            if (m.issRGB) {
+                var sRGBParams = [2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045];
+                if (v4) {
+                    return encode.parametricCurve(3, sRGBParams);
+                }
+                var samples = new Float64Array(1024);
+                for (var s = 0; s < samples.length; s++) {
+                    samples[s] = convert.sRGBGammaInv(s / (samples.length - 1));
+                }
+                return encode.sampledCurve(samples, 1);
+            }
+            return v4 ? encode.parametricCurve(0, [m.gamma]) : encode.gammaCurve(m.gamma);
+        }
+    };
+
+    // ========================================================================
+    //  NAMED COLOURS — 'ncl2' spot colour libraries
+    // ========================================================================
+
+    /**
+     * Turn a raw `ncl2` tag (from `decode.namedColor2`) into
+     * `profile.namedColors`:
+     *
+     *      {
+     *          prefix: 'PANTONE ', suffix: ' C', vendorFlags: 0,
+     *          deviceChannels: 4,
+     *          colors: [
+     *              {name: 'PANTONE 185 C', rootName: '185',
+     *               Lab: {type, L, a, b, whitePoint},    // D50
+     *               device: [0.0, 0.91, 0.76, 0.0]}      // 0.0-1.0
+     *          ]
+     *      }
+     *
+     * The PCS codes are decoded according to the profile's PCS and
+     * version (V2 legacy or V4 Lab, or XYZ which is converted to Lab).
+     *
+     * @param {object} ncl2
+     * @returns {object}
+     */
+    decodeNamedColors(ncl2) {
+        var colors = [];
+        for (var i = 0; i < ncl2.colors.length; i++) {
+            var raw = ncl2.colors[i];
+            var Lab;
+            if (this.pcs === 'XYZ') {
+                Lab = convert.XYZ2Lab(convert.XYZ(raw.pcs[0] / 32768, raw.pcs[1] / 32768, raw.pcs[2] / 32768), convert.d50);
+            } else if (this.version === 2) {
+                Lab = convert.Lab(raw.pcs[0] / 652.80, (raw.pcs[1] / 256) - 128, (raw.pcs[2] / 256) - 128, convert.d50);
+            } else {
+                Lab = convert.Lab(raw.pcs[0] * 100 / 65535, (raw.pcs[1] * 255 / 65535) - 128, (raw.pcs[2] * 255 / 65535) - 128, convert.d50);
+            }
+            colors.push({
+                name: ncl2.prefix + raw.rootName + ncl2.suffix,
+                rootName: raw.rootName,
+                Lab: Lab,
+                device: raw.device.map(function (v) {
+                    return v / 65535;
+                })
+            });
+        }
+        return {
+            prefix: ncl2.prefix,
+            suffix: ncl2.suffix,
+            vendorFlags: ncl2.vendorFlags,
+            deviceChannels: ncl2.deviceChannels,
+            colors: colors
+        };
+    };
+
+    /**
+     * The reverse of `decodeNamedColors()`, back to the raw 16-bit codes
+     * `encode.namedColor2` writes.
+     * @param {object} namedColors
+     * @returns {object}
+     */
+    encodeNamedColors(namedColors) {
+        var _this = this;
+        return {
+            prefix: namedColors.prefix,
+            suffix: namedColors.suffix,
+            vendorFlags: namedColors.vendorFlags,
+            deviceChannels: namedColors.deviceChannels,
+            colors: namedColors.colors.map(function (color) {
+                var Lab = color.Lab;
+                var pcs;
+                if (_this.pcs === 'XYZ') {
+                    var XYZ = convert.Lab2XYZ(Lab);
+                    pcs = [XYZ.X * 32768, XYZ.Y * 32768, XYZ.Z * 32768];
+                } else if (_this.version === 2) {
+                    pcs = [Lab.L * 652.80, (Lab.a + 128) * 256, (Lab.b + 128) * 256];
+                } else {
+                    pcs = [Lab.L * 65535 / 100, (Lab.a + 128) * 65535 / 255, (Lab.b + 128) * 65535 / 255];
+                }
+                return {
+                    rootName: color.rootName,
+                    pcs: pcs.map(function (v) {
+                        return Math.max(0, Math.min(65535, Math.round(v)));
+                    }),
+                    device: color.device.map(function (v) {
+                        return Math.max(0, Math.min(65535, Math.round(v * 65535)));
+                    })
+                };
+            })
+        };
+    };
+
+    /**
+     * Look up a colour in a named colour profile. Matches the full name
+     * (prefix + root + suffix) or the root name, ignoring case and
+     * surrounding spaces, so `'PANTONE 185 C'`, `'185'` and `'pantone 185 c'`
+     * all find the same colour.
+     *
+     * @param {string} name
+     * @returns {object|null}  The entry from `namedColors.colors`, or null
+     *                         if not found or this is not a named colour profile.
+     */
+    findNamedColor(name) {
+        if (!this.namedColors) {
+            return null;
+        }
+        var key = String(name).trim().toLowerCase();
+        var colors = this.namedColors.colors;
+        var i;
+        for (i = 0; i < colors.length; i++) {
+            if (colors[i].name.trim().toLowerCase() === key) {
+                return colors[i];
+            }
+        }
+        for (i = 0; i < colors.length; i++) {
+            if (colors[i].rootName.trim().toLowerCase() === key) {
+                return colors[i];
+            }
+        }
+        return null;
+    };
+
+    // ========================================================================
+    //  COLORANTS — 'clrt' / 'clro' ink names and colours
+    // ========================================================================
+
+    /**
+     * Turn the raw `clrt` and `clro` tags into `profile.colorants`, one
+     * entry per device channel:
+     *
+     *      [
+     *          {name: 'Cyan', Lab: {type, L, a, b, whitePoint}, order: 0},
+     *          {name: 'Magenta', Lab: {...}, order: 1},
+     *          ...
+     *      ]
+     *
+     * `Lab` is D50. The colorant table uses the legacy (V2) Lab encoding
+     * whatever the profile version, or 16-bit XYZ for XYZ PCS profiles.
+     * `order` is the position the colorant is laid down in (0 = first),
+     * from `clro`, or null if the profile has no colorant order tag.
+     *
+     * @param {object} clrt  from `decode.colorantTable`
+     * @param {object|null} clro  from `decode.colorantOrder`
+     * @returns {Array<object>}
+     */
+    decodeColorants(clrt, clro) {
+        var colorants = [];
+        for (var i = 0; i < clrt.colorants.length; i++) {
+            var raw = clrt.colorants[i];
+            var Lab;
+            if (this.pcs === 'XYZ') {
+                Lab = convert.XYZ2Lab(convert.XYZ(raw.pcs[0] / 32768, raw.pcs[1] / 32768, raw.pcs[2] / 32768), convert.d50);
+            } else {
+                Lab = convert.Lab(raw.pcs[0] / 652.80, (raw.pcs[1] / 256) - 128, (raw.pcs[2] / 256) - 128, convert.d50);
+            }
+            colorants.push({
+                name: raw.name,
+                Lab: Lab,
+                order: null
+            });
+        }
+        if (clro) {
+            for (var pos = 0; pos < clro.order.length; pos++) {
+                var channel = clro.order[pos];
+                if (channel < colorants.length) {
+                    colorants[channel].order = pos;
+                }
+            }
+        }
+        return colorants;
+    };
+
+    /**
+     * The reverse of `decodeColorants()`, back to the raw shapes
+     * `encode.colorantTable` and `encode.colorantOrder` write. `order` is
+     * null unless every colorant has a lay-down position.
+     * @param {Array<object>} colorants
+     * @returns {{colorants:Array<{name:string, pcs:number[]}>, order:number[]|null}}
+     */
+    encodeColorants(colorants) {
+        var _this = this;
+        var order = [];
+        var table = colorants.map(function (colorant, channel) {
+            var Lab = colorant.Lab;
+            var pcs;
+            if (_this.pcs === 'XYZ') {
+                var XYZ = convert.Lab2XYZ(Lab);
+                pcs = [XYZ.X * 32768, XYZ.Y * 32768, XYZ.Z * 32768];
+            } else {
+                pcs = [Lab.L * 652.80, (Lab.a + 128) * 256, (Lab.b + 128) * 256];
+            }
+            if (order !== null && typeof colorant.order === 'number') {
+                order[colorant.order] = channel;
+            } else {
+                order = null;
+            }
+            return {
+                name: colorant.name,
+                pcs: pcs.map(function (v) {
+                    return Math.max(0, Math.min(65535, Math.round(v)));
+                })
+            };
+        });
+        return {
+            colorants: table,
+            order: order
+        };
+    };
+
+    // ========================================================================
+    //  EVALUATION — ΔE against a measurement set
+    // ========================================================================
+
+    /**
+     * Check how well the profile predicts a set of measurements: each
+     * patch's device values go through the A2B side to Lab D50 and are
+     * compared with the measured Lab using ΔE76, ΔE94 (graphic arts),
+     * ΔE2000 and ΔECMC(2:1).
+     *
+     *      var report = profile.evaluate({
+     *          device: [[0, 0, 0, 0], [100, 0, 0, 0], ...],   // or flat, interleaved
+     *          Lab:    [[95.1, 0.8, -4.1], [55.3, -37.2, -50.1], ...]
+     *      });
+     *      report.dE2000   // {mean, median, max, p95, stdDev}
+     *      report.worst    // patches, worst ΔE2000 first
+     *
+     * `measurements` can also be a `CGATS` table with device and Lab
+     * fields. Device values are 0 - 100 per channel, as in CGATS files;
+     * when any value is above 100 they are read as 0 - 255. Pass
+     * `options.deviceRange` to say which.
+     *
+     * Measured Lab is taken as D50, as measurement files and the PCS are.
+     * The default absolute intent compares against the profile's real
+     * paper white; use relative to judge the shape of the profile alone.
+     *
+     * @param {{device: Array, Lab: Array}|CGATS} measurements
+     * @param {number} [intent=eIntent.absolute]
+     * @param {object} [options]
+     * @param {number} [options.deviceRange] Full scale of the device values
+     * @param {number} [options.worst=10] How many patches `worst` lists
+     * @returns {object|false} The report, or false (with `lastError` set)
+     *                         if the profile or the measurements can't be used.
+     */
+    evaluate(measurements, intent, options) {
+        options = options || {};
+        if (intent === undefined) {
+            intent = eIntent.absolute;
+        }
+
+        if (!this.loaded) {
+            this.lastError = {err: 160, text: 'Can not evaluate a profile that is not loaded'};
+            return false;
+        }
+
+        var set = measurementSet(measurements, options.deviceRange);
+        if (!set) {
+            this.lastError = {err: 161, text: 'evaluate needs device values and measured Lab'};
+            return false;
+        }
+        var channels = this.outputChannels;
+        var device = set.device;
+        var Lab = set.Lab;
+        var count = set.count;
+        var deviceRange = set.deviceRange;
+        if (device.length !== count * channels) {
+            this.lastError = {err: 162, text: 'evaluate has ' + device.length + ' device values for ' + count + ' patches, the profile has ' + channels + ' channels'};
+            return false;
+        }
+
+        // Required here, Transform.js requires Profile.js
+        var Transform = require('./Transform');
+        var transform = new Transform({dataFormat: 'device'});
+        try {
+            transform.create(this, '*Lab', intent);
+        } catch (e) {
+            this.lastError = {err: 163, text: 'evaluate could not create the transform: ' + e};
+            return false;
+        }
+
+        var patches = new Array(count);
+        var input = new Array(channels);
+        for (var i = 0; i < count; i++) {
+            for (var c = 0; c < channels; c++) {
+                input[c] = device[i * channels + c] / deviceRange;
+            }
+            var pcs = transform.transform(input);
+            var predicted = convert.Lab(pcs[0] * 100, pcs[1] * 255 - 128, pcs[2] * 255 - 128, convert.d50, false);
+            var measured = convert.Lab(Lab[i * 3], Lab[i * 3 + 1], Lab[i * 3 + 2], convert.d50, false);
+            patches[i] = {
+                index: i,
+                device: device.slice(i * channels, (i + 1) * channels),
+                measured: measured,
+                predicted: predicted,
+                dE76: convert.deltaE1976(measured, predicted),
+                dE94: convert.deltaE1994(measured, predicted, false),
+                dE2000: convert.deltaE2000(measured, predicted),
+                dECMC: convert.deltaECMC(measured, predicted)
+            };
+        }
+
+        var stats = function (key) {
+            return deltaEStats(patches.map(function (patch) {
+                return patch[key];
+            }));
+        };
+
+        var worstCount = (options.worst === undefined) ? 10 : options.worst;
+        var worst = patches.slice().sort(function (a, b) {
+            return b.dE2000 - a.dE2000;
+        }).slice(0, worstCount);
+
+        return {
+            count: count,
+            intent: intent,
+            dE76: stats('dE76'),
+            dE94: stats('dE94'),
+            dE2000: stats('dE2000'),
+            dECMC: stats('dECMC'),
+            worst: worst,
+            patches: patches
+        };
+    };
+
     // ========================================================================
     //  METADATA HELPERS
     // ========================================================================
@@ -1393,6 +3003,206 @@ class Profile {
 
 
 
+// ============================================================================
+//  MEASUREMENT HELPERS — reading and summarising measurement sets
+// ============================================================================
+
+/**
+ * Device values and Lab from `{device, Lab}` or a `CGATS` table, as flat
+ * arrays with the patch count and the device full scale: the given
+ * `deviceRange`, the table's, or 255 if any value is over 100 and 100
+ * otherwise. null if there is no usable Lab.
+ */
+function measurementSet(measurements, deviceRange) {
+    var device, Lab;
+    if (measurements && typeof measurements.getDevice === 'function') {
+        device = measurements.getDevice();
+        Lab = measurements.getLab();
+        deviceRange = deviceRange || measurements.deviceRange;
+    } else if (measurements) {
+        device = measurements.device;
+        Lab = measurements.Lab;
+    }
+
+    device = flattenMeasurements(device);
+    Lab = flattenMeasurements(Lab);
+    if (!device || !Lab || Lab.length === 0 || Lab.length % 3 !== 0) {
+        return null;
+    }
+
+    if (!deviceRange) {
+        deviceRange = 100;
+        for (var d = 0; d < device.length; d++) {
+            if (device[d] > 100) {
+                deviceRange = 255;
+                break;
+            }
+        }
+    }
+    return {device: device, Lab: Lab, count: Lab.length / 3, deviceRange: deviceRange};
+}
+
+/**
+ * Measurement values as one flat array, from a flat array, a typed array
+ * or an array of per-patch arrays. null for anything else.
+ */
+function flattenMeasurements(values) {
+    if (!values || typeof values.length !== 'number') {
+        return null;
+    }
+    if (values.length > 0 && typeof values[0] !== 'number') {
+        var flat = [];
+        for (var i = 0; i < values.length; i++) {
+            if (!values[i] || typeof values[i].length !== 'number') {
+                return null;
+            }
+            for (var j = 0; j < values[i].length; j++) {
+                flat.push(values[i][j]);
+            }
+        }
+        return flat;
+    }
+    return Array.from(values);
+}
+
+/**
+ * Mean, median, max, 95th percentile and standard deviation. Percentiles
+ * interpolate between the nearest ranks.
+ */
+function deltaEStats(values) {
+    var sorted = values.slice().sort(function (a, b) {
+        return a - b;
+    });
+    var n = sorted.length;
+    var sum = 0, sumSq = 0;
+    for (var i = 0; i < n; i++) {
+        sum += sorted[i];
+        sumSq += sorted[i] * sorted[i];
+    }
+    var mean = sum / n;
+
+    var percentile = function (p) {
+        var pos = (n - 1) * p;
+        var lo = Math.floor(pos);
+        var hi = Math.min(lo + 1, n - 1);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    };
+
+    return {
+        mean: mean,
+        median: percentile(0.5),
+        max: sorted[n - 1],
+        p95: percentile(0.95),
+        stdDev: Math.sqrt(Math.max(0, sumSq / n - mean * mean))
+    };
+}
+
+// ============================================================================
+//  CURVE HELPERS — TRCs for the profile builders
+// ============================================================================
+
+/**
+ * Build a TRC curve object (the shape `decodeICC.curve` returns) from a
+ * `Profile.createRGB()` trc option. The curve is encoded and decoded so
+ * it behaves exactly like one read from a file, then parametric curves
+ * get their exact parameters back (the tag stores s15Fixed16).
+ *
+ * @param {number|{type:number, params:number[]}|number[]|Float64Array} trc
+ * @param {boolean} inverse
+ * @returns {object|null}  null for an unusable trc.
+ */
+function trcCurve(trc, inverse) {
+    var bytes, params;
+    if (typeof trc === 'number' && trc > 0) {
+        params = [trc];
+        bytes = encode.parametricCurve(0, params);
+    } else if (trc && typeof trc.type === 'number' && Array.isArray(trc.params)) {
+        if ([1, 3, 4, 5, 7][trc.type] !== trc.params.length) {
+            return null;
+        }
+        params = trc.params.slice();
+        bytes = encode.parametricCurve(trc.type, params);
+    } else if (trc && trc.length >= 2 && typeof trc[0] === 'number') {
+        bytes = encode.sampledCurve(trc, 1);
+    } else {
+        return null;
+    }
+    var curve = decode.curve(new Uint8Array(bytes), 0, inverse);
+    if (params) {
+        curve.params = params;
+        if (curve.params.length === 1) {
+            curve.gamma = params[0];
+        }
+    }
+    return curve;
+}
+
+/**
+ * A PQ or HLG TRC in the `decodeICC.curve` shape, device → relative
+ * linear (or the inverse), with 1.0 at `whiteLuminance` cd/m². See
+ * `Profile.setHDRTransfer()`.
+ *
+ * The HLG OOTF is applied to each channel, Rd = Rs^γ. BT.2100 applies it
+ * to the scene luminance, Rd = Ys^(γ-1)·Rs, which a per-channel TRC
+ * cannot express. The two agree on neutrals; saturated colours come out
+ * with slightly more chroma than a BT.2100 display would show.
+ *
+ * @param {string} transfer  'PQ' or 'HLG'
+ * @param {number} whiteLuminance
+ * @param {boolean} inverse
+ * @returns {object}
+ */
+function hdrCurve(transfer, whiteLuminance, inverse) {
+    var params = {transfer: transfer, whiteLuminance: whiteLuminance};
+    var curveFn, sample;
+
+    if (transfer === 'PQ') {
+        sample = convert.PQGammaInv;
+        curveFn = inverse
+            ? function (params, y) {
+                return convert.PQGamma(y * params.whiteLuminance / 10000);
+            }
+            : function (params, x) {
+                return convert.PQGammaInv(x) * 10000 / params.whiteLuminance;
+            };
+    } else {
+        params.peakLuminance = 1000;
+        params.systemGamma = 1.2;
+        sample = function (x) {
+            return Math.pow(convert.HLGGammaInv(x), params.systemGamma);
+        };
+        curveFn = inverse
+            ? function (params, y) {
+                return convert.HLGGamma(Math.pow(Math.max(y, 0) * params.whiteLuminance / params.peakLuminance, 1 / params.systemGamma));
+            }
+            : function (params, x) {
+                return params.peakLuminance * Math.pow(convert.HLGGammaInv(x), params.systemGamma) / params.whiteLuminance;
+            };
+    }
+
+    // Peak = 1.0 table for CMMs that ignore 'cicp', only on the forward curve
+    var dataf = [];
+    if (!inverse) {
+        dataf = new Float64Array(4096);
+        for (var i = 0; i < dataf.length; i++) {
+            dataf[i] = sample(i / (dataf.length - 1));
+        }
+    }
+
+    return {
+        use: true,
+        count: dataf.length,
+        data: false,
+        dataf: dataf,
+        gamma: 0,
+        inverted: inverse,
+        passThrough: false,
+        curveFn: curveFn,
+        params: params,
+        byteLength: false
+    };
+}
+
 // ============================================================================
 //  ENVIRONMENT HELPERS — module-level utilities (browser / Node / CEP)
 // ============================================================================
@@ -48,10 +48,14 @@
  *        D50  ISO graphic-arts viewing,      5000 K  (the default for ICC)
  *        D55  Mid-morning/afternoon,         5500 K
  *        D65  Noon daylight,                 6504 K  (the default for sRGB)
+ *        F1 - F12  CIE fluorescent lamps — F2 cool white, F7 / F8 broadband
+ *             D65 / D50 simulators, F11 the TL84 tri-band of store lighting
  *
  *      Each is a curve S(λ) sampled at fixed nm steps, normalised so that
- *      the value at 560 nm ≈ 100. Add F-series (fluorescent) or LED SPDs
- *      here if you need them — same shape.
+ *      the value at 560 nm ≈ 100. daylightIlluminant() and
+ *      planckianIlluminant() build CIE daylight and blackbody SPDs for any
+ *      temperature, and toIlluminant() wraps any other SPD (LED lamps,
+ *      a measured viewing booth) in the same shape.
  *
  *   2. Observers[] — the CIE colour-matching functions x̄(λ), ȳ(λ), z̄(λ):
  *        2°   CIE 1931 standard observer  (most colour work)
@@ -61,11 +65,20 @@
  *      wavelength. They turn an SPD into a tristimulus (X, Y, Z) value.
  *
  *   3. The Spectral class with helpers and the integration `calculateXYZ()`
- *      which turns reflectance + illuminant + observer into XYZ. The
+ *      which turns reflectance + illuminant + observer into XYZ, directly
+ *      or with ASTM E308 weighting factors (`weightingFactors()`,
+ *      `bandpassCorrect()`). The
  *      returned XYZ already carries the illuminant's whitePoint so passing
  *      it to convert.XYZ2Lab() (or piping it through a Transform) gives
  *      Lab measured under that illuminant.
  *
+ *   4. Metamerism checks built on it: `metamerismIndex()` for a pair of
+ *      samples that match under one light, and `colorInconstancyIndex()`
+ *      for how much one sample shifts between lights.
+ *
+ *   5. `fromXYZ()` — the way back: a smooth reflectance curve for an XYZ
+ *      or Lab colour, for Lab-only libraries.
+ *
  *
  *  THE MATH (calculateXYZ)
  *  ----------------------------------------------------------------------------
@@ -85,6 +98,13 @@
  *  the loop. Wavelengths where the spectrum's grid doesn't line up with the
  *  illuminant's or observer's grid are linearly interpolated.
  *
+ *  That direct sum only samples the observer and illuminant at the
+ *  spectrum's wavelengths. For 10 / 20 nm instrument data pass
+ *  `{method: 'astm-e308'}` instead: the sum then uses ASTM E308 weighting
+ *  factors, worked out from the 1 nm tables (see weightingFactors()), with
+ *  the instrument's bandpass corrected — the numbers spectro software
+ *  reports.
+ *
  *
  *  TYPICAL USAGE
  *  ----------------------------------------------------------------------------
@@ -145,9 +165,11 @@ var convert = require('./convert');
  *    step        Nm spacing between consecutive `data` values.
  *    range       Legacy scale denominator (~max(data)); not used by calculateXYZ.
  *    temp        Correlated colour temperature in Kelvin.
- *    whitePoint  Reference XYZ whitepoint object from convert.js. The XYZ
- *                returned by calculateXYZ() inherits this so downstream
- *                Lab conversion uses the matching whitepoint.
+ *    whitePoint  Reference XYZ whitepoint object from convert.js, or null
+ *                to have it worked out from `data` with the 2° observer
+ *                when the module loads. The XYZ returned by calculateXYZ()
+ *                inherits this so downstream Lab conversion uses the
+ *                matching whitepoint.
  *    data        Relative SPD samples, normalised so data[wavelength=560nm] ≈ 100.
  *
  *  Coverage and step size matter: an integration over 380-730 nm @ 5 nm is
@@ -222,6 +244,162 @@ var Illuminants =  [
         data: [
             0.0341, 1.6643, 3.2945, 11.7652, 20.236, 28.6447, 37.0535, 38.5011, 39.9488, 42.4302, 44.9117, 45.775, 46.6383, 49.3637, 52.0891, 51.0323, 49.9755, 52.3118, 54.6482, 68.7015, 82.7549, 87.1204, 91.486, 92.4589, 93.4318, 90.057, 86.6823, 95.7736, 104.865, 110.936, 117.008, 117.41, 117.812, 116.336, 114.861, 115.392, 115.923, 112.367, 108.811, 109.082, 109.354, 108.578, 107.802, 106.296, 104.79, 106.239, 107.689, 106.047, 104.405, 104.225, 104.046, 102.023, 100, 98.1671, 96.3342, 96.0611, 95.788, 92.2368, 88.6856, 89.3459, 90.0062, 89.8026, 89.5991, 88.6489, 87.6987, 85.4936, 83.2886, 83.4939, 83.6992, 81.863, 80.0268, 80.1207, 80.2146, 81.2462, 82.2778, 80.281, 78.2842, 74.0027, 69.7213, 70.6652, 71.6091, 72.979, 74.349, 67.9765, 61.604, 65.7448, 69.8856, 72.4863, 75.087, 69.3398, 63.5927, 55.0054, 46.4182, 56.6118, 66.8054, 65.0941, 63.3828, 63.8434, 64.304, 61.8779, 59.4519, 55.7054, 51.959, 54.6998, 57.4406, 58.8765, 60.3125
         ]
+   },
+   {
+        name: 'F1',
+        description: 'CIE standard Illuminant F1, daylight fluorescent, 6430K, at 5nm resolution',
+        startnm: 380,
+        endnm: 780,
+        step: 5,
+        range: 1000,
+        temp: 6430,
+        whitePoint: null,
+        data: [
+            1.87, 2.36, 2.94, 3.47, 5.17, 19.49, 6.13, 6.24, 7.01, 7.79, 8.56, 43.67, 16.94, 10.72, 11.35, 11.89, 12.37, 12.75, 13.00, 13.15, 13.23, 13.17, 13.13, 12.85, 12.52, 12.20, 11.83, 11.50, 11.22, 11.05, 11.03, 11.18, 11.53, 27.74, 17.05, 13.55, 14.33, 15.01, 15.52, 18.29, 19.55, 15.48, 14.91, 14.15, 13.22, 12.19, 11.12, 10.03, 8.95, 7.96, 7.02, 6.20, 5.42, 4.73, 4.15, 3.64, 3.20, 2.81, 2.47, 2.18, 1.93, 1.72, 1.67, 1.43, 1.29, 1.19, 1.08, 0.96, 0.88, 0.81, 0.77, 0.75, 0.73, 0.68, 0.69, 0.64, 0.68, 0.69, 0.61, 0.52, 0.43
+        ]
+   },
+   {
+        name: 'F2',
+        description: 'CIE standard Illuminant F2, cool white fluorescent, 4230K, at 5nm resolution',
+        startnm: 380,
+        endnm: 780,
+        step: 5,
+        range: 1000,
+        temp: 4230,
+        whitePoint: convert.f2,
+        data: [
+            1.18, 1.48, 1.84, 2.15, 3.44, 15.69, 3.85, 3.74, 4.19, 4.62, 5.06, 34.98, 11.81, 6.27, 6.63, 6.93, 7.19, 7.40, 7.54, 7.62, 7.65, 7.62, 7.62, 7.45, 7.28, 7.15, 7.05, 7.04, 7.16, 7.47, 8.04, 8.88, 10.01, 24.88, 16.64, 14.59, 16.16, 17.56, 18.62, 21.47, 22.79, 19.29, 18.66, 17.73, 16.54, 15.21, 13.80, 12.36, 10.95, 9.65, 8.40, 7.32, 6.31, 5.43, 4.68, 4.02, 3.45, 2.96, 2.55, 2.19, 1.89, 1.64, 1.53, 1.27, 1.10, 0.99, 0.88, 0.76, 0.68, 0.61, 0.56, 0.54, 0.51, 0.47, 0.47, 0.43, 0.46, 0.47, 0.40, 0.33, 0.27
+        ]
+   },
+   {
+        name: 'F3',
+        description: 'CIE standard Illuminant F3, white fluorescent, 3450K, at 5nm resolution',
+        startnm: 380,
+        endnm: 780,
+        step: 5,
+        range: 1000,
+        temp: 3450,
+        whitePoint: null,
+        data: [
+            0.82, 1.02, 1.26, 1.44, 2.57, 14.36, 2.70, 2.45, 2.73, 3.00, 3.28, 31.85, 9.47, 4.02, 4.25, 4.44, 4.59, 4.72, 4.80, 4.86, 4.87, 4.85, 4.88, 4.77, 4.67, 4.62, 4.62, 4.73, 4.99, 5.48, 6.25, 7.34, 8.78, 23.82, 16.14, 14.59, 16.63, 18.49, 19.95, 23.11, 24.69, 21.41, 20.85, 19.93, 18.67, 17.22, 15.65, 14.04, 12.45, 10.95, 9.51, 8.27, 7.11, 6.09, 5.22, 4.45, 3.80, 3.23, 2.75, 2.33, 1.99, 1.70, 1.55, 1.27, 1.09, 0.96, 0.83, 0.71, 0.62, 0.54, 0.49, 0.46, 0.43, 0.39, 0.39, 0.35, 0.38, 0.39, 0.33, 0.28, 0.21
+        ]
+   },
+   {
+        name: 'F4',
+        description: 'CIE standard Illuminant F4, warm white fluorescent, 2940K, at 5nm resolution',
+        startnm: 380,
+        endnm: 780,
+        step: 5,
+        range: 1000,
+        temp: 2940,
+        whitePoint: null,
+        data: [
+            0.57, 0.70, 0.87, 0.98, 2.01, 13.75, 1.95, 1.59, 1.76, 1.93, 2.10, 30.28, 8.03, 2.55, 2.70, 2.82, 2.91, 2.99, 3.04, 3.08, 3.09, 3.09, 3.14, 3.06, 3.00, 2.98, 3.01, 3.14, 3.41, 3.90, 4.69, 5.81, 7.32, 22.59, 15.11, 13.88, 16.33, 18.68, 20.64, 24.28, 26.26, 23.28, 22.94, 22.14, 20.91, 19.43, 17.74, 16.00, 14.42, 12.56, 10.93, 9.52, 8.18, 7.01, 6.00, 5.11, 4.36, 3.69, 3.13, 2.64, 2.24, 1.91, 1.70, 1.39, 1.18, 1.03, 0.88, 0.74, 0.64, 0.54, 0.49, 0.46, 0.42, 0.37, 0.37, 0.33, 0.35, 0.36, 0.31, 0.26, 0.19
+        ]
+   },
+   {
+        name: 'F5',
+        description: 'CIE standard Illuminant F5, daylight fluorescent, 6350K, at 5nm resolution',
+        startnm: 380,
+        endnm: 780,
+        step: 5,
+        range: 1000,
+        temp: 6350,
+        whitePoint: null,
+        data: [
+            1.87, 2.35, 2.92, 3.45, 5.10, 18.91, 6.00, 6.11, 6.85, 7.58, 8.31, 40.76, 16.06, 10.32, 10.91, 11.40, 11.83, 12.17, 12.40, 12.54, 12.58, 12.52, 12.47, 12.20, 11.89, 11.61, 11.33, 11.10, 10.96, 10.97, 11.16, 11.54, 12.12, 27.78, 17.73, 14.47, 15.20, 15.77, 16.10, 18.54, 19.50, 15.39, 14.64, 13.72, 12.69, 11.57, 10.45, 9.35, 8.29, 7.32, 6.41, 5.63, 4.90, 4.26, 3.72, 3.25, 2.83, 2.49, 2.19, 1.93, 1.71, 1.52, 1.43, 1.26, 1.13, 1.05, 0.96, 0.85, 0.78, 0.72, 0.68, 0.67, 0.65, 0.61, 0.62, 0.59, 0.62, 0.64, 0.55, 0.47, 0.40
+        ]
+   },
+   {
+        name: 'F6',
+        description: 'CIE standard Illuminant F6, lite white fluorescent, 4150K, at 5nm resolution',
+        startnm: 380,
+        endnm: 780,
+        step: 5,
+        range: 1000,
+        temp: 4150,
+        whitePoint: null,
+        data: [
+            1.05, 1.31, 1.63, 1.90, 3.11, 14.80, 3.43, 3.30, 3.68, 4.07, 4.45, 32.61, 10.74, 5.48, 5.78, 6.03, 6.25, 6.41, 6.52, 6.58, 6.59, 6.56, 6.56, 6.42, 6.28, 6.20, 6.19, 6.30, 6.60, 7.12, 7.94, 9.07, 10.49, 25.22, 17.46, 15.63, 17.22, 18.53, 19.43, 21.97, 23.01, 19.41, 18.56, 17.42, 16.09, 14.64, 13.15, 11.68, 10.25, 8.96, 7.74, 6.69, 5.71, 4.87, 4.16, 3.55, 3.02, 2.57, 2.20, 1.87, 1.60, 1.37, 1.29, 1.05, 0.91, 0.81, 0.71, 0.61, 0.54, 0.48, 0.44, 0.43, 0.40, 0.37, 0.38, 0.35, 0.39, 0.41, 0.33, 0.26, 0.21
+        ]
+   },
+   {
+        name: 'F7',
+        description: 'CIE standard Illuminant F7, broadband D65 simulator fluorescent, 6500K, at 5nm resolution',
+        startnm: 380,
+        endnm: 780,
+        step: 5,
+        range: 1000,
+        temp: 6500,
+        whitePoint: convert.f7,
+        data: [
+            2.56, 3.18, 3.84, 4.53, 6.15, 19.37, 7.37, 7.05, 7.71, 8.41, 9.15, 44.14, 17.52, 11.35, 12.00, 12.58, 13.08, 13.45, 13.71, 13.88, 13.95, 13.93, 13.82, 13.64, 13.43, 13.25, 13.08, 12.93, 12.78, 12.60, 12.44, 12.33, 12.26, 29.52, 17.05, 12.44, 12.58, 12.72, 12.83, 15.46, 16.75, 12.83, 12.67, 12.45, 12.19, 11.89, 11.60, 11.35, 11.12, 10.95, 10.76, 10.42, 10.11, 10.04, 10.02, 10.11, 9.87, 8.65, 7.27, 6.44, 5.83, 5.41, 5.04, 4.57, 4.12, 3.77, 3.46, 3.08, 2.73, 2.47, 2.25, 2.06, 1.90, 1.75, 1.62, 1.54, 1.45, 1.32, 1.17, 0.99, 0.81
+        ]
+   },
+   {
+        name: 'F8',
+        description: 'CIE standard Illuminant F8, broadband D50 simulator fluorescent, 5000K, at 5nm resolution',
+        startnm: 380,
+        endnm: 780,
+        step: 5,
+        range: 1000,
+        temp: 5000,
+        whitePoint: null,
+        data: [
+            1.21, 1.50, 1.81, 2.13, 3.17, 13.08, 3.83, 3.45, 3.86, 4.42, 5.09, 34.10, 12.42, 7.68, 8.60, 9.46, 10.24, 10.84, 11.33, 11.71, 11.98, 12.17, 12.28, 12.32, 12.35, 12.44, 12.55, 12.68, 12.77, 12.72, 12.60, 12.43, 12.22, 28.96, 16.51, 11.79, 11.76, 11.77, 11.84, 14.61, 16.11, 12.34, 12.53, 12.72, 12.92, 13.12, 13.34, 13.61, 13.87, 14.07, 14.20, 14.16, 14.13, 14.34, 14.50, 14.46, 14.00, 12.58, 10.99, 9.98, 9.22, 8.62, 8.07, 7.39, 6.71, 6.16, 5.63, 5.03, 4.46, 4.02, 3.66, 3.36, 3.09, 2.85, 2.65, 2.51, 2.37, 2.15, 1.89, 1.61, 1.32
+        ]
+   },
+   {
+        name: 'F9',
+        description: 'CIE standard Illuminant F9, broadband cool white deluxe fluorescent, 4150K, at 5nm resolution',
+        startnm: 380,
+        endnm: 780,
+        step: 5,
+        range: 1000,
+        temp: 4150,
+        whitePoint: null,
+        data: [
+            0.90, 1.12, 1.36, 1.60, 2.59, 12.80, 3.05, 2.56, 2.86, 3.30, 3.82, 32.62, 10.77, 5.84, 6.57, 7.25, 7.86, 8.35, 8.75, 9.06, 9.31, 9.48, 9.61, 9.68, 9.74, 9.88, 10.04, 10.26, 10.48, 10.63, 10.76, 10.96, 11.18, 27.71, 16.29, 12.28, 12.74, 13.21, 13.65, 16.57, 18.14, 14.55, 14.65, 14.66, 14.61, 14.50, 14.39, 14.40, 14.47, 14.62, 14.72, 14.55, 14.40, 14.58, 14.88, 15.51, 15.47, 13.20, 10.57, 9.18, 8.25, 7.57, 7.03, 6.35, 5.72, 5.25, 4.80, 4.29, 3.80, 3.43, 3.12, 2.86, 2.64, 2.43, 2.26, 2.14, 2.02, 1.83, 1.61, 1.38, 1.12
+        ]
+   },
+   {
+        name: 'F10',
+        description: 'CIE standard Illuminant F10, narrow tri-band fluorescent (Philips TL85), 5000K, at 5nm resolution',
+        startnm: 380,
+        endnm: 780,
+        step: 5,
+        range: 1000,
+        temp: 5000,
+        whitePoint: null,
+        data: [
+            1.11, 0.63, 0.62, 0.57, 1.48, 12.16, 2.12, 2.70, 3.74, 5.14, 6.75, 34.39, 14.86, 10.40, 10.76, 10.67, 10.11, 9.27, 8.29, 7.29, 7.91, 16.64, 16.73, 10.44, 5.94, 3.34, 2.35, 1.88, 1.59, 1.47, 1.80, 5.71, 40.98, 73.69, 33.61, 8.24, 3.38, 2.47, 2.14, 4.86, 11.45, 14.79, 12.16, 8.97, 6.52, 8.31, 44.12, 34.55, 12.09, 12.15, 10.52, 4.43, 1.95, 2.19, 3.19, 2.77, 2.29, 2.00, 1.52, 1.35, 1.47, 1.79, 1.74, 1.02, 1.14, 3.32, 4.49, 2.05, 0.49, 0.24, 0.21, 0.21, 0.24, 0.24, 0.21, 0.17, 0.21, 0.22, 0.17, 0.12, 0.09
+        ]
+   },
+   {
+        name: 'F11',
+        description: 'CIE standard Illuminant F11, narrow tri-band fluorescent (Philips TL84, store lighting), 4000K, at 5nm resolution',
+        startnm: 380,
+        endnm: 780,
+        step: 5,
+        range: 1000,
+        temp: 4000,
+        whitePoint: convert.f11,
+        data: [
+            0.91, 0.63, 0.46, 0.37, 1.29, 12.68, 1.59, 1.79, 2.46, 3.33, 4.49, 33.94, 12.13, 6.95, 7.19, 7.12, 6.72, 6.13, 5.46, 4.79, 5.66, 14.29, 14.96, 8.97, 4.72, 2.33, 1.47, 1.10, 0.89, 0.83, 1.18, 4.90, 39.59, 72.84, 32.61, 7.52, 2.83, 1.96, 1.67, 4.43, 11.28, 14.76, 12.73, 9.74, 7.33, 9.72, 55.27, 42.58, 13.18, 13.16, 12.26, 5.11, 2.07, 2.34, 3.58, 3.01, 2.48, 2.14, 1.54, 1.33, 1.46, 1.94, 2.00, 1.20, 1.35, 4.10, 5.58, 2.51, 0.57, 0.27, 0.23, 0.21, 0.24, 0.24, 0.20, 0.24, 0.32, 0.26, 0.16, 0.12, 0.09
+        ]
+   },
+   {
+        name: 'F12',
+        description: 'CIE standard Illuminant F12, narrow tri-band fluorescent (Philips TL83), 3000K, at 5nm resolution',
+        startnm: 380,
+        endnm: 780,
+        step: 5,
+        range: 1000,
+        temp: 3000,
+        whitePoint: null,
+        data: [
+            0.96, 0.64, 0.45, 0.33, 1.19, 12.48, 1.12, 0.94, 1.08, 1.37, 1.78, 29.05, 7.90, 2.65, 2.71, 2.65, 2.49, 2.33, 2.10, 1.91, 3.01, 10.83, 11.88, 6.88, 3.43, 1.49, 0.92, 0.71, 0.60, 0.63, 1.10, 4.56, 34.40, 65.40, 29.48, 7.16, 3.08, 2.47, 2.27, 5.09, 11.96, 15.32, 14.27, 11.86, 9.28, 12.31, 68.53, 53.02, 14.67, 14.38, 14.71, 6.46, 2.57, 2.75, 4.18, 3.44, 2.81, 2.42, 1.64, 1.36, 1.49, 2.14, 2.34, 1.42, 1.61, 5.04, 6.98, 2.83, 0.57, 0.23, 0.17, 0.12, 0.09, 0.08, 0.07, 0.07, 0.08, 0.08, 0.06, 0.04, 0.03
+        ]
    }
 ];
 
@@ -295,6 +473,42 @@ var Observers = [
     }
 ];
 
+/* ----------------------------------------------------------------------------
+ *  CIE daylight components S0, S1, S2 (CIE 015 Table T.2)
+ *
+ *  A daylight SPD at any correlated colour temperature is
+ *
+ *      S(λ) = S0(λ) + M1 · S1(λ) + M2 · S2(λ)
+ *
+ *  with M1, M2 from the daylight chromaticity, see daylightIlluminant().
+ *  10 nm steps, 300 - 830 nm.
+ * ---------------------------------------------------------------------------- */
+
+var DaylightComponents = {
+    startnm: 300,
+    endnm: 830,
+    step: 10,
+    S0: [
+        0.04, 6.0, 29.6, 55.3, 57.3, 61.8, 61.5, 68.8, 63.4, 65.8, 94.8, 104.8, 105.9, 96.8, 113.9, 125.6, 125.5, 121.3, 121.3, 113.5, 113.1, 110.8, 106.5, 108.8, 105.3, 104.4, 100.0, 96.0, 95.1, 89.1, 90.5, 90.3, 88.4, 84.0, 85.1, 81.9, 82.6, 84.9, 81.3, 71.9, 74.3, 76.4, 63.3, 71.7, 77.0, 65.2, 47.7, 68.6, 65.0, 66.0, 61.0, 53.3, 58.9, 61.9
+    ],
+    S1: [
+        0.02, 4.5, 22.4, 42.0, 40.6, 41.6, 38.0, 42.4, 38.5, 35.0, 43.4, 46.3, 43.9, 37.1, 36.7, 35.9, 32.6, 27.9, 24.3, 20.1, 16.2, 13.2, 8.6, 6.1, 4.2, 1.9, 0.0, -1.6, -3.5, -3.5, -5.8, -7.2, -8.6, -9.5, -10.9, -10.7, -12.0, -14.0, -13.6, -12.0, -13.3, -12.9, -10.6, -11.6, -12.2, -10.2, -7.8, -11.2, -10.4, -10.6, -9.7, -8.3, -9.3, -9.8
+    ],
+    S2: [
+        0.0, 2.0, 4.0, 8.5, 7.8, 6.7, 5.3, 6.1, 3.0, 1.2, -1.1, -0.5, -0.7, -1.2, -2.6, -2.9, -2.8, -2.6, -2.6, -1.8, -1.5, -1.3, -1.2, -1.0, -0.5, -0.3, 0.0, 0.2, 0.5, 2.1, 3.2, 4.1, 4.7, 5.1, 6.7, 7.3, 8.6, 9.8, 10.2, 8.3, 9.6, 8.5, 7.0, 7.6, 8.0, 6.7, 5.2, 7.4, 6.8, 7.0, 6.4, 5.5, 6.1, 6.5
+    ]
+};
+
+// Second radiation constant, m·K (CIE 015:2018)
+var PLANCK_C2 = 1.4388e-2;
+
+// Tabulated illuminants without a convert.js whitepoint get theirs here
+Illuminants.forEach(function (illuminant) {
+    if (!illuminant.whitePoint) {
+        illuminant.whitePoint = illuminantWhitePoint(illuminant);
+    }
+});
+
 
 /**
  * @typedef {object} _SpectralData
@@ -341,12 +555,11 @@ class Spectral {
 
     /**
      * Look up an illuminant by short name.
-     * @param {string} name  'A' | 'C' | 'D50' | 'D55' | 'D65'.
+     * @param {string} name  'A' | 'C' | 'D50' | 'D55' | 'D65' | 'F1' … 'F12'.
      *                       Case-sensitive — names are uppercase.
      * @returns {object|false} The illuminant entry, or false if not found.
-     *                         To add F-series / LED illuminants, extend the
-     *                         module-level Illuminants[] array using the
-     *                         schema documented above the array.
+     *                         For other lights see daylightIlluminant(),
+     *                         planckianIlluminant() and toIlluminant().
      */
     getIlluminant = function (name) {
         for (var i = 0; i < Illuminants.length; i++) {
@@ -357,6 +570,87 @@ class Spectral {
         return false;
     };
 
+    /**
+     * CIE daylight (the D series) at any correlated colour temperature.
+     *
+     * The chromaticity comes from the CIE daylight locus and the SPD from
+     * the S0, S1, S2 components, with M1 and M2 rounded to 3 decimals as
+     * CIE 015 does for the standard tables — so 6504 K gives D65 and
+     * 5003 K gives D50. The 10 nm components are linearly interpolated to
+     * 5 nm.
+     *
+     * @param {number} cct  Kelvin, 4000 - 25000.
+     * @returns {object|false} An illuminant entry, 300 - 830 nm at 5 nm,
+     *                         or false outside the daylight range.
+     */
+    daylightIlluminant = function (cct) {
+        if (!(cct >= 4000 && cct <= 25000)) {
+            return false;
+        }
+        var T = cct;
+        var xD = (T <= 7000)
+            ? -4.6070e9 / (T * T * T) + 2.9678e6 / (T * T) + 0.09911e3 / T + 0.244063
+            : -2.0064e9 / (T * T * T) + 1.9018e6 / (T * T) + 0.24748e3 / T + 0.237040;
+        var yD = -3.000 * xD * xD + 2.870 * xD - 0.275;
+        var M = 0.0241 + 0.2562 * xD - 0.7341 * yD;
+        var M1 = Math.round(1000 * (-1.3515 - 1.7703 * xD + 5.9114 * yD) / M) / 1000;
+        var M2 = Math.round(1000 * (0.0300 - 31.4424 * xD + 30.0717 * yD) / M) / 1000;
+
+        var c = DaylightComponents;
+        var data = [];
+        for (var nm = c.startnm; nm <= c.endnm; nm += 5) {
+            data.push(sampleAt(c.S0, c.startnm, c.step, nm) +
+                M1 * sampleAt(c.S1, c.startnm, c.step, nm) +
+                M2 * sampleAt(c.S2, c.startnm, c.step, nm));
+        }
+        return illuminantEntry('Daylight ' + cct + 'K', 'CIE daylight at ' + cct + 'K, at 5nm resolution', c.startnm, c.endnm, 5, cct, data);
+    };
+
+    /**
+     * A Planckian (blackbody) radiator at any temperature, normalised to
+     * 100 at 560 nm. Illuminant A is the one at 2848 K on the older c2 of
+     * 1.435e-2 m·K, about 2856 K on today's 1.4388e-2.
+     *
+     * @param {number} temperature  Kelvin.
+     * @returns {object|false} An illuminant entry, 300 - 830 nm at 1 nm,
+     *                         or false for a temperature that is not
+     *                         positive.
+     */
+    planckianIlluminant = function (temperature) {
+        if (!(temperature > 0)) {
+            return false;
+        }
+        var planck = function (nm) {
+            var lambda = nm * 1e-9;
+            return 1 / (Math.pow(lambda, 5) * (Math.exp(PLANCK_C2 / (lambda * temperature)) - 1));
+        };
+        var scale = 100 / planck(560);
+        var data = [];
+        for (var nm = 300; nm <= 830; nm++) {
+            data.push(planck(nm) * scale);
+        }
+        return illuminantEntry('Planckian ' + temperature + 'K', 'Planckian radiator at ' + temperature + 'K, at 1nm resolution', 300, 830, 1, temperature, data);
+    };
+
+    /**
+     * Wrap a relative SPD in the illuminant shape calculateXYZ() takes —
+     * for lights that are not built in, such as the CIE LED series or a
+     * measured viewing booth. The whitePoint is worked out with the 2°
+     * observer.
+     *
+     * @param {string}   name
+     * @param {number}   startnm  First wavelength sample, in nm.
+     * @param {number}   endnm    Last  wavelength sample, in nm.
+     * @param {number[]} data     SPD at startnm, startnm+step, ...
+     * @param {number}  [nmStep]  Spacing in nm, by default from the range
+     *                            and the number of values.
+     * @returns {object} An illuminant entry.
+     */
+    toIlluminant = function (name, startnm, endnm, data, nmStep) {
+        var spectrum = this.toSpectral(startnm, endnm, data, nmStep);
+        return illuminantEntry(name, name, startnm, endnm, spectrum.step, undefined, data);
+    };
+
     /**
      * @returns {object[]} The full Observers[] table — useful for building
      *                     a UI dropdown of "2°" vs "10°". Treat as read-only.
@@ -385,7 +679,7 @@ class Spectral {
      * calculateXYZ() expects.
      *
      * If `nmStep` is omitted it is computed from the start/end and array
-     * length — but see the TODO below; pass it explicitly to be safe.
+     * length.
      *
      * Use this for spectrophotometer output. Common spectro grids:
      *   380 - 730 nm @ 10 nm  (36 values)  — i1 Pro classic / many older instruments
@@ -397,20 +691,16 @@ class Spectral {
      * k normaliser inside calculateXYZ scales the result so that a perfect
      * diffuser (R(λ) = 1 everywhere) returns Y = 100 under any illuminant.
      *
-     * TODO (bug): nmStep auto-derivation has a sign error — the formula
-     * should be `(endnm - startnm) / (data.length - 1)`, not the reverse.
-     * As written it returns a negative step. Workaround: always pass
-     * `nmStep` explicitly. Fix when next touching the file.
-     *
      * @param {number}   startnm  First wavelength sample, in nm.
      * @param {number}   endnm    Last  wavelength sample, in nm.
      * @param {number[]} data     Sample values at startnm, startnm+step, ...
-     * @param {number}  [nmStep]  Spacing in nm. Recommended.
+     * @param {number}  [nmStep]  Spacing in nm, by default from the range
+     *                            and the number of values.
      * @returns {_SpectralData}
      */
     toSpectral = function (startnm, endnm, data, nmStep) {
         if (!nmStep) {
-            nmStep = (startnm - endnm) / (data.length - 1);
+            nmStep = (endnm - startnm) / (data.length - 1);
         }
         return {
             startnm: startnm,
@@ -457,16 +747,39 @@ class Spectral {
      * runs ~1617 calculateXYZ() per illuminant per intent, which is plenty
      * fast. If you need per-pixel spectral rendering, build a LUT.
      *
+     * `options.method` picks the integration:
+     *
+     *      'direct'     the sum above, at the spectrum's own wavelengths
+     *                   (the default)
+     *      'astm-e308'  ASTM E308 weighting factors, see
+     *                   `weightingFactors()`. Use this for instrument
+     *                   data at 10 or 20 nm to match what spectro
+     *                   software reports; the direct sum only sees the
+     *                   observer and illuminant every 10 nm and can be a
+     *                   few tenths of a ΔE off.
+     *
      * @param {_SpectralData} spectrum   Reflectance / transmittance spectrum
      *                                   from a spectro or library.
      * @param {object}        illuminant Entry from getIlluminant() / Illuminants[].
      * @param {object}        observer   Entry from getObserver()   / Observers[].
+     * @param {object}       [options]
+     * @param {string}       [options.method='direct']  'direct' | 'astm-e308'
+     * @param {boolean}      [options.bandpassCorrected=false]
+     *        For 'astm-e308': the spectrum has already been bandpass
+     *        corrected, so use Table 5 factors rather than Table 6.
      * @returns {_cmsXYZ} XYZ object {type, X, Y, Z, whitePoint} where Y is
      *                   normalised so a perfect diffuser yields Y = 100.
      *                   The whitePoint matches `illuminant.whitePoint` so
      *                   downstream Lab conversion is illuminant-correct.
      */
-    calculateXYZ = function (spectrum, illuminant, observer) {
+    calculateXYZ = function (spectrum, illuminant, observer, options) {
+        var method = (options && options.method) || 'direct';
+        if (method === 'astm-e308') {
+            return weightedXYZ(spectrum, this.weightingFactors(illuminant, observer, spectrum, options.bandpassCorrected), illuminant.whitePoint);
+        }
+        if (method !== 'direct') {
+            throw 'Spectral: unknown calculateXYZ method \'' + method + '\', use \'direct\' or \'astm-e308\'';
+        }
 
         // calculate based on spectrum
         var spectralStart = spectrum.startnm;
@@ -555,6 +868,635 @@ class Spectral {
         return convert.XYZ(X, Y, Z, illuminant.whitePoint);
     }
 
+    /**
+     * ASTM E308 tristimulus weighting factors for a measurement grid, the
+     * tables `calculateXYZ(…, {method: 'astm-e308'})` uses:
+     *
+     *      X = Σ Wx(λ) · R(λ) / 100      (Y, Z the same)
+     *
+     * Table 5 factors are built from the 1 nm observer and illuminant
+     * (5 nm illuminants linearly interpolated, as CIE 015 recommends)
+     * the way ASTM E2022 does: between measured points the reflectance is
+     * a cubic Lagrange interpolation (quadratic in the end intervals),
+     * so each 1 nm step adds its share to the four neighbouring factors.
+     * Wavelengths between 360 and 780 nm outside the measured range take
+     * the nearest measured value, so their share goes to the end factors.
+     *
+     * Table 6 factors (the default) also undo the instrument's triangular
+     * bandpass, for spectra that were not bandpass corrected — most
+     * instrument data. See `bandpassCorrect()`.
+     *
+     * The published E308 tables are not bundled: these are computed the
+     * same way from the bundled SPDs, so any grid and any illuminant
+     * works, not only the tabulated ones. Against the published tables
+     * (see `__tests__/spectral_astm_e308.tests.js`) A and D65 factors sum
+     * to the E308 white within 0.005 for both observers at 10 and 20 nm,
+     * and the A / 10° Table 5 factors agree within 0.0015. The other
+     * illuminants are not checked; C, D50, D55 and the F series are
+     * bundled over 380 - 780 nm only, so expect them to differ from the
+     * tables in the second decimal.
+     *
+     * Tables are worked out once per illuminant, observer and grid and
+     * cached; treat them as read-only.
+     *
+     * @param {object} illuminant  Entry from getIlluminant().
+     * @param {object} observer    Entry from getObserver().
+     * @param {{startnm:number, endnm:number, step:number}} grid
+     *        The measurement wavelengths, a `_SpectralData` will do.
+     *        The step must be a whole number of nm.
+     * @param {boolean} [bandpassCorrected=false]  true for Table 5.
+     * @returns {{startnm:number, endnm:number, step:number, X:Float64Array, Y:Float64Array, Z:Float64Array}}
+     *          Factors for the measured wavelengths within 360 - 780 nm,
+     *          Y summing to 100.
+     */
+    weightingFactors = function (illuminant, observer, grid, bandpassCorrected) {
+        var step = grid.step;
+        if (!(step >= 1 && step % 1 === 0)) {
+            throw 'Spectral: ASTM E308 weighting needs a whole nm step, not ' + step;
+        }
+
+        // Integrate where the observer and illuminant overlap, at most 360 - 780
+        var lo = Math.max(360, illuminant.startnm, observer.startnm);
+        var hi = Math.min(780, illuminant.endnm, observer.endnm);
+
+        // Measured wavelengths inside that range
+        var first = Math.max(0, Math.ceil((lo - grid.startnm) / step));
+        var last = Math.floor((Math.min(hi, grid.endnm) - grid.startnm) / step);
+        if (last - first < 2) {
+            throw 'Spectral: ASTM E308 weighting needs 3 or more wavelengths between ' + lo + ' and ' + hi + ' nm';
+        }
+        var startnm = grid.startnm + first * step;
+        var endnm = grid.startnm + last * step;
+
+        var key = [startnm, endnm, step, bandpassCorrected ? 5 : 6].join(':');
+        var cache = weightCache.get(illuminant);
+        if (!cache) {
+            cache = new WeakMap();
+            weightCache.set(illuminant, cache);
+        }
+        var tables = cache.get(observer);
+        if (!tables) {
+            tables = {};
+            cache.set(observer, tables);
+        }
+        if (!tables[key]) {
+            tables[key] = astmWeights(illuminant, observer, lo, hi, startnm, last - first + 1, step, !bandpassCorrected);
+        }
+        return tables[key];
+    };
+
+    /**
+     * Bandpass correct a spectrum measured with a triangular bandpass as
+     * wide as its step (Stearns & Stearns, the correction in ASTM E308):
+     *
+     *      R'(i) = (1 + 2α) R(i) - α (R(i - 1) + R(i + 1))      α = 0.083
+     *      R'(0) = (1 + α) R(0) - α R(1)                       (and the last)
+     *
+     * Use before the direct method or with ASTM E308 Table 5 factors.
+     * Table 6 factors already include it.
+     *
+     * @param {_SpectralData} spectrum
+     * @returns {_SpectralData} A new spectrum on the same grid.
+     */
+    bandpassCorrect = function (spectrum) {
+        var data = spectrum.data;
+        var n = data.length;
+        var corrected = new Array(n);
+        for (var i = 0; i < n; i++) {
+            if (i === 0 || i === n - 1) {
+                var neighbour = (n > 1) ? data[i === 0 ? 1 : n - 2] : data[i];
+                corrected[i] = (1 + BANDPASS_ALPHA) * data[i] - BANDPASS_ALPHA * neighbour;
+            } else {
+                corrected[i] = (1 + 2 * BANDPASS_ALPHA) * data[i] - BANDPASS_ALPHA * (data[i - 1] + data[i + 1]);
+            }
+        }
+        return this.toSpectral(spectrum.startnm, spectrum.endnm, corrected, spectrum.step);
+    };
+
+    /**
+     * A smooth reflectance curve with a given colour — spectral upsampling
+     * for Lab-only data such as a spot colour library, so it can be viewed
+     * under other illuminants with calculateXYZ() or mixed spectrally.
+     *
+     * Uses the Jakob & Hanika (2019) sigmoid-polynomial model:
+     *
+     *      R(λ) = ½ + x / (2 √(1 + x²))      x = c0·u² + c1·u + c2
+     *
+     * with u running from -1 to 1 over the output range. Any coefficients
+     * give a smooth curve strictly between 0 and 1, so it is physically
+     * plausible; the three coefficients are fitted (Levenberg-Marquardt)
+     * so the curve's Lab under `illuminant` and `observer` matches.
+     *
+     * Colours that no such curve reaches — very saturated ones near the
+     * edge of the object colour solid, or Y at or above the white — get
+     * the nearest curve found; check `dE` on the result.
+     *
+     * Lab is taken against the perfect diffuser under the same
+     * illuminant, observer and method, as metamerismIndex() does, rather
+     * than the tabulated `illuminant.whitePoint` — the two differ by up
+     * to about 0.1 ΔE for saturated colours.
+     *
+     * @param {_cmsXYZ|_cmsLab}  xyz  The colour under `illuminant`. XYZ
+     *                                is relative to its white (Y = 1 for
+     *                                the white), Lab relative to the white
+     *                                whatever its whitePoint says.
+     * @param {object|string}   [illuminant='D50']  Entry or name.
+     * @param {object|string}   [observer='2']      Entry or name.
+     * @param {object}          [options]
+     * @param {number}          [options.startnm=380]
+     * @param {number}          [options.endnm=780]
+     * @param {number}          [options.step=10]
+     * @param {string}          [options.method='direct']  As calculateXYZ().
+     * @returns {_SpectralData} The reflectance (0 - 1), with
+     *          `coefficients` [c0, c1, c2] and `dE` (ΔE2000 between the
+     *          target and the curve's colour).
+     */
+    fromXYZ = function (xyz, illuminant, observer, options) {
+        options = options || {};
+        var target;
+        if (xyz && isFinite(xyz.L) && isFinite(xyz.a) && isFinite(xyz.b)) {
+            target = xyz;
+        }
+        var entry = resolveIlluminant(this, illuminant || 'D50');
+        observer = resolveObserver(this, observer);
+        var startnm = (options.startnm === undefined) ? 380 : options.startnm;
+        var endnm = (options.endnm === undefined) ? 780 : options.endnm;
+        var step = options.step || 10;
+        if (!(endnm > startnm) || (endnm - startnm) % step !== 0) {
+            throw 'Spectral: fromXYZ needs a range of whole steps, not ' + startnm + ' - ' + endnm + ' at ' + step + ' nm';
+        }
+
+        var spectral = this;
+        var colour = function (coefficients) {
+            var spectrum = sigmoidSpectrum(spectral, coefficients, startnm, endnm, step);
+            var measured = colourUnder(spectral, spectrum, entry, observer, options);
+            return {spectrum: spectrum, Lab: measured.Lab, white: measured.white};
+        };
+
+        if (!target) {
+            if (!(xyz && isFinite(xyz.X) && isFinite(xyz.Y) && isFinite(xyz.Z))) {
+                throw 'Spectral: fromXYZ needs an XYZ or Lab colour';
+            }
+            target = convert.XYZ2Lab(xyz, colour([0, 0, 0]).white);
+        }
+
+        // Start from a flat grey of about the right lightness
+        var grey = Math.min(0.99, Math.max(0.01, convert.Lab2XYZ(convert.Lab(target.L, 0, 0, convert.d50, false)).Y));
+        var coefficients = [0, 0, (2 * grey - 1) / Math.sqrt(1 - (2 * grey - 1) * (2 * grey - 1))];
+        var current = colour(coefficients);
+        var residual = labResidual(current.Lab, target);
+        var error = sumOfSquares(residual);
+        var damping = 1e-3;
+
+        for (var iteration = 0; iteration < 200 && error > 1e-12; iteration++) {
+            // numerical Jacobian of Lab against the coefficients
+            var J = [];
+            for (var j = 0; j < 3; j++) {
+                var moved = coefficients.slice();
+                moved[j] += 1e-6 * Math.max(1, Math.abs(moved[j]));
+                var d = labResidual(colour(moved).Lab, current.Lab);
+                var h = moved[j] - coefficients[j];
+                J.push([d[0] / h, d[1] / h, d[2] / h]);
+            }
+
+            // (JᵀJ + damping·diag(JᵀJ)) δ = -Jᵀr
+            var JtJ = {}, Jtr = [0, 0, 0];
+            for (var r = 0; r < 3; r++) {
+                for (var c = 0; c < 3; c++) {
+                    JtJ['m' + r + c] = J[r][0] * J[c][0] + J[r][1] * J[c][1] + J[r][2] * J[c][2];
+                }
+                Jtr[r] = J[r][0] * residual[0] + J[r][1] * residual[1] + J[r][2] * residual[2];
+            }
+
+            var improved = false;
+            while (damping < 1e10) {
+                var A = Object.assign({}, JtJ);
+                A.m00 *= 1 + damping;
+                A.m11 *= 1 + damping;
+                A.m22 *= 1 + damping;
+                var inv = convert.invertMatrix(A);
+                var trial = [
+                    coefficients[0] - (inv.m00 * Jtr[0] + inv.m01 * Jtr[1] + inv.m02 * Jtr[2]),
+                    coefficients[1] - (inv.m10 * Jtr[0] + inv.m11 * Jtr[1] + inv.m12 * Jtr[2]),
+                    coefficients[2] - (inv.m20 * Jtr[0] + inv.m21 * Jtr[1] + inv.m22 * Jtr[2])
+                ];
+                if (trial.every(isFinite)) {
+                    var next = colour(trial);
+                    var nextResidual = labResidual(next.Lab, target);
+                    var nextError = sumOfSquares(nextResidual);
+                    if (nextError < error) {
+                        coefficients = trial;
+                        current = next;
+                        residual = nextResidual;
+                        error = nextError;
+                        damping = Math.max(1e-7, damping / 10);
+                        improved = true;
+                        break;
+                    }
+                }
+                damping *= 10;
+            }
+            if (!improved) {
+                break;
+            }
+        }
+
+        var spectrum = current.spectrum;
+        spectrum.coefficients = coefficients;
+        spectrum.dE = convert.deltaE2000(target, current.Lab);
+        return spectrum;
+    };
+
+    /**
+     * CIE 15 / DIN 6172 special metamerism index for a pair of samples:
+     * how far apart they are under test illuminants once their difference
+     * under the reference illuminant is taken out.
+     *
+     * The pair is first corrected so that it matches under the reference:
+     *
+     *      'multiplicative'  B's XYZ under each test illuminant is scaled by
+     *                        X_A / X_B, Y_A / Y_B, Z_A / Z_B under the
+     *                        reference (CIE 15, the default)
+     *      'additive'        B's Lab under each test illuminant is shifted
+     *                        by Lab_A - Lab_B under the reference
+     *      'none'            the plain colour difference under each light
+     *
+     * Lab is taken against the perfect diffuser under the same
+     * illuminant, observer and method, so 10° data and the ASTM E308
+     * method are relative to their own white.
+     *
+     * @param {_SpectralData}   sampleA       Standard.
+     * @param {_SpectralData}   sampleB       Batch / trial.
+     * @param {object|string}   refIlluminant Entry from getIlluminant() or
+     *                                        its name, e.g. 'D65'.
+     * @param {object|string|Array} testIlluminants  One or more, e.g.
+     *                                        ['A', 'F11'].
+     * @param {object}         [options]
+     * @param {object|string}  [options.observer='2']  Entry or name.
+     * @param {string}         [options.method='direct']  As calculateXYZ().
+     * @param {string}         [options.correction='multiplicative']
+     *                          'multiplicative' | 'additive' | 'none'
+     * @param {string}         [options.deltaE='dE2000']
+     *                          'dE76' | 'dE94' | 'dE2000' | 'dECMC'
+     * @returns {{reference: {illuminant:string, dE:number, A:_cmsLab, B:_cmsLab},
+     *            tests: {illuminant:string, index:number, A:_cmsLab, B:_cmsLab}[],
+     *            max:number}}
+     *          `reference.dE` is how well the pair matches under the
+     *          reference, `tests[].B` B's corrected Lab and `max` the
+     *          worst index.
+     */
+    metamerismIndex = function (sampleA, sampleB, refIlluminant, testIlluminants, options) {
+        options = options || {};
+        var correction = options.correction || 'multiplicative';
+        if (['multiplicative', 'additive', 'none'].indexOf(correction) < 0) {
+            throw 'Spectral: unknown metamerism correction \'' + correction + '\', use \'multiplicative\', \'additive\' or \'none\'';
+        }
+        var deltaE = deltaEFunction(options.deltaE);
+        var observer = resolveObserver(this, options.observer);
+        var ref = resolveIlluminant(this, refIlluminant);
+
+        var refA = colourUnder(this, sampleA, ref, observer, options);
+        var refB = colourUnder(this, sampleB, ref, observer, options);
+
+        var tests = [];
+        var max = 0;
+        resolveIlluminants(this, testIlluminants).forEach(function (illuminant) {
+            var A = colourUnder(this, sampleA, illuminant, observer, options);
+            var B = colourUnder(this, sampleB, illuminant, observer, options);
+            var LabB = B.Lab;
+            if (correction === 'multiplicative') {
+                LabB = convert.XYZ2Lab(convert.XYZ(
+                    B.XYZ.X * refA.XYZ.X / refB.XYZ.X,
+                    B.XYZ.Y * refA.XYZ.Y / refB.XYZ.Y,
+                    B.XYZ.Z * refA.XYZ.Z / refB.XYZ.Z
+                ), B.white);
+            } else if (correction === 'additive') {
+                LabB = convert.Lab(
+                    B.Lab.L + refA.Lab.L - refB.Lab.L,
+                    B.Lab.a + refA.Lab.a - refB.Lab.a,
+                    B.Lab.b + refA.Lab.b - refB.Lab.b,
+                    B.white,
+                    false
+                );
+            }
+            var index = deltaE(A.Lab, LabB);
+            max = Math.max(max, index);
+            tests.push({illuminant: illuminant.name, index: index, A: A.Lab, B: LabB});
+        }, this);
+
+        return {
+            reference: {illuminant: ref.name, dE: deltaE(refA.Lab, refB.Lab), A: refA.Lab, B: refB.Lab},
+            tests: tests,
+            max: max
+        };
+    };
+
+    /**
+     * Colour inconstancy index: how much a single sample changes colour
+     * between the reference and each test illuminant, beyond what the
+     * eye's adaptation to the new light accounts for.
+     *
+     * The sample's XYZ under the test illuminant is adapted to the
+     * reference white with the Bradford CAT (`convert.adaptation`, the
+     * same transform the rest of the engine uses) and compared with its
+     * colour under the reference. A spectrally flat grey scores 0.
+     *
+     * @param {_SpectralData}   sample
+     * @param {object|string}   refIlluminant    Entry or name, e.g. 'D65'.
+     * @param {object|string|Array} testIlluminants  One or more.
+     * @param {object}         [options]
+     * @param {object|string}  [options.observer='2']
+     * @param {string}         [options.method='direct']
+     * @param {string}         [options.deltaE='dE2000']
+     * @returns {{reference: {illuminant:string, Lab:_cmsLab},
+     *            tests: {illuminant:string, index:number, Lab:_cmsLab}[],
+     *            max:number}}
+     *          `tests[].Lab` is the adapted colour, relative to the
+     *          reference white.
+     */
+    colorInconstancyIndex = function (sample, refIlluminant, testIlluminants, options) {
+        options = options || {};
+        var deltaE = deltaEFunction(options.deltaE);
+        var observer = resolveObserver(this, options.observer);
+        var refEntry = resolveIlluminant(this, refIlluminant);
+        var ref = colourUnder(this, sample, refEntry, observer, options);
+
+        var tests = [];
+        var max = 0;
+        resolveIlluminants(this, testIlluminants).forEach(function (illuminant) {
+            var test = colourUnder(this, sample, illuminant, observer, options);
+            var Lab = convert.XYZ2Lab(convert.adaptation(test.XYZ, test.white, ref.white), ref.white);
+            var index = deltaE(ref.Lab, Lab);
+            max = Math.max(max, index);
+            tests.push({illuminant: illuminant.name, index: index, Lab: Lab});
+        }, this);
+
+        return {
+            reference: {illuminant: refEntry.name, Lab: ref.Lab},
+            tests: tests,
+            max: max
+        };
+    };
+
+}
+
+/* ----------------------------------------------------------------------------
+ *  ASTM E308 weighting
+ * ---------------------------------------------------------------------------- */
+
+// Stearns & Stearns bandpass correction coefficient
+var BANDPASS_ALPHA = 0.083;
+
+// illuminant → observer → {'startnm:endnm:step:table': factors}
+var weightCache = new WeakMap();
+
+/**
+ * ASTM E2022 weighting factors for `count` measured wavelengths from
+ * `startnm`, integrating 1 nm steps from `lo` to `hi`. With `bandpass`
+ * the Stearns & Stearns correction is folded in (Table 6).
+ */
+function astmWeights(illuminant, observer, lo, hi, startnm, count, step, bandpass) {
+    var W = [new Float64Array(count), new Float64Array(count), new Float64Array(count)];
+    var cmf = [observer.X, observer.Y, observer.Z];
+    var endnm = startnm + (count - 1) * step;
+    var coefficients = new Float64Array(4);
+
+    for (var nm = lo; nm <= hi; nm++) {
+        var S = sampleAt(illuminant.data, illuminant.startnm, illuminant.step, nm);
+        var from, points;
+
+        if (nm <= startnm) {
+            // below the measured range, the first value
+            from = 0;
+            points = 1;
+            coefficients[0] = 1;
+        } else if (nm >= endnm) {
+            from = count - 1;
+            points = 1;
+            coefficients[0] = 1;
+        } else {
+            var interval = Math.floor((nm - startnm) / step);
+            if ((nm - startnm) % step === 0) {
+                from = interval;
+                points = 1;
+                coefficients[0] = 1;
+            } else {
+                // cubic through the 4 neighbours, quadratic at the ends
+                from = Math.max(0, Math.min(count - 3, interval - 1));
+                points = (interval === 0 || interval === count - 2) ? 3 : 4;
+                lagrange(startnm + from * step, step, points, nm, coefficients);
+            }
+        }
+
+        for (var c = 0; c < 3; c++) {
+            var weight = S * sampleAt(cmf[c], observer.startnm, observer.step, nm);
+            for (var p = 0; p < points; p++) {
+                W[c][from + p] += weight * coefficients[p];
+            }
+        }
+    }
+
+    if (bandpass && count > 1) {
+        // Transpose of the correction matrix applied to the weights
+        W = W.map(function (w) {
+            var corrected = new Float64Array(count);
+            for (var i = 0; i < count; i++) {
+                var edge = (i === 0 || i === count - 1);
+                corrected[i] += (edge ? 1 + BANDPASS_ALPHA : 1 + 2 * BANDPASS_ALPHA) * w[i];
+                if (i > 0) {
+                    corrected[i - 1] -= BANDPASS_ALPHA * w[i];
+                }
+                if (i < count - 1) {
+                    corrected[i + 1] -= BANDPASS_ALPHA * w[i];
+                }
+            }
+            return corrected;
+        });
+    }
+
+    // Y sums to 100
+    var sumY = 0;
+    for (var i = 0; i < count; i++) {
+        sumY += W[1][i];
+    }
+    var k = 100 / sumY;
+    W.forEach(function (w) {
+        for (var i = 0; i < count; i++) {
+            w[i] *= k;
+        }
+    });
+
+    return {startnm: startnm, endnm: endnm, step: step, X: W[0], Y: W[1], Z: W[2]};
+}
+
+/**
+ * Lagrange coefficients at `nm` for `points` evenly spaced wavelengths
+ * from `firstnm`, into `out`.
+ */
+function lagrange(firstnm, step, points, nm, out) {
+    for (var j = 0; j < points; j++) {
+        var value = 1;
+        for (var m = 0; m < points; m++) {
+            if (m !== j) {
+                value *= (nm - (firstnm + m * step)) / ((j - m) * step);
+            }
+        }
+        out[j] = value;
+    }
+}
+
+/* ----------------------------------------------------------------------------
+ *  Metamerism and colour inconstancy
+ * ---------------------------------------------------------------------------- */
+
+var DELTA_E = {
+    dE76: function (Lab1, Lab2) { return convert.deltaE1976(Lab1, Lab2); },
+    dE94: function (Lab1, Lab2) { return convert.deltaE1994(Lab1, Lab2, false); },
+    dE2000: function (Lab1, Lab2) { return convert.deltaE2000(Lab1, Lab2); },
+    dECMC: function (Lab1, Lab2) { return convert.deltaECMC(Lab1, Lab2); }
+};
+
+function deltaEFunction(name) {
+    name = name || 'dE2000';
+    if (!DELTA_E.hasOwnProperty(name)) {
+        throw 'Spectral: unknown deltaE \'' + name + '\', use \'dE76\', \'dE94\', \'dE2000\' or \'dECMC\'';
+    }
+    return DELTA_E[name];
+}
+
+/**
+ * An illuminant entry, looked up when given by name.
+ */
+function resolveIlluminant(spectral, illuminant) {
+    var entry = (typeof illuminant === 'string') ? spectral.getIlluminant(illuminant) : illuminant;
+    if (!entry || !entry.data) {
+        throw 'Spectral: unknown illuminant \'' + illuminant + '\'';
+    }
+    return entry;
+}
+
+function resolveIlluminants(spectral, illuminants) {
+    return (Array.isArray(illuminants) ? illuminants : [illuminants]).map(function (illuminant) {
+        return resolveIlluminant(spectral, illuminant);
+    });
+}
+
+function resolveObserver(spectral, observer) {
+    var entry = (typeof observer === 'object' && observer) ? observer : spectral.getObserver(observer === undefined ? '2' : String(observer));
+    if (!entry) {
+        throw 'Spectral: unknown observer \'' + observer + '\'';
+    }
+    return entry;
+}
+
+/**
+ * XYZ and Lab of a spectrum under an illuminant, relative to the perfect
+ * diffuser worked out the same way — its white is {X, Y: 1, Z}.
+ */
+function colourUnder(spectral, spectrum, illuminant, observer, options) {
+    options = {method: options.method || 'direct', bandpassCorrected: options.bandpassCorrected};
+    var ones = new Array(spectrum.data.length).fill(1);
+    var diffuser = spectral.calculateXYZ(spectral.toSpectral(spectrum.startnm, spectrum.endnm, ones, spectrum.step), illuminant, observer, options);
+    var white = {desc: String(illuminant.name).toLowerCase(), Y: 1.0, X: diffuser.X / diffuser.Y, Z: diffuser.Z / diffuser.Y};
+    var XYZ = spectral.calculateXYZ(spectrum, illuminant, observer, options);
+    XYZ = convert.XYZ(XYZ.X / diffuser.Y, XYZ.Y / diffuser.Y, XYZ.Z / diffuser.Y, white);
+    return {XYZ: XYZ, white: white, Lab: convert.XYZ2Lab(XYZ, white)};
+}
+
+/* ----------------------------------------------------------------------------
+ *  Reflectance from XYZ
+ * ---------------------------------------------------------------------------- */
+
+/**
+ * The Jakob & Hanika sigmoid-polynomial reflectance for coefficients
+ * [c0, c1, c2], with u from -1 at startnm to 1 at endnm.
+ */
+function sigmoidSpectrum(spectral, coefficients, startnm, endnm, step) {
+    var data = [];
+    for (var nm = startnm; nm <= endnm; nm += step) {
+        var u = 2 * (nm - startnm) / (endnm - startnm) - 1;
+        var x = (coefficients[0] * u + coefficients[1]) * u + coefficients[2];
+        data.push(0.5 + x / (2 * Math.sqrt(1 + x * x)));
+    }
+    return spectral.toSpectral(startnm, endnm, data, step);
+}
+
+function labResidual(Lab1, Lab2) {
+    return [Lab1.L - Lab2.L, Lab1.a - Lab2.a, Lab1.b - Lab2.b];
+}
+
+function sumOfSquares(values) {
+    return values[0] * values[0] + values[1] * values[1] + values[2] * values[2];
+}
+
+/* ----------------------------------------------------------------------------
+ *  Illuminant entries
+ * ---------------------------------------------------------------------------- */
+
+/**
+ * An illuminant entry in the Illuminants[] schema, with its whitePoint.
+ */
+function illuminantEntry(name, description, startnm, endnm, step, temp, data) {
+    var illuminant = {
+        name: name,
+        description: description,
+        startnm: startnm,
+        endnm: endnm,
+        step: step,
+        range: 1000,
+        temp: temp,
+        whitePoint: null,
+        data: data
+    };
+    illuminant.whitePoint = illuminantWhitePoint(illuminant);
+    return illuminant;
+}
+
+/**
+ * The XYZ whitepoint (Y = 1) of an illuminant SPD under the 2° observer,
+ * in the shape of the convert.js whitepoints.
+ */
+function illuminantWhitePoint(illuminant) {
+    var observer = Observers[0];
+    var startnm = Math.max(illuminant.startnm, observer.startnm);
+    var endnm = Math.min(illuminant.endnm, observer.endnm);
+    var X = 0, Y = 0, Z = 0;
+    for (var nm = startnm; nm <= endnm; nm += illuminant.step) {
+        var S = sampleAt(illuminant.data, illuminant.startnm, illuminant.step, nm);
+        X += S * sampleAt(observer.X, observer.startnm, observer.step, nm);
+        Y += S * sampleAt(observer.Y, observer.startnm, observer.step, nm);
+        Z += S * sampleAt(observer.Z, observer.startnm, observer.step, nm);
+    }
+    return {desc: String(illuminant.name).toLowerCase(), Y: 1.0, X: X / Y, Z: Z / Y};
+}
+
+/**
+ * A table sampled every `step` nm from `startnm`, linearly interpolated
+ * at `nm`.
+ */
+function sampleAt(data, startnm, step, nm) {
+    var i = (nm - startnm) / step;
+    var index = Math.floor(i);
+    var frac = i - index;
+    if (frac === 0) {
+        return data[index];
+    }
+    return (data[index] * (1 - frac)) + (data[index + 1] * frac);
+}
+
+/**
+ * XYZ of a spectrum from weighting factors, on the factors' grid.
+ */
+function weightedXYZ(spectrum, factors, whitePoint) {
+    var X = 0, Y = 0, Z = 0;
+    var offset = (factors.startnm - spectrum.startnm) / spectrum.step;
+    for (var i = 0; i < factors.X.length; i++) {
+        var R = spectrum.data[offset + i];
+        X += factors.X[i] * R;
+        Y += factors.Y[i] * R;
+        Z += factors.Z[i] * R;
+    }
+    return convert.XYZ(X / 100, Y / 100, Z / 100, whitePoint);
 }
 
 module.exports = Spectral;
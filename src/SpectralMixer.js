@@ -0,0 +1,404 @@
+/*************************************************************************
+ *  @license
+ *
+ *
+ *  Copyright © 2019, 2024 Glenn Wilton
+ *  O2 Creative Limited
+ *  www.o2creative.co.nz
+ *  support@o2creative.co.nz
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ */
+'use strict';
+
+/* ============================================================================
+ *  SpectralMixer.js — ink and paint mixing on reflectance spectra
+ * ============================================================================
+ *
+ *  An ICC profile knows the colours its chart printed. It cannot say what
+ *  a spot colour overprinted on process black looks like, or a 40% tint of
+ *  a mixed paint, because those colours were never measured. Mixing the
+ *  reflectance SPECTRA of measured inks predicts them, and the result goes
+ *  straight into Spectral.calculateXYZ() under any illuminant.
+ *
+ *
+ *  THE MODELS
+ *  ----------------------------------------------------------------------------
+ *
+ *   kubelkaMunk()   Opaque layers — paint, coatings, opaque inks. Each
+ *                   colorant absorbs (K) and scatters (S) light; for a
+ *                   layer thick enough to hide what is under it
+ *
+ *                       K/S = (1 - R∞)² / 2R∞
+ *                       R∞  = 1 + K/S - √((K/S)² + 2 K/S)
+ *
+ *                   and K and S add up by concentration. Single constant
+ *                   (the K/S of each masstone mixes) or two constant
+ *                   (K and S separately), with the Saunderson correction
+ *                   for the surface reflection of a glossy film.
+ *
+ *   neugebauer()    Halftone prints — the Yule-Nielsen modified spectral
+ *                   Neugebauer model. With Demichel weights w for every
+ *                   combination of inks (the Neugebauer primaries P):
+ *
+ *                       R(λ)^(1/n) = Σ w · P(λ)^(1/n)
+ *
+ *                   n takes care of light scattering in the paper
+ *                   (optical dot gain); effectiveCoverage() works out the
+ *                   coverage a measured tint really has (mechanical dot
+ *                   gain).
+ *
+ *   overprint()     A spot ink printed over another colour — the spectral
+ *                   form of the Deshpande & Green overprint model:
+ *
+ *                       R(λ) = j(λ) · Rb(λ) · Rf(λ) + k(λ)
+ *
+ *                   Rb the background, Rf the spot on paper. Without
+ *                   measured overprints j = 1 / paper and k = 0, a
+ *                   transparent ink; fitOverprint() fits j and k to a few
+ *                   measured overprints, which covers opaque and
+ *                   semi-opaque spots.
+ *
+ *  Reflectance is 0 - 1. Every spectrum passed to one call must be on the
+ *  same wavelength grid (startnm, endnm, step) — the grid of your
+ *  spectro; results are on it too.
+ *
+ *
+ *  TYPICAL USAGE
+ *  ----------------------------------------------------------------------------
+ *
+ *      var mixer = new SpectralMixer();
+ *
+ *      // a 60% spot tint over 30% process black
+ *      var primaries = [paper, black, spot, mixer.overprint(black, spot, {paper: paper})];
+ *      var tint = mixer.neugebauer(primaries, [0.3, 0.6], {n: 1.8});
+ *      var xyz = spectral.calculateXYZ(tint, spectral.getIlluminant('D50'), spectral.getObserver('2'));
+ *
+ *  Stateless — like Spectral, instances are cheap. Invalid input throws.
+ * ============================================================================
+ */
+
+/** A reflectance of 0 has no finite K/S */
+var MIN_REFLECTANCE = 1e-6;
+
+/**
+ * Predicts the reflectance of ink and paint combinations from measured
+ * spectra. See the file-top primer for the models.
+ *
+ * @example
+ *   var mixer = new SpectralMixer();
+ *   var green = mixer.kubelkaMunk([{spectrum: yellow, amount: 3}, {spectrum: blue, amount: 1}]);
+ */
+class SpectralMixer {
+
+    constructor() {
+        this.version = '0.0.1';
+        this.name = 'SpectralMixer';
+        this.description = 'Kubelka-Munk, Yule-Nielsen Neugebauer and overprint mixing of spectra';
+    }
+
+    /**
+     * Kubelka-Munk mixture of opaque colorants.
+     *
+     * Single constant: each component is a masstone `spectrum` and the
+     * K/S values mix. Two constant: each component gives its unit
+     * absorption `K` and scattering `S` spectra instead, and the mixture's
+     * K and S are summed separately — needed when the colorants scatter
+     * very differently, e.g. a white base and a transparent tint.
+     * Amounts are relative; they are normalised to sum to 1.
+     *
+     * @param {{spectrum?: _SpectralData, K?: _SpectralData, S?: _SpectralData, amount: number}[]} components
+     * @param {object} [options]
+     * @param {{k1: number, k2: number}} [options.saunderson]  Surface
+     *        reflection correction, e.g. {k1: 0.04, k2: 0.6} for a
+     *        glossy film measured with the specular included. Applied to
+     *        the masstones going in and the mixture coming out.
+     * @returns {_SpectralData} The mixture's reflectance.
+     */
+    kubelkaMunk(components, options) {
+        options = options || {};
+        if (!Array.isArray(components) || components.length === 0) {
+            throw 'SpectralMixer: kubelkaMunk needs an array of components';
+        }
+        var saunderson = options.saunderson;
+        if (saunderson && !(saunderson.k1 >= 0 && saunderson.k1 < 1 && saunderson.k2 >= 0 && saunderson.k2 < 1)) {
+            throw 'SpectralMixer: saunderson needs k1 and k2 from 0 to 1';
+        }
+
+        var total = 0;
+        components.forEach(function (component) {
+            if (!(component && component.amount >= 0)) {
+                throw 'SpectralMixer: every component needs an amount of 0 or more';
+            }
+            total += component.amount;
+        });
+        if (!(total > 0)) {
+            throw 'SpectralMixer: the component amounts add up to 0';
+        }
+
+        var twoConstant = !components[0].spectrum;
+        var grid = twoConstant ? components[0].K : components[0].spectrum;
+        var size = checkGrid(grid, null);
+        var K = new Float64Array(size);
+        var S = new Float64Array(size);
+
+        components.forEach(function (component) {
+            var c = component.amount / total;
+            if (twoConstant) {
+                if (!component.K || !component.S) {
+                    throw 'SpectralMixer: two constant components need K and S spectra';
+                }
+                checkGrid(component.K, grid);
+                checkGrid(component.S, grid);
+                for (var i = 0; i < size; i++) {
+                    K[i] += c * component.K.data[i];
+                    S[i] += c * component.S.data[i];
+                }
+            } else {
+                if (!component.spectrum) {
+                    throw 'SpectralMixer: components need a spectrum, or K and S for every one';
+                }
+                checkGrid(component.spectrum, grid);
+                for (var j = 0; j < size; j++) {
+                    var R = component.spectrum.data[j];
+                    if (saunderson) {
+                        R = (R - saunderson.k1) / (1 - saunderson.k1 - saunderson.k2 + saunderson.k2 * R);
+                    }
+                    K[j] += c * kubelkaMunkKS(R);
+                    S[j] += c;
+                }
+            }
+        });
+
+        var data = new Array(size);
+        for (var n = 0; n < size; n++) {
+            var ks = (S[n] > 0) ? K[n] / S[n] : Infinity;
+            var Rinf = isFinite(ks) ? 1 + ks - Math.sqrt(ks * ks + 2 * ks) : 0;
+            if (saunderson) {
+                Rinf = saunderson.k1 + (1 - saunderson.k1) * (1 - saunderson.k2) * Rinf / (1 - saunderson.k2 * Rinf);
+            }
+            data[n] = Rinf;
+        }
+        return toSpectrum(grid, data);
+    }
+
+    /**
+     * Yule-Nielsen modified spectral Neugebauer prediction of a halftone.
+     *
+     * `primaries` holds the measured solid of every combination of the
+     * inks, indexed by bit mask: bit i set when ink i is printed. For
+     * two inks that is [paper, ink 0, ink 1, ink 0 + 1]; for CMYK 16
+     * patches from paper to the CMYK solid. Overprints that were never
+     * printed can come from overprint().
+     *
+     * @param {_SpectralData[]} primaries  2^inks spectra.
+     * @param {number[]}        coverages  Area coverage of each ink, 0 - 1.
+     * @param {object}         [options]
+     * @param {number}         [options.n=2]  Yule-Nielsen factor. 1 is the
+     *        plain spectral Neugebauer model; fit it per press and paper,
+     *        it is usually between 1.5 and 3.
+     * @returns {_SpectralData}
+     */
+    neugebauer(primaries, coverages, options) {
+        var n = yuleNielsenFactor(options);
+        if (!Array.isArray(coverages) || !coverages.every(function (a) { return a >= 0 && a <= 1; })) {
+            throw 'SpectralMixer: coverages must be an array of values from 0 to 1';
+        }
+        if (!Array.isArray(primaries) || primaries.length !== (1 << coverages.length)) {
+            throw 'SpectralMixer: ' + coverages.length + ' inks need ' + (1 << coverages.length) + ' Neugebauer primaries';
+        }
+        var grid = primaries[0];
+        var size = checkGrid(grid, null);
+        var sum = new Float64Array(size);
+
+        primaries.forEach(function (primary, mask) {
+            // Demichel weight of this combination
+            var w = 1;
+            for (var i = 0; i < coverages.length; i++) {
+                w *= (mask & (1 << i)) ? coverages[i] : 1 - coverages[i];
+            }
+            checkGrid(primary, grid);
+            if (w === 0) {
+                return;
+            }
+            for (var j = 0; j < size; j++) {
+                sum[j] += w * Math.pow(Math.max(0, primary.data[j]), 1 / n);
+            }
+        });
+
+        var data = new Array(size);
+        for (var k = 0; k < size; k++) {
+            data[k] = Math.pow(sum[k], n);
+        }
+        return toSpectrum(grid, data);
+    }
+
+    /**
+     * The effective coverage of a measured single ink tint: the coverage
+     * that, with the Yule-Nielsen factor `n`, best predicts the tint from
+     * the paper and the solid (least squares over the wavelengths). Use
+     * it to build dot gain curves from a measured tint ramp.
+     *
+     * @param {_SpectralData} paper
+     * @param {_SpectralData} solid
+     * @param {_SpectralData} tint
+     * @param {object}       [options]
+     * @param {number}       [options.n=2]
+     * @returns {number} 0 - 1.
+     */
+    effectiveCoverage(paper, solid, tint, options) {
+        var n = yuleNielsenFactor(options);
+        var size = checkGrid(paper, null);
+        checkGrid(solid, paper);
+        checkGrid(tint, paper);
+        var num = 0, den = 0;
+        for (var i = 0; i < size; i++) {
+            var P = Math.pow(Math.max(0, paper.data[i]), 1 / n);
+            var d = Math.pow(Math.max(0, solid.data[i]), 1 / n) - P;
+            num += (Math.pow(Math.max(0, tint.data[i]), 1 / n) - P) * d;
+            den += d * d;
+        }
+        if (!(den > 0)) {
+            throw 'SpectralMixer: the solid has the same reflectance as the paper';
+        }
+        return Math.min(1, Math.max(0, num / den));
+    }
+
+    /**
+     * Fit the overprint model to measured overprints of one spot ink:
+     * for every wavelength, a straight line through the measured
+     * reflectance against Rb · Rf. Two or more backgrounds of different
+     * darkness give j and k; with a single one k is 0.
+     *
+     * @param {{background: _SpectralData, foreground: _SpectralData, measured: _SpectralData}[]} samples
+     *        `background` the colour printed first, `foreground` the spot
+     *        on paper, `measured` the spot printed over the background.
+     * @returns {{startnm:number, endnm:number, step:number, j:number[], k:number[]}}
+     *          A model for overprint().
+     */
+    fitOverprint(samples) {
+        if (!Array.isArray(samples) || samples.length === 0) {
+            throw 'SpectralMixer: fitOverprint needs an array of measured overprints';
+        }
+        var grid = samples[0].background;
+        var size = checkGrid(grid, null);
+        samples.forEach(function (sample) {
+            checkGrid(sample.background, grid);
+            checkGrid(sample.foreground, grid);
+            checkGrid(sample.measured, grid);
+        });
+
+        var j = new Array(size);
+        var k = new Array(size);
+        var count = samples.length;
+        for (var i = 0; i < size; i++) {
+            var sx = 0, sy = 0, sxx = 0, sxy = 0;
+            samples.forEach(function (sample) {
+                var x = sample.background.data[i] * sample.foreground.data[i];
+                var y = sample.measured.data[i];
+                sx += x;
+                sy += y;
+                sxx += x * x;
+                sxy += x * y;
+            });
+            var variance = count * sxx - sx * sx;
+            if (count > 1 && variance > 1e-12 * count * sxx) {
+                j[i] = (count * sxy - sx * sy) / variance;
+                k[i] = (sy - j[i] * sx) / count;
+            } else {
+                j[i] = (sxx > 0) ? sxy / sxx : 0;
+                k[i] = 0;
+            }
+        }
+        return {startnm: grid.startnm, endnm: grid.endnm, step: grid.step, j: j, k: k};
+    }
+
+    /**
+     * Predict a spot ink printed over a background colour.
+     *
+     * @param {_SpectralData} background  What is printed first — paper,
+     *                                    a process tint, another spot.
+     * @param {_SpectralData} foreground  The spot ink solid on paper.
+     * @param {object}        options     One of:
+     * @param {object}       [options.model]  From fitOverprint().
+     * @param {_SpectralData}[options.paper]  Without a model: the paper,
+     *        for a transparent ink, j = 1 / paper and k = 0.
+     * @returns {_SpectralData} Clipped to 0 - 1.
+     */
+    overprint(background, foreground, options) {
+        options = options || {};
+        var size = checkGrid(background, null);
+        checkGrid(foreground, background);
+        var j, k;
+        if (options.model) {
+            checkGrid({startnm: options.model.startnm, endnm: options.model.endnm, step: options.model.step, data: options.model.j}, background);
+            j = options.model.j;
+            k = options.model.k;
+        } else if (options.paper) {
+            checkGrid(options.paper, background);
+            j = options.paper.data.map(function (P) {
+                return 1 / Math.max(MIN_REFLECTANCE, P);
+            });
+            k = null;
+        } else {
+            throw 'SpectralMixer: overprint needs a fitted model or the paper';
+        }
+
+        var data = new Array(size);
+        for (var i = 0; i < size; i++) {
+            var R = j[i] * background.data[i] * foreground.data[i] + (k ? k[i] : 0);
+            data[i] = Math.min(1, Math.max(0, R));
+        }
+        return toSpectrum(background, data);
+    }
+}
+
+/* ----------------------------------------------------------------------------
+ *  Helpers
+ * ---------------------------------------------------------------------------- */
+
+/**
+ * K/S of an opaque layer from its reflectance.
+ */
+function kubelkaMunkKS(R) {
+    R = Math.min(1, Math.max(MIN_REFLECTANCE, R));
+    return (1 - R) * (1 - R) / (2 * R);
+}
+
+function yuleNielsenFactor(options) {
+    var n = (options && options.n !== undefined) ? options.n : 2;
+    if (!(n >= 1)) {
+        throw 'SpectralMixer: the Yule-Nielsen factor n must be 1 or more';
+    }
+    return n;
+}
+
+/**
+ * Throws unless `spectrum` is a spectrum on the same grid as `grid` (any
+ * grid when null); returns its number of values.
+ */
+function checkGrid(spectrum, grid) {
+    if (!spectrum || !spectrum.data || spectrum.data.length === undefined) {
+        throw 'SpectralMixer: expected a spectrum {startnm, endnm, step, data}';
+    }
+    if (grid && (spectrum.startnm !== grid.startnm || spectrum.endnm !== grid.endnm ||
+        spectrum.step !== grid.step || spectrum.data.length !== grid.data.length)) {
+        throw 'SpectralMixer: spectra must share one wavelength grid, ' +
+            grid.startnm + ' - ' + grid.endnm + ' at ' + grid.step + ' nm';
+    }
+    return spectrum.data.length;
+}
+
+function toSpectrum(grid, data) {
+    return {
+        startnm: grid.startnm,
+        endnm: grid.endnm,
+        step: grid.step,
+        data: data
+    };
+}
+
+module.exports = SpectralMixer;
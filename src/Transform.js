@@ -20,6 +20,7 @@
     var defs = require('./def');
     var wasmLoader = require('./wasm/wasm_loader');
     var lutKernelTable = require('./lutKernelTable');
+    var encodeICC = require('./encodeICC');
 
     var eIntent = defs.eIntent;
     var eProfileType = defs.eProfileType;
@@ -224,6 +225,23 @@
      *      gamut check. Swap in `convert.deltaE2000`, `convert.deltaCMC`,
      *      or a custom function.
      *
+     *  @param {string}             [options.gamutMapping='none']
+     *      Gamut map into the final RGB output profile.
+     *        - `'none'` — out of gamut colours are clipped per channel by
+     *                     the output profile (default).
+     *        - `'css'`  — the CSS Color Level 4 algorithm: keep OkLCh
+     *                     lightness and hue and binary search chroma
+     *                     until the clipped colour is within
+     *                     `gamutMappingJND` ΔEOK of it. Reduces wide gamut
+     *                     colours into sRGB etc. without the hue shifts
+     *                     and flattening of plain clipping.
+     *      Needs an SDR RGB matrix/TRC output profile. Runs in the
+     *      accurate path and is baked into a prebuilt LUT.
+     *
+     *  @param {number}             [options.gamutMappingJND=0.02]
+     *      ΔEOK under which a clipped colour counts as close enough, for
+     *      `gamutMapping: 'css'`.
+     *
      *  @param {number}             [options.lutGridPoints3D=33]
      *      Grid points per axis for 3D LUTs. 17 / 33 / 65 are typical. Above
      *      65 you hit memory cost without measurable accuracy gain.
@@ -486,6 +504,10 @@
         this.lutGamutColor = options.lutGamutColor || this.Lab(0, 127, 127);
         this.gamutDeFn = options.gamutDeFn || convert.deltaE1976;
 
+        // Gamut mapping into the output: 'none' or 'css'
+        this.gamutMapping = options.gamutMapping || 'none';
+        this.gamutMappingJND = options.gamutMappingJND || 0.02;
+
         // TODO: accept options.lutGamutColorMap as an array of device colours
         //       for multi-stop heatmaps (e.g. white → yellow → red → black).
         //       gamutCheck would then pick the stop pair based on the scaled ΔE.
@@ -827,6 +849,100 @@
         }));
     }
 
+    /**
+     * Export the prebuilt LUT as an ICC v4 device link profile (class
+     * 'link'), so the conversion can be cached and reused by any CMM.
+     *
+     * The baked CLUT goes into A2B0 as an `mAB ` tag (identity A and B
+     * curves, 16-bit CLUT), so everything that was baked into the LUT
+     * travels with it — BPC, `lutGamutMode`, custom stages, the whole
+     * multi-stage chain. The profile sequence of the chain is written
+     * as a 'pseq' tag and the (first) rendering intent of the chain as
+     * the header intent.
+     *
+     * Lab endpoints use the same 0.0-1.0 encoding as the LUT, which is
+     * the ICC v4 Lab encoding, so no conversion is needed on either side.
+     *
+     *      var t = new Transform({buildLut: true, BPC: true});
+     *      t.create('*sRGB', cmykProfile, eIntent.perceptual);
+     *      fs.writeFileSync('sRGB_to_GRACoL.icc', t.toDeviceLink());
+     *
+     * @param {object} [options]
+     * @param {string} [options.description]  'desc' text, defaults to
+     *                                        "<input name> to <output name>"
+     * @param {string} [options.copyright]    'cprt' text
+     * @returns {Uint8Array}  The device link profile bytes.
+     * @throws {string} If the transform has no prebuilt LUT.
+     */
+    toDeviceLink(options){
+        options = options || {};
+
+        if(!this.lut || !this.lut.CLUT || this.lut.encoding === 'base64'){
+            throw 'Device link export requires a prebuilt LUT, create the Transform with buildLut: true';
+        }
+
+        var chain = Array.isArray(this.chain) ? this.chain : this.lut.chain;
+        var profiles = [];
+        var intent = null;
+        for(var i = 0; i < chain.length; i++){
+            var step = chain[i];
+            if(step !== null && typeof step === 'object' && step.hasOwnProperty('header')){
+                profiles.push(step);
+            } else if(intent === null){
+                intent = (step !== null && typeof step === 'object') ? step.intent : step;
+            }
+        }
+
+        var inputProfile = profiles[0];
+        var outputProfile = profiles[profiles.length - 1];
+
+        var sequence = profiles.map(function(profile){
+            return {
+                manufacturer: '',
+                model: '',
+                attributes: profile.header.attributes,
+                technology: '',
+                manufacturerDesc: '',
+                modelDesc: profile.name || profile.description || ''
+            };
+        });
+
+        var lut = {
+            inputChannels: this.lut.inputChannels,
+            outputChannels: this.lut.outputChannels,
+            gridPoints: this.lut.gridPoints,
+            CLUT: this.lut.CLUT,
+            precision: (this.lut.CLUT instanceof Uint8Array) ? 8 : 16,
+            bCurves: false,
+            matrix: false,
+            mCurves: false,
+            aCurves: false
+        };
+
+        var header = {
+            cmmType: '',
+            version: 4,
+            pClass: 'link',
+            space: inputProfile.colorSpace || inputProfile.header.space,
+            pcs: outputProfile.colorSpace || outputProfile.header.space,
+            date: new Date(),
+            platform: '',
+            flags: 0,
+            attributes: 0,
+            intent: intent || 0,
+            PCSilluminant: convert.d50
+        };
+
+        var description = options.description || (inputProfile.name + ' to ' + outputProfile.name);
+
+        return encodeICC.profile(header, [
+            {sig: 'desc', data: encodeICC.multiLocalizedUnicodeType(description)},
+            {sig: 'cprt', data: encodeICC.multiLocalizedUnicodeType(options.copyright || '')},
+            {sig: 'A2B0', data: encodeICC.lutAToB(lut)},
+            {sig: 'pseq', data: encodeICC.profileSequenceDesc(sequence, 4)}
+        ]);
+    }
+
     /**
      * Build a transform from a single source profile to a single destination
      * profile. Sugar for `createMultiStage([input, intent, output], customStages)`.
@@ -947,6 +1063,16 @@
             }
         }
 
+        // Named colour profiles turn a name into Lab, they can only start a chain
+        for(i = 2; i < profileChain.length; i+=2){
+            if(this.isNamedColor(profileChain[i])){
+                throw 'Profile ' + (i / 2 + 1) + ' is a named colour profile, these can only be the first profile in the chain';
+            }
+        }
+        if(this.isNamedColor(profileChain[0]) && (this.builtLut || this.lut !== false)){
+            throw 'Named colour transforms can not use a prebuilt LUT';
+        }
+
         this.inputProfile = null;
         this.outputProfile = null;
         this.usesBPC = false;
@@ -958,7 +1084,8 @@
                 throw 'Invalid profileChain, must be an array';
             }
 
-            if(profileChain.length < 3){
+            // A device link on its own is a complete transform [link]
+            if(profileChain.length < 3 && !(profileChain.length === 1 && this.isDeviceLink(profileChain[0]))){
                 throw 'Invalid profileChain, must have at least 3 items [profile, intent, profile]';
             }
 
@@ -1023,7 +1150,7 @@
         this.inputChannels = this.getProfileChannels(this.inputProfile);
 
         this.outputProfile = profileChain[chainEnd];
-        this.outputChannels = this.getProfileChannels(this.outputProfile);
+        this.outputChannels = this.getProfileChannels(this.outputProfile, true);
 
         this.customStages = customStages;
 
@@ -1319,14 +1446,14 @@
     }
 
     _gamutDeviceToObj(device, isInput) {
-        let profile = isInput ? this.inputProfile : this.outputProfile;
-        if (profile.type === eProfileType.Lab) {
+        let type = isInput ? this.inputProfile.type : this.getOutputDeviceType(this.outputProfile);
+        if (type === eProfileType.Lab) {
             return { type: eColourType.Lab, L: device[0] * 100, a: device[1] * 255 - 128, b: device[2] * 255 - 128, whitePoint: illuminant.d50 };
         }
-        if (profile.type === eProfileType.CMYK) {
+        if (type === eProfileType.CMYK) {
             return { type: eColourType.CMYK, C: device[0] * 100, M: device[1] * 100, Y: device[2] * 100, K: device[3] * 100 };
         }
-        if (profile.type === eProfileType.Gray) {
+        if (type === eProfileType.Gray) {
             return { type: eColourType.Gray, G: device[0] * 255 };
         }
         return { type: eColourType.RGB, R: device[0] * 255, G: device[1] * 255, B: device[2] * 255 };
@@ -1345,6 +1472,11 @@
             return false;
         }
 
+        // Device links have no PCS side to measure the gamut against
+        if(this.isDeviceLink(srcProfile) || this.isDeviceLink(destProfile)){
+            return false;
+        }
+
         let src2Lab = new Transform({ dataFormat: 'object' });
         src2Lab.create(srcProfile, '*lab', eIntent.relative);
 
@@ -1362,7 +1494,7 @@
             lab2Dest.create('*lab', destProfile, eIntent.relative);
             let gcResult = lab2Dest.transform(this.lutGamutColor);
 
-            let outCh = this.getProfileChannels(destProfile);
+            let outCh = this.getProfileChannels(destProfile, true);
             if (outCh === 4) {
                 this.gamutColorDevice = [gcResult.C / 100, gcResult.M / 100, gcResult.Y / 100, gcResult.K / 100];
             } else if (outCh === 3) {
@@ -1414,7 +1546,7 @@
         var inputChannels;
         var outputChannels
 
-        switch(this.outputProfile.type){
+        switch(this.getOutputDeviceType(this.outputProfile)){
 
             case eProfileType.Gray:
                 outputChannels = 1;
@@ -1431,7 +1563,7 @@
                 outputChannels = 4;
                 break;
             default:
-                throw 'Create Lut Invalid output profile type ' + this.outputProfile.type;
+                throw 'Create Lut Invalid output profile type ' + this.getOutputDeviceType(this.outputProfile);
         }
 
         switch(this.inputProfile.type){
@@ -1520,6 +1652,7 @@
             inputScale: 1, // input is already pre-scaled
 
             gamutMode:     this.lutGamutMode,
+            gamutMapping:  this.gamutMapping,
             gamutLimit:    this.lutGamutMode === 'color' ? this.lutGamutLimit : 0,
             gamutMapScale: (this.lutGamutMode === 'map' || this.lutGamutMode === 'colorMap') ? this.lutGamutMapScale : 0,
         }
@@ -1542,7 +1675,8 @@
                 PCSEncode: profile.PCSEncode,
                 PCSDecode: profile.PCSDecode,
                 PCS8BitScale: profile.PCS8BitScale,
-                version: profile.version
+                version: profile.version,
+                linkOutputType: profile.linkOutputType
             }
         }
     };
@@ -1831,6 +1965,7 @@
             gamutMode:     lut.gamutMode     || 'none',
             gamutLimit:    lut.gamutLimit    || 0,
             gamutMapScale: lut.gamutMapScale || 0,
+            gamutMapping:  lut.gamutMapping  || 'none',
         };
 
         if(this.verboseTiming){
@@ -1856,7 +1991,7 @@
      * @returns {Float64Array}
      */
     create1DDeviceLUT(outputChannels, gridPoints){
-        var CLUT = new Float64Array(this.outputProfile.outputChannels * gridPoints);
+        var CLUT = new Float64Array(outputChannels * gridPoints);
         var position = 0;
         var step = 1 / (gridPoints - 1);
         var a,o;
@@ -1879,7 +2014,7 @@
      */
     create2DDeviceLUT(outputChannels, gridPoints){
         var lutsize = gridPoints * gridPoints;
-        var CLUT = new Float64Array(this.outputProfile.outputChannels * lutsize);
+        var CLUT = new Float64Array(outputChannels * lutsize);
         var position = 0;
         var step = 1 / (gridPoints - 1);
         var a,b,o
@@ -1912,7 +2047,7 @@
     create3DDeviceLUT(outputChannels, gridPoints){
 
         var lutsize = gridPoints * gridPoints * gridPoints;
-        var CLUT = new Float64Array(this.outputProfile.outputChannels * lutsize);
+        var CLUT = new Float64Array(outputChannels * lutsize);
 
         var position = 0;
         var step = 1 / (gridPoints - 1);
@@ -1953,7 +2088,7 @@
      */
     create4DDeviceLUT(outputChannels, gridPoints){
         var lutsize = gridPoints * gridPoints * gridPoints * gridPoints;
-        var CLUT = new Float64Array(this.outputProfile.outputChannels * lutsize);
+        var CLUT = new Float64Array(outputChannels * lutsize);
 
         var position = 0;
         var step = 1 / (gridPoints - 1);
@@ -3282,7 +3417,10 @@
         //
 
         //START!
-        if(convertInput && this.dataFormat !== 'device'){
+        if(this.isNamedColor(profileChain[0])){
+            // The input is always a colour name, whatever the dataFormat
+            this.createPipeline_Named_to_PCS(pcsInfo, profileChain[0]);
+        } else if(convertInput && this.dataFormat !== 'device'){
             if(!useCahcedLut){
                 this.insertCustomStage('beforeInput2Device', pcsInfo, false);
             }
@@ -3308,7 +3446,7 @@
                 throw 'LUT has no profile chain';
             }
 
-            if(this.lut.chain.length < 2){
+            if(this.lut.chain.length < 2 && !this.isDeviceLink(this.lut.chain[0])){
                 throw 'LUT chain is too short';
             }
 
@@ -3338,9 +3476,15 @@
 
             var stageIndex = 0;
 
+            // A lone device link [link] is its own pipeline
+            if(profileChain.length === 1){
+                this.createPipeline_DeviceLink(pcsInfo, profileChain[0], profileChain[0].header.intent);
+            }
+
             // [p1, intent, p2, intent, p3]
             // Calculate DeltaE [lab > perceptual > CMYK > relative > lab]
             // Simulate CMYK  [srgb > perceptual > CMYK > relative > srgb]
+            // Device link    [srgb > perceptual > link(RGB>CMYK) > relative > lab]
             for(var i = 0; i < profileChain.length - 1; i+=2){
                 var step = {
                     inputProfile: profileChain[i],
@@ -3348,8 +3492,27 @@
                     outputProfile: profileChain[i+2],
                 }
 
+                ///////////////////////////////////////////////////////////////////////////////
+                //
+                // Device links go straight from device to device, there is no PCS
+                // step so no BPC or chromatic adaptation
+                //
+                if(this.isDeviceLink(step.inputProfile) || this.isDeviceLink(step.outputProfile)){
+                    this.insertCustomStage( 'beforeDevice2PCS', pcsInfo, stageIndex);
+                    this.createPipeline_DeviceLink_Step(pcsInfo, step, (i + 2 === chainEnd));
+                    this.insertCustomStage( 'afterPCS2Device', pcsInfo, stageIndex);
+                    stageIndex++;
+                    continue;
+                }
+
                 this.insertCustomStage( 'beforeDevice2PCS', pcsInfo, stageIndex);
 
+                // An abstract profile is applied where it is the output of a step,
+                // so if the chain starts with one apply it here
+                if(i === 0 && this.isAbstract(step.inputProfile)){
+                    this.createPipeline_Abstract(pcsInfo, step.inputProfile, step.intent);
+                }
+
                 ///////////////////////////////////////////////////////////////////////////////
                 //
                 // Step 2: Convert from Device[] to PCSv4[]
@@ -3412,6 +3575,11 @@
 
                 this.insertCustomStage( 'beforePCS2Device', pcsInfo, stageIndex);
 
+                // Gamut map into the last profile of the chain
+                if(this.gamutMapping !== 'none' && i + 2 === chainEnd){
+                    this.createPipeline_GamutMap(pcsInfo, step.outputProfile);
+                }
+
                 ///////////////////////////////////////////////////////////////////////////////
                 //
                 // Step 4: Convert from the PCSv4[] to Device[]
@@ -3809,6 +3977,24 @@
     }
 
 
+    /**
+     * Named colour input, looks up a colour name in the profile's 'ncl2'
+     * table and hands on its Lab as PCSv4.
+     * @param pcsInfo
+     * @param {Profile} namedProfile
+     */
+    createPipeline_Named_to_PCS(pcsInfo, namedProfile){
+        this.addStage(
+            encoding.cmsNamed,
+            'stage_Named_to_PCSv4',
+            this.stage_Named_to_PCSv4,
+            namedProfile,
+            encoding.PCSv4,
+            '  [Input2Device : Named : {name}]|({last}) > ({data})'
+        );
+        pcsInfo.pcsEncoding = encoding.PCSv4;
+    };
+
     /**
      * @param pcsInfo
      * @param {Profile} inputProfile
@@ -3833,7 +4019,8 @@
             case eProfileType.Lab:
                 // Convert the input Lab to the inputput Profile whitePoint
 
-                if(this.labInputAdaptation){
+                // Oklab, LCH etc objects always need converting to Lab
+                if(this.labInputAdaptation || inputProfile.colourType){
                     //
                     // Make sure that the input Lab is adapted to the PCS white point (D50)
                     // The lab values MUST have a whitepoint included or else will throw an error
@@ -4072,8 +4259,8 @@
         }
     };
 
-    getProfileChannels(profile){
-        switch(profile.type){
+    getProfileChannels(profile, asOutput){
+        switch(asOutput ? this.getOutputDeviceType(profile) : profile.type){
             case eProfileType.Gray:
                 return 1;
             case eProfileType.Duo:
@@ -4089,6 +4276,113 @@
         throw 'Unknown profile type ' + profile.type + 'in getProfileChannels';
     };
 
+    /**
+     * Describe each channel of a profile, `[{index, name, Lab}, ...]`, one
+     * entry per channel as counted by `getProfileChannels()`. Names and
+     * Lab (D50) come from the profile's colorant table ('clrt') when it
+     * has one, so n-colour and spot ink profiles report their real inks,
+     * otherwise the standard channel names are used and `Lab` is null.
+     *
+     * The colorant table describes the device side of a profile, so for a
+     * device link used as output (the link's output side) the standard
+     * names are returned.
+     *
+     * @param {Profile} profile
+     * @param {boolean} [asOutput]
+     * @returns {Array<{index:number, name:string, Lab:object|null}>}
+     */
+    getProfileColorants(profile, asOutput){
+        var channels = this.getProfileChannels(profile, asOutput);
+        var colorants = (asOutput && this.isDeviceLink(profile)) ? null : profile.colorants;
+        var names;
+        switch(asOutput ? this.getOutputDeviceType(profile) : profile.type){
+            case eProfileType.Gray:
+                names = ['Gray'];
+                break;
+            case eProfileType.XYZ:
+                names = ['X', 'Y', 'Z'];
+                break;
+            case eProfileType.Lab:
+                names = ['L', 'a', 'b'];
+                break;
+            case eProfileType.RGBMatrix:
+            case eProfileType.RGBLut:
+                names = ['Red', 'Green', 'Blue'];
+                break;
+            case eProfileType.CMYK:
+                names = ['Cyan', 'Magenta', 'Yellow', 'Black'];
+                break;
+            default:
+                names = [];
+        }
+
+        var result = [];
+        for(var i = 0; i < channels; i++){
+            if(colorants && colorants[i]){
+                result.push({index: i, name: colorants[i].name, Lab: colorants[i].Lab});
+            } else {
+                result.push({index: i, name: names[i] || ('Channel ' + (i + 1)), Lab: null});
+            }
+        }
+        return result;
+    };
+
+    /**
+     * True for device link profiles (class 'link'). Works on Profile
+     * instances and the simplified profile objects stored in a LUT chain.
+     * @param profile
+     * @returns {boolean}
+     */
+    isDeviceLink(profile){
+        return !!(profile && profile.header && profile.header.pClass === 'link');
+    };
+
+    /**
+     * True for named colour profiles (class 'nmcl') with a decoded 'ncl2' table.
+     * @param profile
+     * @returns {boolean}
+     */
+    isNamedColor(profile){
+        return !!(profile && profile.header && profile.header.pClass === 'nmcl' && profile.namedColors);
+    };
+
+    /**
+     * True for RGB matrix profiles with a PQ or HLG transfer function
+     * from a 'cicp' tag. Matrix profiles otherwise skip the absolute
+     * adaptation stages; HDR ones need them for the luminance scale.
+     * @param profile
+     * @returns {boolean}
+     */
+    isHDR(profile){
+        return !!(profile && profile.type === eProfileType.RGBMatrix && profile.cicp && profile.hdrTransfer());
+    };
+
+    /**
+     * True for abstract profiles (class 'abst') that carry an A2B LUT,
+     * which are applied PCS to PCS. Virtual Lab profiles are also 'abst'
+     * but have no LUT, they are plain Lab endpoints.
+     * @param profile
+     * @returns {boolean}
+     */
+    isAbstract(profile){
+        return !!(profile && profile.header && profile.header.pClass === 'abst' &&
+            Array.isArray(profile.A2B) && (profile.A2B[0] || profile.A2B[1] || profile.A2B[2]));
+    };
+
+    /**
+     * The profile type of the device values a profile produces when it
+     * ends a chain. That is the profile type itself, except for device
+     * links, whose output side is the colour space in the 'pcs' header field.
+     * @param profile
+     * @returns {number} eProfileType
+     */
+    getOutputDeviceType(profile){
+        if(this.isDeviceLink(profile)){
+            return profile.linkOutputType;
+        }
+        return profile.type;
+    };
+
     getInput2DevicePCSInfo(inputProfile){
         switch(inputProfile.type){
 
@@ -4109,9 +4403,10 @@
     };
 
     getDevice2OutputPCSInfo(outputProfile){
-        switch(outputProfile.type) {
+        switch(this.getOutputDeviceType(outputProfile)) {
             case eProfileType.Lab:
-                if(outputProfile.version === 2){
+                // Device links always hand Lab on as PCSv4, see createPipeline_DeviceLink
+                if(outputProfile.version === 2 && !this.isDeviceLink(outputProfile)){
                     return encoding.PCSv2
                 }
                 return encoding.PCSv4;
@@ -4291,6 +4586,12 @@
      * @returns {*}
      */
     createPipeline_Device_to_PCS(pcsInfo, inputProfile, outputProfile, intent){
+        // Named colours are already in the PCS
+        if(this.isNamedColor(inputProfile)){
+            this.pipeline_Convert_PCS_to(pcsInfo, encoding.PCSv4);
+            return pcsInfo;
+        }
+
         switch(inputProfile.type){
 
             case eProfileType.Lab:
@@ -4299,6 +4600,10 @@
 
             case eProfileType.RGBMatrix:
                 this.createPipeline_Device_to_PCS_via_RGBMatrix(pcsInfo, inputProfile, outputProfile);
+                if(this.isHDR(inputProfile)){
+                    // Absolute intent keeps cd/m² between HDR profiles
+                    this.createPipeline_Absolute_Adaptation_Input(pcsInfo, inputProfile, intent);
+                }
                 break;
 
             case eProfileType.Gray:
@@ -4342,6 +4647,232 @@
         return pcsInfo;
     };
 
+    /**
+     * One step of the chain where either side is a device link.
+     *
+     * A link is applied in the step where it is the input profile, or in
+     * the last step if it ends the chain. The profile on the other side of
+     * a link does not convert anything, it just says what the device values
+     * are, so its colour space must match the link's input or output.
+     *
+     *      [*sRGB, intent, link(RGB>CMYK), intent, GRACoL, intent, *Lab]
+     *        sRGB == link input, link applied, link output == GRACoL, GRACoL > Lab
+     *
+     * The intent of the step selects the link's A2B tag, falling back to A2B0.
+     *
+     * @param pcsInfo
+     * @param {{inputProfile: Profile, intent: number, outputProfile: Profile}} step
+     * @param {boolean} isLastStep
+     */
+    createPipeline_DeviceLink_Step(pcsInfo, step, isLastStep){
+        var inputIsLink = this.isDeviceLink(step.inputProfile);
+
+        if(inputIsLink){
+            this.createPipeline_DeviceLink(pcsInfo, step.inputProfile, step.intent);
+        }
+
+        // Link output is in the header 'pcs' field
+        var fromSpace = inputIsLink ? step.inputProfile.pcs : step.inputProfile.colorSpace;
+        var toSpace = step.outputProfile.colorSpace;
+        if(fromSpace !== toSpace){
+            throw 'Device link colour spaces do not match, ' + step.inputProfile.name + ' [' + fromSpace + '] > ' + step.outputProfile.name + ' [' + toSpace + ']';
+        }
+
+        if(isLastStep && this.isDeviceLink(step.outputProfile)){
+            this.createPipeline_DeviceLink(pcsInfo, step.outputProfile, step.intent);
+        }
+    };
+
+    /**
+     * Apply a device link's A2B LUT. Device values in, device values out.
+     *
+     * Lab on either side of the link is in the link's own Lab encoding, V2
+     * legacy or V4, the output is always handed on as PCSv4 as that is what
+     * a Lab profile expects.
+     *
+     * @param pcsInfo
+     * @param {Profile} linkProfile
+     * @param {number} intent
+     */
+    createPipeline_DeviceLink(pcsInfo, linkProfile, intent){
+        var lut = linkProfile.A2B[this.intent2LUTIndex(intent)] || linkProfile.A2B[eIntent.perceptual];
+
+        if(!lut){
+            throw 'No A2B LUT in device link ' + linkProfile.name;
+        }
+
+        var labEncoding = (linkProfile.version === 2) ? encoding.PCSv2 : encoding.PCSv4;
+        var inputEncoding = (linkProfile.type === eProfileType.Lab) ? labEncoding : encoding.device;
+        var outputEncoding = (linkProfile.linkOutputType === eProfileType.Lab) ? labEncoding : encoding.device;
+
+        if(inputEncoding === encoding.device){
+            if(pcsInfo.pcsEncoding !== encoding.device){
+                console.log(this.getStageNames(true));
+                throw 'DeviceLink: expects device encoding not ' + encodingStr[pcsInfo.pcsEncoding];
+            }
+        } else {
+            this.pipeline_Convert_PCS_to(pcsInfo, inputEncoding);
+        }
+
+        this.createPipeline_A2B_Stages(pcsInfo, lut, inputEncoding, outputEncoding, linkProfile.name, 'DeviceLink');
+
+        if(outputEncoding === encoding.PCSv2){
+            this.pipeline_Convert_PCS_to(pcsInfo, encoding.PCSv4);
+        }
+    };
+
+    /**
+     * Apply an abstract profile's A2B LUT, PCS to PCS. Used where an
+     * abstract profile (class 'abst' with an A2B tag) is the output of a
+     * step, or the very first profile of a chain, i.e. once per profile.
+     *
+     * The current PCS is converted to the profile's input encoding (V2
+     * legacy Lab, V4 Lab or XYZ) and after the LUT the result is handed on
+     * as the Lab encoding this profile has as a Lab "device", so the next
+     * step picks it up like any Lab profile.
+     *
+     *      [*sRGB, intent, abstract, intent, cmyk]
+     *
+     * @param pcsInfo
+     * @param {Profile} abstractProfile
+     * @param {number} intent
+     */
+    createPipeline_Abstract(pcsInfo, abstractProfile, intent){
+        var lut = abstractProfile.A2B[this.intent2LUTIndex(intent)] || abstractProfile.A2B[eIntent.perceptual];
+
+        if(!lut){
+            throw 'No A2B LUT in abstract profile ' + abstractProfile.name;
+        }
+
+        var labEncoding = (abstractProfile.version === 2) ? encoding.PCSv2 : encoding.PCSv4;
+        var inputEncoding = (abstractProfile.colorSpace === 'XYZ') ? encoding.PCSXYZ : labEncoding;
+        var outputEncoding = (abstractProfile.pcs === 'XYZ') ? encoding.PCSXYZ : labEncoding;
+
+        this.pipeline_Convert_PCS_to(pcsInfo, inputEncoding);
+
+        this.createPipeline_A2B_Stages(pcsInfo, lut, inputEncoding, outputEncoding, abstractProfile.name, 'Abstract');
+
+        this.pipeline_Convert_PCS_to(pcsInfo, this.getDevice2OutputPCSInfo(abstractProfile));
+    };
+
+    /**
+     * The stages for an A2B LUT that is used outside of a Device to PCS
+     * step (device links and abstract profiles). V2 LUTs use the
+     * mft1/mft2 curves-CLUT-curves layout and V4 LUTs the mAB
+     * A-CLUT-M-Matrix-B layout.
+     *
+     * @param pcsInfo
+     * @param lut             Decoded A2B LUT
+     * @param inputEncoding
+     * @param outputEncoding
+     * @param {string} name   Profile name, for errors
+     * @param {string} label  Prefix for the stage debug text
+     */
+    createPipeline_A2B_Stages(pcsInfo, lut, inputEncoding, outputEncoding, name, label){
+
+        // The CLUT can sit right next to the int8/int16 input and output
+        // stages, and the optimiser folds those into the LUT's inputScale
+        // and outputScale. Work on a copy so the profile's LUT is untouched
+        // for the next transform that uses it.
+        var profileLut = lut;
+        lut = {};
+        for(var key in profileLut){
+            if(profileLut.hasOwnProperty(key)){
+                lut[key] = profileLut[key];
+            }
+        }
+
+        if(lut.type === 'mft1' || lut.type === 'mft2'){
+            this.addStage(
+                inputEncoding,
+                'stage_curve_v2',
+                this.stage_curve_v2,
+                lut.inputCurve,
+                inputEncoding,
+                '  [' + label + '_V2 : {name}]| ({last}) > ({data})'
+            );
+
+            this.addStageLUT(
+                true,
+                inputEncoding,
+                lut,
+                outputEncoding,
+                '  [' + label + '_V2 : {name}]|({last}) > ({data})'
+            );
+
+            this.addStage(
+                outputEncoding,
+                'stage_curve_v2',
+                this.stage_curve_v2,
+                lut.outputCurve,
+                outputEncoding,
+                '  [' + label + '_V2 : {name}]|({last}) > ({data}) ({data:f>16})'
+            );
+        } else {
+            // A Curves
+            if(lut.aCurves !== false && !this.isPassThrough(lut.aCurves)){
+                this.addStage(
+                    inputEncoding,
+                    'stage_curves_v4',
+                    this.stage_curves_v4,
+                    lut.aCurves,
+                    inputEncoding,
+                    '  [' + label + '_V4 : aCurves : {name}]|({last}) > ({data}) ({data:f>16})'
+                );
+            }
+
+            if(lut.CLUT !== false){
+                this.addStageLUT(
+                    true,
+                    inputEncoding,
+                    lut,
+                    outputEncoding,
+                    '  [' + label + '_V4 : {name}]|({last}) > ({data})'
+                );
+            } else if(inputEncoding !== outputEncoding){
+                throw label + ' ' + name + ' has no CLUT to convert ' + encodingStr[inputEncoding] + ' to ' + encodingStr[outputEncoding];
+            }
+
+            // M Curves
+            if(lut.mCurves !== false && !this.isPassThrough(lut.mCurves)){
+                this.addStage(
+                    outputEncoding,
+                    'stage_curves_v4',
+                    this.stage_curves_v4,
+                    lut.mCurves,
+                    outputEncoding,
+                    '  [' + label + '_V4 : mCurves : {name}]|({last}) > ({data}) ({data:f>16})'
+                );
+            }
+
+            // Matrix
+            if(lut.matrix !== false && !this.isIdentityMatrix(lut.matrix)){
+                this.addStage(
+                    outputEncoding,
+                    'stage_Matrix',
+                    (this.matrixHasOffsets(lut.matrix)) ? this.stage_matrix_v4 : this.stage_matrix_v4_noOffsets,
+                    lut.matrix,
+                    outputEncoding,
+                    '  [' + label + '_V4 : Matrix : {name}]|({last}) > ({data}) ({data:f>16})'
+                );
+            }
+
+            // B Curves
+            if(lut.bCurves !== false && !this.isPassThrough(lut.bCurves)){
+                this.addStage(
+                    outputEncoding,
+                    'stage_curves_v4',
+                    this.stage_curves_v4,
+                    lut.bCurves,
+                    outputEncoding,
+                    '  [' + label + '_V4 : bCurves : {name}]|({last}) > ({data}) ({data:f>16})'
+                );
+            }
+        }
+
+        pcsInfo.pcsEncoding = outputEncoding;
+    };
+
     createPipeline_Device_to_PCS_via_Lab(pcsInfo, inputProfile){
 
         //
@@ -4664,12 +5195,21 @@ createPipeline_Device_to_PCS_via_V2Lut(pcsInfo, inputProfile, outputProfile, int
             throw 'createPipeline_PCS_to_Device: expects PCSv4 or PCSXYZ not ' + encodingStr[pcsInfo.pcsEncoding];
         }
 
+        // Abstract profiles are PCS to PCS
+        if(this.isAbstract(outputProfile)){
+            this.createPipeline_Abstract(pcsInfo, outputProfile, intent);
+            return;
+        }
+
         switch(outputProfile.type) {
             case eProfileType.Lab:
                 this.createPipeline_PCS_to_Lab(pcsInfo);
                 return
 
             case eProfileType.RGBMatrix:
+                if(this.isHDR(outputProfile)){
+                    this.createPipeline_Absolute_Adaptation_Output_Any_to_PCSv4(pcsInfo, outputProfile, intent);
+                }
                 this.createPipeline_PCS_to_Device_via_RGBMatrix(pcsInfo, inputProfile, outputProfile);
                 return
 
@@ -4698,6 +5238,50 @@ createPipeline_Device_to_PCS_via_V2Lut(pcsInfo, inputProfile, outputProfile, int
         }
     };
 
+    /**
+     * CSS Color 4 gamut mapping at the PCS, ahead of an RGB matrix/TRC
+     * output. The linear RGB ↔ D50 XYZ matrices are the ones the output
+     * stage uses, so 'in gamut' here is exactly 0..1 there.
+     * @param pcsInfo
+     * @param {Profile} outputProfile
+     */
+    createPipeline_GamutMap(pcsInfo, outputProfile){
+        if(this.gamutMapping !== 'css'){
+            throw 'Unknown gamutMapping "' + this.gamutMapping + '", use "css" or "none"';
+        }
+
+        if(outputProfile.type !== eProfileType.RGBMatrix || this.isHDR(outputProfile)){
+            throw 'gamutMapping "css" needs an SDR RGB matrix/TRC output profile, not ' + outputProfile.name;
+        }
+
+        var matrix, matrixInv;
+        if(this.RGBMatrixWhiteAdadaptation){
+            matrix = convert.multiplyMatrices(
+                convert.adaptationMatrix(outputProfile.mediaWhitePoint, illuminant.d50),
+                outputProfile.RGBMatrix.matrixV4
+            );
+            matrixInv = convert.invertMatrix(matrix);
+        } else {
+            matrix = outputProfile.RGBMatrix.XYZMatrix;
+            matrixInv = outputProfile.RGBMatrix.XYZMatrixInv;
+        }
+
+        this.pipeline_Convert_PCS_to(pcsInfo, encoding.PCSv4);
+
+        this.addStage(
+            encoding.PCSv4,
+            'stage_GamutMap_CSS',
+            this.stage_GamutMap_CSS,
+            {
+                matrix: matrix,
+                matrixInv: matrixInv,
+                jnd: this.gamutMappingJND
+            },
+            encoding.PCSv4,
+            '  [GamutMap : CSS : {name}]|({last}) > ({data})'
+        );
+    }
+
     createPipeline_PCS_to_Lab(pcsInfo) {
         this.pipeline_Convert_PCS_to(pcsInfo, encoding.PCSv4);
     }
@@ -5261,7 +5845,7 @@ createPipeline_Device_to_PCS_via_V2Lut(pcsInfo, inputProfile, outputProfile, int
         var intStageFn;
         var intStageDesc;
         if( this.dataFormat === 'int8' || this.dataFormat === 'int16'){
-            switch(outputProfile.outputChannels){
+            switch(this.getProfileChannels(outputProfile, true)){
                 case 1:
                     intStageFn = this.stage_device1_to_int;
                     intStageDesc = '[stage_device1_to_int ' +  this.dataFormat  + ' : {name}]| ({last}) > {data}';
@@ -5286,7 +5870,7 @@ createPipeline_Device_to_PCS_via_V2Lut(pcsInfo, inputProfile, outputProfile, int
             intSize = this.dataFormat === 'int8' ? 255 : 65535;
         }
 
-        switch(outputProfile.type) {
+        switch(this.getOutputDeviceType(outputProfile)) {
             case eProfileType.Gray:
                 if (pcsInfo.pcsEncoding !== encoding.device) {
                     console.log(this.getStageNames(true));
@@ -5396,9 +5980,23 @@ createPipeline_Device_to_PCS_via_V2Lut(pcsInfo, inputProfile, outputProfile, int
                                 '  [Device2Output : Lab : {name}]| ({last}) > {data}'
                             );
                         }
+                        if (outputProfile.colourType) {
+                            // *Oklab, *ICtCp etc
+                            this.addStage(
+                                encoding.cmsLab,
+                                'stage_cmsLab_to_cmsColour',
+                                this.stage_cmsLab_to_cmsColour,
+                                outputProfile.colourType,
+                                encoding.cmsLab,
+                                '  [Device2Output : ' + outputProfile.name + ']| ({last}) > {data}'
+                            );
+                        }
                         break;
                     case 'int8':
                     case 'int16':
+                        if (outputProfile.colourType) {
+                            throw '[Device2Output: Lab ] ' + outputProfile.name + ' needs the "object" or "objectFloat" dataFormat';
+                        }
                         //
                         // This will convert Lab/XYZ PCS to 8 or 16 bits
                         // That's a loss of precision, but need this for testing
@@ -5952,7 +6550,17 @@ createPipeline_Device_to_PCS_via_V2Lut(pcsInfo, inputProfile, outputProfile, int
         if(cmsRGB.type === eColourType.RGBf) {
             return [cmsRGB.Rf, cmsRGB.Gf, cmsRGB.Bf]
         }
-        throw 'InputtoPCS: cmsInput is not of type RGB or RGBf';
+
+        // HSL / HSV / HWB are in the input profile's RGB space
+        var rgbf;
+        switch(cmsRGB.type){
+            case eColourType.HSL: rgbf = convert.HSL2RGBf(cmsRGB); break;
+            case eColourType.HSV: rgbf = convert.HSV2RGBf(cmsRGB); break;
+            case eColourType.HWB: rgbf = convert.HWB2RGBf(cmsRGB); break;
+            default:
+                throw 'InputtoPCS: cmsInput is not of type RGB, RGBf, HSL, HSV or HWB';
+        }
+        return [rgbf.Rf, rgbf.Gf, rgbf.Bf];
     };
 
 
@@ -6821,10 +7429,126 @@ createPipeline_Device_to_PCS_via_V2Lut(pcsInfo, inputProfile, outputProfile, int
      * @returns {_cmsLabD50}
      */
     stage_cmsLab_to_LabD50(cmsLab){
-        if(cmsLab.type === eColourType.Lab){
-            return convert.Lab2LabD50(cmsLab);
+        switch(cmsLab.type){
+            case eColourType.Lab:
+                return convert.Lab2LabD50(cmsLab);
+            case eColourType.LCH:
+                return convert.Lab2LabD50(convert.LCH2Lab(cmsLab));
+            case eColourType.Oklab:
+                return convert.XYZ2Lab(convert.Oklab2XYZ(cmsLab, illuminant.d50), illuminant.d50);
+            case eColourType.OkLCh:
+                return convert.XYZ2Lab(convert.Oklab2XYZ(convert.OkLCh2Oklab(cmsLab), illuminant.d50), illuminant.d50);
+            case eColourType.Jzazbz:
+                return convert.XYZ2Lab(convert.Jzazbz2XYZ(cmsLab, illuminant.d50), illuminant.d50);
+            case eColourType.JzCzhz:
+                return convert.XYZ2Lab(convert.Jzazbz2XYZ(convert.JzCzhz2Jzazbz(cmsLab), illuminant.d50), illuminant.d50);
+            case eColourType.ICtCp:
+                return convert.XYZ2Lab(convert.ICtCp2XYZ(cmsLab, illuminant.d50), illuminant.d50);
+            case eColourType.XYZ:
+                // e.g. CSS color(xyz-d65 …), XYZ without a whitePoint is taken as D50
+                var white = cmsLab.whitePoint || illuminant.d50;
+                var XYZ = convert.compareWhitePoints(white, illuminant.d50) ? cmsLab : convert.adaptation(cmsLab, white, illuminant.d50);
+                return convert.XYZ2Lab(XYZ, illuminant.d50);
+        }
+        throw 'stage_cmsLab_to_LabD50: input is not of type Lab, LCH, XYZ, Oklab, OkLCh, Jzazbz, JzCzhz or ICtCp';
+    };
+
+    /**
+     * CSS Color Level 4 gamut mapping (https://www.w3.org/TR/css-color-4/#binsearch).
+     * In gamut colours pass through untouched. Otherwise OkLCh chroma is
+     * binary searched for the most chromatic colour whose per-channel clip
+     * is within `jnd` ΔEOK of it, and that clipped colour is returned.
+     * Lightness at or beyond white / black gives white / black.
+     * @param {_PCS} PCSv4
+     * @param {{matrix: object, matrixInv: object, jnd: number}} data
+     *      Output linear RGB ↔ D50 XYZ matrices and the JND.
+     * @returns {_PCS}
+     */
+    stage_GamutMap_CSS(PCSv4, data){
+        var XYZ = convert.Lab2XYZ({
+            L: PCSv4[0] * 100,
+            a: (PCSv4[1] * 255) - 128.0,
+            b: (PCSv4[2] * 255) - 128.0,
+            whitePoint: illuminant.d50
+        });
+        var rgb = gamutMapMul(data.matrixInv, XYZ.X, XYZ.Y, XYZ.Z);
+        if(gamutMapInGamut(rgb)){
+            return PCSv4;
         }
-        throw 'stage_cmsLab_to_LabD50: input is not of type Lab';
+
+        var origin = convert.Oklab2OkLCh(convert.XYZ2Oklab(XYZ, illuminant.d50));
+        if(origin.L >= 1){
+            return [1, 128 / 255, 128 / 255];
+        }
+        if(origin.L <= 0){
+            return [0, 128 / 255, 128 / 255];
+        }
+
+        var epsilon = 0.0001;
+        var current = {L: origin.L, C: origin.C, H: origin.H};
+        var clipped = gamutMapClip(rgb);
+        var E = gamutMapDeltaEOK(current, clipped, data.matrix);
+
+        if(E >= data.jnd){
+            var min = 0;
+            var max = origin.C;
+            var minInGamut = true;
+
+            while(max - min > epsilon){
+                current.C = (min + max) / 2;
+                rgb = gamutMapOkLChToRGB(current, data.matrixInv);
+
+                if(minInGamut && gamutMapInGamut(rgb)){
+                    min = current.C;
+                    continue;
+                }
+
+                clipped = gamutMapClip(rgb);
+                E = gamutMapDeltaEOK(current, clipped, data.matrix);
+
+                if(E < data.jnd){
+                    if(data.jnd - E < epsilon){
+                        break;
+                    }
+                    minInGamut = false;
+                    min = current.C;
+                } else {
+                    max = current.C;
+                }
+            }
+        }
+
+        XYZ = gamutMapMul(data.matrix, clipped[0], clipped[1], clipped[2]);
+        var lab = convert.XYZ2Lab({X: XYZ[0], Y: XYZ[1], Z: XYZ[2]}, illuminant.d50);
+        return [
+            lab.L / 100,
+            (lab.a + 128) / 255,
+            (lab.b + 128) / 255
+        ];
+    };
+
+    /**
+     * Lab D50 to the colour object type of an Oklab / Jzazbz / ICtCp
+     * etc. virtual profile, see `Profile.colourType`
+     * @param {_cmsLab} cmsLab
+     * @param {number} colourType eColourType
+     * @returns {object}
+     */
+    stage_cmsLab_to_cmsColour(cmsLab, colourType){
+        var XYZ = convert.Lab2XYZ(cmsLab);
+        switch(colourType){
+            case eColourType.Oklab:
+                return convert.XYZ2Oklab(XYZ, illuminant.d50);
+            case eColourType.OkLCh:
+                return convert.Oklab2OkLCh(convert.XYZ2Oklab(XYZ, illuminant.d50));
+            case eColourType.Jzazbz:
+                return convert.XYZ2Jzazbz(XYZ, illuminant.d50);
+            case eColourType.JzCzhz:
+                return convert.Jzazbz2JzCzhz(convert.XYZ2Jzazbz(XYZ, illuminant.d50));
+            case eColourType.ICtCp:
+                return convert.XYZ2ICtCp(XYZ, illuminant.d50);
+        }
+        throw 'stage_cmsLab_to_cmsColour: unknown colour type ' + colourType;
     };
 
 
@@ -6849,6 +7573,26 @@ createPipeline_Device_to_PCS_via_V2Lut(pcsInfo, inputProfile, outputProfile, int
     };
 
 
+    /**
+     * Colour name (a string, or an object with a `name`) to PCSv4 via
+     * the named colour profile's table.
+     * @param {string|{name:string}} named
+     * @param {Profile} namedProfile
+     * @returns {number[]}
+     */
+    stage_Named_to_PCSv4(named, namedProfile){
+        var name = (typeof named === 'string') ? named : named && named.name;
+        var color = namedProfile.findNamedColor(name);
+        if(color === null){
+            throw 'Named colour "' + name + '" not found in ' + namedProfile.name;
+        }
+        return [
+            color.Lab.L / 100,
+            (color.Lab.a + 128) / 255,
+            (color.Lab.b + 128) / 255
+        ];
+    };
+
     /**
      *
      * @param {_cmsLab} labD50
@@ -14339,6 +15083,47 @@ trilinearInterp3D_NCh(input, lut){
 //
 
 
+// ---------------------------------------------------------------------------
+// CSS gamut mapping helpers — see stage_GamutMap_CSS
+// ---------------------------------------------------------------------------
+
+/** m · [x, y, z] for flat-key matrices */
+function gamutMapMul(m, x, y, z){
+    return [
+        m.m00 * x + m.m01 * y + m.m02 * z,
+        m.m10 * x + m.m11 * y + m.m12 * z,
+        m.m20 * x + m.m21 * y + m.m22 * z
+    ];
+}
+
+/** Linear RGB inside 0..1, with a little room for float error */
+function gamutMapInGamut(rgb){
+    var e = 1e-6;
+    return rgb[0] >= -e && rgb[0] <= 1 + e &&
+           rgb[1] >= -e && rgb[1] <= 1 + e &&
+           rgb[2] >= -e && rgb[2] <= 1 + e;
+}
+
+function gamutMapClip(rgb){
+    return [
+        Math.min(Math.max(rgb[0], 0), 1),
+        Math.min(Math.max(rgb[1], 0), 1),
+        Math.min(Math.max(rgb[2], 0), 1)
+    ];
+}
+
+/** OkLCh → output linear RGB */
+function gamutMapOkLChToRGB(lch, matrixInv){
+    var XYZ = convert.Oklab2XYZ(convert.OkLCh2Oklab(lch), illuminant.d50);
+    return gamutMapMul(matrixInv, XYZ.X, XYZ.Y, XYZ.Z);
+}
+
+/** ΔEOK between an OkLCh colour and output linear RGB */
+function gamutMapDeltaEOK(lch, rgb, matrix){
+    var XYZ = gamutMapMul(matrix, rgb[0], rgb[1], rgb[2]);
+    return convert.deltaEOK(convert.OkLCh2Oklab(lch), convert.XYZ2Oklab({X: XYZ[0], Y: XYZ[1], Z: XYZ[2]}, illuminant.d50));
+}
+
 function roundN(n, places) {
     var p = Math.pow(10, places)
     return Math.round(n * p) / p;
@@ -0,0 +1,879 @@
+/*************************************************************************
+ *  @license
+ *
+ *
+ *  Copyright © 2019, 2024 Glenn Wilton
+ *  O2 Creative Limited
+ *  www.o2creative.co.nz
+ *  support@o2creative.co.nz
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ */
+
+'use strict';
+
+var convert = require('./convert');
+
+/**
+ * ============================================================================
+ *  buildProfile.js — the maths behind profiles made from measurements
+ * ============================================================================
+ *
+ *  `Profile.createCMYK()` turns a measured chart into A2B / B2A / gamt
+ *  tables, `Profile.fromDisplayMeasurements()` fits display tone curves.
+ *  The ICC side (tags, header, encodings) lives in Profile.js;
+ *  this module only does the numerical work and knows nothing about
+ *  profiles:
+ *
+ *    FIT        `fit()` — a thin-plate spline through the measured
+ *               device → Lab points, with an affine part so it
+ *               extrapolates sensibly and optional smoothing for noisy
+ *               measurements. Works for any number of device channels.
+ *
+ *    SAMPLE     `sampleGrid()` — evaluate the fit on a regular device
+ *               grid, media-relative, ready for an A2B CLUT.
+ *
+ *    INVERT     `invertCMYK()` — for each node of a Lab grid find the
+ *               CMYK that the sampled A2B grid maps to it: damped
+ *               Gauss-Newton (Levenberg-Marquardt) on the Lab error plus
+ *               a soft pull towards the black generation target, with
+ *               the ink limits enforced by projection after every step,
+ *               then a final solve for CMY at that K. Nodes that can
+ *               not be reached are clipped to the nearest reachable
+ *               colour and flagged for the gamut tag.
+ *
+ *    TRC        `fitTRC()` — a display tone curve through measured
+ *               device → linear points, as a gamma, an ICC parametric
+ *               curve or a sampled table. Used by
+ *               `Profile.fromDisplayMeasurements()`.
+ *
+ *  Device values are 0..1 throughout and Lab is D50.
+ *
+ * ============================================================================
+ */
+
+// Weight of the black target against ΔE, 20% K off target costs as much as ΔE 1
+var BLACK_WEIGHT = 5;
+
+// Colours further than this from their target are out of gamut
+var GAMUT_DELTA_E = 1;
+
+// Chroma at which UCR has faded the black target out
+var UCR_CHROMA = 30;
+
+module.exports = {
+
+    /**
+     * Fit a smooth function through scattered device → Lab samples.
+     *
+     * The thin-plate spline `Σ wᵢ φ(|x - xᵢ|) + affine(x)` with
+     * `φ(r) = r² log r` passes through every sample when `smoothing` is
+     * 0; larger values trade that for a smoother surface, which suits
+     * real (noisy) measurements. Repeated device values are averaged
+     * first.
+     *
+     * @param {number[]} device     Flat, `channels` values per sample, 0..1
+     * @param {number[]} Lab        Flat, 3 values per sample
+     * @param {number} channels
+     * @param {number} [smoothing=0]
+     * @returns {{channels:number, evaluate:function(number[]):number[]}|null}
+     *          null if the samples can not be fitted (too few, or all in
+     *          a lower dimensional subspace).
+     */
+    fit: function (device, Lab, channels, smoothing) {
+        var samples = mergeDuplicates(device, Lab, channels);
+        var n = samples.count;
+        var terms = channels + 1;
+        if (n < terms + 1) {
+            return null;
+        }
+
+        var points = new Float64Array(samples.device);
+        var size = n + terms;
+        var A = new Float64Array(size * size);
+        var B = new Float64Array(size * 3);
+        var i, j, c;
+
+        for (i = 0; i < n; i++) {
+            for (j = 0; j < i; j++) {
+                var phi = kernel(distanceSquared(points, i * channels, points, j * channels, channels));
+                A[i * size + j] = phi;
+                A[j * size + i] = phi;
+            }
+            A[i * size + i] = smoothing || 0;
+
+            // affine part [1, x0, x1, ...]
+            A[i * size + n] = 1;
+            A[n * size + i] = 1;
+            for (c = 0; c < channels; c++) {
+                A[i * size + n + 1 + c] = points[i * channels + c];
+                A[(n + 1 + c) * size + i] = points[i * channels + c];
+            }
+
+            B[i * 3] = samples.Lab[i * 3];
+            B[i * 3 + 1] = samples.Lab[i * 3 + 1];
+            B[i * 3 + 2] = samples.Lab[i * 3 + 2];
+        }
+
+        if (!solve(A, B, size, 3)) {
+            return null;
+        }
+
+        return {
+            channels: channels,
+            evaluate: function (x) {
+                var L = B[n * 3], a = B[n * 3 + 1], b = B[n * 3 + 2];
+                for (var c = 0; c < channels; c++) {
+                    L += B[(n + 1 + c) * 3] * x[c];
+                    a += B[(n + 1 + c) * 3 + 1] * x[c];
+                    b += B[(n + 1 + c) * 3 + 2] * x[c];
+                }
+                for (var i = 0; i < n; i++) {
+                    var phi = kernel(distanceSquared(x, 0, points, i * channels, channels));
+                    L += B[i * 3] * phi;
+                    a += B[i * 3 + 1] * phi;
+                    b += B[i * 3 + 2] * phi;
+                }
+                return [L, a, b];
+            }
+        };
+    },
+
+    /**
+     * Evaluate a fit on a regular device grid, the first channel
+     * varying slowest as in an ICC CLUT. Each absolute Lab is made
+     * media-relative by scaling its XYZ by D50 / media white, then
+     * clipped to the Lab encoding range.
+     *
+     * @param {{channels:number, evaluate:function}} model  From `fit()`
+     * @param {number} gridPoints
+     * @param {{X:number, Y:number, Z:number}} mediaWhite  Absolute XYZ of the paper
+     * @returns {Float64Array}  Relative Lab, 3 values per node
+     */
+    sampleGrid: function (model, gridPoints, mediaWhite) {
+        var channels = model.channels;
+        var nodes = Math.pow(gridPoints, channels);
+        var grid = new Float64Array(nodes * 3);
+        var x = new Float64Array(channels);
+        var d50 = convert.d50;
+
+        for (var node = 0; node < nodes; node++) {
+            var rest = node;
+            for (var c = channels - 1; c >= 0; c--) {
+                x[c] = (rest % gridPoints) / (gridPoints - 1);
+                rest = Math.floor(rest / gridPoints);
+            }
+            var abs = model.evaluate(x);
+            var XYZ = convert.Lab2XYZ(convert.Lab(abs[0], abs[1], abs[2], d50, false));
+            var rel = convert.XYZ2Lab(convert.XYZ(
+                XYZ.X * d50.X / mediaWhite.X,
+                XYZ.Y / mediaWhite.Y,
+                XYZ.Z * d50.Z / mediaWhite.Z
+            ), d50);
+            grid[node * 3] = clip(rel.L, 0, 100);
+            grid[node * 3 + 1] = clip(rel.a, -128, 127);
+            grid[node * 3 + 2] = clip(rel.b, -128, 127);
+        }
+        return grid;
+    },
+
+    /**
+     * Invert a CMYK → Lab grid onto a regular Lab grid, for B2A tables.
+     *
+     * The black target for each node follows lightness: none above
+     * `blackStart` of the way from paper to the darkest printable
+     * black, then rising to `maxBlack` along `r^(1 / blackGeneration)`.
+     * UCR fades the target out with chroma so only near neutrals get
+     * black. The target is a preference, colours that need more (or
+     * less) black to be reached get it.
+     *
+     * @param {Float64Array} grid        From `sampleGrid()`, relative Lab
+     * @param {number} gridPoints        Of `grid`
+     * @param {number} labGridPoints     Of the result
+     * @param {object} options
+     * @param {function(number):{L:number, a:number, b:number}} options.nodeLab
+     *        The PCS decoding, grid position 0..1 to Lab. A node takes L,
+     *        a and b from its position on each of the three axes.
+     * @param {number} options.totalInkLimit   0..4
+     * @param {number} options.maxBlack        0..1
+     * @param {number} options.blackGeneration 0..1
+     * @param {number} options.blackStart      0..1
+     * @param {boolean} options.ucr
+     * @returns {{cmyk:Float64Array, gamut:Float64Array}}
+     *          CMYK 0..1, 4 per node, and gamut 0 in / 1 out, 1 per node.
+     */
+    invertCMYK: function (grid, gridPoints, labGridPoints, options) {
+        var limits = {tac: options.totalInkLimit, maxBlack: options.maxBlack};
+        var Lblack = Math.min(darkestL(grid, gridPoints, limits), 99);
+        var n = labGridPoints;
+        var nodes = n * n * n;
+        var cmyk = new Float64Array(nodes * 4);
+        var gamut = new Float64Array(nodes);
+        var axis = [];
+        for (var i = 0; i < n; i++) {
+            axis.push(options.nodeLab(i / (n - 1)));
+        }
+
+        var solver = new Solver(grid, gridPoints, limits);
+        var start = new Float64Array([0.5, 0.5, 0.5, 0]);
+        var best = new Float64Array(4);
+        var retry = new Float64Array(4);
+        var target = new Float64Array(3);
+
+        for (var iL = 0; iL < n; iL++) {
+            for (var ia = 0; ia < n; ia++) {
+                for (var ib = 0; ib < n; ib++) {
+                    var node = (iL * n + ia) * n + ib;
+                    target[0] = axis[iL].L;
+                    target[1] = axis[ia].a;
+                    target[2] = axis[ib].b;
+                    var K = blackTarget(target, Lblack, options);
+
+                    // warm start from the neighbouring node already solved
+                    if (ib > 0) {
+                        copy(cmyk, (node - 1) * 4, start);
+                    } else if (ia > 0) {
+                        copy(cmyk, (node - n) * 4, start);
+                    } else if (iL > 0) {
+                        copy(cmyk, (node - n * n) * 4, start);
+                    }
+
+                    var dE = solver.solve(target, K, start, best);
+                    if (dE > GAMUT_DELTA_E && ia > 0 && ib > 0) {
+                        // try again from the other neighbour, keep the closer
+                        copy(cmyk, (node - n) * 4, start);
+                        var dERetry = solver.solve(target, K, start, retry);
+                        if (dERetry < dE) {
+                            dE = dERetry;
+                            var swap = best;
+                            best = retry;
+                            retry = swap;
+                        }
+                    }
+
+                    cmyk[node * 4] = best[0];
+                    cmyk[node * 4 + 1] = best[1];
+                    cmyk[node * 4 + 2] = best[2];
+                    cmyk[node * 4 + 3] = best[3];
+                    gamut[node] = (dE > GAMUT_DELTA_E) ? 1 : 0;
+                }
+            }
+        }
+
+        return {cmyk: cmyk, gamut: gamut};
+    },
+
+    /**
+     * Fit a tone curve through measured points, in the forms
+     * `Profile.createRGB()` takes as a `trc`:
+     *
+     *      'gamma'       y = x^g, returns g
+     *      'parametric'  ICC parametric type 2, y = (ax + b)^g + c, which
+     *                    follows a display's black offset, returns
+     *                    `{type: 2, params: [g, a, b, c]}`
+     *      'sampled'     a monotone cubic through the points, returns a
+     *                    Float64Array of `samples` values over 0..1
+     *
+     * The gamma and parametric fits are least squares in linear light.
+     * Points should include 1 → 1; 0 → 0 is assumed when there is no
+     * point at 0.
+     *
+     * @param {number[]} device   0..1
+     * @param {number[]} linear   Relative linear light, 1 at white
+     * @param {string} type       'gamma' | 'parametric' | 'sampled'
+     * @param {number} [samples=256]
+     * @returns {number|{type:number, params:number[]}|Float64Array}
+     */
+    fitTRC: function (device, linear, type, samples) {
+        var points = sortedPoints(device, linear);
+        var x = points.x;
+        var y = points.y;
+
+        // starting gamma from a log-log fit through the mid tones
+        var sxy = 0, sxx = 0;
+        for (var i = 0; i < x.length; i++) {
+            if (x[i] > 0.05 && x[i] < 0.95 && y[i] > 0) {
+                sxy += Math.log(x[i]) * Math.log(y[i]);
+                sxx += Math.log(x[i]) * Math.log(x[i]);
+            }
+        }
+        var gamma = (sxx > 0) ? sxy / sxx : 2.2;
+
+        switch (type) {
+            case 'gamma':
+                return leastSquares(function (p, v) {
+                    return Math.pow(v, p[0]);
+                }, [gamma], [0.1], x, y)[0];
+
+            case 'parametric':
+                return {type: 2, params: leastSquares(function (p, v) {
+                    var base = p[1] * v + p[2];
+                    return (base > 0 ? Math.pow(base, p[0]) : 0) + p[3];
+                }, [gamma, 1, 0, Math.max(0, y[0])], [0.1, 0.01, -1, 0], x, y)};
+
+            case 'sampled':
+                return monotoneCubic(x, y, samples || 256);
+        }
+        return null;
+    }
+};
+
+// ============================================================================
+//  CURVE FITTING
+// ============================================================================
+
+/**
+ * The points sorted by device value with 0 → 0 added if missing and
+ * repeated device values averaged, linear values clipped to 0..1.
+ */
+function sortedPoints(device, linear) {
+    var order = [];
+    for (var i = 0; i < device.length; i++) {
+        order.push(i);
+    }
+    order.sort(function (a, b) {
+        return device[a] - device[b];
+    });
+
+    var x = [], y = [], counts = [];
+    order.forEach(function (i) {
+        var last = x.length - 1;
+        var value = clip(linear[i], 0, 1);
+        if (last >= 0 && x[last] === device[i]) {
+            y[last] += value;
+            counts[last]++;
+        } else {
+            x.push(device[i]);
+            y.push(value);
+            counts.push(1);
+        }
+    });
+    for (i = 0; i < y.length; i++) {
+        y[i] /= counts[i];
+    }
+    if (x[0] > 0) {
+        x.unshift(0);
+        y.unshift(0);
+    }
+    return {x: x, y: y};
+}
+
+/**
+ * Levenberg-Marquardt fit of `model(params, x)` to the points, with a
+ * lower bound per parameter.
+ * @returns {number[]}  The fitted parameters
+ */
+function leastSquares(model, params, lower, x, y) {
+    var n = params.length;
+    var p = params.slice();
+    var cost = sumSquares(model, p, x, y);
+    var mu = 1e-3;
+    for (var iter = 0; iter < 200 && cost > 1e-20; iter++) {
+        // normal equations from a forward difference Jacobian
+        var A = new Float64Array(n * n);
+        var g = new Float64Array(n);
+        var J = new Float64Array(n);
+        for (var i = 0; i < x.length; i++) {
+            var f = model(p, x[i]);
+            for (var k = 0; k < n; k++) {
+                var h = 1e-7 * Math.max(1, Math.abs(p[k]));
+                var saved = p[k];
+                p[k] += h;
+                J[k] = (model(p, x[i]) - f) / h;
+                p[k] = saved;
+            }
+            for (k = 0; k < n; k++) {
+                for (var j = 0; j < n; j++) {
+                    A[k * n + j] += J[k] * J[j];
+                }
+                g[k] -= J[k] * (f - y[i]);
+            }
+        }
+        for (k = 0; k < n; k++) {
+            A[k * n + k] *= 1 + mu;
+            A[k * n + k] += 1e-12;
+        }
+        if (!solve(A, g, n, 1)) {
+            break;
+        }
+
+        var trial = p.map(function (v, k) {
+            return Math.max(lower[k], v + g[k]);
+        });
+        var trialCost = sumSquares(model, trial, x, y);
+        if (trialCost < cost) {
+            var gain = cost - trialCost;
+            p = trial;
+            cost = trialCost;
+            mu = Math.max(mu / 3, 1e-12);
+            if (gain < cost * 1e-10) {
+                break;
+            }
+        } else {
+            mu *= 4;
+            if (mu > 1e8) {
+                break;
+            }
+        }
+    }
+    return p;
+}
+
+function sumSquares(model, p, x, y) {
+    var sum = 0;
+    for (var i = 0; i < x.length; i++) {
+        var d = model(p, x[i]) - y[i];
+        sum += d * d;
+    }
+    return sum;
+}
+
+/**
+ * Sample a monotone cubic Hermite interpolation (Fritsch-Carlson) of
+ * the points evenly over 0..1. The linear values are made
+ * non-decreasing first, so measurement noise can not fold the curve.
+ */
+function monotoneCubic(x, y, samples) {
+    var n = x.length;
+    var i;
+    y = y.slice();
+    for (i = 1; i < n; i++) {
+        y[i] = Math.max(y[i], y[i - 1]);
+    }
+
+    var slopes = [];
+    for (i = 0; i < n - 1; i++) {
+        slopes.push((y[i + 1] - y[i]) / (x[i + 1] - x[i]));
+    }
+    var tangents = [slopes[0]];
+    for (i = 1; i < n - 1; i++) {
+        tangents.push((slopes[i - 1] * slopes[i] <= 0) ? 0 : (slopes[i - 1] + slopes[i]) / 2);
+    }
+    tangents.push(slopes[n - 2]);
+    for (i = 0; i < n - 1; i++) {
+        if (slopes[i] === 0) {
+            tangents[i] = tangents[i + 1] = 0;
+            continue;
+        }
+        var a = tangents[i] / slopes[i];
+        var b = tangents[i + 1] / slopes[i];
+        var length = a * a + b * b;
+        if (length > 9) {
+            var t = 3 / Math.sqrt(length);
+            tangents[i] = t * a * slopes[i];
+            tangents[i + 1] = t * b * slopes[i];
+        }
+    }
+
+    var table = new Float64Array(samples);
+    var segment = 0;
+    for (var s = 0; s < samples; s++) {
+        var v = s / (samples - 1);
+        while (segment < n - 2 && v > x[segment + 1]) {
+            segment++;
+        }
+        var x0 = x[segment], x1 = x[segment + 1];
+        var span = x1 - x0;
+        var u = clip((v - x0) / span, 0, 1);
+        var u2 = u * u, u3 = u2 * u;
+        table[s] = clip(
+            (2 * u3 - 3 * u2 + 1) * y[segment] +
+            (u3 - 2 * u2 + u) * span * tangents[segment] +
+            (-2 * u3 + 3 * u2) * y[segment + 1] +
+            (u3 - u2) * span * tangents[segment + 1],
+            0, 1);
+    }
+    return table;
+}
+
+// ============================================================================
+//  INVERSION
+// ============================================================================
+
+/**
+ * Finds the CMYK for one target Lab, see `invertCMYK()`. Keeps its
+ * scratch arrays between calls, the inversion runs once per Lab node.
+ * @constructor
+ */
+function Solver(grid, gridPoints, limits) {
+    this.grid = grid;
+    this.gridPoints = gridPoints;
+    this.limits = limits;
+    this.lab = new Float64Array(3);
+    this.base = new Float64Array(3);
+    this.probe = new Float64Array(4);
+    this.trial = new Float64Array(4);
+    this.J = new Float64Array(16);
+}
+
+/**
+ * The CMYK for `target`, black first pulled towards `K` and then held
+ * while CMY alone close the remaining Lab error.
+ *
+ * @param {number[]} target  Lab
+ * @param {number} K         Black target 0..1
+ * @param {number[]} start   CMYK to start from
+ * @param {number[]} result  Receives the CMYK
+ * @returns {number}  ΔE76 between the target and the result
+ */
+Solver.prototype.solve = function (target, K, start, result) {
+    var x = result;
+    copy(start, 0, x);
+    x[3] = (x[3] + K) / 2;
+    project(x, this.limits);
+
+    this.minimise(x, target, K, 4);
+    // Lab alone with K held, so the black preference costs no accuracy
+    return Math.sqrt(this.minimise(x, target, -1, 3));
+};
+
+/**
+ * Levenberg-Marquardt over the first `count` channels of `x`, in place,
+ * projecting every step into the ink limits. Stops once a step gains
+ * less than 0.1%, which is also where clipped colours end up.
+ * @returns {number}  The final sum of squares
+ */
+Solver.prototype.minimise = function (x, target, K, count) {
+    var rows = (K >= 0) ? 4 : 3;
+    var residual = new Float64Array(rows);
+    var trialResidual = new Float64Array(rows);
+    var cost = this.residual(x, target, K, residual);
+    var mu = 1e-4;
+    for (var iter = 0; iter < 30 && cost > 1e-10; iter++) {
+        this.jacobian(x, count);
+        var step = dampedStep(this.J, residual, count, mu);
+        copy(x, 0, this.trial);
+        for (var c = 0; c < count; c++) {
+            this.trial[c] += step[c];
+        }
+        project(this.trial, this.limits);
+
+        var trialCost = this.residual(this.trial, target, K, trialResidual);
+        if (trialCost < cost) {
+            var gain = cost - trialCost;
+            copy(this.trial, 0, x);
+            var swap = residual;
+            residual = trialResidual;
+            trialResidual = swap;
+            cost = trialCost;
+            mu = Math.max(mu / 3, 1e-9);
+            if (gain < cost * 1e-3) {
+                break;
+            }
+        } else {
+            mu *= 4;
+            if (mu > 1e4) {
+                break;
+            }
+        }
+    }
+    return cost;
+};
+
+/**
+ * Fill `out` with the residuals at `x` and return the sum of squares.
+ * A black target below 0 leaves the black term out.
+ */
+Solver.prototype.residual = function (x, target, K, out) {
+    lookup4(this.grid, this.gridPoints, x, this.lab);
+    out[0] = this.lab[0] - target[0];
+    out[1] = this.lab[1] - target[1];
+    out[2] = this.lab[2] - target[2];
+    var cost = out[0] * out[0] + out[1] * out[1] + out[2] * out[2];
+    if (K >= 0) {
+        out[3] = BLACK_WEIGHT * (x[3] - K);
+        cost += out[3] * out[3];
+    }
+    return cost;
+};
+
+/**
+ * Forward difference Jacobian of the residuals over the first `count`
+ * channels (backwards at the top of the range), row-major 4 x count
+ * in `this.J`. The black row is constant.
+ */
+Solver.prototype.jacobian = function (x, count) {
+    var h = 1e-4;
+    var J = this.J;
+    var base = lookup4(this.grid, this.gridPoints, x, this.base);
+    for (var c = 0; c < count; c++) {
+        copy(x, 0, this.probe);
+        var delta = (x[c] + h > 1) ? -h : h;
+        this.probe[c] += delta;
+        lookup4(this.grid, this.gridPoints, this.probe, this.lab);
+        J[c] = (this.lab[0] - base[0]) / delta;
+        J[count + c] = (this.lab[1] - base[1]) / delta;
+        J[count * 2 + c] = (this.lab[2] - base[2]) / delta;
+        J[count * 3 + c] = (c === 3) ? BLACK_WEIGHT : 0;
+    }
+};
+
+/**
+ * Solve `(JᵀJ + μ(diag(JᵀJ) + I)) δ = -Jᵀr` for the first `count`
+ * channels. Rows beyond the Jacobian (the black row when `count` is 3)
+ * are left out.
+ */
+function dampedStep(J, residual, count, mu) {
+    var rows = residual.length;
+    var A = new Float64Array(count * count);
+    var g = new Float64Array(count);
+    for (var i = 0; i < count; i++) {
+        for (var j = 0; j < count; j++) {
+            var sum = 0;
+            for (var r = 0; r < rows; r++) {
+                sum += J[r * count + i] * J[r * count + j];
+            }
+            A[i * count + j] = sum;
+        }
+        var grad = 0;
+        for (r = 0; r < rows; r++) {
+            grad += J[r * count + i] * residual[r];
+        }
+        g[i] = -grad;
+    }
+    for (i = 0; i < count; i++) {
+        A[i * count + i] += mu * (A[i * count + i] + 1);
+    }
+    if (!solve(A, g, count, 1)) {
+        return [0, 0, 0, 0];
+    }
+    return [g[0], g[1], g[2], count > 3 ? g[3] : 0];
+}
+
+/**
+ * Hold `x` inside the ink limits: each channel 0..1, black up to
+ * `maxBlack`, and when the total is over the limit the CMY are scaled
+ * down to what the black leaves.
+ */
+function project(x, limits) {
+    for (var c = 0; c < 4; c++) {
+        x[c] = clip(x[c], 0, 1);
+    }
+    x[3] = Math.min(x[3], limits.maxBlack, limits.tac);
+    var cmy = x[0] + x[1] + x[2];
+    var room = limits.tac - x[3];
+    if (cmy > room) {
+        var scale = room / cmy;
+        x[0] *= scale;
+        x[1] *= scale;
+        x[2] *= scale;
+    }
+}
+
+/**
+ * The L of the darkest colour the grid can print within the limits,
+ * searched over CMY at full black.
+ */
+function darkestL(grid, gridPoints, limits) {
+    var steps = 10;
+    var darkest = 100;
+    var x = new Float64Array(4);
+    var lab = new Float64Array(3);
+    for (var c = 0; c <= steps; c++) {
+        for (var m = 0; m <= steps; m++) {
+            for (var y = 0; y <= steps; y++) {
+                x[0] = c / steps;
+                x[1] = m / steps;
+                x[2] = y / steps;
+                x[3] = 1;
+                project(x, limits);
+                darkest = Math.min(darkest, lookup4(grid, gridPoints, x, lab)[0]);
+            }
+        }
+    }
+    return darkest;
+}
+
+/**
+ * The preferred black for a target Lab, see `invertCMYK()`.
+ */
+function blackTarget(Lab, Lblack, options) {
+    var w = clip((100 - Lab[0]) / (100 - Lblack), 0, 1);
+    var start = options.blackStart;
+    var r = (start >= 1) ? 0 : clip((w - start) / (1 - start), 0, 1);
+    if (options.blackGeneration <= 0) {
+        return 0;
+    }
+    var K = options.maxBlack * Math.pow(r, 1 / options.blackGeneration);
+    if (options.ucr) {
+        var C = Math.sqrt(Lab[1] * Lab[1] + Lab[2] * Lab[2]);
+        K *= Math.max(0, 1 - C / UCR_CHROMA);
+    }
+    return K;
+}
+
+// ============================================================================
+//  GRID LOOKUP
+// ============================================================================
+
+/**
+ * Quadrilinear interpolation, first channel varying slowest. Called
+ * millions of times by the inversion, so nothing is allocated.
+ */
+function lookup4(grid, gridPoints, x, out) {
+    var max = gridPoints - 1;
+    var s3 = 3;
+    var s2 = gridPoints * 3;
+    var s1 = gridPoints * s2;
+    var s0 = gridPoints * s1;
+
+    var p0 = clip(x[0], 0, 1) * max, i0 = (p0 >= max) ? max - 1 : p0 | 0, f0 = p0 - i0;
+    var p1 = clip(x[1], 0, 1) * max, i1 = (p1 >= max) ? max - 1 : p1 | 0, f1 = p1 - i1;
+    var p2 = clip(x[2], 0, 1) * max, i2 = (p2 >= max) ? max - 1 : p2 | 0, f2 = p2 - i2;
+    var p3 = clip(x[3], 0, 1) * max, i3 = (p3 >= max) ? max - 1 : p3 | 0, f3 = p3 - i3;
+    var base = i0 * s0 + i1 * s1 + i2 * s2 + i3 * s3;
+
+    var L = 0, a = 0, b = 0;
+    for (var c0 = 0; c0 < 2; c0++) {
+        var w0 = c0 ? f0 : 1 - f0;
+        if (w0 === 0) {
+            continue;
+        }
+        for (var c1 = 0; c1 < 2; c1++) {
+            var w1 = w0 * (c1 ? f1 : 1 - f1);
+            if (w1 === 0) {
+                continue;
+            }
+            for (var c2 = 0; c2 < 2; c2++) {
+                var w2 = w1 * (c2 ? f2 : 1 - f2);
+                if (w2 === 0) {
+                    continue;
+                }
+                var pos = base + c0 * s0 + c1 * s1 + c2 * s2;
+                var w = w2 * (1 - f3);
+                L += grid[pos] * w;
+                a += grid[pos + 1] * w;
+                b += grid[pos + 2] * w;
+                w = w2 * f3;
+                L += grid[pos + 3] * w;
+                a += grid[pos + 4] * w;
+                b += grid[pos + 5] * w;
+            }
+        }
+    }
+    out[0] = L;
+    out[1] = a;
+    out[2] = b;
+    return out;
+}
+
+// ============================================================================
+//  LINEAR ALGEBRA AND HELPERS
+// ============================================================================
+
+/**
+ * Solve `A X = B` in place by LU with partial pivoting, `A` n x n and
+ * `B` n x m, both row-major. X replaces B. false if A is singular.
+ */
+function solve(A, B, n, m) {
+    var i, j, k;
+    for (k = 0; k < n; k++) {
+        var pivot = k;
+        var largest = Math.abs(A[k * n + k]);
+        for (i = k + 1; i < n; i++) {
+            if (Math.abs(A[i * n + k]) > largest) {
+                largest = Math.abs(A[i * n + k]);
+                pivot = i;
+            }
+        }
+        if (largest < 1e-14) {
+            return false;
+        }
+        if (pivot !== k) {
+            swapRows(A, n, k, pivot);
+            swapRows(B, m, k, pivot);
+        }
+        var diag = A[k * n + k];
+        for (i = k + 1; i < n; i++) {
+            var f = A[i * n + k] / diag;
+            if (f === 0) {
+                continue;
+            }
+            for (j = k + 1; j < n; j++) {
+                A[i * n + j] -= f * A[k * n + j];
+            }
+            for (j = 0; j < m; j++) {
+                B[i * m + j] -= f * B[k * m + j];
+            }
+        }
+    }
+    for (i = n - 1; i >= 0; i--) {
+        for (j = 0; j < m; j++) {
+            var sum = B[i * m + j];
+            for (k = i + 1; k < n; k++) {
+                sum -= A[i * n + k] * B[k * m + j];
+            }
+            B[i * m + j] = sum / A[i * n + i];
+        }
+    }
+    return true;
+}
+
+function swapRows(M, width, a, b) {
+    for (var j = 0; j < width; j++) {
+        var t = M[a * width + j];
+        M[a * width + j] = M[b * width + j];
+        M[b * width + j] = t;
+    }
+}
+
+/**
+ * Average the Lab of samples with identical device values.
+ */
+function mergeDuplicates(device, Lab, channels) {
+    var index = {};
+    var merged = {device: [], Lab: [], count: 0};
+    var counts = [];
+    for (var i = 0; i < Lab.length / 3; i++) {
+        var key = Array.prototype.slice.call(device, i * channels, (i + 1) * channels).join(',');
+        var slot = index[key];
+        if (slot === undefined) {
+            slot = index[key] = merged.count++;
+            for (var c = 0; c < channels; c++) {
+                merged.device.push(device[i * channels + c]);
+            }
+            merged.Lab.push(0, 0, 0);
+            counts.push(0);
+        }
+        merged.Lab[slot * 3] += Lab[i * 3];
+        merged.Lab[slot * 3 + 1] += Lab[i * 3 + 1];
+        merged.Lab[slot * 3 + 2] += Lab[i * 3 + 2];
+        counts[slot]++;
+    }
+    for (i = 0; i < merged.count; i++) {
+        merged.Lab[i * 3] /= counts[i];
+        merged.Lab[i * 3 + 1] /= counts[i];
+        merged.Lab[i * 3 + 2] /= counts[i];
+    }
+    return merged;
+}
+
+/**
+ * The thin-plate kernel r² log r, from r² to save the square root.
+ */
+function kernel(r2) {
+    return (r2 > 0) ? 0.5 * r2 * Math.log(r2) : 0;
+}
+
+function distanceSquared(a, aStart, b, bStart, channels) {
+    var sum = 0;
+    for (var c = 0; c < channels; c++) {
+        var d = a[aStart + c] - b[bStart + c];
+        sum += d * d;
+    }
+    return sum;
+}
+
+function copy(src, start, dst) {
+    dst[0] = src[start];
+    dst[1] = src[start + 1];
+    dst[2] = src[start + 2];
+    dst[3] = src[start + 3];
+}
+
+function clip(v, min, max) {
+    return v < min ? min : v > max ? max : v;
+}
@@ -29,6 +29,10 @@
  *    - Perform Bradford chromatic adaptation between whitepoints.
  *    - Compute, invert, transpose and multiply 3x3 RGB-profile matrices.
  *    - Apply / invert per-channel gamma (sRGB curve and pure-gamma).
+ *    - Convert to the perceptually uniform Oklab / OkLCh, Jzazbz / JzCzhz
+ *      and ICtCp spaces.
+ *    - Convert RGB to and from HSL / HSV / HWB.
+ *    - Parse and serialize CSS Color Level 4 strings.
  *    - Compute ΔE colour-difference (1976, 1994, 2000, CMC).
  *    - A handful of display/format helpers (RGB→hex, intent→string, etc.).
  *
@@ -63,6 +67,14 @@
  *      LCH    { type, L, C, H, whitePoint }       // H 0–360
  *      XYZ    { type, X, Y, Z, whitePoint? }      // Y normalised to 1.0
  *      xyY    { type, x, y, Y }                   // chromaticity + luminance
+ *      Oklab  { type, L, a, b }                   // L 0.0–1.0, D65
+ *      OkLCh  { type, L, C, H }                   // H 0–360
+ *      Jzazbz { type, Jz, az, bz }                // absolute, see PERCEPTUALLY UNIFORM SPACES
+ *      JzCzhz { type, Jz, Cz, hz }
+ *      ICtCp  { type, I, Ct, Cp }                 // BT.2100 PQ
+ *      HSL    { type, H, S, L }                   // H 0–360, S/L 0–100, of an RGB space
+ *      HSV    { type, H, S, V }                   // H 0–360, S/V 0–100
+ *      HWB    { type, H, W, B }                   // H 0–360, W/B 0–100
  *
  *  Lab/LCH carry their reference whitepoint with them so a downstream
  *  conversion can adapt automatically. XYZ optionally carries one but the
@@ -729,6 +741,140 @@ convert.xyY = function(x, y, Y){
     };
 };
 
+/**
+ * Build an Oklab colour (Björn Ottosson, 2020). L is 0.0–1.0, a/b are
+ * roughly ±0.4. Oklab is always relative to D65.
+ * @param {number} L
+ * @param {number} a
+ * @param {number} b
+ * @returns {_cmsOklab}
+ */
+convert.Oklab = function(L, a, b){
+    return {
+        type: eColourType.Oklab,
+        L: L,
+        a: a,
+        b: b
+    };
+};
+
+/**
+ * Build an OkLCh colour, the cylindrical form of Oklab.
+ * @param {number} L  0.0–1.0
+ * @param {number} C  Chroma, roughly 0–0.4
+ * @param {number} H  Hue in degrees, wrapped into 0–360.
+ * @returns {_cmsOkLCh}
+ */
+convert.OkLCh = function(L, C, H){
+    return {
+        type: eColourType.OkLCh,
+        L: L,
+        C: (C < 0.0 ? 0.0 : C),
+        H: ((H % 360) + 360) % 360
+    };
+};
+
+/**
+ * Build a Jzazbz colour (Safdar et al. 2017). Jz is about 0.0–0.17 for
+ * SDR white at 203 cd/m², higher for HDR highlights.
+ * @param {number} Jz
+ * @param {number} az
+ * @param {number} bz
+ * @returns {_cmsJzazbz}
+ */
+convert.Jzazbz = function(Jz, az, bz){
+    return {
+        type: eColourType.Jzazbz,
+        Jz: Jz,
+        az: az,
+        bz: bz
+    };
+};
+
+/**
+ * Build a JzCzhz colour, the cylindrical form of Jzazbz.
+ * @param {number} Jz
+ * @param {number} Cz
+ * @param {number} hz  Hue in degrees, wrapped into 0–360.
+ * @returns {_cmsJzCzhz}
+ */
+convert.JzCzhz = function(Jz, Cz, hz){
+    return {
+        type: eColourType.JzCzhz,
+        Jz: Jz,
+        Cz: (Cz < 0.0 ? 0.0 : Cz),
+        hz: ((hz % 360) + 360) % 360
+    };
+};
+
+/**
+ * Build an ICtCp colour (ITU-R BT.2100, PQ). I is 0.0–1.0 over
+ * 0–10000 cd/m², Ct/Cp are roughly ±0.5.
+ * @param {number} I
+ * @param {number} Ct
+ * @param {number} Cp
+ * @returns {_cmsICtCp}
+ */
+convert.ICtCp = function(I, Ct, Cp){
+    return {
+        type: eColourType.ICtCp,
+        I: I,
+        Ct: Ct,
+        Cp: Cp
+    };
+};
+
+/**
+ * Build an HSL colour. HSL, HSV and HWB are rearrangements of an RGB
+ * space's encoded values, so they mean whatever RGB space (profile) they
+ * are used with. S and L are clamped to 0–100, H is wrapped into 0–360.
+ * @param {number} H  Hue in degrees
+ * @param {number} S  Saturation 0–100
+ * @param {number} L  Lightness 0–100
+ * @returns {_cmsHSL}
+ */
+convert.HSL = function(H, S, L){
+    return {
+        type: eColourType.HSL,
+        H: ((H % 360) + 360) % 360,
+        S: (S > 100 ? 100 : S < 0 ? 0 : S),
+        L: (L > 100 ? 100 : L < 0 ? 0 : L)
+    };
+};
+
+/**
+ * Build an HSV (HSB) colour. See `HSL`.
+ * @param {number} H  Hue in degrees
+ * @param {number} S  Saturation 0–100
+ * @param {number} V  Value 0–100
+ * @returns {_cmsHSV}
+ */
+convert.HSV = function(H, S, V){
+    return {
+        type: eColourType.HSV,
+        H: ((H % 360) + 360) % 360,
+        S: (S > 100 ? 100 : S < 0 ? 0 : S),
+        V: (V > 100 ? 100 : V < 0 ? 0 : V)
+    };
+};
+
+/**
+ * Build an HWB (hue, whiteness, blackness) colour. See `HSL`. W + B over
+ * 100 is allowed and gives a grey, as in CSS.
+ * @param {number} H  Hue in degrees
+ * @param {number} W  Whiteness 0–100
+ * @param {number} B  Blackness 0–100
+ * @returns {_cmsHWB}
+ */
+convert.HWB = function(H, W, B){
+    return {
+        type: eColourType.HWB,
+        H: ((H % 360) + 360) % 360,
+        W: (W > 100 ? 100 : W < 0 ? 0 : W),
+        B: (B > 100 ? 100 : B < 0 ? 0 : B)
+    };
+};
+
 // ============================================================================
 //  WHITEPOINTS — bundled CIE standard illuminants
 // ============================================================================
@@ -1231,6 +1377,27 @@ convert.adaptation = function(XYZ, sourceWhite, destWhite){
     }
 };
 
+/**
+ * The Bradford adaptation above expressed as a flat-key 3x3 matrix `M`
+ * with `XYZd = M · XYZs` (column-vector form — the layout of the ICC
+ * `chad` tag). Built by pushing the three unit vectors through
+ * `adaptation()`, so it agrees with the per-colour path exactly.
+ *
+ * @param {_cmsWhitePoint} sourceWhite
+ * @param {_cmsWhitePoint} destWhite
+ * @returns {object}  Flat-key 3x3 matrix.
+ */
+convert.adaptationMatrix = function(sourceWhite, destWhite){
+    var cx = this.adaptation({X: 1, Y: 0, Z: 0}, sourceWhite, destWhite);
+    var cy = this.adaptation({X: 0, Y: 1, Z: 0}, sourceWhite, destWhite);
+    var cz = this.adaptation({X: 0, Y: 0, Z: 1}, sourceWhite, destWhite);
+    return {
+        m00: cx.X, m01: cy.X, m02: cz.X,
+        m10: cx.Y, m11: cy.Y, m12: cz.Y,
+        m20: cx.Z, m21: cy.Z, m22: cz.Z
+    };
+};
+
 /**
  * XYZ → linear-then-gamma-encoded RGB device values, returned as a raw
  * `[R, G, B]` float array (no `_cmsRGBf` wrapping).
@@ -1807,6 +1974,59 @@ convert.sRGBGammaInv = function(c){
     return (c <= 0.04045) ? (c / 12.92) : Math.pow((c + 0.055) / 1.055, 2.4);
 };
 
+/**
+ * Diffuse (reference) white for HDR signals in cd/m², ITU-R BT.2408.
+ * HDR profiles without a `lumi` tag put relative white here.
+ * @type {number}
+ */
+convert.hdrReferenceWhite = 203;
+
+/**
+ * PQ encoding curve (linear → PQ signal), SMPTE ST 2084 inverse EOTF.
+ * @param {number} c  Linear light as a fraction of 10000 cd/m², 0..1.
+ * @returns {number}  PQ signal 0..1.
+ */
+convert.PQGamma = function(c){
+    var m1 = 0.1593017578125, m2 = 78.84375, c1 = 0.8359375, c2 = 18.8515625, c3 = 18.6875;
+    var p = Math.pow(Math.min(Math.max(c, 0.0), 1.0), m1);
+    return Math.pow((c1 + (c2 * p)) / (1 + (c3 * p)), m2);
+};
+
+/**
+ * PQ decoding curve (PQ signal → linear), SMPTE ST 2084 EOTF.
+ * Inverse of `PQGamma`.
+ * @param {number} c  PQ signal 0..1.
+ * @returns {number}  Linear light as a fraction of 10000 cd/m², 0..1.
+ */
+convert.PQGammaInv = function(c){
+    var m1 = 0.1593017578125, m2 = 78.84375, c1 = 0.8359375, c2 = 18.8515625, c3 = 18.6875;
+    var p = Math.pow(Math.min(Math.max(c, 0.0), 1.0), 1 / m2);
+    return Math.pow(Math.max(p - c1, 0.0) / (c2 - (c3 * p)), 1 / m1);
+};
+
+/**
+ * HLG encoding curve (scene linear → HLG signal), ITU-R BT.2100 OETF.
+ * @param {number} c  Scene linear light 0..1.
+ * @returns {number}  HLG signal 0..1.
+ */
+convert.HLGGamma = function(c){
+    var a = 0.17883277, b = 0.28466892, c0 = 0.55991073;
+    c = Math.min(Math.max(c, 0.0), 1.0);
+    return (c <= 1 / 12) ? Math.sqrt(3 * c) : (a * Math.log((12 * c) - b)) + c0;
+};
+
+/**
+ * HLG decoding curve (HLG signal → scene linear), the BT.2100 inverse
+ * OETF. Inverse of `HLGGamma`. The OOTF (display gamma) is not applied.
+ * @param {number} c  HLG signal 0..1.
+ * @returns {number}  Scene linear light 0..1.
+ */
+convert.HLGGammaInv = function(c){
+    var a = 0.17883277, b = 0.28466892, c0 = 0.55991073;
+    c = Math.min(Math.max(c, 0.0), 1.0);
+    return (c <= 0.5) ? (c * c) / 3 : (Math.exp((c - c0) / a) + b) / 12;
+};
+
 // ============================================================================
 //  3x3 MATRIX HELPERS
 // ============================================================================
@@ -2052,6 +2272,992 @@ convert.invertMatrix = function(m){
 
 
 
+
+// ============================================================================
+//  PERCEPTUALLY UNIFORM SPACES
+//      XYZ ↔ Oklab ↔ OkLCh, XYZ ↔ Jzazbz ↔ JzCzhz, XYZ ↔ ICtCp
+// ============================================================================
+//
+//  All three are defined on D65 XYZ. The XYZ passed in is taken as relative
+//  to `whitePoint` (default D65, Y = 1 for the white) and Bradford adapted
+//  to D65 first when it is anything else, so PCS XYZ can go straight in
+//  with `whitePoint = convert.d50`. The inverses adapt back the same way.
+//
+//  Jzazbz and ICtCp work on absolute luminance. Relative Y = 1 is put at
+//  `whiteLuminance` cd/m², default `convert.hdrReferenceWhite` (203) — the
+//  same convention as the HDR profiles, so SDR white lands on HDR
+//  reference white.
+//
+//  References:
+//      Oklab   — https://bottosson.github.io/posts/oklab/
+//      Jzazbz  — Safdar et al., Optics Express 25(13), 2017
+//      ICtCp   — ITU-R BT.2100-2, table 7
+//
+// ============================================================================
+
+/** XYZ (D65) → approximate cone LMS, and LMS' → Lab, for Oklab */
+var OKLAB_M1 = {
+    m00: 0.8189330101, m01: 0.3618667424, m02: -0.1288597137,
+    m10: 0.0329845436, m11: 0.9293118715, m12:  0.0361456387,
+    m20: 0.0482003018, m21: 0.2643662691, m22:  0.6338517070
+};
+var OKLAB_M2 = {
+    m00: 0.2104542553, m01:  0.7936177850, m02: -0.0040720468,
+    m10: 1.9779984951, m11: -2.4285922050, m12:  0.4505937099,
+    m20: 0.0259040371, m21:  0.7827717662, m22: -0.8086757660
+};
+
+/** Jzazbz XYZ' → LMS and L'M'S' → Izazbz */
+var JZAZBZ_M1 = {
+    m00:  0.41478972, m01: 0.579999, m02: 0.0146480,
+    m10: -0.2015100,  m11: 1.120649, m12: 0.0531008,
+    m20: -0.0166008,  m21: 0.264800, m22: 0.6684799
+};
+var JZAZBZ_M2 = {
+    m00: 0.5,      m01:  0.5,      m02:  0,
+    m10: 3.524000, m11: -4.066708, m12:  0.542708,
+    m20: 0.199076, m21:  1.096799, m22: -1.295875
+};
+
+/**
+ * ICtCp XYZ (D65) → LMS. BT.2100's Rec.2020 RGB → LMS matrix
+ * ([1688 2146 262; 683 2951 462; 99 309 3688] / 4096) times Rec.2020's
+ * XYZ → RGB.
+ */
+var ICTCP_M1 = {
+    m00:  0.3592832590, m01: 0.6976051147, m02: -0.0358915933,
+    m10: -0.1920808463, m11: 1.1004767970, m12:  0.0753748658,
+    m20:  0.0070797844, m21: 0.0748396662, m22:  0.8433265454
+};
+var ICTCP_M2 = {
+    m00:  2048 / 4096, m01:   2048 / 4096, m02:     0 / 4096,
+    m10:  6610 / 4096, m11: -13613 / 4096, m12:  7003 / 4096,
+    m20: 17933 / 4096, m21: -17390 / 4096, m22:  -543 / 4096
+};
+
+var OKLAB_M1_INV = convert.invertMatrix(OKLAB_M1);
+var OKLAB_M2_INV = convert.invertMatrix(OKLAB_M2);
+var JZAZBZ_M1_INV = convert.invertMatrix(JZAZBZ_M1);
+var JZAZBZ_M2_INV = convert.invertMatrix(JZAZBZ_M2);
+var ICTCP_M1_INV = convert.invertMatrix(ICTCP_M1);
+var ICTCP_M2_INV = convert.invertMatrix(ICTCP_M2);
+
+/** m · [x, y, z] for the flat-key matrices */
+function mul3(m, x, y, z){
+    return [
+        m.m00 * x + m.m01 * y + m.m02 * z,
+        m.m10 * x + m.m11 * y + m.m12 * z,
+        m.m20 * x + m.m21 * y + m.m22 * z
+    ];
+}
+
+/** XYZ relative to `whitePoint` → XYZ relative to D65 */
+function toD65(XYZ, whitePoint){
+    if(whitePoint && !convert.compareWhitePoints(whitePoint, convert.d65)){
+        return convert.adaptation(XYZ, whitePoint, convert.d65);
+    }
+    return XYZ;
+}
+
+/** XYZ relative to D65 → an XYZ object relative to `whitePoint` (default D65) */
+function fromD65(X, Y, Z, whitePoint){
+    whitePoint = whitePoint || convert.d65;
+    var XYZ = {X: X, Y: Y, Z: Z};
+    if(!convert.compareWhitePoints(whitePoint, convert.d65)){
+        XYZ = convert.adaptation(XYZ, convert.d65, whitePoint);
+    }
+    return convert.XYZ(XYZ.X, XYZ.Y, XYZ.Z, whitePoint);
+}
+
+/** Signed power, keeps negative (out of gamut) values invertible */
+function spow(x, p){
+    return (x < 0) ? -Math.pow(-x, p) : Math.pow(x, p);
+}
+
+/** Cartesian → cylindrical, hue in degrees 0–360 */
+function toHue(a, b){
+    var h = Math.atan2(b, a) * 180 / Math.PI;
+    return (h < 0) ? h + 360 : h;
+}
+
+/**
+ * XYZ → Oklab.
+ * @param {_cmsXYZ} XYZ
+ * @param {_cmsWhitePoint=} whitePoint  White the XYZ is relative to, default D65.
+ * @returns {_cmsOklab}
+ */
+convert.XYZ2Oklab = function(XYZ, whitePoint){
+    XYZ = toD65(XYZ, whitePoint);
+    var lms = mul3(OKLAB_M1, XYZ.X, XYZ.Y, XYZ.Z);
+    var lab = mul3(OKLAB_M2, Math.cbrt(lms[0]), Math.cbrt(lms[1]), Math.cbrt(lms[2]));
+    return this.Oklab(lab[0], lab[1], lab[2]);
+};
+
+/**
+ * Oklab → XYZ. Inverse of `XYZ2Oklab`.
+ * @param {_cmsOklab} Oklab
+ * @param {_cmsWhitePoint=} whitePoint  White the XYZ is returned relative to, default D65.
+ * @returns {_cmsXYZ}
+ */
+convert.Oklab2XYZ = function(Oklab, whitePoint){
+    var lms = mul3(OKLAB_M2_INV, Oklab.L, Oklab.a, Oklab.b);
+    var XYZ = mul3(OKLAB_M1_INV, lms[0] * lms[0] * lms[0], lms[1] * lms[1] * lms[1], lms[2] * lms[2] * lms[2]);
+    return fromD65(XYZ[0], XYZ[1], XYZ[2], whitePoint);
+};
+
+/**
+ * Oklab → OkLCh.
+ * @param {_cmsOklab} Oklab
+ * @returns {_cmsOkLCh}
+ */
+convert.Oklab2OkLCh = function(Oklab){
+    return this.OkLCh(Oklab.L, Math.sqrt(Oklab.a * Oklab.a + Oklab.b * Oklab.b), toHue(Oklab.a, Oklab.b));
+};
+
+/**
+ * OkLCh → Oklab. Inverse of `Oklab2OkLCh`.
+ * @param {_cmsOkLCh} OkLCh
+ * @returns {_cmsOklab}
+ */
+convert.OkLCh2Oklab = function(OkLCh){
+    var h = OkLCh.H * Math.PI / 180;
+    return this.Oklab(OkLCh.L, OkLCh.C * Math.cos(h), OkLCh.C * Math.sin(h));
+};
+
+/** Jzazbz's PQ variant: ST 2084 with the exponent m2 raised to 1.7 × 2523 / 32 */
+var JZ_N = 2610 / 16384, JZ_P = 1.7 * 2523 / 32, JZ_C1 = 3424 / 4096, JZ_C2 = 2413 / 128, JZ_C3 = 2392 / 128;
+var JZ_D = -0.56, JZ_D0 = 1.6295499532821566e-11;
+
+function jzPQ(x){
+    var p = Math.pow(Math.max(x, 0) / 10000, JZ_N);
+    return Math.pow((JZ_C1 + JZ_C2 * p) / (1 + JZ_C3 * p), JZ_P);
+}
+
+function jzPQInv(x){
+    var p = Math.pow(Math.max(x, 0), 1 / JZ_P);
+    return 10000 * Math.pow(Math.max((JZ_C1 - p) / (JZ_C3 * p - JZ_C2), 0), 1 / JZ_N);
+}
+
+/**
+ * XYZ → Jzazbz.
+ * @param {_cmsXYZ} XYZ
+ * @param {_cmsWhitePoint=} whitePoint  White the XYZ is relative to, default D65.
+ * @param {number=} whiteLuminance      cd/m² for Y = 1, default `hdrReferenceWhite` (203).
+ * @returns {_cmsJzazbz}
+ */
+convert.XYZ2Jzazbz = function(XYZ, whitePoint, whiteLuminance){
+    XYZ = toD65(XYZ, whitePoint);
+    var scale = whiteLuminance || this.hdrReferenceWhite;
+    var X = XYZ.X * scale, Y = XYZ.Y * scale, Z = XYZ.Z * scale;
+
+    var lms = mul3(JZAZBZ_M1, 1.15 * X - 0.15 * Z, 0.66 * Y + 0.34 * X, Z);
+    var Iab = mul3(JZAZBZ_M2, jzPQ(lms[0]), jzPQ(lms[1]), jzPQ(lms[2]));
+
+    var Jz = ((1 + JZ_D) * Iab[0]) / (1 + JZ_D * Iab[0]) - JZ_D0;
+    return this.Jzazbz(Jz, Iab[1], Iab[2]);
+};
+
+/**
+ * Jzazbz → XYZ. Inverse of `XYZ2Jzazbz`.
+ * @param {_cmsJzazbz} Jzazbz
+ * @param {_cmsWhitePoint=} whitePoint  White the XYZ is returned relative to, default D65.
+ * @param {number=} whiteLuminance      cd/m² for Y = 1, default `hdrReferenceWhite` (203).
+ * @returns {_cmsXYZ}
+ */
+convert.Jzazbz2XYZ = function(Jzazbz, whitePoint, whiteLuminance){
+    var scale = whiteLuminance || this.hdrReferenceWhite;
+    var Jz = Jzazbz.Jz + JZ_D0;
+    var Iz = Jz / (1 + JZ_D - JZ_D * Jz);
+
+    var lmsp = mul3(JZAZBZ_M2_INV, Iz, Jzazbz.az, Jzazbz.bz);
+    var xyz = mul3(JZAZBZ_M1_INV, jzPQInv(lmsp[0]), jzPQInv(lmsp[1]), jzPQInv(lmsp[2]));
+
+    var X = (xyz[0] + 0.15 * xyz[2]) / 1.15;
+    var Y = (xyz[1] - 0.34 * X) / 0.66;
+    return fromD65(X / scale, Y / scale, xyz[2] / scale, whitePoint);
+};
+
+/**
+ * Jzazbz → JzCzhz.
+ * @param {_cmsJzazbz} Jzazbz
+ * @returns {_cmsJzCzhz}
+ */
+convert.Jzazbz2JzCzhz = function(Jzazbz){
+    return this.JzCzhz(Jzazbz.Jz, Math.sqrt(Jzazbz.az * Jzazbz.az + Jzazbz.bz * Jzazbz.bz), toHue(Jzazbz.az, Jzazbz.bz));
+};
+
+/**
+ * JzCzhz → Jzazbz. Inverse of `Jzazbz2JzCzhz`.
+ * @param {_cmsJzCzhz} JzCzhz
+ * @returns {_cmsJzazbz}
+ */
+convert.JzCzhz2Jzazbz = function(JzCzhz){
+    var h = JzCzhz.hz * Math.PI / 180;
+    return this.Jzazbz(JzCzhz.Jz, JzCzhz.Cz * Math.cos(h), JzCzhz.Cz * Math.sin(h));
+};
+
+/**
+ * XYZ → ICtCp (PQ).
+ * @param {_cmsXYZ} XYZ
+ * @param {_cmsWhitePoint=} whitePoint  White the XYZ is relative to, default D65.
+ * @param {number=} whiteLuminance      cd/m² for Y = 1, default `hdrReferenceWhite` (203).
+ * @returns {_cmsICtCp}
+ */
+convert.XYZ2ICtCp = function(XYZ, whitePoint, whiteLuminance){
+    XYZ = toD65(XYZ, whitePoint);
+    var scale = (whiteLuminance || this.hdrReferenceWhite) / 10000;
+    var lms = mul3(ICTCP_M1, XYZ.X * scale, XYZ.Y * scale, XYZ.Z * scale);
+    var ictcp = mul3(ICTCP_M2, this.PQGamma(lms[0]), this.PQGamma(lms[1]), this.PQGamma(lms[2]));
+    return this.ICtCp(ictcp[0], ictcp[1], ictcp[2]);
+};
+
+/**
+ * ICtCp → XYZ. Inverse of `XYZ2ICtCp`.
+ * @param {_cmsICtCp} ICtCp
+ * @param {_cmsWhitePoint=} whitePoint  White the XYZ is returned relative to, default D65.
+ * @param {number=} whiteLuminance      cd/m² for Y = 1, default `hdrReferenceWhite` (203).
+ * @returns {_cmsXYZ}
+ */
+convert.ICtCp2XYZ = function(ICtCp, whitePoint, whiteLuminance){
+    var scale = 10000 / (whiteLuminance || this.hdrReferenceWhite);
+    var lmsp = mul3(ICTCP_M2_INV, ICtCp.I, ICtCp.Ct, ICtCp.Cp);
+    var xyz = mul3(ICTCP_M1_INV, this.PQGammaInv(lmsp[0]), this.PQGammaInv(lmsp[1]), this.PQGammaInv(lmsp[2]));
+    return fromD65(xyz[0] * scale, xyz[1] * scale, xyz[2] * scale, whitePoint);
+};
+
+// ============================================================================
+//  HSL / HSV / HWB
+// ============================================================================
+//
+//  Cylindrical rearrangements of RGB for colour pickers. They carry no
+//  colorimetry of their own: HSL in AdobeRGB is AdobeRGB. The maths is the
+//  CSS Color 4 one (hslToRgb / hwbToRgb), on encoded 0..1 RGB. Achromatic
+//  colours get hue 0.
+//
+//      RGB2HSL / RGB2HSV / RGB2HWB    take RGB (bytes) or RGBf
+//      HSL2RGB / HSV2RGB / HWB2RGB    give RGB bytes, rounded
+//      HSL2RGBf / HSV2RGBf / HWB2RGBf give RGBf, unrounded
+//
+//  Transform takes HSL / HSV / HWB objects as input on any RGB profile.
+
+/** RGB or RGBf → [r, g, b] 0..1 */
+function rgbUnit(rgb){
+    return (rgb.type === eColourType.RGBf)
+        ? [rgb.Rf, rgb.Gf, rgb.Bf]
+        : [rgb.R / 255, rgb.G / 255, rgb.B / 255];
+}
+
+/** Hue in degrees from 0..1 RGB and its max / min, 0 when achromatic */
+function rgbHue(r, g, b, max, min){
+    var d = max - min;
+    if(d === 0){
+        return 0;
+    }
+    var h;
+    switch(max){
+        case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+        case g: h = (b - r) / d + 2; break;
+        default: h = (r - g) / d + 4;
+    }
+    return h * 60;
+}
+
+/**
+ * RGB → HSL.
+ * @param {_cmsRGB|_cmsRGBf} rgb
+ * @returns {_cmsHSL}
+ */
+convert.RGB2HSL = function(rgb){
+    var c = rgbUnit(rgb);
+    var max = Math.max(c[0], c[1], c[2]);
+    var min = Math.min(c[0], c[1], c[2]);
+    var l = (max + min) / 2;
+    var s = (l <= 0 || l >= 1) ? 0 : (max - l) / Math.min(l, 1 - l);
+    return convert.HSL(rgbHue(c[0], c[1], c[2], max, min), s * 100, l * 100);
+};
+
+/**
+ * RGB → HSV.
+ * @param {_cmsRGB|_cmsRGBf} rgb
+ * @returns {_cmsHSV}
+ */
+convert.RGB2HSV = function(rgb){
+    var c = rgbUnit(rgb);
+    var max = Math.max(c[0], c[1], c[2]);
+    var min = Math.min(c[0], c[1], c[2]);
+    var s = (max <= 0) ? 0 : (max - min) / max;
+    return convert.HSV(rgbHue(c[0], c[1], c[2], max, min), s * 100, max * 100);
+};
+
+/**
+ * RGB → HWB.
+ * @param {_cmsRGB|_cmsRGBf} rgb
+ * @returns {_cmsHWB}
+ */
+convert.RGB2HWB = function(rgb){
+    var c = rgbUnit(rgb);
+    var max = Math.max(c[0], c[1], c[2]);
+    var min = Math.min(c[0], c[1], c[2]);
+    return convert.HWB(rgbHue(c[0], c[1], c[2], max, min), min * 100, (1 - max) * 100);
+};
+
+/**
+ * HSL → RGBf.
+ * @param {_cmsHSL} hsl
+ * @returns {_cmsRGBf}
+ */
+convert.HSL2RGBf = function(hsl){
+    var h = ((hsl.H % 360) + 360) % 360;
+    var s = hsl.S / 100;
+    var l = hsl.L / 100;
+    var a = s * Math.min(l, 1 - l);
+    var f = function(n){
+        var k = (n + h / 30) % 12;
+        return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return convert.RGBf(f(0), f(8), f(4));
+};
+
+/**
+ * HSV → RGBf.
+ * @param {_cmsHSV} hsv
+ * @returns {_cmsRGBf}
+ */
+convert.HSV2RGBf = function(hsv){
+    var h = ((hsv.H % 360) + 360) % 360;
+    var s = hsv.S / 100;
+    var v = hsv.V / 100;
+    var f = function(n){
+        var k = (n + h / 60) % 6;
+        return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+    };
+    return convert.RGBf(f(5), f(3), f(1));
+};
+
+/**
+ * HWB → RGBf.
+ * @param {_cmsHWB} hwb
+ * @returns {_cmsRGBf}
+ */
+convert.HWB2RGBf = function(hwb){
+    var w = hwb.W / 100;
+    var b = hwb.B / 100;
+    if(w + b >= 1){
+        var grey = w / (w + b);
+        return convert.RGBf(grey, grey, grey);
+    }
+    var rgb = convert.HSL2RGBf({H: hwb.H, S: 100, L: 50});
+    return convert.RGBf(
+        rgb.Rf * (1 - w - b) + w,
+        rgb.Gf * (1 - w - b) + w,
+        rgb.Bf * (1 - w - b) + w
+    );
+};
+
+/**
+ * HSL → RGB bytes.
+ * @param {_cmsHSL} hsl
+ * @returns {_cmsRGB}
+ */
+convert.HSL2RGB = function(hsl){
+    var rgb = convert.HSL2RGBf(hsl);
+    return convert.RGB(rgb.Rf * 255, rgb.Gf * 255, rgb.Bf * 255);
+};
+
+/**
+ * HSV → RGB bytes.
+ * @param {_cmsHSV} hsv
+ * @returns {_cmsRGB}
+ */
+convert.HSV2RGB = function(hsv){
+    var rgb = convert.HSV2RGBf(hsv);
+    return convert.RGB(rgb.Rf * 255, rgb.Gf * 255, rgb.Bf * 255);
+};
+
+/**
+ * HWB → RGB bytes.
+ * @param {_cmsHWB} hwb
+ * @returns {_cmsRGB}
+ */
+convert.HWB2RGB = function(hwb){
+    var rgb = convert.HWB2RGBf(hwb);
+    return convert.RGB(rgb.Rf * 255, rgb.Gf * 255, rgb.Bf * 255);
+};
+
+/** HSL, HSV or HWB → RGBf, anything else → null */
+function hsxToRGBf(colour){
+    switch(colour.type){
+        case eColourType.HSL: return convert.HSL2RGBf(colour);
+        case eColourType.HSV: return convert.HSV2RGBf(colour);
+        case eColourType.HWB: return convert.HWB2RGBf(colour);
+    }
+    return null;
+}
+
+// ============================================================================
+//  CSS COLOR LEVEL 4 — parseCSSColor() / toCSS()
+// ============================================================================
+//
+//  parseCSSColor() reads a CSS colour string and returns the cmsColor object
+//  a Transform takes, plus the virtual profile that colour is in:
+//
+//      #rgb, #rrggbbaa, rgb(), hsl(), hwb()  → RGB     '*sRGB'
+//      lab(), lch()                          → Lab/LCH '*Lab'    (D50, as CSS)
+//      oklab(), oklch()                      → Oklab/OkLCh '*Oklab' / '*OkLCh'
+//      color(srgb …)                         → RGBf    '*sRGB'
+//      color(srgb-linear …)                  → RGBf    '*LinearSRGB'
+//      color(display-p3 …)                   → RGBf    '*DisplayP3'
+//      color(a98-rgb …)                      → RGBf    '*AdobeRGB'
+//      color(prophoto-rgb …)                 → RGBf    '*ProPhotoRGB'
+//      color(rec2020 …)                      → RGBf    '*Rec2020'
+//      color(xyz | xyz-d65 | xyz-d50 …)      → XYZ     '*Lab'    (Lab input takes XYZ)
+//
+//  so `new Transform().create(parsed.profile, '*CMYK', …)` then
+//  `transform(parsed.color)` is all it takes. Both the legacy comma syntax
+//  and the modern space / slash syntax are accepted, with percentages,
+//  angle units and `none`. Named colours, `currentcolor`, relative colour
+//  syntax and calc() are not.
+//
+//  toCSS() goes the other way. If the requested space is not the one the
+//  colour is in, it converts with the CSS Color 4 maths — RGB matrices from
+//  the primaries, Bradford between D50 and D65. hex, rgb(), hsl() and
+//  hwb() are sRGB only so they clamp to the sRGB gamut; everything else is
+//  written out of gamut as is. Gamut map first if that matters.
+
+var REC2020_ALPHA = 1.09929682680944;
+var REC2020_BETA = 0.018053968510807;
+
+/**
+ * The CSS predefined RGB spaces. `matrix` / `matrixInv` (linear RGB ↔ XYZ at
+ * `white`) are filled in on first use by `cssSpace()`.
+ */
+var CSS_RGB_SPACES = {
+    'srgb': {
+        profile: '*sRGB', white: 'd65',
+        primaries: [0.640, 0.330, 0.300, 0.600, 0.150, 0.060],
+        toLinear: sRGBToLinear, fromLinear: sRGBFromLinear
+    },
+    'srgb-linear': {
+        profile: '*LinearSRGB', white: 'd65',
+        primaries: [0.640, 0.330, 0.300, 0.600, 0.150, 0.060],
+        toLinear: identity, fromLinear: identity
+    },
+    'display-p3': {
+        profile: '*DisplayP3', white: 'd65',
+        primaries: [0.680, 0.320, 0.265, 0.690, 0.150, 0.060],
+        toLinear: sRGBToLinear, fromLinear: sRGBFromLinear
+    },
+    'a98-rgb': {
+        profile: '*AdobeRGB', white: 'd65',
+        primaries: [0.640, 0.330, 0.210, 0.710, 0.150, 0.060],
+        toLinear: function(v){ return spow(v, 563 / 256); },
+        fromLinear: function(v){ return spow(v, 256 / 563); }
+    },
+    'prophoto-rgb': {
+        profile: '*ProPhotoRGB', white: 'd50',
+        primaries: [0.734699, 0.265301, 0.159597, 0.840403, 0.036598, 0.000105],
+        toLinear: function(v){ return (Math.abs(v) <= 16 / 512) ? v / 16 : spow(v, 1.8); },
+        fromLinear: function(v){ return (Math.abs(v) < 1 / 512) ? v * 16 : spow(v, 1 / 1.8); }
+    },
+    'rec2020': {
+        profile: '*Rec2020', white: 'd65',
+        primaries: [0.708, 0.292, 0.170, 0.797, 0.131, 0.046],
+        toLinear: function(v){
+            var a = Math.abs(v);
+            return (a < REC2020_BETA * 4.5) ? v / 4.5 : Math.pow((a + REC2020_ALPHA - 1) / REC2020_ALPHA, 1 / 0.45) * Math.sign(v);
+        },
+        fromLinear: function(v){
+            var a = Math.abs(v);
+            return (a < REC2020_BETA) ? v * 4.5 : (REC2020_ALPHA * Math.pow(a, 0.45) - (REC2020_ALPHA - 1)) * Math.sign(v);
+        }
+    }
+};
+
+/** Output formats toCSS() knows besides the RGB spaces above */
+var CSS_FORMATS = ['hex', 'rgb', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'xyz', 'xyz-d50', 'xyz-d65'];
+
+function identity(v){
+    return v;
+}
+
+/** sRGB curve, sign preserving as CSS does for out of gamut values */
+function sRGBToLinear(v){
+    return (v < 0) ? -convert.sRGBGammaInv(-v) : convert.sRGBGammaInv(v);
+}
+
+function sRGBFromLinear(v){
+    return (v < 0) ? -convert.sRGBGamma(-v) : convert.sRGBGamma(v);
+}
+
+/** Look up a CSS RGB space, building its matrices the first time */
+function cssSpace(name){
+    var space = CSS_RGB_SPACES[name];
+    if(space && !space.matrix){
+        var p = space.primaries;
+        var white = convert.getWhitePoint(space.white);
+
+        // columns are the primaries' XYZ at Y = 1, scaled so R+G+B = white
+        var P = {
+            m00: p[0] / p[1], m01: p[2] / p[3], m02: p[4] / p[5],
+            m10: 1,           m11: 1,           m12: 1,
+            m20: (1 - p[0] - p[1]) / p[1], m21: (1 - p[2] - p[3]) / p[3], m22: (1 - p[4] - p[5]) / p[5]
+        };
+        var S = mul3(convert.invertMatrix(P), white.X, white.Y, white.Z);
+        space.matrix = {
+            m00: P.m00 * S[0], m01: P.m01 * S[1], m02: P.m02 * S[2],
+            m10: P.m10 * S[0], m11: P.m11 * S[1], m12: P.m12 * S[2],
+            m20: P.m20 * S[0], m21: P.m21 * S[1], m22: P.m22 * S[2]
+        };
+        space.matrixInv = convert.invertMatrix(space.matrix);
+        space.whitePoint = white;
+    }
+    return space;
+}
+
+/**
+ * One CSS component, e.g. '50%', '120deg', '.5', 'none'.
+ * @returns {{value: number, unit: string}|null}
+ */
+function cssToken(str){
+    if(str === 'none'){
+        return {value: 0, unit: ''};
+    }
+    var m = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|rad|grad|turn)?$/.exec(str);
+    return m ? {value: parseFloat(m[1]), unit: m[2] || ''} : null;
+}
+
+/** A number or percentage, `percent` being what 100% is worth */
+function cssNumber(token, percent){
+    if(!token || (token.unit !== '' && token.unit !== '%')){
+        return null;
+    }
+    return (token.unit === '%') ? token.value * percent / 100 : token.value;
+}
+
+/** A hue in degrees, from a bare number or any angle unit */
+function cssHue(token){
+    if(!token){
+        return null;
+    }
+    switch(token.unit){
+        case '':
+        case 'deg':  return token.value;
+        case 'rad':  return token.value * 180 / Math.PI;
+        case 'grad': return token.value * 0.9;
+        case 'turn': return token.value * 360;
+    }
+    return null;
+}
+
+function clamp01(v){
+    return (v > 1) ? 1 : (v < 0) ? 0 : v;
+}
+
+/**
+ * Parse a CSS Color Level 4 colour string.
+ *
+ * Returns the colour as the cmsColor object the matching virtual profile
+ * takes as Transform input (see the table at the top of this section), or
+ * `null` if the string is not a colour this parser understands.
+ *
+ * rgb(), hsl(), hwb() and hex give an `RGB` byte colour; out of range
+ * values are clamped. rgb() keeps fractional bytes as written, hsl() and
+ * hwb() are rounded to whole ones like any other `convert.RGB()`. color()
+ * gives `RGBf` (or `XYZ`) with no clamping, so wide gamut values survive.
+ * An `RGBf` colour in a space other than sRGB also carries that `profile`
+ * itself, so `toCSS(parsed.color)` still knows where it came from.
+ *
+ *      convert.parseCSSColor('color(display-p3 1 0.5 0 / 50%)')
+ *      // → {color: {type: RGBf, Rf: 1, Gf: 0.5, Bf: 0, profile: '*DisplayP3'},
+ *      //    profile: '*DisplayP3', space: 'display-p3', alpha: 0.5}
+ *
+ * @param {string} str
+ * @returns {{color: object, profile: string, space: string, alpha: number}|null}
+ *      `space` is the CSS space name ('srgb', 'lab', 'oklch', 'xyz-d65' …).
+ */
+convert.parseCSSColor = function(str){
+    if(typeof str !== 'string'){
+        return null;
+    }
+    str = str.trim().toLowerCase();
+
+    if(str.charAt(0) === '#'){
+        return parseCSSHex(str.slice(1));
+    }
+
+    var m = /^([a-z0-9-]+)\(\s*(.*?)\s*\)$/.exec(str);
+    if(!m){
+        return null;
+    }
+    var fn = m[1];
+    var args = m[2];
+    var legacy = args.indexOf(',') >= 0;
+    var parts, alphaPart;
+
+    if(legacy){
+        // rgb(255, 0, 0, 0.5) — only rgb() / hsl() and their 'a' aliases
+        if(['rgb', 'rgba', 'hsl', 'hsla'].indexOf(fn) < 0){
+            return null;
+        }
+        parts = args.split(',').map(function(s){ return s.trim(); });
+        if(parts.length === 4){
+            alphaPart = parts.pop();
+        }
+    } else {
+        var slash = args.split('/');
+        if(slash.length > 2){
+            return null;
+        }
+        parts = slash[0].trim().split(/\s+/);
+        if(slash.length === 2){
+            alphaPart = slash[1].trim();
+        }
+    }
+
+    var alpha = 1;
+    if(alphaPart !== undefined){
+        alpha = cssNumber(cssToken(alphaPart), 1);
+        if(alpha === null){
+            return null;
+        }
+        alpha = clamp01(alpha);
+    }
+
+    var space = null;
+    if(fn === 'color'){
+        space = parts.shift();
+    }
+    if(parts.length !== 3){
+        return null;
+    }
+    var t = parts.map(cssToken);
+    var c, rgb;
+
+    switch(fn){
+        case 'rgb':
+        case 'rgba':
+            c = [cssNumber(t[0], 255), cssNumber(t[1], 255), cssNumber(t[2], 255)];
+            if(c.indexOf(null) >= 0){
+                return null;
+            }
+            return cssResult(convert.RGB(clampByte(c[0]), clampByte(c[1]), clampByte(c[2]), false), 'srgb', alpha);
+
+        case 'hsl':
+        case 'hsla':
+        case 'hwb':
+            c = [cssHue(t[0]), cssNumber(t[1], 100), cssNumber(t[2], 100)];
+            if(c.indexOf(null) >= 0){
+                return null;
+            }
+            rgb = (fn === 'hwb') ? convert.HWB2RGBf(convert.HWB(c[0], c[1], c[2])) : convert.HSL2RGBf(convert.HSL(c[0], c[1], c[2]));
+            return cssResult(convert.RGB(rgb.Rf * 255, rgb.Gf * 255, rgb.Bf * 255), 'srgb', alpha);
+
+        case 'lab':
+            c = [cssNumber(t[0], 100), cssNumber(t[1], 125), cssNumber(t[2], 125)];
+            if(c.indexOf(null) >= 0){
+                return null;
+            }
+            return cssResult(convert.Lab(clamp(c[0], 0, 100), c[1], c[2], convert.d50, false), 'lab', alpha);
+
+        case 'lch':
+            c = [cssNumber(t[0], 100), cssNumber(t[1], 150), cssHue(t[2])];
+            if(c.indexOf(null) >= 0){
+                return null;
+            }
+            return cssResult(convert.Lch(c[0], c[1], c[2], convert.d50), 'lch', alpha);
+
+        case 'oklab':
+            c = [cssNumber(t[0], 1), cssNumber(t[1], 0.4), cssNumber(t[2], 0.4)];
+            if(c.indexOf(null) >= 0){
+                return null;
+            }
+            return cssResult(convert.Oklab(clamp(c[0], 0, 1), c[1], c[2]), 'oklab', alpha);
+
+        case 'oklch':
+            c = [cssNumber(t[0], 1), cssNumber(t[1], 0.4), cssHue(t[2])];
+            if(c.indexOf(null) >= 0){
+                return null;
+            }
+            return cssResult(convert.OkLCh(clamp(c[0], 0, 1), Math.max(c[1], 0), c[2]), 'oklch', alpha);
+
+        case 'color':
+            c = [cssNumber(t[0], 1), cssNumber(t[1], 1), cssNumber(t[2], 1)];
+            if(c.indexOf(null) >= 0){
+                return null;
+            }
+            if(space === 'xyz' || space === 'xyz-d65' || space === 'xyz-d50'){
+                var white = (space === 'xyz-d50') ? convert.d50 : convert.d65;
+                return cssResult(convert.XYZ(c[0], c[1], c[2], white), (space === 'xyz') ? 'xyz-d65' : space, alpha);
+            }
+            if(!CSS_RGB_SPACES.hasOwnProperty(space)){
+                return null;
+            }
+            return cssResult(convert.RGBf(c[0], c[1], c[2]), space, alpha);
+    }
+    return null;
+};
+
+function clamp(v, min, max){
+    return (v > max) ? max : (v < min) ? min : v;
+}
+
+function clampByte(v){
+    return clamp(v, 0, 255);
+}
+
+function cssResult(color, space, alpha){
+    var profile;
+    if(CSS_RGB_SPACES.hasOwnProperty(space)){
+        profile = CSS_RGB_SPACES[space].profile;
+        // RGB is read as sRGB unless told otherwise, so the colour keeps
+        // its space for when it is passed on without the parse result
+        if(space !== 'srgb'){
+            color.profile = profile;
+        }
+    } else {
+        profile = {oklab: '*Oklab', oklch: '*OkLCh'}[space] || '*Lab';
+    }
+    return {color: color, profile: profile, space: space, alpha: alpha};
+}
+
+/** #rgb, #rgba, #rrggbb, #rrggbbaa */
+function parseCSSHex(hex){
+    if(!/^[0-9a-f]+$/.test(hex)){
+        return null;
+    }
+    if(hex.length === 3 || hex.length === 4){
+        hex = hex.split('').map(function(c){ return c + c; }).join('');
+    }
+    if(hex.length !== 6 && hex.length !== 8){
+        return null;
+    }
+    var v = [];
+    for(var i = 0; i < hex.length; i += 2){
+        v.push(parseInt(hex.substr(i, 2), 16));
+    }
+    return cssResult(convert.RGB(v[0], v[1], v[2]), 'srgb', (v.length === 4) ? v[3] / 255 : 1);
+}
+
+/**
+ * Work out which CSS space a colour is in.
+ * @returns {string|null}
+ */
+function cssSourceSpace(color, profile, space){
+    switch(color.type){
+        case eColourType.RGB:
+        case eColourType.RGBf:
+            if(CSS_RGB_SPACES.hasOwnProperty(space)){
+                return space;
+            }
+            if(typeof profile !== 'string'){
+                profile = color.profile;
+            }
+            if(typeof profile === 'string'){
+                for(var name in CSS_RGB_SPACES){
+                    if(CSS_RGB_SPACES[name].profile.toLowerCase() === profile.toLowerCase()){
+                        return name;
+                    }
+                }
+                return null;
+            }
+            return 'srgb';
+        case eColourType.Lab:    return 'lab';
+        case eColourType.LCH:    return 'lch';
+        case eColourType.Oklab:  return 'oklab';
+        case eColourType.OkLCh:  return 'oklch';
+        case eColourType.XYZ:
+            return (color.whitePoint && !convert.compareWhitePoints(color.whitePoint, convert.d65)) ? 'xyz-d50' : 'xyz-d65';
+    }
+    return null;
+}
+
+/** Colour in a CSS space → XYZ relative to `white` */
+function cssToXYZ(color, sourceSpace, white){
+    var XYZ, srcWhite;
+    var rgbSpace = cssSpace(sourceSpace);
+
+    if(rgbSpace){
+        var rgb = (color.type === eColourType.RGB)
+            ? [color.R / 255, color.G / 255, color.B / 255]
+            : [color.Rf, color.Gf, color.Bf];
+        var lin = mul3(rgbSpace.matrix, rgbSpace.toLinear(rgb[0]), rgbSpace.toLinear(rgb[1]), rgbSpace.toLinear(rgb[2]));
+        XYZ = {X: lin[0], Y: lin[1], Z: lin[2]};
+        srcWhite = rgbSpace.whitePoint;
+    } else {
+        switch(sourceSpace){
+            case 'lab':
+                XYZ = convert.Lab2XYZ(color);
+                srcWhite = color.whitePoint || convert.d50;
+                break;
+            case 'lch':
+                var h = color.H * Math.PI / 180;
+                srcWhite = color.whitePoint || convert.d50;
+                XYZ = convert.Lab2XYZ(convert.Lab(color.L, color.C * Math.cos(h), color.C * Math.sin(h), srcWhite, false));
+                break;
+            case 'oklch':
+                color = convert.OkLCh2Oklab(color);
+                // falls through
+            case 'oklab':
+                XYZ = convert.Oklab2XYZ(color);
+                srcWhite = convert.d65;
+                break;
+            default:
+                XYZ = color;
+                srcWhite = color.whitePoint || convert.d50;
+        }
+    }
+
+    if(!convert.compareWhitePoints(srcWhite, white)){
+        XYZ = convert.adaptation(XYZ, srcWhite, white);
+    }
+    return XYZ;
+}
+
+/** Round to `precision` decimals, dropping trailing zeros and -0 */
+function cssFormat(v, precision){
+    var s = parseFloat(v.toFixed(precision)).toString();
+    return (s === '-0') ? '0' : s;
+}
+
+/**
+ * Serialize a colour as a CSS Color Level 4 string.
+ *
+ * `color` is a cmsColor object or a `parseCSSColor()` result. RGB, RGBf,
+ * HSL, HSV and HWB colours are read as sRGB unless the parse result or the
+ * colour's own `profile` says otherwise; one in another space can be
+ * passed as `{color, profile: '*DisplayP3'}`. A profile that is not one of the CSS
+ * predefined spaces gives `null` — run those through a Transform to one of
+ * them first.
+ *
+ * `space` picks the output:
+ *
+ *      'hex' 'rgb' 'hsl' 'hwb'       sRGB, clamped to gamut
+ *      'lab' 'lch' 'oklab' 'oklch'
+ *      'srgb' 'srgb-linear' 'display-p3' 'a98-rgb' 'prophoto-rgb' 'rec2020'
+ *      'xyz' 'xyz-d65' 'xyz-d50'     written as color(…)
+ *
+ * and defaults to the space the colour is in ('rgb' for sRGB bytes and HSV,
+ * 'hsl' / 'hwb' for sRGB HSL / HWB).
+ *
+ *      convert.toCSS(convert.Lab(50, 20, -30), 'oklch')
+ *      // → 'oklch(0.5568 0.1061 289.6536)'
+ *
+ * @param {object} color             cmsColor or `parseCSSColor()` result.
+ * @param {string=} space            Output format, see above.
+ * @param {number=} precision        Decimal places, default 4.
+ * @returns {string|null}
+ */
+convert.toCSS = function(color, space, precision){
+    if(!color){
+        return null;
+    }
+    var alpha = color.alpha;
+    var profile, sourceSpace;
+    if(color.color){
+        profile = color.profile;
+        sourceSpace = color.space;
+        color = color.color;
+    }
+    if(alpha === undefined || alpha === null){
+        alpha = 1;
+    }
+    precision = (precision === undefined) ? 4 : precision;
+
+    // HSL / HSV / HWB are RGB in the same space
+    var type = color.type;
+    color = hsxToRGBf(color) || color;
+
+    sourceSpace = cssSourceSpace(color, profile, sourceSpace);
+    if(sourceSpace === null){
+        return null;
+    }
+    if(!space){
+        space = sourceSpace;
+        if(sourceSpace === 'srgb'){
+            space = (type === eColourType.HSL) ? 'hsl' : (type === eColourType.HWB) ? 'hwb' : (type === eColourType.RGBf) ? 'srgb' : 'rgb';
+        }
+    }
+    space = space.toLowerCase();
+    if(space === 'xyz'){
+        space = 'xyz-d65';
+    }
+
+    var fmt = function(v){ return cssFormat(v, precision); };
+    var alphaStr = (alpha < 1) ? ' / ' + fmt(alpha) : '';
+    var rgbTarget = (['hex', 'rgb', 'hsl', 'hwb'].indexOf(space) >= 0) ? 'srgb' : space;
+    var target = cssSpace(rgbTarget);
+    var v;
+
+    if(target){
+        // same space, no round trip through XYZ
+        if(rgbTarget === sourceSpace){
+            v = (color.type === eColourType.RGB) ? [color.R / 255, color.G / 255, color.B / 255] : [color.Rf, color.Gf, color.Bf];
+        } else {
+            var XYZ = cssToXYZ(color, sourceSpace, target.whitePoint);
+            var lin = mul3(target.matrixInv, XYZ.X, XYZ.Y, XYZ.Z);
+            v = lin.map(target.fromLinear);
+        }
+
+        if(space !== rgbTarget){
+            v = v.map(clamp01);
+        }
+        switch(space){
+            case 'hex':
+                var hex = v.map(function(c){ return ('0' + Math.round(c * 255).toString(16)).slice(-2); }).join('');
+                return '#' + hex + ((alpha < 1) ? ('0' + Math.round(alpha * 255).toString(16)).slice(-2) : '');
+            case 'rgb':
+                return 'rgb(' + v.map(function(c){ return fmt(c * 255); }).join(' ') + alphaStr + ')';
+            case 'hsl':
+                var hsl = convert.RGB2HSL(convert.RGBf(v[0], v[1], v[2]));
+                return 'hsl(' + fmt(hsl.H) + ' ' + fmt(hsl.S) + '% ' + fmt(hsl.L) + '%' + alphaStr + ')';
+            case 'hwb':
+                var hwb = convert.RGB2HWB(convert.RGBf(v[0], v[1], v[2]));
+                return 'hwb(' + fmt(hwb.H) + ' ' + fmt(hwb.W) + '% ' + fmt(hwb.B) + '%' + alphaStr + ')';
+        }
+        return 'color(' + space + ' ' + v.map(fmt).join(' ') + alphaStr + ')';
+    }
+
+    if(CSS_FORMATS.indexOf(space) < 0){
+        return null;
+    }
+
+    var lab;
+    switch(space){
+        case 'lab':
+        case 'lch':
+            var isD50 = !color.whitePoint || convert.compareWhitePoints(color.whitePoint, convert.d50);
+            if(sourceSpace === 'lch' && isD50 && space === 'lch'){
+                return 'lch(' + fmt(color.L) + ' ' + fmt(color.C) + ' ' + fmt(color.H) + alphaStr + ')';
+            }
+            lab = (sourceSpace === 'lab' && isD50) ? color : convert.XYZ2Lab(cssToXYZ(color, sourceSpace, convert.d50), convert.d50);
+            if(space === 'lab'){
+                return 'lab(' + fmt(lab.L) + ' ' + fmt(lab.a) + ' ' + fmt(lab.b) + alphaStr + ')';
+            }
+            return 'lch(' + fmt(lab.L) + ' ' + fmt(Math.sqrt(lab.a * lab.a + lab.b * lab.b)) + ' ' + fmt(toHue(lab.a, lab.b)) + alphaStr + ')';
+
+        case 'oklab':
+        case 'oklch':
+            if(sourceSpace === 'oklab'){
+                lab = color;
+            } else if(sourceSpace === 'oklch'){
+                lab = convert.OkLCh2Oklab(color);
+            } else {
+                lab = convert.XYZ2Oklab(cssToXYZ(color, sourceSpace, convert.d65));
+            }
+            if(space === 'oklab'){
+                return 'oklab(' + fmt(lab.L) + ' ' + fmt(lab.a) + ' ' + fmt(lab.b) + alphaStr + ')';
+            }
+            if(sourceSpace === 'oklch'){
+                return 'oklch(' + fmt(color.L) + ' ' + fmt(color.C) + ' ' + fmt(color.H) + alphaStr + ')';
+            }
+            lab = convert.Oklab2OkLCh(lab);
+            return 'oklch(' + fmt(lab.L) + ' ' + fmt(lab.C) + ' ' + fmt(lab.H) + alphaStr + ')';
+    }
+
+    // xyz-d50 / xyz-d65
+    var XYZout = cssToXYZ(color, sourceSpace, (space === 'xyz-d50') ? convert.d50 : convert.d65);
+    return 'color(' + space + ' ' + fmt(XYZout.X) + ' ' + fmt(XYZout.Y) + ' ' + fmt(XYZout.Z) + alphaStr + ')';
+};
 
 // ============================================================================
 //  ΔE — colour-difference metrics
@@ -2068,6 +3274,8 @@ convert.invertMatrix = function(m){
 //               serious "do these match?" question.
 //      ΔECMC   Textile-industry tolerance metric (CMC l:c). Allows lightness
 //               vs chroma weighting; default 2:1 for acceptability.
+//      ΔEOK    Euclidean Oklab. What CSS Color 4 gamut mapping uses; a
+//               JND is about 0.02.
 //
 //  All metrics assume both Lab values share the same reference whitepoint
 //  (typically D50). If they don't, adapt one with `Lab2Lab` first.
@@ -2090,6 +3298,26 @@ convert.deltaE1976 = function(Lab1, Lab2)
     return Math.sqrt(dL * dL + da * da + db * db);
 };
 
+/**
+ * ΔEOK, the Euclidean distance in Oklab. OkLCh values are converted first.
+ *
+ * @param {_cmsOklab|_cmsOkLCh} ok1
+ * @param {_cmsOklab|_cmsOkLCh} ok2
+ * @returns {number}
+ */
+convert.deltaEOK = function(ok1, ok2){
+    if(ok1.type === eColourType.OkLCh){
+        ok1 = convert.OkLCh2Oklab(ok1);
+    }
+    if(ok2.type === eColourType.OkLCh){
+        ok2 = convert.OkLCh2Oklab(ok2);
+    }
+    var dL = ok1.L - ok2.L;
+    var da = ok1.a - ok2.a;
+    var db = ok1.b - ok2.b;
+    return Math.sqrt(dL * dL + da * da + db * db);
+};
+
 
 /**
  * ΔE 1994 (CIE94). Refines ΔE76 with separate lightness, chroma and hue
@@ -29,6 +29,10 @@
  *  decode raw ICC tag bytes into structured JS objects (XYZ tristimuli,
  *  TRC curves, LUTs, viewing conditions, etc.).
  *
+ *  The readers trust the offsets and counts in the file. For untrusted
+ *  files run `validateICC.js` first (`Profile.validate()` or
+ *  `profile.strict`).
+ *
  *  ----------------------------------------------------------------------------
  *  CONVENTIONS
  *  ----------------------------------------------------------------------------
@@ -82,6 +86,10 @@
  *      mBA      ('mBA ')     lutBToAType (V4)  B → matrix → M → CLUT → A
  *      view     ('view')     viewingConditionsType (partial — see notes)
  *      meas     ('meas')     measurementType
+ *      ncl2     ('ncl2')     namedColor2Type (raw 16-bit PCS / device codes)
+ *      clrt     ('clrt')     colorantTableType (raw 16-bit PCS codes)
+ *      clro     ('clro')     colorantOrderType
+ *      cicp     ('cicp')     cicpType (ITU-T H.273 video code points)
  *
  *    NOT SUPPORTED (`console.warn` is emitted when encountered):
  *      mpet                   multiProcessElementsType (stub returns
@@ -92,7 +100,7 @@
  *
  *    NOT IMPLEMENTED (silently absent — Profile.js handles fallback):
  *      sig, data, dtim, ui16, ui32, ui64, uf32,
- *      pseq, psid, ncl2, chrm, clrt, crdi, devs, ncol,
+ *      pseq, psid, chrm, crdi, devs, ncol,
  *      pmtb, rcs2, screen, ucmt
  *
  *  ----------------------------------------------------------------------------
@@ -494,6 +502,106 @@ module.exports = {
             illuminant: this.illuminant2Text(this.uint32(binary, offset + 32))
         };
     },
+    /**
+     * Decode a `ncl2` (namedColor2Type) tag. Values are returned raw, the
+     * PCS triplet as 16-bit PCS codes (Lab V2 legacy / V4 or XYZ, which
+     * depends on the profile version and PCS) and the device coordinates
+     * as 16-bit codes, Profile.js turns them into Lab and 0.0-1.0 device
+     * values.
+     *
+     * Colour names are the 32-byte root names, the full name of a colour
+     * is `prefix + rootName + suffix`.
+     * @returns {{sig:string, vendorFlags:number, deviceChannels:number, prefix:string, suffix:string, colors:Array<{rootName:string, pcs:number[], device:number[]}>}}
+     */
+    namedColor2: function (binary, offset) {
+        var count = this.uint32(binary, offset + 12);
+        var deviceChannels = this.uint32(binary, offset + 16);
+        var colors = [];
+        var pos = offset + 84;
+        for (var i = 0; i < count; i++) {
+            var color = {
+                rootName: this.nts(binary, pos, 32),
+                pcs: [
+                    this.uint16(binary, pos + 32),
+                    this.uint16(binary, pos + 34),
+                    this.uint16(binary, pos + 36)
+                ],
+                device: []
+            };
+            for (var j = 0; j < deviceChannels; j++) {
+                color.device.push(this.uint16(binary, pos + 38 + (j * 2)));
+            }
+            colors.push(color);
+            pos += 38 + (deviceChannels * 2);
+        }
+        return {
+            sig: this.chars(binary, offset, 4),
+            vendorFlags: this.uint32(binary, offset + 8),
+            deviceChannels: deviceChannels,
+            prefix: this.nts(binary, offset + 20, 32),
+            suffix: this.nts(binary, offset + 52, 32),
+            colors: colors
+        };
+    },
+    /**
+     * Decode a `clrt` (colorantTableType) tag, the name and PCS value of
+     * each device channel. The PCS triplet is returned as raw 16-bit
+     * codes, for a Lab PCS these use the legacy (V2) Lab encoding in both
+     * V2 and V4 profiles.
+     * @returns {{sig:string, colorants:Array<{name:string, pcs:number[]}>}}
+     */
+    colorantTable: function (binary, offset) {
+        var count = this.uint32(binary, offset + 8);
+        var colorants = [];
+        var pos = offset + 12;
+        for (var i = 0; i < count; i++) {
+            colorants.push({
+                name: this.nts(binary, pos, 32),
+                pcs: [
+                    this.uint16(binary, pos + 32),
+                    this.uint16(binary, pos + 34),
+                    this.uint16(binary, pos + 36)
+                ]
+            });
+            pos += 38;
+        }
+        return {
+            sig: this.chars(binary, offset, 4),
+            colorants: colorants
+        };
+    },
+    /**
+     * Decode a `clro` (colorantOrderType) tag, the order the device
+     * channels are laid down in. `order[0]` is the channel number of the
+     * first colorant printed.
+     * @returns {{sig:string, order:number[]}}
+     */
+    colorantOrder: function (binary, offset) {
+        var count = this.uint32(binary, offset + 8);
+        var order = [];
+        for (var i = 0; i < count; i++) {
+            order.push(binary[offset + 12 + i]);
+        }
+        return {
+            sig: this.chars(binary, offset, 4),
+            order: order
+        };
+    },
+    /**
+     * Decode a `cicp` (cicpType) tag — the ITU-T H.273 code points that
+     * identify a video signal. Transfer characteristics 16 is PQ
+     * (SMPTE ST 2084) and 18 is HLG (ARIB STD-B67).
+     * @returns {{sig:string, colourPrimaries:number, transferCharacteristics:number, matrixCoefficients:number, videoFullRange:boolean}}
+     */
+    cicp: function (binary, offset) {
+        return {
+            sig: this.chars(binary, offset, 4),
+            colourPrimaries: binary[offset + 8],
+            transferCharacteristics: binary[offset + 9],
+            matrixCoefficients: binary[offset + 10],
+            videoFullRange: binary[offset + 11] === 1
+        };
+    },
     // ========================================================================
     //  ENUM DECODERS — small lookup tables for human-readable output
     // ========================================================================
@@ -811,26 +919,28 @@ module.exports = {
 
                 switch (functionType) {
                     case 0:
-                        // Just use inline gamma as faster code
                         curve.gamma = curve.params[0];
                         if (curve.gamma === 1.0) {
                             // curve.passThrough indicates that this curve can be ignored
                             curve.passThrough = true;
                         }
 
-                        // if(useInverse){
-                        //     curve.curveFn = function(params, y){
-                        //         //y = Math.max(0.0, Math.min(1.0, y));
-                        //         return Math.pow(y, 1.0 / params[0]);
-                        //     }
-                        // } else {
-                        //     // Gamma
-                        //     // X = Y ^ Gamma
-                        //     curve.curveFn = function(params, x){
-                        //         //x = Math.max(0.0, Math.min(1.0, x));
-                        //         return Math.pow(x, params[0]);
-                        //     }
-                        // }
+                        // FIX: type 0 used to set only `gamma` and leave
+                        // curveFn false, but `use` is true, so the curve
+                        // stages fell through to the sampled-table branch
+                        // with an empty `dataf` and produced NaN for every
+                        // V4 profile with a plain-gamma `para` TRC.
+                        if (useInverse) {
+                            // X = Y ^ 1/Gamma
+                            curve.curveFn = function (params, y) {
+                                return (y > 0) ? Math.pow(y, 1.0 / params[0]) : 0;
+                            }
+                        } else {
+                            // Y = X ^ Gamma
+                            curve.curveFn = function (params, x) {
+                                return (x > 0) ? Math.pow(x, params[0]) : 0;
+                            }
+                        }
                         break;
                     case 1:
                         if (useInverse) {
@@ -859,35 +969,29 @@ module.exports = {
                         break;
 
                     case 2:// IEC 61966‐3
+                        // FIX: type 2 has 4 parameters (g, a, b, c) and an
+                        // offset, not the type 3 linear segment. Reading
+                        // params[4] gave NaN comparisons and a curve that
+                        // was c * x everywhere.
                         if (useInverse) {
-                            // X=((Y^1/g-b)/a)    | Y >= (ad+b)^g
-                            // X=Y/c              | Y< (ad+b)^g
+                            // X = ((Y - c)^1/g - b) / a   | Y >= c
+                            // X = -b / a                  | Y <  c
                             curve.curveFn = function (params, y) {
-                                //y = Math.max(0.0, Math.min(1.0, y));
-                                var e = params[1] * params[4] + params[2];
-                                var disc = 0;
-                                if (e >= 0) {
-                                    disc = Math.pow(e, params[0]);
-                                }
-                                if (y >= disc) {
-                                    return (Math.pow(y, 1.0 / params[0]) - params[2]) / params[1];
+                                var e = y - params[3];
+                                if (e > 0) {
+                                    return (Math.pow(e, 1.0 / params[0]) - params[2]) / params[1];
                                 }
-                                return y / params[3];
+                                return -params[2] / params[1];
                             }
                         } else {
-
-                            // Y = (aX + b)^Gamma | X >= d
-                            // Y = cX             | X < d
+                            // Y = (aX + b)^Gamma + c | X >= -b/a
+                            // Y = c                  | else
                             curve.curveFn = function (params, x) {
-                                //x = Math.max(0.0, Math.min(1.0, x));
-                                if (x >= params[4]) {
-                                    var e = params[1] * x + params[2];
-                                    if (e > 0) {
-                                        return Math.pow(e, params[0]);
-                                    }
-                                    return 0;
+                                var e = params[1] * x + params[2];
+                                if (e > 0) {
+                                    return Math.pow(e, params[0]) + params[3];
                                 }
-                                return params[3] * x;
+                                return params[3];
                             }
                         }
                         break;
@@ -1151,7 +1255,10 @@ module.exports = {
                 lut.bCurves = (bCurveOffset === 0) ? false : this.curves(binary, offset + bCurveOffset, lut.outputChannels, false);
                 lut.matrix = (matrixOffset === 0) ? false : this.matrixV4(binary, offset + matrixOffset);
                 if (cLUTOffset === 0) {
+                    // FIX: curves / matrix only tags have no grid, keep the
+                    // stride pre-compute below from reading undefined
                     lut.CLUT = false;
+                    lut.gridPoints = [];
                 } else {
                     this.CLUT4(lut, binary, offset + cLUTOffset, lut.inputChannels, lut.outputChannels);
                 }
@@ -1172,7 +1279,10 @@ module.exports = {
                 lut.bCurves = (bCurveOffset === 0) ? false : this.curves(binary, offset + bCurveOffset, lut.inputChannels, false);
                 lut.matrix = (matrixOffset === 0) ? false : this.matrixV4(binary, offset + matrixOffset);
                 if (cLUTOffset === 0) {
+                    // FIX: curves / matrix only tags have no grid, keep the
+                    // stride pre-compute below from reading undefined
                     lut.CLUT = false;
+                    lut.gridPoints = [];
                 } else {
                     this.CLUT4(lut, binary, offset + cLUTOffset, lut.inputChannels, lut.outputChannels);
                 }
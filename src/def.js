@@ -111,6 +111,91 @@
  */
 
 
+/**
+ * @typedef {object} _cmsOklab
+ * @property {number} type eColourType
+ * @property {number} L 0.0 - 1.0
+ * @property {number} a about -0.4 - 0.4
+ * @property {number} b about -0.4 - 0.4
+ */
+
+/**
+ * @typedef {object} _cmsOkLCh
+ * @property {number} type eColourType
+ * @property {number} L 0.0 - 1.0
+ * @property {number} C 0 - about 0.4
+ * @property {number} H 0 - 360
+ */
+
+/**
+ * @typedef {object} _cmsJzazbz
+ * @property {number} type eColourType
+ * @property {number} Jz 0 - 1
+ * @property {number} az
+ * @property {number} bz
+ */
+
+/**
+ * @typedef {object} _cmsJzCzhz
+ * @property {number} type eColourType
+ * @property {number} Jz 0 - 1
+ * @property {number} Cz
+ * @property {number} hz 0 - 360
+ */
+
+/**
+ * @typedef {object} _cmsICtCp
+ * @property {number} type eColourType
+ * @property {number} I 0.0 - 1.0
+ * @property {number} Ct
+ * @property {number} Cp
+ */
+
+/**
+ * @typedef {object} _cmsHSL
+ * @property {number} type eColourType
+ * @property {number} H Hue 0 - 360
+ * @property {number} S Saturation 0 - 100
+ * @property {number} L Lightness 0 - 100
+ */
+
+/**
+ * @typedef {object} _cmsHSV
+ * @property {number} type eColourType
+ * @property {number} H Hue 0 - 360
+ * @property {number} S Saturation 0 - 100
+ * @property {number} V Value 0 - 100
+ */
+
+/**
+ * @typedef {object} _cmsHWB
+ * @property {number} type eColourType
+ * @property {number} H Hue 0 - 360
+ * @property {number} W Whiteness 0 - 100
+ * @property {number} B Blackness 0 - 100
+ */
+
+/**
+ * @typedef {object} _cmsCAM Colour appearance correlates (CAM16 / CIECAM02)
+ * @property {number} type eColourType
+ * @property {number} J Lightness 0 - 100
+ * @property {number} C Chroma
+ * @property {number} h Hue angle 0 - 360
+ * @property {number} Q Brightness
+ * @property {number} M Colourfulness
+ * @property {number} s Saturation
+ * @property {number} H Hue quadrature 0 - 400
+ */
+
+/**
+ * @typedef {object} _cmsCAMUCS CAM16-UCS / CAM02-UCS coordinates
+ * @property {number} type eColourType
+ * @property {number} J J' 0 - 100
+ * @property {number} a a'
+ * @property {number} b b'
+ */
+
+
 /**
  * @typedef {number[]} _Device Array of n-Channel floats with a range of 0.0 to 1.0
  * @typedef {number[]} _PCS Array of n-Channel 16bit integers data with a range of 0 to 65535
@@ -145,6 +230,16 @@ var defs = {
         Duo: 12,
         Duof: 13,
         xyY: 14,
+        CAM: 15,
+        CAMUCS: 16,
+        Oklab: 17,
+        OkLCh: 18,
+        Jzazbz: 19,
+        JzCzhz: 20,
+        ICtCp: 21,
+        HSL: 22,
+        HSV: 23,
+        HWB: 24,
     },
     eProfileType: {
         Lab: 0,
@@ -186,7 +281,8 @@ var defs = {
         cmsLab : 4,
         cmsRGB: 5,
         cmsCMYK: 6,
-        cmsXYZ: 7
+        cmsXYZ: 7,
+        cmsNamed: 8 // colour name from a named colour profile
     },
     encodingStr: [
         'device',
@@ -197,7 +293,8 @@ var defs = {
         'cmsLab',
         'cmsRGB',
         'cmsCMYK',
-        'cmsXYZ'
+        'cmsXYZ',
+        'cmsNamed'
     ]
 };
 
@@ -0,0 +1,1019 @@
+/*************************************************************************
+ *  @license
+ *
+ *
+ *  Copyright © 2019, 2024 Glenn Wilton
+ *  O2 Creative Limited
+ *  www.o2creative.co.nz
+ *  support@o2creative.co.nz
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ */
+
+/**
+ * ============================================================================
+ *  encodeICC.js — low-level ICC binary encoders
+ * ============================================================================
+ *
+ *  The mirror image of `decodeICC.js`. Where the decoder turns raw tag
+ *  bytes into JS objects, this module turns the same JS objects (the
+ *  shapes `decodeICC` produces, plus the in-memory shapes that virtual
+ *  profiles and `Transform.createLut` build) back into ICC bytes.
+ *
+ *  Like the decoder it is a CLOSED-BOX MODULE. To save a profile use:
+ *
+ *      var bytes = profile.toBinary();     // Uint8Array, ready for disk
+ *
+ *  ----------------------------------------------------------------------------
+ *  CONVENTIONS
+ *  ----------------------------------------------------------------------------
+ *
+ *  - Every encoder returns a plain `number[]` of bytes (0..255). Tag
+ *    bodies are concatenated by `profile()`, which also builds the
+ *    header, the tag table and the 4-byte alignment padding, and
+ *    returns the final `Uint8Array`.
+ *
+ *  - All multi-byte values are written BIG-ENDIAN, as required by ICC.
+ *
+ *  - Anything that reads cleanly back through `decodeICC` round-trips
+ *    bit-exactly: 8/16-bit tables, CLUTs and s15Fixed16 values are
+ *    re-quantised from the normalised (0..1) values the decoder keeps
+ *    alongside the raw integers.
+ *
+ *  - Float CLUTs (as produced by `Transform.createLut`) are assumed to
+ *    hold device values in 0..1 and are quantised to the requested
+ *    precision.
+ *
+ *    SUPPORTED tag-data types:
+ *      XYZ      ('XYZ ')     XYZType
+ *      desc     ('desc')     textDescriptionType (V2)
+ *      text     ('text')     textType (V2 copyright)
+ *      mluc     ('mluc')     multiLocalizedUnicodeType (V4)
+ *      sf32     ('sf32')     s15Fixed16ArrayType
+ *      view     ('view')     viewingConditionsType
+ *      pseq     ('pseq')     profileSequenceDescType (device links)
+ *      ncl2     ('ncl2')     namedColor2Type
+ *      clrt     ('clrt')     colorantTableType
+ *      clro     ('clro')     colorantOrderType
+ *      cicp     ('cicp')     cicpType
+ *      curv     ('curv')     curveType (identity, gamma or sampled)
+ *      para     ('para')     parametricCurveType, function types 0-4
+ *      mft1     ('mft1')     lut8Type
+ *      mft2     ('mft2')     lut16Type
+ *      mAB      ('mAB ')     lutAToBType (V4)
+ *      mBA      ('mBA ')     lutBToAType (V4)
+ *
+ *  ----------------------------------------------------------------------------
+ *  PROFILE ID
+ *  ----------------------------------------------------------------------------
+ *
+ *  ICC V4 profiles carry an MD5 of the whole profile in header bytes
+ *  84..99, computed with the flags (44..47), rendering intent (64..67)
+ *  and the ID field itself zeroed. `profile()` fills it in for V4 and
+ *  leaves it zero for V2 (where those bytes are reserved). The MD5 is
+ *  implemented here in plain JS so the writer runs unchanged in the
+ *  browser, Node and CEP.
+ *
+ *  ----------------------------------------------------------------------------
+ *  REFERENCES
+ *  ----------------------------------------------------------------------------
+ *
+ *    ICC.1:2010 (V4.3) — section 7 (header, tag table), 10 (tag types)
+ *    ICC.1:2001-04 (V2.4) — textDescriptionType layout
+ *    RFC 1321 — MD5 message-digest algorithm
+ *
+ * ============================================================================
+ */
+
+module.exports = {
+
+    // ========================================================================
+    //  ICC NUMBER FORMATS
+    // ========================================================================
+
+    /**
+     * Big-endian uint32. 4 bytes.
+     * @returns {number[]}
+     */
+    uint32: function (value) {
+        value = value >>> 0;
+        return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+    },
+    /**
+     * Big-endian uint16. 2 bytes.
+     * @returns {number[]}
+     */
+    uint16: function (value) {
+        return [(value >>> 8) & 0xFF, value & 0xFF];
+    },
+    /**
+     * s15Fixed16Number (signed 15.16 fixed point). Values outside the
+     * representable range are clamped. 4 bytes.
+     * @returns {number[]}
+     */
+    s15Fixed16Number: function (value) {
+        var n = Math.round(value * 0x10000);
+        n = Math.max(-0x80000000, Math.min(0x7FFFFFFF, n));
+        return this.uint32(n);
+    },
+    /**
+     * u8Fixed8Number (unsigned 8.8 fixed point), used for the single
+     * gamma value of a `curv` with count == 1. 2 bytes.
+     * @returns {number[]}
+     */
+    u8Fixed8Number: function (value) {
+        return this.uint16(Math.max(0, Math.min(0xFFFF, Math.round(value * 256))));
+    },
+    /**
+     * XYZNumber (3 × s15Fixed16). 12 bytes.
+     * @returns {number[]}
+     */
+    XYZNumber: function (xyz) {
+        return this.s15Fixed16Number(xyz.X)
+            .concat(this.s15Fixed16Number(xyz.Y))
+            .concat(this.s15Fixed16Number(xyz.Z));
+    },
+    /**
+     * dateTimeNumber (6 × uint16: year, month, day, hours, minutes,
+     * seconds — UTC). Accepts a `Date`, or the raw 12-byte array that
+     * `Profile.decodeHeader` keeps, which is passed through as-is.
+     * 12 bytes.
+     * @returns {number[]}
+     */
+    dateTimeNumber: function (date) {
+        if (Array.isArray(date) && date.length === 12) {
+            return date.slice();
+        }
+        if (!(date instanceof Date)) {
+            date = new Date();
+        }
+        return this.uint16(date.getUTCFullYear())
+            .concat(this.uint16(date.getUTCMonth() + 1))
+            .concat(this.uint16(date.getUTCDate()))
+            .concat(this.uint16(date.getUTCHours()))
+            .concat(this.uint16(date.getUTCMinutes()))
+            .concat(this.uint16(date.getUTCSeconds()));
+    },
+
+    // ========================================================================
+    //  PRIMITIVE WRITERS — strings, signatures, byte plumbing
+    // ========================================================================
+
+    /**
+     * Write `str` as Latin-1 bytes, padded with NUL (or truncated) to
+     * exactly `length` bytes.
+     * @returns {number[]}
+     */
+    chars: function (str, length) {
+        var bytes = [];
+        str = String(str || '');
+        for (var i = 0; i < length; i++) {
+            bytes.push(i < str.length ? (str.charCodeAt(i) & 0xFF) : 0);
+        }
+        return bytes;
+    },
+    /**
+     * Four-character ICC signature. Short strings are right-padded with
+     * spaces (`'RGB'` → `'RGB '`), as the spec pads signatures with
+     * 0x20, not NUL. An empty / falsy signature writes four zero bytes.
+     * @returns {number[]}
+     */
+    signature: function (sig) {
+        if (!sig) {
+            return [0, 0, 0, 0];
+        }
+        return this.chars((String(sig) + '    ').substring(0, 4), 4);
+    },
+    /**
+     * Normalise a colour-space name into its four-byte ICC signature.
+     * Accepts the engine's trimmed upper-case names (`'RGB'`, `'LAB'`,
+     * `'XYZ'`, `'CMYK'`, `'GRAY'`, `'3CLR'` ...) as well as already-
+     * padded header values (`'Lab '`). Lab and XYZ use the mixed-case
+     * signatures the spec mandates.
+     * @returns {string}
+     */
+    colorSpaceSignature: function (space) {
+        var s = String(space || '').trim().toUpperCase();
+        switch (s) {
+            case 'LAB':
+                return 'Lab ';
+            case 'XYZ':
+                return 'XYZ ';
+            default:
+                return (s + '    ').substring(0, 4);
+        }
+    },
+    /**
+     * Append `src` onto `dst` in place. `Array.prototype.push.apply`
+     * would blow the stack on large CLUTs, so this is a plain loop.
+     * @returns {number[]} dst
+     */
+    append: function (dst, src) {
+        for (var i = 0; i < src.length; i++) {
+            dst.push(src[i]);
+        }
+        return dst;
+    },
+    /**
+     * Pad `bytes` in place with zeros up to the next 4-byte boundary.
+     * @returns {number[]} bytes
+     */
+    pad4: function (bytes) {
+        while (bytes.length % 4 !== 0) {
+            bytes.push(0);
+        }
+        return bytes;
+    },
+
+    // ========================================================================
+    //  TAG TYPE WRITERS — XYZ, text, sf32, viewing conditions
+    // ========================================================================
+
+    /**
+     * `XYZ ` tag (signature + reserved + one XYZNumber). 20 bytes.
+     * @returns {number[]}
+     */
+    XYZType: function (xyz) {
+        return this.signature('XYZ ').concat([0, 0, 0, 0], this.XYZNumber(xyz));
+    },
+    /**
+     * Write a text tag in the flavour appropriate for the profile
+     * version: `mluc` for V4, `desc` (textDescriptionType) for V2.
+     * Use `textType` directly for the V2 copyright tag.
+     * @param {string} str
+     * @param {number} version  Major profile version (2 or 4).
+     * @returns {number[]}
+     */
+    text: function (str, version) {
+        if (version >= 4) {
+            return this.multiLocalizedUnicodeType(str);
+        }
+        return this.textDescriptionType(str);
+    },
+    /**
+     * `text` tag — NUL-terminated ASCII after the 8-byte header.
+     * @returns {number[]}
+     */
+    textType: function (str) {
+        str = String(str || '');
+        return this.signature('text').concat([0, 0, 0, 0], this.chars(str, str.length + 1));
+    },
+    /**
+     * `desc` (textDescriptionType, V2). Writes the ASCII section and
+     * empty Unicode / ScriptCode sections — the layout every V2 reader
+     * expects, including the fixed 67-byte ScriptCode buffer.
+     * @returns {number[]}
+     */
+    textDescriptionType: function (str) {
+        str = String(str || '');
+        var bytes = this.signature('desc').concat([0, 0, 0, 0]);
+        this.append(bytes, this.uint32(str.length + 1));
+        this.append(bytes, this.chars(str, str.length + 1));
+        this.append(bytes, this.uint32(0));     // Unicode language code
+        this.append(bytes, this.uint32(0));     // Unicode count
+        this.append(bytes, this.uint16(0));     // ScriptCode code
+        bytes.push(0);                          // ScriptCode count
+        this.append(bytes, this.chars('', 67)); // ScriptCode string
+        return bytes;
+    },
+    /**
+     * `mluc` (multiLocalizedUnicodeType, V4). Accepts a plain string
+     * (written as a single en/US record) or the `languages` array that
+     * `decodeICC.text` returns for an `mluc` tag.
+     * @param {string|Array<{languageCode:string, countryCode:string, text:string}>} textOrLanguages
+     * @returns {number[]}
+     */
+    multiLocalizedUnicodeType: function (textOrLanguages) {
+        var records = Array.isArray(textOrLanguages)
+            ? textOrLanguages
+            : [{languageCode: 'en', countryCode: 'US', text: String(textOrLanguages || '')}];
+
+        var bytes = this.signature('mluc').concat([0, 0, 0, 0]);
+        this.append(bytes, this.uint32(records.length));
+        this.append(bytes, this.uint32(12));
+
+        var strings = [];
+        var strOffset = 16 + (records.length * 12);
+        for (var i = 0; i < records.length; i++) {
+            var str = String(records[i].text || '');
+            var utf16 = [];
+            for (var c = 0; c < str.length; c++) {
+                this.append(utf16, this.uint16(str.charCodeAt(c)));
+            }
+            this.append(bytes, this.chars(records[i].languageCode, 2));
+            this.append(bytes, this.chars(records[i].countryCode, 2));
+            this.append(bytes, this.uint32(utf16.length));
+            this.append(bytes, this.uint32(strOffset));
+            strings.push(utf16);
+            strOffset += utf16.length;
+        }
+        for (i = 0; i < strings.length; i++) {
+            this.append(bytes, strings[i]);
+        }
+        return bytes;
+    },
+    /**
+     * `sf32` (s15Fixed16ArrayType), e.g. the `chad` matrix. Accepts a
+     * plain array or the `{sig, values}` object `decodeICC.s15Array`
+     * returns.
+     * @returns {number[]}
+     */
+    s15Array: function (values) {
+        if (values && !Array.isArray(values) && values.values) {
+            values = values.values;
+        }
+        var bytes = this.signature('sf32').concat([0, 0, 0, 0]);
+        for (var i = 0; i < values.length; i++) {
+            this.append(bytes, this.s15Fixed16Number(values[i]));
+        }
+        return bytes;
+    },
+    /**
+     * `view` (viewingConditionsType). Takes the object shape that
+     * `decodeICC.viewingConditions` produces; the illuminant type is
+     * mapped back from its text name. 36 bytes.
+     * @returns {number[]}
+     */
+    viewingConditions: function (view) {
+        var illText = ['Unknown', 'D50', 'D65', 'D93', 'F2', 'D55', 'A', 'Equi-Power (E)', 'F8'];
+        var illType = Math.max(0, illText.indexOf(view.measurement));
+        return this.signature('view').concat(
+            [0, 0, 0, 0],
+            this.XYZNumber(view.illuminant),
+            this.XYZNumber(view.surround),
+            this.uint32(illType)
+        );
+    },
+
+    /**
+     * `ncl2` (namedColor2Type). Takes the raw shape `decodeICC.namedColor2`
+     * produces: 16-bit PCS codes and 16-bit device codes per colour.
+     * Names are NUL terminated within their 32-byte fields.
+     * @param {{vendorFlags:number, deviceChannels:number, prefix:string, suffix:string, colors:Array<{rootName:string, pcs:number[], device:number[]}>}} named
+     * @returns {number[]}
+     */
+    namedColor2: function (named) {
+        var deviceChannels = named.deviceChannels || 0;
+        var bytes = this.signature('ncl2').concat(
+            [0, 0, 0, 0],
+            this.uint32(named.vendorFlags || 0),
+            this.uint32(named.colors.length),
+            this.uint32(deviceChannels),
+            this.chars(String(named.prefix || '').substring(0, 31), 32),
+            this.chars(String(named.suffix || '').substring(0, 31), 32)
+        );
+        for (var i = 0; i < named.colors.length; i++) {
+            var color = named.colors[i];
+            this.append(bytes, this.chars(String(color.rootName || '').substring(0, 31), 32));
+            for (var j = 0; j < 3; j++) {
+                this.append(bytes, this.uint16(color.pcs[j]));
+            }
+            for (j = 0; j < deviceChannels; j++) {
+                this.append(bytes, this.uint16(color.device[j] || 0));
+            }
+        }
+        return bytes;
+    },
+    /**
+     * `clrt` (colorantTableType). Takes the raw shape
+     * `decodeICC.colorantTable` produces, names are NUL terminated within
+     * their 32-byte fields and the PCS values are 16-bit codes.
+     * @param {Array<{name:string, pcs:number[]}>} colorants
+     * @returns {number[]}
+     */
+    colorantTable: function (colorants) {
+        var bytes = this.signature('clrt').concat(
+            [0, 0, 0, 0],
+            this.uint32(colorants.length)
+        );
+        for (var i = 0; i < colorants.length; i++) {
+            this.append(bytes, this.chars(String(colorants[i].name || '').substring(0, 31), 32));
+            for (var j = 0; j < 3; j++) {
+                this.append(bytes, this.uint16(colorants[i].pcs[j]));
+            }
+        }
+        return bytes;
+    },
+    /**
+     * `clro` (colorantOrderType) — the channel numbers in lay-down order,
+     * one byte each.
+     * @param {number[]} order
+     * @returns {number[]}
+     */
+    colorantOrder: function (order) {
+        return this.signature('clro').concat(
+            [0, 0, 0, 0],
+            this.uint32(order.length),
+            order.map(function (n) {
+                return n & 0xFF;
+            })
+        );
+    },
+    /**
+     * `cicp` (cicpType) — ITU-T H.273 colour primaries, transfer
+     * characteristics, matrix coefficients and the full range flag.
+     * @param {{colourPrimaries:number, transferCharacteristics:number, matrixCoefficients:number, videoFullRange:boolean}} cicp
+     * @returns {number[]}
+     */
+    cicp: function (cicp) {
+        return this.signature('cicp').concat(
+            [0, 0, 0, 0],
+            [cicp.colourPrimaries & 0xFF, cicp.transferCharacteristics & 0xFF, cicp.matrixCoefficients & 0xFF, cicp.videoFullRange ? 1 : 0]
+        );
+    },
+    /**
+     * `pseq` (profileSequenceDescType) — one description structure per
+     * profile in a device link's chain: manufacturer / model signatures,
+     * device attributes, technology signature, then the manufacturer
+     * and model descriptions as embedded text tags (`mluc` for V4,
+     * `desc` for V2).
+     * @param {Array<{manufacturer:string, model:string, attributes:number[]|number, technology:string, manufacturerDesc:string, modelDesc:string}>} entries
+     * @param {number} version  Major profile version (2 or 4).
+     * @returns {number[]}
+     */
+    profileSequenceDesc: function (entries, version) {
+        var bytes = this.signature('pseq').concat([0, 0, 0, 0], this.uint32(entries.length));
+        for (var i = 0; i < entries.length; i++) {
+            var entry = entries[i];
+            this.append(bytes, this.signature(entry.manufacturer));
+            this.append(bytes, this.signature(entry.model));
+            this.append(bytes, fixedBytes(entry.attributes, 8));
+            this.append(bytes, this.signature(entry.technology));
+            this.append(bytes, this.text(entry.manufacturerDesc, version));
+            this.append(bytes, this.text(entry.modelDesc, version));
+        }
+        return bytes;
+    },
+
+    // ========================================================================
+    //  CURVE WRITERS — `curv` (identity / gamma / sampled) and `para`
+    // ========================================================================
+
+    /**
+     * Encode a decoded curve object (the shape `decodeICC.curve` returns)
+     * back to `curv` / `para`:
+     *
+     *   params present      → `para`, function type from the param count
+     *   16-bit `data`       → sampled `curv`
+     *   float `dataf` only  → sampled `curv` (quantised to 16 bits)
+     *   count === 0         → identity `curv`
+     *   otherwise           → single-gamma `curv`
+     *
+     * Always pass the FORWARD curve (`rTRC`, not `rTRCInv`) — inverted
+     * curves keep their inverted samples in `dataf`.
+     *
+     * @returns {number[]}
+     */
+    curve: function (curve) {
+        if (!curve) {
+            return this.identityCurve();
+        }
+        if (Array.isArray(curve.params) && curve.params.length > 0) {
+            var paramCount2FunctionType = {1: 0, 3: 1, 4: 2, 5: 3, 7: 4};
+            return this.parametricCurve(paramCount2FunctionType[curve.params.length], curve.params);
+        }
+        if (curve.data && curve.data.length > 0) {
+            return this.sampledCurve(curve.data, 65535);
+        }
+        if (curve.dataf && curve.dataf.length > 0) {
+            return this.sampledCurve(curve.dataf, 1);
+        }
+        if (curve.count === 0) {
+            return this.identityCurve();
+        }
+        return this.gammaCurve(curve.gamma || 1.0);
+    },
+    /**
+     * Identity `curv` (count = 0). 12 bytes.
+     * @returns {number[]}
+     */
+    identityCurve: function () {
+        return this.signature('curv').concat([0, 0, 0, 0], this.uint32(0));
+    },
+    /**
+     * Single-gamma `curv` (count = 1, u8Fixed8 gamma). 14 bytes.
+     * @returns {number[]}
+     */
+    gammaCurve: function (gamma) {
+        return this.signature('curv').concat([0, 0, 0, 0], this.uint32(1), this.u8Fixed8Number(gamma));
+    },
+    /**
+     * Sampled `curv`. `samples` are divided by `maxValue` and quantised
+     * to 16 bits, so pass `65535` for raw uint16 data and `1` for floats.
+     * @param {number[]|Uint16Array|Float64Array} samples
+     * @param {number} maxValue
+     * @returns {number[]}
+     */
+    sampledCurve: function (samples, maxValue) {
+        var bytes = this.signature('curv').concat([0, 0, 0, 0], this.uint32(samples.length));
+        for (var i = 0; i < samples.length; i++) {
+            this.append(bytes, this.uint16(quantise(samples[i] / maxValue, 65535)));
+        }
+        return bytes;
+    },
+    /**
+     * `para` (parametricCurveType). Function types 0-4 take 1, 3, 4, 5
+     * and 7 parameters respectively (ICC.1:2010 Table 65).
+     * @param {number} functionType
+     * @param {number[]} params
+     * @returns {number[]}
+     */
+    parametricCurve: function (functionType, params) {
+        var functionType2PramCount = [1, 3, 4, 5, 7];
+        var pramCount = functionType2PramCount[functionType];
+        if (pramCount === undefined || params.length < pramCount) {
+            throw ('parametricCurveType function type ' + functionType + ' can not be encoded');
+        }
+        var bytes = this.signature('para').concat([0, 0, 0, 0], this.uint16(functionType), [0, 0]);
+        for (var i = 0; i < pramCount; i++) {
+            this.append(bytes, this.s15Fixed16Number(params[i]));
+        }
+        return bytes;
+    },
+    /**
+     * Write `curves` back-to-back, each padded to a 4-byte boundary, as
+     * the `mAB` / `mBA` curve sets require. Missing entries (or a falsy
+     * `curves`) become identity curves.
+     * @param {object[]|false} curves
+     * @param {number} count
+     * @returns {number[]}
+     */
+    curves: function (curves, count) {
+        var bytes = [];
+        for (var i = 0; i < count; i++) {
+            this.append(bytes, this.curve(curves ? curves[i] : false));
+            this.pad4(bytes);
+        }
+        return bytes;
+    },
+
+    // ========================================================================
+    //  LUT WRITERS — mft1 (lut8), mft2 (lut16), mAB / mBA (V4 A2B/B2A)
+    // ========================================================================
+
+    /**
+     * Encode a LUT object as an `AtoB` / `BtoA` tag. The tag type is
+     * taken from `type` when given, otherwise from `lut.type` (set by
+     * `decodeICC.lut`), defaulting to `mft2`.
+     *
+     * Accepts both decoded LUTs (integer CLUT / tables plus `tablef`)
+     * and float LUTs from `Transform.createLut` (`Float64Array` CLUT in
+     * 0..1, no curves).
+     *
+     * @param {object} lut
+     * @param {string} [type]   'mft1' | 'mft2' | 'mAB ' | 'mBA '
+     * @returns {number[]}
+     */
+    lut: function (lut, type) {
+        type = type || lut.type || 'mft2';
+        switch (type) {
+            case 'mft1':
+                return this.lut8(lut);
+            case 'mft2':
+                return this.lut16(lut);
+            case 'mAB ':
+                return this.lutAToB(lut);
+            case 'mBA ':
+                return this.lutBToA(lut);
+            default:
+                throw ('Can not encode LUT type ' + type);
+        }
+    },
+    /**
+     * `mft1` (lut8Type): 3x3 matrix, 256-entry 8-bit input tables,
+     * 8-bit CLUT, 256-entry 8-bit output tables.
+     * @returns {number[]}
+     */
+    lut8: function (lut) {
+        var bytes = this._lutHeader('mft1', lut);
+        this.append(bytes, lutTable(lut.inputCurve, lut.inputChannels, 256, 255, 1));
+        this.append(bytes, clutValues(lut, 255, 1));
+        this.append(bytes, lutTable(lut.outputCurve, lut.outputChannels, 256, 255, 1));
+        return bytes;
+    },
+    /**
+     * `mft2` (lut16Type): 3x3 matrix, variable-length 16-bit input and
+     * output tables, 16-bit CLUT. Missing tables are written as the
+     * minimal 2-entry identity.
+     * @returns {number[]}
+     */
+    lut16: function (lut) {
+        var inputEntries = lut.inputCurve ? lut.inputCurve.entries : 2;
+        var outputEntries = lut.outputCurve ? lut.outputCurve.entries : 2;
+        var bytes = this._lutHeader('mft2', lut);
+        this.append(bytes, this.uint16(inputEntries));
+        this.append(bytes, this.uint16(outputEntries));
+        this.append(bytes, lutTable(lut.inputCurve, lut.inputChannels, inputEntries, 65535, 2));
+        this.append(bytes, clutValues(lut, 65535, 2));
+        this.append(bytes, lutTable(lut.outputCurve, lut.outputChannels, outputEntries, 65535, 2));
+        return bytes;
+    },
+    /**
+     * Shared 48-byte prefix of `mft1` / `mft2`: signature, channel and
+     * grid counts, and the 3x3 matrix (identity if `lut.matrix` is not
+     * a 9-element array).
+     * @returns {number[]}
+     */
+    _lutHeader: function (sig, lut) {
+        var matrix = (Array.isArray(lut.matrix) && lut.matrix.length >= 9) ? lut.matrix : [1, 0, 0, 0, 1, 0, 0, 0, 1];
+        var bytes = this.signature(sig).concat([0, 0, 0, 0]);
+        bytes.push(lut.inputChannels, lut.outputChannels, lut.gridPoints[0], 0);
+        for (var i = 0; i < 9; i++) {
+            this.append(bytes, this.s15Fixed16Number(matrix[i]));
+        }
+        return bytes;
+    },
+    /**
+     * `mAB ` (lutAToBType): A curves → CLUT → M curves → matrix → B curves.
+     * B curves are always written (identity if absent); A curves are
+     * written whenever there is a CLUT and M curves whenever there is a
+     * matrix, as the spec requires.
+     * @returns {number[]}
+     */
+    lutAToB: function (lut) {
+        return this._lutAB('mAB ', lut, lut.outputChannels, lut.inputChannels);
+    },
+    /**
+     * `mBA ` (lutBToAType): B curves → matrix → M curves → CLUT → A curves.
+     * Same element rules as `lutAToB`, mirrored.
+     * @returns {number[]}
+     */
+    lutBToA: function (lut) {
+        return this._lutAB('mBA ', lut, lut.inputChannels, lut.outputChannels);
+    },
+    /**
+     * Shared body of `mAB ` / `mBA `. The element layout is identical;
+     * only which side of the LUT the B and A curves sit on differs, so
+     * the caller passes their channel counts.
+     * @returns {number[]}
+     */
+    _lutAB: function (sig, lut, bChannels, aChannels) {
+        var hasCLUT = !!lut.CLUT;
+        var hasMatrix = Array.isArray(lut.matrix) && lut.matrix.length >= 12;
+        var headerSize = 32;
+
+        var bytes = this.signature(sig).concat([0, 0, 0, 0]);
+        bytes.push(lut.inputChannels, lut.outputChannels, 0, 0);
+
+        var body = [];
+        var bOffset = headerSize;
+        this.append(body, this.curves(lut.bCurves, bChannels));
+
+        var matrixOffset = 0;
+        var mOffset = 0;
+        if (hasMatrix) {
+            matrixOffset = headerSize + body.length;
+            for (var i = 0; i < 12; i++) {
+                this.append(body, this.s15Fixed16Number(lut.matrix[i]));
+            }
+            mOffset = headerSize + body.length;
+            this.append(body, this.curves(lut.mCurves, 3));
+        }
+
+        var clutOffset = 0;
+        var aOffset = 0;
+        if (hasCLUT) {
+            clutOffset = headerSize + body.length;
+            this.append(body, this.CLUT4(lut));
+            this.pad4(body);
+            aOffset = headerSize + body.length;
+            this.append(body, this.curves(lut.aCurves, aChannels));
+        }
+
+        this.append(bytes, this.uint32(bOffset));
+        this.append(bytes, this.uint32(matrixOffset));
+        this.append(bytes, this.uint32(mOffset));
+        this.append(bytes, this.uint32(clutOffset));
+        this.append(bytes, this.uint32(aOffset));
+        return this.append(bytes, body);
+    },
+    /**
+     * The CLUT block of an `mAB ` / `mBA ` tag: 16 grid-point bytes, a
+     * precision byte (1 = 8-bit, 2 = 16-bit) + 3 reserved, then the
+     * data. Precision follows `lut.precision` (8 → 1 byte), defaulting
+     * to 16-bit.
+     * @returns {number[]}
+     */
+    CLUT4: function (lut) {
+        var bytesPerValue = (lut.precision === 8) ? 1 : 2;
+        var bytes = [];
+        for (var i = 0; i < 16; i++) {
+            bytes.push(i < lut.inputChannels ? lut.gridPoints[i] : 0);
+        }
+        bytes.push(bytesPerValue, 0, 0, 0);
+        return this.append(bytes, clutValues(lut, bytesPerValue === 1 ? 255 : 65535, bytesPerValue));
+    },
+
+    // ========================================================================
+    //  PROFILE ASSEMBLY — header, tag table, profile ID
+    // ========================================================================
+
+    /**
+     * The 128-byte profile header. Accepts the object shape that
+     * `Profile.decodeHeader` produces (raw byte arrays for version,
+     * date, flags, attributes) as well as the simplified header that
+     * virtual profiles carry (numeric version, `Date`, zero flags).
+     *
+     * The profile ID is left zero — `profile()` fills it in once the
+     * whole profile is assembled.
+     *
+     * @param {object} header
+     * @param {number} profileSize
+     * @returns {number[]}
+     */
+    header: function (header, profileSize) {
+        var bytes = [];
+        this.append(bytes, this.uint32(profileSize));                   // 0
+        this.append(bytes, this.signature(header.cmmType));             // 4
+        this.append(bytes, versionBytes(header.version));               // 8
+        this.append(bytes, this.signature(header.pClass));              // 12
+        this.append(bytes, this.signature(this.colorSpaceSignature(header.space))); // 16
+        this.append(bytes, this.signature(this.colorSpaceSignature(header.pcs)));   // 20
+        this.append(bytes, this.dateTimeNumber(header.date));           // 24
+        this.append(bytes, this.signature('acsp'));                     // 36
+        this.append(bytes, this.signature(header.platform));            // 40
+        this.append(bytes, fixedBytes(header.flags, 4));                // 44
+        this.append(bytes, this.signature(header.manufacturer));        // 48
+        this.append(bytes, this.signature(header.model));               // 52
+        this.append(bytes, fixedBytes(header.attributes, 8));           // 56
+        this.append(bytes, this.uint32(header.intent || 0));            // 64
+        this.append(bytes, this.XYZNumber(header.PCSilluminant || {X: 0.9642, Y: 1.0, Z: 0.8249})); // 68
+        this.append(bytes, this.signature(header.creator));             // 80
+        while (bytes.length < 128) {                                    // 84 profile ID + reserved
+            bytes.push(0);
+        }
+        return bytes;
+    },
+    /**
+     * Assemble a complete profile from a header object and a list of
+     * `{sig, data}` tags (`data` being the bytes from one of the tag
+     * writers above). Tags whose bytes are identical share one data
+     * element, as the spec allows (e.g. three identical TRCs, or A2B0
+     * falling back to A2B1). For V4 the MD5 profile ID is computed and
+     * stored.
+     *
+     * @param {object} header
+     * @param {Array<{sig:string, data:number[]}>} tags
+     * @returns {Uint8Array}
+     */
+    profile: function (header, tags) {
+        var dataStart = 128 + 4 + (tags.length * 12);
+        var body = [];
+        var table = [];
+        var written = [];
+
+        for (var i = 0; i < tags.length; i++) {
+            var data = tags[i].data;
+            var shared = null;
+            for (var j = 0; j < written.length; j++) {
+                if (sameBytes(written[j].data, data)) {
+                    shared = written[j];
+                    break;
+                }
+            }
+            if (shared === null) {
+                shared = {data: data, offset: dataStart + body.length, length: data.length};
+                written.push(shared);
+                this.append(body, data);
+                this.pad4(body);
+            }
+            table.push({sig: tags[i].sig, offset: shared.offset, length: shared.length});
+        }
+
+        var profileSize = dataStart + body.length;
+        var binary = new Uint8Array(profileSize);
+        binary.set(this.header(header, profileSize), 0);
+
+        var pos = 128;
+        binary.set(this.uint32(table.length), pos);
+        pos += 4;
+        for (i = 0; i < table.length; i++) {
+            binary.set(this.signature(table[i].sig), pos);
+            binary.set(this.uint32(table[i].offset), pos + 4);
+            binary.set(this.uint32(table[i].length), pos + 8);
+            pos += 12;
+        }
+        binary.set(body, dataStart);
+
+        if (binary[8] >= 4) {
+            binary.set(this.profileID(binary), 84);
+        }
+        return binary;
+    },
+    /**
+     * Compute the ICC profile ID: the MD5 of the profile with the flags,
+     * rendering intent and profile ID header fields set to zero.
+     * @param {Uint8Array} binary  Complete profile.
+     * @returns {Uint8Array}       16-byte digest.
+     */
+    profileID: function (binary) {
+        var copy = new Uint8Array(binary);
+        var i;
+        for (i = 44; i < 48; i++) { copy[i] = 0; }
+        for (i = 64; i < 68; i++) { copy[i] = 0; }
+        for (i = 84; i < 100; i++) { copy[i] = 0; }
+        return this.md5(copy);
+    },
+    /**
+     * MD5 digest (RFC 1321) of a byte array.
+     * @param {Uint8Array|number[]} bytes
+     * @returns {Uint8Array}  16-byte digest.
+     */
+    md5: function (bytes) {
+        var S = [
+            7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+            5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+            4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+            6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+        ];
+        var K = new Int32Array(64);
+        var i;
+        for (i = 0; i < 64; i++) {
+            K[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0;
+        }
+
+        // Pad: 0x80, zeros, then the 64-bit little-endian bit length
+        var len = bytes.length;
+        var blocks = ((len + 8) >>> 6) + 1;
+        var words = new Int32Array(blocks * 16);
+        for (i = 0; i < len; i++) {
+            words[i >> 2] |= bytes[i] << ((i % 4) * 8);
+        }
+        words[len >> 2] |= 0x80 << ((len % 4) * 8);
+        words[(blocks * 16) - 2] = len << 3;
+        words[(blocks * 16) - 1] = Math.floor(len / 0x20000000);
+
+        var a0 = 0x67452301, b0 = 0xefcdab89 | 0, c0 = 0x98badcfe | 0, d0 = 0x10325476;
+        for (var block = 0; block < words.length; block += 16) {
+            var A = a0, B = b0, C = c0, D = d0;
+            for (i = 0; i < 64; i++) {
+                var F, g;
+                if (i < 16) {
+                    F = (B & C) | (~B & D);
+                    g = i;
+                } else if (i < 32) {
+                    F = (D & B) | (~D & C);
+                    g = (5 * i + 1) % 16;
+                } else if (i < 48) {
+                    F = B ^ C ^ D;
+                    g = (3 * i + 5) % 16;
+                } else {
+                    F = C ^ (B | ~D);
+                    g = (7 * i) % 16;
+                }
+                F = (F + A + K[i] + words[block + g]) | 0;
+                A = D;
+                D = C;
+                C = B;
+                B = (B + ((F << S[i]) | (F >>> (32 - S[i])))) | 0;
+            }
+            a0 = (a0 + A) | 0;
+            b0 = (b0 + B) | 0;
+            c0 = (c0 + C) | 0;
+            d0 = (d0 + D) | 0;
+        }
+
+        var digest = new Uint8Array(16);
+        var state = [a0, b0, c0, d0];
+        for (i = 0; i < 16; i++) {
+            digest[i] = (state[i >> 2] >>> ((i % 4) * 8)) & 0xFF;
+        }
+        return digest;
+    }
+};
+
+// ============================================================================
+//  MODULE HELPERS
+// ============================================================================
+
+/**
+ * Clamp a normalised 0..1 value and scale it to an integer 0..max.
+ */
+function quantise(value, max) {
+    if (!(value > 0)) {
+        return 0;
+    }
+    if (value >= 1) {
+        return max;
+    }
+    return Math.round(value * max);
+}
+
+/**
+ * Header version bytes. Accepts the raw 4-byte array from a decoded
+ * header, or a major version number (4 → 4.3, 2 → 2.1).
+ */
+function versionBytes(version) {
+    if (Array.isArray(version) && version.length === 4) {
+        return version.slice();
+    }
+    return (version >= 4) ? [4, 0x30, 0, 0] : [2, 0x10, 0, 0];
+}
+
+/**
+ * A fixed-width header field that decodeHeader keeps as a byte array
+ * and virtual profiles keep as a number.
+ */
+function fixedBytes(value, length) {
+    var bytes = [];
+    for (var i = 0; i < length; i++) {
+        if (Array.isArray(value)) {
+            bytes.push(value[i] || 0);
+        } else {
+            // numbers are written big-endian into the low 4 bytes
+            var shift = (length - 1 - i) * 8;
+            bytes.push(shift < 32 ? ((value || 0) >>> shift) & 0xFF : 0);
+        }
+    }
+    return bytes;
+}
+
+/**
+ * The normalising divisor for a CLUT: integer CLUTs from decodeICC are
+ * raw 8/16-bit codes, float CLUTs (Transform.createLut) are already 0..1.
+ */
+function clutScale(CLUT) {
+    if (CLUT instanceof Uint16Array) {
+        return 65535;
+    }
+    if (CLUT instanceof Uint8Array) {
+        return 255;
+    }
+    return 1;
+}
+
+/**
+ * Quantise a LUT's CLUT into `bytesPerValue`-wide big-endian integers.
+ */
+function clutValues(lut, max, bytesPerValue) {
+    var CLUT = lut.CLUT;
+    var scale = clutScale(CLUT);
+    var bytes = new Array(CLUT.length * bytesPerValue);
+    var pos = 0;
+    for (var i = 0; i < CLUT.length; i++) {
+        var v = quantise(CLUT[i] / scale, max);
+        if (bytesPerValue === 2) {
+            bytes[pos++] = (v >>> 8) & 0xFF;
+        }
+        bytes[pos++] = v & 0xFF;
+    }
+    return bytes;
+}
+
+/**
+ * Input / output tables of an mft1 / mft2 LUT. Uses the decoded float
+ * table (`tablef`, 0..1) when present and resamples it if the entry
+ * count differs; otherwise writes an identity ramp.
+ */
+function lutTable(curve, channels, entries, max, bytesPerValue) {
+    var bytes = [];
+    for (var ch = 0; ch < channels; ch++) {
+        for (var i = 0; i < entries; i++) {
+            var x = i / (entries - 1);
+            var v = x;
+            if (curve && curve.tablef && curve.entries > 1) {
+                v = sampleTable(curve.tablef, ch * curve.entries, curve.entries, x);
+            }
+            var q = quantise(v, max);
+            if (bytesPerValue === 2) {
+                bytes.push((q >>> 8) & 0xFF);
+            }
+            bytes.push(q & 0xFF);
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Linear interpolation into one channel of a packed table.
+ */
+function sampleTable(table, start, entries, x) {
+    var pos = x * (entries - 1);
+    var lo = Math.floor(pos);
+    if (lo >= entries - 1) {
+        return table[start + entries - 1];
+    }
+    var frac = pos - lo;
+    return table[start + lo] + ((table[start + lo + 1] - table[start + lo]) * frac);
+}
+
+/**
+ * Byte-wise array equality.
+ */
+function sameBytes(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a.length !== b.length) {
+        return false;
+    }
+    for (var i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) {
+            return false;
+        }
+    }
+    return true;
+}
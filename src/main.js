@@ -21,6 +21,9 @@ module.exports  = {
     color: convert, // Semantically better
 
     Spectral: require('./Spectral.js'),
+    SpectralMixer: require('./SpectralMixer.js'),
+    ColorAppearance: require('./ColorAppearance.js'),
+    CGATS: require('./CGATS.js'),
 
     Loader: require('./Loader.js'),
 
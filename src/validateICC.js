@@ -0,0 +1,731 @@
+/*************************************************************************
+ *  @license
+ *
+ *
+ *  Copyright © 2019, 2024 Glenn Wilton
+ *  O2 Creative Limited
+ *  www.o2creative.co.nz
+ *  support@o2creative.co.nz
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ */
+
+'use strict';
+
+var decode = require('./decodeICC');
+
+/**
+ * ============================================================================
+ *  validateICC.js — structural validation of untrusted ICC binaries
+ * ============================================================================
+ *
+ *  `decodeICC.js` trusts the file: it reads offsets, counts and grid sizes
+ *  straight from the bytes. That is fine for profiles you ship, but a
+ *  truncated or hostile file can make it throw deep inside `lut()` or
+ *  `curve()`, or allocate arrays sized by a 32-bit count.
+ *
+ *  This module walks the same structures WITHOUT decoding them — no
+ *  typed arrays are allocated and nothing is read outside the buffer —
+ *  and reports everything that would trip the decoder or that breaks
+ *  the spec. Use it through Profile:
+ *
+ *      var report = Profile.validate(uint8Array);
+ *      // { valid: false,
+ *      //   errors:   [{tag: 'A2B0', offset: 1234, text: '...'}],
+ *      //   warnings: [{tag: null,   offset: null, text: '...'}] }
+ *
+ *      var p = new Profile();
+ *      p.strict = true;            // validate before decoding
+ *      p.load(uint8Array);
+ *
+ *  `tag` is the tag signature the problem was found in, or null for the
+ *  header and tag table. Any error means the decoder can not be trusted
+ *  with the file. Warnings are spec violations the decoder copes with.
+ *
+ *  ----------------------------------------------------------------------------
+ *  CHECKS
+ *  ----------------------------------------------------------------------------
+ *
+ *    HEADER     size field against the data and `maxProfileSize`,
+ *               'acsp' signature, version, 4-byte padding
+ *    TAG TABLE  count against `maxTags` and the profile size, every tag
+ *               inside the profile and clear of the header / tag table,
+ *               partial overlaps (identical shared tags are allowed),
+ *               alignment, duplicate signatures
+ *    TAG TYPES  the type matches what the engine decodes for that
+ *               signature, then per type: counts and nested offsets
+ *               inside the tag, curve lengths against `maxCurvePoints`,
+ *               CLUT sizes against `maxCLUTEntries`, channel counts,
+ *               LUT channels against the header colour spaces
+ *    TAGS       the tags the profile class needs to be used, e.g. rXYZ ...
+ *               bTRC for matrix / TRC RGB, A2B0 and B2A0 for a LUT
+ *               output profile; missing desc / cprt / wtpt only warn
+ *
+ *  The limits can be overridden per call, see `limits` below.
+ *
+ * ============================================================================
+ */
+
+module.exports = {
+
+    /**
+     * Default caps. Real profiles sit far below these, they exist to stop
+     * a hostile file asking for gigabytes.
+     */
+    limits: {
+        maxProfileSize: 64 * 1024 * 1024,   // bytes
+        maxTags: 256,
+        maxCurvePoints: 65536,              // per 'curv' and mAB/mBA curve
+        maxCLUTEntries: 16 * 1024 * 1024    // grid^inputs * outputs values
+    },
+
+    /**
+     * Expected tag types for the signatures `Profile.decodeFile` decodes.
+     * A tag with any other type would be misread.
+     */
+    tagTypes: {
+        rXYZ: ['XYZ '], gXYZ: ['XYZ '], bXYZ: ['XYZ '],
+        wtpt: ['XYZ '], bkpt: ['XYZ '], lumi: ['XYZ '],
+        rTRC: ['curv', 'para'], gTRC: ['curv', 'para'], bTRC: ['curv', 'para'], kTRC: ['curv', 'para'],
+        A2B0: ['mft1', 'mft2', 'mAB '], A2B1: ['mft1', 'mft2', 'mAB '], A2B2: ['mft1', 'mft2', 'mAB '],
+        B2A0: ['mft1', 'mft2', 'mBA '], B2A1: ['mft1', 'mft2', 'mBA '], B2A2: ['mft1', 'mft2', 'mBA '],
+        desc: ['desc', 'mluc', 'text'], cprt: ['desc', 'mluc', 'text'],
+        vued: ['desc', 'mluc', 'text'], targ: ['desc', 'mluc', 'text'], Info: ['desc', 'mluc', 'text'],
+        tech: ['sig '],
+        chad: ['sf32'],
+        view: ['view'],
+        ncl2: ['ncl2'],
+        clrt: ['clrt'],
+        clro: ['clro'],
+        cicp: ['cicp'],
+        B2D0: ['mpet'], B2D1: ['mpet'], B2D2: ['mpet'], B2D3: ['mpet'],
+        D2B0: ['mpet'], D2B1: ['mpet'], D2B2: ['mpet'], D2B3: ['mpet']
+    },
+
+    // ========================================================================
+    //  PROFILE
+    // ========================================================================
+
+    /**
+     * Validate a whole profile.
+     * @param {Uint8Array} binary
+     * @param {object} [limits]  Overrides for `this.limits`.
+     * @returns {{valid:boolean, errors:Array<{tag:string|null, offset:number|null, text:string}>, warnings:Array<{tag:string|null, offset:number|null, text:string}>}}
+     */
+    profile: function (binary, limits) {
+        var report = {
+            valid: false,
+            errors: [],
+            warnings: [],
+            limits: Object.assign({}, this.limits, limits)
+        };
+
+        var size = this.header(report, binary);
+        if (size !== false) {
+            var tags = this.tagTable(report, binary, size);
+            if (tags !== false) {
+                for (var i = 0; i < tags.length; i++) {
+                    if (tags[i].inBounds) {
+                        this.tag(report, binary, tags[i]);
+                    }
+                }
+                this.requiredTags(report, binary, tags);
+            }
+        }
+
+        report.valid = (report.errors.length === 0);
+        delete report.limits;
+        return report;
+    },
+
+    /**
+     * Check the 128-byte header. Returns the number of bytes the tags may
+     * use, or false if the header is unusable.
+     * @returns {number|false}
+     */
+    header: function (report, binary) {
+        var limits = report.limits;
+        if (!binary || binary.length < 132) {
+            this.error(report, null, null, 'Data is ' + (binary ? binary.length : 0) + ' bytes, too small for an ICC header and tag count');
+            return false;
+        }
+
+        var profileSize = this.uint32(binary, 0);
+        if (profileSize > limits.maxProfileSize) {
+            this.error(report, null, 0, 'Profile size ' + profileSize + ' is larger than the ' + limits.maxProfileSize + ' byte limit');
+            return false;
+        }
+        if (profileSize < 132) {
+            this.error(report, null, 0, 'Profile size ' + profileSize + ' is too small for an ICC header and tag count');
+            return false;
+        }
+        if (profileSize > binary.length) {
+            this.error(report, null, 0, 'Profile size ' + profileSize + ' is larger than the data (' + binary.length + ' bytes), the profile is truncated');
+        } else if (profileSize < binary.length) {
+            this.warning(report, null, 0, 'Data has ' + (binary.length - profileSize) + ' bytes after the end of the profile');
+        }
+        if (profileSize % 4 !== 0) {
+            this.warning(report, null, 0, 'Profile size ' + profileSize + ' is not padded to a multiple of 4 bytes');
+        }
+
+        if (decode.chars(binary, 36, 4) !== 'acsp') {
+            this.error(report, null, 36, 'Missing the \'acsp\' profile file signature');
+        }
+
+        var version = binary[8];
+        if (version !== 2 && version !== 4) {
+            this.warning(report, null, 8, 'Profile version ' + version + ' is not supported, only 2 and 4');
+        }
+
+        return Math.min(profileSize, binary.length);
+    },
+
+    /**
+     * Check the tag table and every tag's position. Returns the tags as
+     * `{sig, offset, length, inBounds}`, or false if the table itself is
+     * unusable.
+     * @returns {Array<object>|false}
+     */
+    tagTable: function (report, binary, size) {
+        var limits = report.limits;
+        var tagCount = this.uint32(binary, 128);
+        if (tagCount > limits.maxTags) {
+            this.error(report, null, 128, 'Tag count ' + tagCount + ' is over the ' + limits.maxTags + ' tag limit');
+            return false;
+        }
+        var tableEnd = 132 + (tagCount * 12);
+        if (tableEnd > size) {
+            this.error(report, null, 128, 'Tag table of ' + tagCount + ' tags runs past the end of the profile');
+            return false;
+        }
+
+        var tags = [];
+        var seen = {};
+        var pos = 132;
+        for (var i = 0; i < tagCount; i++) {
+            var tag = {
+                sig: decode.chars(binary, pos, 4),
+                offset: this.uint32(binary, pos + 4),
+                length: this.uint32(binary, pos + 8),
+                inBounds: false
+            };
+            pos += 12;
+            tags.push(tag);
+
+            if (seen[tag.sig]) {
+                this.warning(report, tag.sig, tag.offset, 'Duplicate tag signature');
+            }
+            seen[tag.sig] = true;
+
+            if (tag.offset < tableEnd) {
+                this.error(report, tag.sig, tag.offset, 'Tag starts at ' + tag.offset + ', inside the header or tag table');
+            } else if (tag.offset + tag.length > size) {
+                this.error(report, tag.sig, tag.offset, 'Tag of ' + tag.length + ' bytes at ' + tag.offset + ' runs past the end of the profile (' + size + ' bytes)');
+            } else if (tag.length < 8) {
+                this.error(report, tag.sig, tag.offset, 'Tag is ' + tag.length + ' bytes, too small for a type signature');
+            } else {
+                tag.inBounds = true;
+            }
+
+            if (tag.offset % 4 !== 0) {
+                this.warning(report, tag.sig, tag.offset, 'Tag does not start on a 4-byte boundary');
+            }
+        }
+
+        // Tags may share identical data, anything else overlapping is broken
+        var sorted = tags.filter(function (t) {
+            return t.inBounds;
+        }).sort(function (a, b) {
+            return a.offset - b.offset;
+        });
+        for (i = 1; i < sorted.length; i++) {
+            var prev = sorted[i - 1];
+            var cur = sorted[i];
+            var shared = (cur.offset === prev.offset && cur.length === prev.length);
+            if (!shared && cur.offset < prev.offset + prev.length) {
+                this.error(report, cur.sig, cur.offset, 'Tag overlaps \'' + prev.sig + '\'');
+            }
+        }
+
+        return tags;
+    },
+
+    /**
+     * Warn about the descriptive tags every profile should carry, and
+     * fail a profile missing the tags the engine needs to use it:
+     *
+     *      matrix / TRC RGB         rXYZ gXYZ bXYZ rTRC gTRC bTRC
+     *      TRC gray                 kTRC
+     *      LUT input                A2B0
+     *      LUT display / output /
+     *      colour space             A2B0 B2A0
+     *      link, abst               A2B0
+     *      nmcl                     ncl2
+     *
+     * RGB and gray device profiles are LUT based when they have an A2B0.
+     */
+    requiredTags: function (report, binary, tags) {
+        var pClass = decode.chars(binary, 12, 4);
+        var space = decode.chars(binary, 16, 4);
+        var has = {};
+        tags.forEach(function (t) {
+            has[t.sig] = true;
+        });
+        var recommended = ['desc', 'cprt'];
+        if (pClass !== 'link') {
+            recommended.push('wtpt');
+        }
+        for (var i = 0; i < recommended.length; i++) {
+            if (!has[recommended[i]]) {
+                this.warning(report, null, null, 'Missing recommended \'' + recommended[i] + '\' tag');
+            }
+        }
+
+        var required;
+        var kind;
+        switch (pClass) {
+            case 'link':
+            case 'abst':
+                required = ['A2B0'];
+                kind = (pClass === 'link') ? 'device link' : 'abstract';
+                break;
+            case 'nmcl':
+                required = ['ncl2'];
+                kind = 'named colour';
+                break;
+            case 'scnr':
+            case 'mntr':
+            case 'prtr':
+            case 'spac':
+                if (space === 'RGB ' && !has.A2B0) {
+                    required = ['rXYZ', 'gXYZ', 'bXYZ', 'rTRC', 'gTRC', 'bTRC'];
+                    kind = 'matrix / TRC RGB';
+                } else if (space === 'GRAY' && !has.A2B0) {
+                    required = ['kTRC'];
+                    kind = 'gray';
+                } else {
+                    required = (pClass === 'scnr') ? ['A2B0'] : ['A2B0', 'B2A0'];
+                    kind = 'LUT based';
+                }
+                break;
+            default:
+                return;
+        }
+        for (i = 0; i < required.length; i++) {
+            if (!has[required[i]]) {
+                this.error(report, null, null, 'Missing the \'' + required[i] + '\' tag a ' + kind + ' profile needs');
+            }
+        }
+    },
+
+    // ========================================================================
+    //  TAG TYPES
+    // ========================================================================
+
+    /**
+     * Check one tag, already known to lie inside the profile.
+     */
+    tag: function (report, binary, tag) {
+        var type = decode.chars(binary, tag.offset, 4);
+        var expected = this.tagTypes[tag.sig];
+        if (expected && expected.indexOf(type) === -1) {
+            this.error(report, tag.sig, tag.offset, 'Tag type \'' + type + '\' is not one of ' + expected.map(quote).join(', '));
+            return;
+        }
+
+        var problem = this.tagType(report, binary, tag.offset, tag.length, type, tag.sig);
+        if (problem) {
+            this.error(report, tag.sig, tag.offset, problem);
+            return;
+        }
+
+        if (/^(A2B|B2A)[0-2]$/.test(tag.sig)) {
+            this.lutChannels(report, binary, tag);
+        }
+
+        function quote(s) {
+            return '\'' + s + '\'';
+        }
+    },
+
+    /**
+     * Per type bounds checks. Returns an error message or null. Types the
+     * engine does not decode are not checked.
+     * @returns {string|null}
+     */
+    tagType: function (report, binary, offset, length, type, sig) {
+        var count, n;
+        switch (type) {
+            case 'XYZ ':
+                return (length < 20) ? 'XYZ tag is ' + length + ' bytes, needs at least 20' : null;
+
+            case 'curv':
+            case 'para':
+                n = this.curve(report, binary, offset, length);
+                return (typeof n === 'string') ? n : null;
+
+            case 'desc':
+                if (length < 12) {
+                    return 'desc tag is ' + length + ' bytes, needs at least 12';
+                }
+                count = this.uint32(binary, offset + 8);
+                return (12 + count > length) ? 'desc ASCII length ' + count + ' runs past the end of the tag' : null;
+
+            case 'text':
+                return null;
+
+            case 'mluc':
+                return this.mluc(binary, offset, length);
+
+            case 'sig ':
+                return (length < 12) ? 'sig tag is ' + length + ' bytes, needs at least 12' : null;
+
+            case 'sf32':
+                if (sig === 'chad' && length < 44) {
+                    return 'chad matrix is ' + length + ' bytes, needs 9 values (44 bytes)';
+                }
+                if ((length - 8) % 4 !== 0) {
+                    this.warning(report, sig, offset, 'sf32 tag length is not a whole number of values');
+                }
+                return null;
+
+            case 'view':
+            case 'meas':
+                return (length < 36) ? type + ' tag is ' + length + ' bytes, needs at least 36' : null;
+
+            case 'ncl2':
+                if (length < 84) {
+                    return 'ncl2 tag is ' + length + ' bytes, needs at least 84';
+                }
+                count = this.uint32(binary, offset + 12);
+                n = this.uint32(binary, offset + 16);
+                if (n > 15) {
+                    return 'ncl2 has ' + n + ' device channels, the maximum is 15';
+                }
+                return (84 + count * (38 + 2 * n) > length) ? 'ncl2 count of ' + count + ' colours runs past the end of the tag' : null;
+
+            case 'clrt':
+                if (length < 12) {
+                    return 'clrt tag is ' + length + ' bytes, needs at least 12';
+                }
+                count = this.uint32(binary, offset + 8);
+                return (12 + count * 38 > length) ? 'clrt count of ' + count + ' colorants runs past the end of the tag' : null;
+
+            case 'clro':
+                if (length < 12) {
+                    return 'clro tag is ' + length + ' bytes, needs at least 12';
+                }
+                count = this.uint32(binary, offset + 8);
+                return (12 + count > length) ? 'clro count of ' + count + ' runs past the end of the tag' : null;
+
+            case 'cicp':
+                return (length < 12) ? 'cicp tag is ' + length + ' bytes, needs 12' : null;
+
+            case 'mft1':
+            case 'mft2':
+                return this.lut16or8(report, binary, offset, length, type);
+
+            case 'mAB ':
+            case 'mBA ':
+                return this.lutAB(report, binary, offset, length, type);
+
+            case 'mpet':
+                if (length < 16) {
+                    return 'mpet tag is ' + length + ' bytes, needs at least 16';
+                }
+                count = this.uint32(binary, offset + 12);
+                if (16 + count * 8 > length) {
+                    return 'mpet count of ' + count + ' elements runs past the end of the tag';
+                }
+                for (n = 0; n < count; n++) {
+                    var elOffset = this.uint32(binary, offset + 16 + n * 8);
+                    var elSize = this.uint32(binary, offset + 20 + n * 8);
+                    if (elOffset < 16 || elOffset + elSize > length) {
+                        return 'mpet element ' + n + ' lies outside the tag';
+                    }
+                }
+                return null;
+        }
+        return null;
+    },
+
+    /**
+     * Check a 'curv' or 'para' curve that must end by `end` bytes from
+     * `offset`. Returns its byte length, or an error message.
+     * @returns {number|string}
+     */
+    curve: function (report, binary, offset, end) {
+        if (end < 12) {
+            return 'Curve needs at least 12 bytes, ' + end + ' left';
+        }
+        var type = decode.chars(binary, offset, 4);
+        var byteLength;
+        if (type === 'curv') {
+            var count = this.uint32(binary, offset + 8);
+            if (count > report.limits.maxCurvePoints) {
+                return 'Curve has ' + count + ' points, over the ' + report.limits.maxCurvePoints + ' point limit';
+            }
+            byteLength = 12 + count * 2;
+        } else if (type === 'para') {
+            var functionType = decode.uint16(binary, offset + 8);
+            var paramCount = [1, 3, 4, 5, 7][functionType];
+            if (paramCount === undefined) {
+                return 'Parametric curve function type ' + functionType + ' is not defined';
+            }
+            byteLength = 12 + paramCount * 4;
+        } else {
+            return 'Curve type \'' + type + '\' is not \'curv\' or \'para\'';
+        }
+        if (byteLength > end) {
+            return 'Curve of ' + byteLength + ' bytes runs past the end of the tag';
+        }
+        return byteLength;
+    },
+
+    /**
+     * Check `count` curves laid end to end (4-byte aligned) inside a
+     * mAB / mBA tag, as `decodeICC.curves` reads them.
+     * @returns {string|null}
+     */
+    curveSet: function (report, binary, offset, end, count, name) {
+        var pos = 0;
+        for (var i = 0; i < count; i++) {
+            var byteLength = this.curve(report, binary, offset + pos, end - pos);
+            if (typeof byteLength === 'string') {
+                return name + ' curve ' + i + ': ' + byteLength;
+            }
+            if (byteLength % 4 !== 0) {
+                byteLength += 4 - (byteLength % 4);
+            }
+            pos += byteLength;
+        }
+        return null;
+    },
+
+    /**
+     * 'mluc' record table and strings. Zero records is an error, as the
+     * decoder picks the first one when there is no English record.
+     * @returns {string|null}
+     */
+    mluc: function (binary, offset, length) {
+        if (length < 16) {
+            return 'mluc tag is ' + length + ' bytes, needs at least 16';
+        }
+        var recordCount = this.uint32(binary, offset + 8);
+        var recordSize = this.uint32(binary, offset + 12);
+        if (recordCount === 0) {
+            return 'mluc tag has no records';
+        }
+        if (recordSize < 12) {
+            return 'mluc record size ' + recordSize + ' is smaller than 12';
+        }
+        if (16 + recordCount * recordSize > length) {
+            return 'mluc count of ' + recordCount + ' records runs past the end of the tag';
+        }
+        for (var i = 0; i < recordCount; i++) {
+            var ptr = offset + 16 + i * recordSize;
+            var strLength = this.uint32(binary, ptr + 4);
+            var strOffset = this.uint32(binary, ptr + 8);
+            if (strOffset + strLength > length) {
+                return 'mluc record ' + i + ' string lies outside the tag';
+            }
+        }
+        return null;
+    },
+
+    /**
+     * 'mft1' (lut8Type) and 'mft2' (lut16Type).
+     * @returns {string|null}
+     */
+    lut16or8: function (report, binary, offset, length, type) {
+        var headerBytes = (type === 'mft2') ? 52 : 48;
+        if (length < headerBytes) {
+            return type + ' tag is ' + length + ' bytes, needs at least ' + headerBytes;
+        }
+        var inputChannels = binary[offset + 8];
+        var outputChannels = binary[offset + 9];
+        var gridPoints = binary[offset + 10];
+        var problem = this.channels(inputChannels, outputChannels);
+        if (problem) {
+            return problem;
+        }
+        if (gridPoints < 2) {
+            return type + ' has ' + gridPoints + ' grid points, needs at least 2';
+        }
+        var clutEntries = Math.pow(gridPoints, inputChannels) * outputChannels;
+        if (clutEntries > report.limits.maxCLUTEntries) {
+            return type + ' CLUT of ' + gridPoints + '^' + inputChannels + ' x ' + outputChannels + ' values is over the ' + report.limits.maxCLUTEntries + ' value limit';
+        }
+
+        var inputEntries = 256;
+        var outputEntries = 256;
+        var bytes = 1;
+        if (type === 'mft2') {
+            inputEntries = decode.uint16(binary, offset + 48);
+            outputEntries = decode.uint16(binary, offset + 50);
+            bytes = 2;
+            if (inputEntries < 2 || inputEntries > 4096 || outputEntries < 2 || outputEntries > 4096) {
+                return 'mft2 table entries (' + inputEntries + ' in, ' + outputEntries + ' out) must be 2 to 4096';
+            }
+        }
+        var needed = headerBytes + bytes * (inputEntries * inputChannels + clutEntries + outputEntries * outputChannels);
+        return (needed > length) ? type + ' needs ' + needed + ' bytes, the tag is ' + length : null;
+    },
+
+    /**
+     * 'mAB ' (lutAToBType) and 'mBA ' (lutBToAType): the element offsets,
+     * each curve set, the matrix and the CLUT.
+     * @returns {string|null}
+     */
+    lutAB: function (report, binary, offset, length, type) {
+        if (length < 32) {
+            return type + ' tag is ' + length + ' bytes, needs at least 32';
+        }
+        var inputChannels = binary[offset + 8];
+        var outputChannels = binary[offset + 9];
+        var problem = this.channels(inputChannels, outputChannels);
+        if (problem) {
+            return problem;
+        }
+
+        var bCurveOffset = this.uint32(binary, offset + 12);
+        var matrixOffset = this.uint32(binary, offset + 16);
+        var mCurveOffset = this.uint32(binary, offset + 20);
+        var cLUTOffset = this.uint32(binary, offset + 24);
+        var aCurveOffset = this.uint32(binary, offset + 28);
+        var offsets = {B: bCurveOffset, matrix: matrixOffset, M: mCurveOffset, CLUT: cLUTOffset, A: aCurveOffset};
+        for (var name in offsets) {
+            if (offsets[name] !== 0 && (offsets[name] < 32 || offsets[name] >= length)) {
+                return type + ' ' + name + ' offset ' + offsets[name] + ' lies outside the tag';
+            }
+        }
+
+        // B and M curves sit on the PCS side, A curves on the device side
+        var pcsSide = (type === 'mAB ') ? outputChannels : inputChannels;
+        var deviceSide = (type === 'mAB ') ? inputChannels : outputChannels;
+        if (bCurveOffset) {
+            problem = this.curveSet(report, binary, offset + bCurveOffset, length - bCurveOffset, pcsSide, 'B');
+        }
+        if (!problem && mCurveOffset) {
+            problem = this.curveSet(report, binary, offset + mCurveOffset, length - mCurveOffset, pcsSide, 'M');
+        }
+        if (!problem && aCurveOffset) {
+            problem = this.curveSet(report, binary, offset + aCurveOffset, length - aCurveOffset, deviceSide, 'A');
+        }
+        if (problem) {
+            return type + ' ' + problem;
+        }
+
+        if (matrixOffset && matrixOffset + 48 > length) {
+            return type + ' matrix runs past the end of the tag';
+        }
+
+        if (cLUTOffset) {
+            if (cLUTOffset + 20 > length) {
+                return type + ' CLUT header runs past the end of the tag';
+            }
+            var clutEntries = outputChannels;
+            for (var i = 0; i < inputChannels; i++) {
+                var gridPoints = binary[offset + cLUTOffset + i];
+                if (gridPoints < 2) {
+                    return type + ' CLUT has ' + gridPoints + ' grid points in dimension ' + i + ', needs at least 2';
+                }
+                clutEntries *= gridPoints;
+            }
+            if (clutEntries > report.limits.maxCLUTEntries) {
+                return type + ' CLUT of ' + clutEntries + ' values is over the ' + report.limits.maxCLUTEntries + ' value limit';
+            }
+            var precision = binary[offset + cLUTOffset + 16];
+            if (precision !== 1 && precision !== 2) {
+                return type + ' CLUT precision ' + precision + ' is not 1 or 2 bytes';
+            }
+            if (cLUTOffset + 20 + clutEntries * precision > length) {
+                return type + ' CLUT of ' + clutEntries + ' values runs past the end of the tag';
+            }
+        }
+        return null;
+    },
+
+    /**
+     * LUT channel counts must match the header colour spaces, A2B goes
+     * colour space → PCS and B2A the other way (for a device link the
+     * header 'pcs' is its output space, so the same rule applies).
+     */
+    lutChannels: function (report, binary, tag) {
+        var spaceChannels = this.spaceChannels(decode.chars(binary, 16, 4));
+        var pcsChannels = this.spaceChannels(decode.chars(binary, 20, 4));
+        if (spaceChannels === 0 || pcsChannels === 0) {
+            return;
+        }
+        var isA2B = (tag.sig.substring(0, 3) === 'A2B');
+        var wantIn = isA2B ? spaceChannels : pcsChannels;
+        var wantOut = isA2B ? pcsChannels : spaceChannels;
+        var inputChannels = binary[tag.offset + 8];
+        var outputChannels = binary[tag.offset + 9];
+        if (inputChannels !== wantIn || outputChannels !== wantOut) {
+            this.error(report, tag.sig, tag.offset, 'LUT has ' + inputChannels + ' input and ' + outputChannels + ' output channels, the header colour spaces need ' + wantIn + ' and ' + wantOut);
+        }
+    },
+
+    /**
+     * @returns {string|null}
+     */
+    channels: function (inputChannels, outputChannels) {
+        if (inputChannels < 1 || inputChannels > 15 || outputChannels < 1 || outputChannels > 15) {
+            return 'LUT has ' + inputChannels + ' input and ' + outputChannels + ' output channels, each must be 1 to 15';
+        }
+        return null;
+    },
+
+    /**
+     * Channel count of an ICC colour space signature, 0 if unknown.
+     * @returns {number}
+     */
+    spaceChannels: function (space) {
+        switch (space) {
+            case 'GRAY':
+                return 1;
+            case 'CMYK':
+                return 4;
+            case 'XYZ ':
+            case 'Lab ':
+            case 'Luv ':
+            case 'YCbr':
+            case 'Yxy ':
+            case 'RGB ':
+            case 'HSV ':
+            case 'HLS ':
+            case 'CMY ':
+                return 3;
+        }
+        // 2CLR … FCLR
+        if (/^[2-9A-F]CLR$/.test(space)) {
+            return parseInt(space.charAt(0), 16);
+        }
+        return 0;
+    },
+
+    // ========================================================================
+    //  READERS & REPORT
+    // ========================================================================
+
+    /**
+     * Unsigned big-endian uint32, `decodeICC.uint32` goes negative above
+     * 0x7FFFFFFF which would slip past the bounds checks.
+     * @returns {number}
+     */
+    uint32: function (binary, offset) {
+        return decode.uint32(binary, offset) >>> 0;
+    },
+
+    error: function (report, sig, offset, text) {
+        report.errors.push({tag: sig, offset: offset, text: text});
+    },
+
+    warning: function (report, sig, offset, text) {
+        report.warnings.push({tag: sig, offset: offset, text: text});
+    }
+};